@@ -2,7 +2,6 @@ import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
-import { exec } from 'child_process';
 import fs from 'fs/promises';
 import { watch } from 'fs';
 import sqlite3 from 'sqlite3';
@@ -11,6 +10,8 @@ import dotenv from 'dotenv';
 import parseAttributedBody from './decode-attributed-body.js';
 import ngrok from 'ngrok';
 import { NGROK_CONFIG } from './ngrok-config.js';
+import handleNormalizer from './src/utils/handleNormalizer.js';
+import appleScript from './src/utils/applescript.js';
 
 dotenv.config();
 
@@ -44,6 +45,16 @@ async function initDatabase() {
     }
 }
 
+// Find a handle by phone / email in any format (0346477714, +84346477714, 84346477714 là cùng một người)
+async function findHandle(db, query) {
+    const target = handleNormalizer.normalize(query);
+    if (!target) return null;
+
+    const rows = await db.all('SELECT ROWID, id, country FROM handle');
+    const matches = rows.filter(row => handleNormalizer.normalize(row.id, row.country) === target);
+    return matches.find(row => row.id === String(query).trim()) || matches[0] || null;
+}
+
 // Check for new messages
 async function checkNewMessages() {
     try {
@@ -157,12 +168,8 @@ app.post('/api/send', async (req, res) => {
             driver: sqlite3.Database
         });
 
-        // Tìm sender với case sensitivity chính xác
-        const senderRow = await db.get(`
-            SELECT id FROM handle 
-            WHERE id COLLATE NOCASE = ? COLLATE NOCASE
-            LIMIT 1
-        `, [to]);
+        // Tìm sender với đúng id trong chat.db
+        const senderRow = await findHandle(db, to);
 
         await db.close();
 
@@ -173,31 +180,32 @@ app.post('/api/send', async (req, res) => {
         console.log({ to, body, senderToUse });
         console.log('=== END DEBUG ===');
 
+        // Người nhận và nội dung đi qua argv (AppleScriptUtil.execute), không ghép vào script
         const script = `tell application "Messages"
             try
                 set svc to 1st service whose service type = iMessage
-                set bud to buddy "${senderToUse}" of svc
-                set msg to send "${body}" to bud
+                set bud to buddy (item 1 of argv) of svc
+                set msg to send (item 2 of argv) to bud
                 return "success"
             on error errMsg
                 return "error: " & errMsg
             end try
             end tell`;
 
-        exec(`osascript -e '${script}'`, async (err, stdout) => {
-            const timestamp = new Date().toISOString();
-            let logEntry = { to: senderToUse, body, timestamp };
-
-            if (err) {
-                logEntry = { ...logEntry, status: 'failed', error: err.message };
-                await fs.appendFile(process.env.LOG_PATH, JSON.stringify(logEntry) + '\n');
-                return res.status(500).json({ success: false, error: err.message });
-            }
-
-            logEntry = { ...logEntry, status: 'sent', result: stdout.trim() };
+        const timestamp = new Date().toISOString();
+        let logEntry = { to: senderToUse, body, timestamp };
+        let result;
+        try {
+            result = await appleScript.execute(script, [senderToUse, body]);
+        } catch (err) {
+            logEntry = { ...logEntry, status: 'failed', error: err.message };
             await fs.appendFile(process.env.LOG_PATH, JSON.stringify(logEntry) + '\n');
-            res.json({ success: true, result: stdout.trim() });
-        });
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        logEntry = { ...logEntry, status: 'sent', result };
+        await fs.appendFile(process.env.LOG_PATH, JSON.stringify(logEntry) + '\n');
+        res.json({ success: true, result });
     } catch (err) {
         console.error('Server error:', err);
         res.status(500).json({ success: false, error: err.message });
@@ -241,24 +249,23 @@ app.get('/api/conversations', async (req, res) => {
       end try
     end tell`;
 
-        exec(`osascript -e '${script}'`, (err, stdout, stderr) => {
-            console.log('AppleScript stdout:', stdout);
-            if (stderr) console.error('AppleScript stderr:', stderr);
-            if (err) {
-                console.error('AppleScript error:', err);
-                return res.status(500).json({ success: false, error: err.message });
-            }
-            try {
-                const lines = (stdout || '').trim().split('\n').filter(line => line.trim());
-                const conversations = lines.map(line => {
-                    const [id, name, participantCount] = line.split('|');
-                    return { id, name, participantCount: Number(participantCount) };
-                });
-                res.json({ success: true, conversations });
-            } catch (parseErr) {
-                res.status(500).json({ success: false, error: 'Invalid response format' });
-            }
-        });
+        let stdout;
+        try {
+            stdout = await appleScript.execute(script);
+        } catch (err) {
+            console.error('AppleScript error:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        try {
+            const lines = (stdout || '').trim().split('\n').filter(line => line.trim());
+            const conversations = lines.map(line => {
+                const [id, name, participantCount] = line.split('|');
+                return { id, name, participantCount: Number(participantCount) };
+            });
+            res.json({ success: true, conversations });
+        } catch (parseErr) {
+            res.status(500).json({ success: false, error: 'Invalid response format' });
+        }
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
     }
@@ -840,11 +847,7 @@ app.get('/api/sender/:query', async (req, res) => {
             driver: sqlite3.Database
         });
 
-        const senderRow = await db.get(`
-            SELECT id FROM handle 
-            WHERE id COLLATE NOCASE = ? COLLATE NOCASE
-            LIMIT 1
-        `, [query]);
+        const senderRow = await findHandle(db, query);
 
         await db.close();
 
@@ -852,12 +855,14 @@ app.get('/api/sender/:query', async (req, res) => {
             res.json({
                 success: true,
                 sender: senderRow.id,
+                normalized: handleNormalizer.normalize(senderRow.id, senderRow.country),
                 found: true
             });
         } else {
             res.json({
                 success: true,
                 sender: query,
+                normalized: handleNormalizer.normalize(query),
                 found: false
             });
         }
@@ -867,64 +872,18 @@ app.get('/api/sender/:query', async (req, res) => {
     }
 });
 
-// Cleanup and merge duplicate handles (case insensitive)
-app.post('/api/cleanup-handles', async (req, res) => {
-    try {
-        const db = await open({
-            filename: DB_PATH,
-            driver: sqlite3.Database
-        });
-
-        // Find handles with same id (case insensitive)
-        const duplicateHandles = await db.all(`
-            SELECT h1.ROWID as rowid1, h1.id as id1, h2.ROWID as rowid2, h2.id as id2
-            FROM handle h1
-            JOIN handle h2 ON h1.id COLLATE NOCASE = h2.id COLLATE NOCASE
-            WHERE h1.ROWID < h2.ROWID
-        `);
-
-        console.log(`Found ${duplicateHandles.length} duplicate handles`);
-
-        for (const duplicate of duplicateHandles) {
-            // Choose the handle with better case (prefer proper case over all lowercase)
-            const keepRowId = (duplicate.id1 !== duplicate.id1.toLowerCase() && duplicate.id2 === duplicate.id2.toLowerCase())
-                ? duplicate.rowid1
-                : duplicate.rowid2;
-            const deleteRowId = keepRowId === duplicate.rowid1 ? duplicate.rowid2 : duplicate.rowid1;
-
-            // Update all messages to use the kept handle
-            await db.run(`
-                UPDATE message 
-                SET handle_id = ? 
-                WHERE handle_id = ?
-            `, [keepRowId, deleteRowId]);
-
-            // Update chat_handle_join to use the kept handle
-            await db.run(`
-                UPDATE chat_handle_join 
-                SET handle_id = ? 
-                WHERE handle_id = ?
-            `, [keepRowId, deleteRowId]);
-
-            // Delete the duplicate handle
-            await db.run(`
-                DELETE FROM handle 
-                WHERE ROWID = ?
-            `, [deleteRowId]);
-
-            console.log(`Merged handle ${duplicate.id2} into ${duplicate.id1}`);
-        }
-
-        await db.close();
-        res.json({
-            success: true,
-            message: `Cleaned up ${duplicateHandles.length} duplicate handles`,
-            duplicates: duplicateHandles.length
-        });
-    } catch (err) {
-        console.error('Cleanup error:', err);
-        res.status(500).json({ success: false, error: err.message });
-    }
+// Cleanup cũ sửa message / chat_handle_join và xoá handle ngay trong chat.db; handle trùng giờ được gộp bằng
+// alias map trong relay.db (handleAliasService), chỉ có trên src/server.js
+app.post('/api/cleanup-handles', (req, res) => {
+    res.status(410).json({
+        success: false,
+        error: 'Handle cleanup moved to src/server.js (npm run start:new) as a relay.db alias map, chat.db is no longer modified',
+        replacement: [
+            'GET /api/handles/aliases/preview',
+            'POST /api/handles/aliases/apply',
+            'POST /api/handles/aliases/undo'
+        ]
+    });
 });
 
 // Get messages from a specific conversation (by sender)
@@ -950,11 +909,7 @@ app.get('/api/conversations/:sender/messages', async (req, res) => {
         } catch (e) { }
 
         // Lấy handle_id của sender
-        const handleRow = await db.get(`
-            SELECT ROWID, id FROM handle 
-            WHERE id COLLATE NOCASE = ? COLLATE NOCASE
-            LIMIT 1
-        `, [sender]);
+        const handleRow = await findHandle(db, sender);
 
         console.log("handle row: ", { handleRow });
 
@@ -1132,20 +1087,13 @@ app.get('/api/conversations/:sender/messages', async (req, res) => {
     }
 });
 
-// Đánh dấu tin nhắn đã đọc cho một cuộc trò chuyện
-app.post('/api/conversations/:sender/mark-read', async (req, res) => {
-    const { sender } = req.params;
-    try {
-        const db = await open({ filename: DB_PATH, driver: sqlite3.Database });
-        await db.run(
-            `UPDATE message SET is_read = 1 WHERE is_from_me = 0 AND handle_id = (SELECT ROWID FROM handle WHERE id = ?) AND is_read = 0`,
-            [sender]
-        );
-        await db.close();
-        res.json({ success: true });
-    } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
-    }
+// Mark read không ghi message.is_read vào chat.db nữa: read state nằm trong relay.db, chỉ có trên src/server.js
+app.post('/api/conversations/:sender/mark-read', (req, res) => {
+    res.status(410).json({
+        success: false,
+        error: 'Mark read moved to src/server.js (npm run start:new): POST /api/conversations/:sender/mark-read, read state is kept in relay.db',
+        replacement: 'POST /api/conversations/:sender/mark-read'
+    });
 });
 
 // Get message statistics
@@ -1175,7 +1123,7 @@ app.get('/api/check-service', async (req, res) => {
     if (!to) return res.status(400).json({ error: 'Missing to parameter' });
     const script = `
       tell application \"Messages\"
-        set target to \"${to}\"
+        set target to item 1 of argv
         set found to false
         repeat with svc in services
           try
@@ -1192,10 +1140,11 @@ app.get('/api/check-service', async (req, res) => {
         end if
       end tell
     `;
-    require('child_process').exec(`osascript -e '${script}'`, (err, stdout) => {
-        if (err) return res.status(500).json({ error: err.message });
-        res.json({ service: stdout.trim() });
-    });
+    try {
+        res.json({ service: await appleScript.execute(script, [to]) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
 // Check iMessage support for email/phone (database first, fallback AppleScript)
@@ -1240,7 +1189,7 @@ app.get('/api/check-imessage', async (req, res) => {
         const script = `tell application "Messages"
             try
                 set svc to 1st service whose service type = iMessage
-                set bud to buddy "${to}" of svc
+                set bud to buddy (item 1 of argv) of svc
                 set serviceType to service type of svc
                 set isAvailable to available of bud
                 return {serviceType, isAvailable}
@@ -1248,36 +1197,24 @@ app.get('/api/check-imessage', async (req, res) => {
                 return {"error", errMsg}
             end try
         end tell`;
-        const { exec } = await import('child_process');
-        exec(`osascript -e '${script}'`, (err, stdout) => {
-            if (err) {
-                console.error('Check iMessage error:', err);
-                return res.status(500).json({
-                    supportsIMessage: false,
-                    service: 'unknown',
-                    error: err.message,
-                    message: 'Lỗi khi kiểm tra iMessage support'
-                });
-            }
-            const result = stdout.trim();
-            if (result.startsWith('error:')) {
-                return res.json({
-                    supportsIMessage: false,
-                    service: 'unknown',
-                    error: result.replace('error:', '').trim(),
-                    message: 'Không thể kiểm tra hoặc không hỗ trợ iMessage'
-                });
-            }
-            const [serviceType, isAvailable] = result.split(', ');
-            const supportsIMessage = serviceType === 'iMessage' && isAvailable === 'true';
-            res.json({
-                supportsIMessage,
-                service: serviceType,
-                isAvailable: isAvailable === 'true',
-                message: supportsIMessage
-                    ? 'Hỗ trợ iMessage (AppleScript realtime)'
-                    : 'Không hỗ trợ iMessage hoặc không khả dụng (AppleScript realtime)'
+        const result = await appleScript.execute(script, [to]);
+        if (result.startsWith('error:')) {
+            return res.json({
+                supportsIMessage: false,
+                service: 'unknown',
+                error: result.replace('error:', '').trim(),
+                message: 'Không thể kiểm tra hoặc không hỗ trợ iMessage'
             });
+        }
+        const [serviceType, isAvailable] = result.split(', ');
+        const supportsIMessage = serviceType === 'iMessage' && isAvailable === 'true';
+        res.json({
+            supportsIMessage,
+            service: serviceType,
+            isAvailable: isAvailable === 'true',
+            message: supportsIMessage
+                ? 'Hỗ trợ iMessage (AppleScript realtime)'
+                : 'Không hỗ trợ iMessage hoặc không khả dụng (AppleScript realtime)'
         });
     } catch (err) {
         console.error('Check iMessage error:', err);
@@ -1368,7 +1305,6 @@ app.get('/api/raw/messages', async (req, res) => {
 
 // Lấy toàn bộ nội dung tin nhắn từ Message.app qua AppleScript
 app.get('/api/messages/appscript', async (req, res) => {
-    const { exec } = await import('child_process');
     const script = `
 set json to "["
 tell application \"Messages\"
@@ -1398,17 +1334,18 @@ end tell
 set json to json & "]"
 return json
 `;
-    exec(`osascript -e '${script.replace(/'/g, "'\\''")}'`, (err, stdout, stderr) => {
-        if (err) {
-            return res.status(500).json({ success: false, error: err.message });
-        }
-        try {
-            const messages = JSON.parse(stdout);
-            res.json({ success: true, messages });
-        } catch (e) {
-            res.status(500).json({ success: false, error: 'Failed to parse AppleScript output', raw: stdout });
-        }
-    });
+    let stdout;
+    try {
+        stdout = await appleScript.execute(script);
+    } catch (err) {
+        return res.status(500).json({ success: false, error: err.message });
+    }
+    try {
+        const messages = JSON.parse(stdout);
+        res.json({ success: true, messages });
+    } catch (e) {
+        res.status(500).json({ success: false, error: 'Failed to parse AppleScript output', raw: stdout });
+    }
 });
 
 // WebSocket handling
@@ -1458,23 +1395,24 @@ io.on('connection', socket => {
               end try
             end tell`;
 
-            exec(`osascript -e '${script}'`, (err, stdout) => {
-                if (err) {
-                    socket.emit('conversations_error', { error: err.message });
-                    return;
-                }
+            let stdout;
+            try {
+                stdout = await appleScript.execute(script);
+            } catch (err) {
+                socket.emit('conversations_error', { error: err.message });
+                return;
+            }
 
-                try {
-                    const lines = (stdout || '').trim().split('\n').filter(line => line.trim());
-                    const conversations = lines.map(line => {
-                        const [id, name, participantCount] = line.split('|');
-                        return { id, name, participantCount: Number(participantCount) };
-                    });
-                    socket.emit('conversations_list', { conversations });
-                } catch (parseErr) {
-                    socket.emit('conversations_error', { error: 'Invalid response format' });
-                }
-            });
+            try {
+                const lines = (stdout || '').trim().split('\n').filter(line => line.trim());
+                const conversations = lines.map(line => {
+                    const [id, name, participantCount] = line.split('|');
+                    return { id, name, participantCount: Number(participantCount) };
+                });
+                socket.emit('conversations_list', { conversations });
+            } catch (parseErr) {
+                socket.emit('conversations_error', { error: 'Invalid response format' });
+            }
         } catch (err) {
             socket.emit('conversations_error', { error: err.message });
         }
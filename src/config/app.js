@@ -10,11 +10,97 @@ export const APP_CONFIG = {
     
     // Database settings
     MESSAGES_DB_PATH: process.env.MESSAGES_DB_PATH || `${process.env.HOME}/Library/Messages/chat.db`,
+    MESSAGES_ATTACHMENTS_DIR: process.env.MESSAGES_ATTACHMENTS_DIR || `${process.env.HOME}/Library/Messages/Attachments`,
+    
+    // Messages transport: applescript (Messages.app trên macOS) | simulator (chat.db giả lập, chạy được trên Linux)
+    TRANSPORT: process.env.TRANSPORT || 'applescript',
+    SIMULATOR_DB_PATH: process.env.SIMULATOR_DB_PATH || './data/simulator/chat.db',
+    SIMULATOR_ATTACHMENTS_DIR: process.env.SIMULATOR_ATTACHMENTS_DIR || './data/simulator/Attachments',
+    SIMULATOR_ACCOUNT: process.env.SIMULATOR_ACCOUNT || 'relay.simulator@icloud.com',
+    SIMULATOR_DELIVERY_DELAY_MS: Number(process.env.SIMULATOR_DELIVERY_DELAY_MS || 1000),
+    SIMULATOR_READ_DELAY_MS: Number(process.env.SIMULATOR_READ_DELAY_MS || 0), // 0 = không giả lập read receipt
+    SIMULATOR_FAILURE_RATE: Number(process.env.SIMULATOR_FAILURE_RATE || 0),
+    SIMULATOR_AUTO_REPLY: process.env.SIMULATOR_AUTO_REPLY === 'true',
+    
+    // attributedBody decoding: typedstream decoder (JS) là mặc định, Foundation Bridge (Swift, macOS) chỉ là fallback
+    FOUNDATION_BRIDGE_FALLBACK: process.env.FOUNDATION_BRIDGE_FALLBACK !== 'false',
+    
+    // Decode cache (relay.db): text + spans đã decode, theo message.guid + date_edited
+    DECODE_CACHE_ENABLED: process.env.DECODE_CACHE_ENABLED !== 'false',
+    DECODE_CACHE_MAX_ENTRIES: parseInt(process.env.DECODE_CACHE_MAX_ENTRIES) || 50000,
+    DECODE_CACHE_WARMUP_CONVERSATIONS: Number(process.env.DECODE_CACHE_WARMUP_CONVERSATIONS ?? 20), // 0 = không warm-up
+    DECODE_CACHE_WARMUP_MESSAGES: parseInt(process.env.DECODE_CACHE_WARMUP_MESSAGES) || 50,
+    
+    // Decode worker pool (worker_threads): decode attributedBody ngoài event loop
+    DECODE_WORKERS: Number(process.env.DECODE_WORKERS ?? 2), // 0 = decode trên main thread
+    DECODE_MAX_QUEUE: parseInt(process.env.DECODE_MAX_QUEUE) || 200, // số job chờ tối đa, vượt quá → placeholder
+    DECODE_JOB_TIMEOUT_MS: parseInt(process.env.DECODE_JOB_TIMEOUT_MS) || 5000,
+    DECODE_BATCH_SIZE: parseInt(process.env.DECODE_BATCH_SIZE) || 50, // số attributedBody mỗi job
+    
+    // Relay-owned database (send queue, relay state)
+    RELAY_DB_PATH: process.env.RELAY_DB_PATH || './data/relay.db',
     
     // Logging settings
     LOG_PATH: process.env.LOG_PATH || './message-logs.jsonl',
     POLL_INTERVAL_MS: parseInt(process.env.POLL_INTERVAL_MS) || 3000,
     
+    // Request body limits (base64 attachments travel inside JSON / socket payloads)
+    JSON_BODY_LIMIT: process.env.JSON_BODY_LIMIT || '50mb',
+
+    // Attachment settings
+    // Messages.app không đọc được file trong thư mục tmp bị sandbox, nên staging nằm trong ~/Pictures
+    ATTACHMENT_STAGING_DIR: process.env.ATTACHMENT_STAGING_DIR || `${process.env.HOME}/Pictures/BlueRelayStaging`,
+    ATTACHMENT_MAX_BYTES: parseInt(process.env.ATTACHMENT_MAX_BYTES) || 100 * 1024 * 1024,
+    ATTACHMENT_MAX_COUNT: parseInt(process.env.ATTACHMENT_MAX_COUNT) || 10,
+    ATTACHMENT_CLEANUP_DELAY_MS: Number(process.env.ATTACHMENT_CLEANUP_DELAY_MS || 60 * 1000),
+    
+    // Chuyển đổi file đính kèm (HEIC → JPEG, CAF → MP3, thumbnail): macos (sips + afconvert) | ffmpeg | js (pure JS, giới hạn)
+    MEDIA_CONVERTER: process.env.MEDIA_CONVERTER || (process.platform === 'darwin' ? 'macos' : 'js'),
+    MEDIA_CACHE_DIR: process.env.MEDIA_CACHE_DIR || './data/media-cache',
+    MEDIA_CONVERT_TIMEOUT_MS: parseInt(process.env.MEDIA_CONVERT_TIMEOUT_MS) || 30000,
+    MEDIA_CONVERT_CONCURRENCY: parseInt(process.env.MEDIA_CONVERT_CONCURRENCY) || 2,
+    MEDIA_THUMBNAIL_MAX_SIZE: parseInt(process.env.MEDIA_THUMBNAIL_MAX_SIZE) || 2048,
+    FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+    
+    // Outbound send queue
+    QUEUE_MAX_ATTEMPTS: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3,
+    QUEUE_RETRY_BASE_MS: parseInt(process.env.QUEUE_RETRY_BASE_MS) || 5000,
+    QUEUE_RETRY_MAX_MS: parseInt(process.env.QUEUE_RETRY_MAX_MS) || 5 * 60 * 1000,
+    QUEUE_WAIT_TIMEOUT_MS: Number(process.env.QUEUE_WAIT_TIMEOUT_MS || 30 * 1000),
+    SEND_AT_MAX_AHEAD_DAYS: parseInt(process.env.SEND_AT_MAX_AHEAD_DAYS) || 365,
+    
+    // AppleScript executor (Messages.app automation): timeout, concurrency, circuit breaker
+    APPLESCRIPT_TIMEOUT_MS: parseInt(process.env.APPLESCRIPT_TIMEOUT_MS) || 30 * 1000,
+    APPLESCRIPT_CONCURRENCY: parseInt(process.env.APPLESCRIPT_CONCURRENCY) || 1,
+    APPLESCRIPT_MAX_QUEUE: parseInt(process.env.APPLESCRIPT_MAX_QUEUE) || 100,
+    APPLESCRIPT_BREAKER_THRESHOLD: parseInt(process.env.APPLESCRIPT_BREAKER_THRESHOLD) || 5,
+    APPLESCRIPT_BREAKER_COOLDOWN_MS: parseInt(process.env.APPLESCRIPT_BREAKER_COOLDOWN_MS) || 30 * 1000,
+    
+    // Send rate limiting (token buckets): global, per recipient, per API key / socket client
+    RATE_LIMIT_ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+    RATE_LIMIT_MODE: process.env.RATE_LIMIT_MODE || 'reject', // reject → 429 | defer → chờ trong send queue
+    RATE_LIMIT_GLOBAL_PER_MIN: parseInt(process.env.RATE_LIMIT_GLOBAL_PER_MIN) || 30,
+    RATE_LIMIT_GLOBAL_BURST: parseInt(process.env.RATE_LIMIT_GLOBAL_BURST) || 10,
+    RATE_LIMIT_RECIPIENT_PER_MIN: parseInt(process.env.RATE_LIMIT_RECIPIENT_PER_MIN) || 10,
+    RATE_LIMIT_RECIPIENT_BURST: parseInt(process.env.RATE_LIMIT_RECIPIENT_BURST) || 5,
+    RATE_LIMIT_CLIENT_PER_MIN: parseInt(process.env.RATE_LIMIT_CLIENT_PER_MIN) || 60,
+    RATE_LIMIT_CLIENT_BURST: parseInt(process.env.RATE_LIMIT_CLIENT_BURST) || 20,
+    
+    // Delivery tracker (sent → delivered → read)
+    DELIVERY_TRACK_INTERVAL_MS: parseInt(process.env.DELIVERY_TRACK_INTERVAL_MS) || 5000,
+    DELIVERY_TRACK_WINDOW_MS: parseInt(process.env.DELIVERY_TRACK_WINDOW_MS) || 24 * 60 * 60 * 1000,
+    DELIVERY_TRACK_MAX_ROWS: parseInt(process.env.DELIVERY_TRACK_MAX_ROWS) || 500,
+    
+    // Tin sửa / thu hồi: monitor so date_edited / date_retracted của các tin gửi trong khoảng này
+    EDIT_TRACK_WINDOW_MS: parseInt(process.env.EDIT_TRACK_WINDOW_MS) || 60 * 60 * 1000,
+    
+    // Chuẩn hoá số điện thoại (E.164): vùng mặc định cho số nội địa khi handle.country không có
+    DEFAULT_PHONE_REGION: process.env.DEFAULT_PHONE_REGION || 'VN',
+    
+    // Danh bạ macOS (AddressBook): tên hiển thị cho handle trong conversations / messages
+    CONTACTS_ENABLED: process.env.CONTACTS_ENABLED !== 'false',
+    ADDRESSBOOK_PATH: process.env.ADDRESSBOOK_PATH || `${process.env.HOME}/Library/Application Support/AddressBook`,
+    
     // CORS settings
     CORS_ORIGIN: process.env.CORS_ORIGIN || '*',
     
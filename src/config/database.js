@@ -1,10 +1,10 @@
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
-// dotenv is initialized once in src/server.js
+import { TRANSPORT_CONFIG } from './transport.js';
 
-// Database configuration
+// Database configuration (chat.db of the active transport)
 export const DB_CONFIG = {
-    filename: process.env.MESSAGES_DB_PATH || `${process.env.HOME}/Library/Messages/chat.db`,
+    filename: TRANSPORT_CONFIG.databasePath,
     driver: sqlite3.Database
 };
 
@@ -12,6 +12,7 @@ console.log('DEBUG DB_CONFIG.filename:', DB_CONFIG.filename);
 
 // Database connection pool
 let dbConnection = null;
+let messageColumns = null;
 
 /**
  * Get database connection
@@ -24,6 +25,18 @@ export async function getDatabase() {
     return dbConnection;
 }
 
+/**
+ * Columns of chat.db's message table (cột mới như date_edited chỉ có trên macOS mới)
+ * @returns {Promise<Set<string>>}
+ */
+export async function getMessageColumns() {
+    if (!messageColumns) {
+        const db = await getDatabase();
+        messageColumns = new Set((await db.all('PRAGMA table_info(message)')).map(c => c.name));
+    }
+    return messageColumns;
+}
+
 /**
  * Close database connection
  */
@@ -31,6 +44,7 @@ export async function closeDatabase() {
     if (dbConnection) {
         await dbConnection.close();
         dbConnection = null;
+        messageColumns = null;
     }
 }
 
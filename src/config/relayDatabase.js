@@ -0,0 +1,66 @@
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { APP_CONFIG } from './app.js';
+
+// Relay-owned database (queue, relay state). Never point this at Apple's chat.db.
+export const RELAY_DB_CONFIG = {
+    filename: APP_CONFIG.RELAY_DB_PATH,
+    driver: sqlite3.Database
+};
+
+let relayConnection = null;
+const schemas = new Map(); // name → Promise (CREATE ... IF NOT EXISTS đã chạy)
+
+/**
+ * Get relay database connection
+ * @returns {Promise<Database>}
+ */
+export async function getRelayDatabase() {
+    if (!relayConnection) {
+        relayConnection = (async () => {
+            mkdirSync(dirname(RELAY_DB_CONFIG.filename), { recursive: true });
+            const db = await open(RELAY_DB_CONFIG);
+            await db.exec('PRAGMA journal_mode = WAL');
+            await db.exec('PRAGMA busy_timeout = 5000');
+            return db;
+        })();
+        relayConnection.catch(() => {
+            relayConnection = null;
+        });
+    }
+    return relayConnection;
+}
+
+/**
+ * Get relay database with a service's tables in place (sql chạy một lần cho mỗi name, chạy lại nếu lỗi)
+ * @param {string} name - Schema name, usually the main table
+ * @param {string} sql - CREATE TABLE / INDEX IF NOT EXISTS statements
+ * @param {Function} [setup] - async (db) => void, runs once after sql (migration, counters...)
+ * @returns {Promise<Database>}
+ */
+export async function ensureSchema(name, sql, setup) {
+    const db = await getRelayDatabase();
+    if (!schemas.has(name)) {
+        const ready = db.exec(sql).then(() => setup?.(db));
+        schemas.set(name, ready);
+        ready.catch(() => {
+            if (schemas.get(name) === ready) schemas.delete(name);
+        });
+    }
+    await schemas.get(name);
+    return db;
+}
+
+/**
+ * Close relay database connection
+ */
+export async function closeRelayDatabase() {
+    if (relayConnection) {
+        const db = await relayConnection;
+        relayConnection = null;
+        schemas.clear();
+        await db.close();
+    }
+}
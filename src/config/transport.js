@@ -0,0 +1,17 @@
+import { APP_CONFIG } from './app.js';
+
+/**
+ * Transport configuration for Blue Relay Tools
+ * Transport quyết định Messages nằm ở đâu: Messages.app thật (chat.db trong ~/Library/Messages)
+ * hay simulator (chat.db giả lập do relay tự ghi).
+ */
+export const TRANSPORT_CONFIG = {
+    name: APP_CONFIG.TRANSPORT,
+    databasePath: APP_CONFIG.TRANSPORT === 'simulator'
+        ? APP_CONFIG.SIMULATOR_DB_PATH
+        : APP_CONFIG.MESSAGES_DB_PATH,
+    // Thư mục file đính kèm (GET /api/attachments/:id chỉ phục vụ file nằm trong đây)
+    attachmentsPath: APP_CONFIG.TRANSPORT === 'simulator'
+        ? APP_CONFIG.SIMULATOR_ATTACHMENTS_DIR
+        : APP_CONFIG.MESSAGES_ATTACHMENTS_DIR
+};
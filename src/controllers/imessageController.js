@@ -1,4 +1,4 @@
-import appleScript from '../utils/applescript.js';
+import transport from '../transports/index.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 /**
@@ -21,7 +21,7 @@ class IMessageController {
         }
 
         try {
-            const result = await appleScript.checkIMessageSupport(to);
+            const result = await transport.checkIMessageSupport(to);
             res.json({
                 success: true,
                 ...result
@@ -41,7 +41,7 @@ class IMessageController {
      */
     getAccounts = asyncHandler(async (req, res) => {
         try {
-            const result = await appleScript.getIMessageAccounts();
+            const result = await transport.getIMessageAccounts();
             res.json(result);
         } catch (error) {
             res.status(500).json({
@@ -58,7 +58,7 @@ class IMessageController {
      */
     getConversations = asyncHandler(async (req, res) => {
         try {
-            const conversations = await appleScript.getConversations();
+            const conversations = await transport.getConversations();
             res.json({
                 success: true,
                 conversations
@@ -158,7 +158,7 @@ class IMessageController {
         `;
 
         try {
-            const result = await appleScript.execute(script);
+            const result = await transport.runScript(script);
             const messages = JSON.parse(result);
             res.json({ success: true, messages });
         } catch (error) {
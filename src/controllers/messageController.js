@@ -1,5 +1,11 @@
+import { APP_CONFIG } from '../config/app.js';
 import messageService from '../services/messageService.js';
 import messageParser from '../utils/messageParser.js';
+import attachmentService from '../services/attachmentService.js';
+import mediaConversionService from '../services/mediaConversionService.js';
+import rateLimitService from '../services/rateLimitService.js';
+import identityService from '../services/identityService.js';
+import handleAliasService from '../services/handleAliasService.js';
 import logger from '../utils/logger.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
@@ -13,32 +19,125 @@ class MessageController {
      * @param {Object} res - Express response object
      */
     sendMessage = asyncHandler(async (req, res) => {
-        const { to, body } = req.body;
+        const { to, body, chatGuid, async: sendAsync, send_at } = req.body;
+        const attachments = this.collectAttachments(req);
 
         console.log('[HTTP] POST /api/messages.send', {
             to,
+            chatGuid,
             bodyPreview: typeof body === 'string' ? body.slice(0, 120) : body,
             bodyLength: typeof body === 'string' ? body.length : 0,
+            attachmentCount: attachments.length,
+            sendAt: send_at,
             at: new Date().toISOString()
         });
 
         // Validate input
-        const validation = messageParser.validateMessage({ to, body });
-        if (!validation.isValid) {
+        const validation = messageParser.validateMessage({ to, chatGuid, body, attachments, send_at });
+        const attachmentErrors = attachmentService.validateInputs(attachments);
+        if (!validation.isValid || attachmentErrors.length > 0) {
+            await attachmentService.releaseAttachments(req.files, { immediate: true });
             return res.status(400).json({
                 success: false,
                 error: 'Validation failed',
-                details: validation.errors
+                details: [...validation.errors, ...attachmentErrors]
+            });
+        }
+
+        // Rate limit (per API key, plus global/recipient in reject mode)
+        const admission = rateLimitService.admit({
+            client: rateLimitService.clientKeyForApiKey(req.headers['x-api-key']),
+            recipient: rateLimitService.recipientKey({ to, chatGuid })
+        });
+        if (!admission.allowed) {
+            await attachmentService.releaseAttachments(req.files, { immediate: true });
+            res.set('Retry-After', String(Math.ceil(admission.retryAfterMs / 1000)));
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded',
+                limitedBy: admission.limitedBy,
+                retryAfterMs: admission.retryAfterMs
             });
         }
 
         // Sanitize content
         const sanitizedBody = messageParser.sanitizeContent(body);
 
-        // Send message
-        const result = await messageService.sendMessage(to, sanitizedBody);
+        // Queue message; by default wait for the job to finish (async=true returns right away)
+        const result = await messageService.queueMessage(to, sanitizedBody, {
+            attachments,
+            chatGuid,
+            source: 'api',
+            sendAt: messageParser.parseSendAt(send_at),
+            wait: !(sendAsync === true || sendAsync === 'true')
+        });
         console.log('[HTTP] messages.send result', result);
 
+        if (result.queued || result.scheduled) {
+            res.status(202).json(result);
+        } else if (result.success) {
+            res.json(result);
+        } else {
+            res.status(500).json(result);
+        }
+    });
+
+    /**
+     * List send queue jobs
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    getQueue = asyncHandler(async (req, res) => {
+        const { state, limit, offset } = req.query;
+        const result = await messageService.sendQueue.listJobs({ state, limit, offset });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error?.startsWith('Unknown state') ? 400 : 500).json(result);
+        }
+    });
+
+    /**
+     * Get a send queue job
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    getQueueJob = asyncHandler(async (req, res) => {
+        const job = await messageService.sendQueue.getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        res.json({ success: true, job });
+    });
+
+    /**
+     * Cancel a queued send job
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    cancelQueueJob = asyncHandler(async (req, res) => {
+        const result = await messageService.sendQueue.cancelJob(req.params.id);
+
+        if (result.success) {
+            res.json(result);
+        } else if (result.notFound) {
+            res.status(404).json({ success: false, error: result.error });
+        } else {
+            res.status(result.job ? 409 : 500).json(result);
+        }
+    });
+
+    /**
+     * List scheduled sends, soonest first
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    getScheduled = asyncHandler(async (req, res) => {
+        const { limit, offset } = req.query;
+        const result = await messageService.sendQueue.listJobs({ state: 'scheduled', limit, offset, sort: 'send_at' });
+
         if (result.success) {
             res.json(result);
         } else {
@@ -46,6 +145,63 @@ class MessageController {
         }
     });
 
+    /**
+     * Reschedule a scheduled send
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    rescheduleJob = asyncHandler(async (req, res) => {
+        const { send_at } = req.body || {};
+        const sendAt = messageParser.parseSendAt(send_at);
+
+        if (sendAt === null || sendAt <= Date.now()) {
+            return res.status(400).json({
+                success: false,
+                error: `send_at is required and must be a future ISO 8601 time or epoch milliseconds (at most ${APP_CONFIG.SEND_AT_MAX_AHEAD_DAYS} days ahead)`
+            });
+        }
+
+        const result = await messageService.sendQueue.rescheduleJob(req.params.id, sendAt);
+
+        if (result.success) {
+            res.json(result);
+        } else if (result.notFound) {
+            res.status(404).json({ success: false, error: result.error });
+        } else {
+            res.status(result.job ? 409 : 500).json(result);
+        }
+    });
+
+    /**
+     * Collect attachments from multipart uploads and base64 JSON payloads
+     * @param {Object} req - Express request object
+     * @returns {Array}
+     */
+    collectAttachments(req) {
+        let inline = req.body?.attachments || [];
+        if (typeof inline === 'string') {
+            // multipart form field chứa JSON
+            try {
+                inline = JSON.parse(inline);
+            } catch (e) {
+                inline = [];
+            }
+        }
+        return [
+            ...(Array.isArray(req.files) ? req.files : []),
+            ...attachmentService.normalizeInputs(inline)
+        ];
+    }
+
+    /**
+     * Operator whose read state to use (?operator= hoặc header x-operator-id), undefined = read state chung
+     * @param {Object} req - Express request object
+     * @returns {string|undefined}
+     */
+    getOperator(req) {
+        return req.query.operator || req.body?.operator || req.get('x-operator-id') || undefined;
+    }
+
     /**
      * Get messages for a conversation
      * @param {Object} req - Express request object
@@ -62,15 +218,88 @@ class MessageController {
             });
         }
 
-        const result = await messageService.getMessages(sender, limit);
+        // ?mode=chat: :sender là chat guid (hoặc chat_identifier)
+        // ?mode=person: :sender là personId hoặc một handle bất kỳ của người đó (timeline gộp mọi handle)
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const result = req.query.mode === 'chat'
+            ? await messageService.getChatMessages(sender, limit, offset)
+            : req.query.mode === 'person'
+                ? await messageService.getPersonMessages(sender, limit, offset)
+                : await messageService.getMessages(sender, limit, offset);
 
         if (result.success) {
             res.json(result);
         } else {
-            res.status(500).json(result);
+            res.status(result.notFound ? 404 : 500).json(result);
+        }
+    });
+
+    /**
+     * Get a reply thread (tin gốc + inline replies, cũ nhất trước)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    getThread = asyncHandler(async (req, res) => {
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const result = await messageService.getThread(req.params.guid, limit, offset);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.notFound ? 404 : 500).json(result);
         }
     });
 
+    /**
+     * Download an attachment file (Range requests supported)
+     * ?format=jpeg|png|webp|mp3|wav|ogg, ?size=<px>: converted copy (cached on disk)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    getAttachment = asyncHandler(async (req, res) => {
+        const { format, size } = req.query;
+        let file;
+        try {
+            file = await attachmentService.resolveAttachmentFile(req.params.id);
+            if (format || size) {
+                const converted = await mediaConversionService.getConverted(file.path, file.attachment, { format, size });
+                file = {
+                    path: converted.path,
+                    attachment: { ...file.attachment, filename: converted.filename, mime_type: converted.mimeType }
+                };
+            }
+        } catch (error) {
+            const status = {
+                ATTACHMENT_NOT_FOUND: 404,
+                ATTACHMENT_MISSING: 404,
+                ATTACHMENT_FORBIDDEN: 403,
+                CONVERSION_INVALID: 400,
+                CONVERSION_UNSUPPORTED: 415,
+                CONVERSION_FAILED: 422,
+                CONVERSION_TIMEOUT: 504,
+                CONVERTER_UNAVAILABLE: 503
+            }[error.code];
+            if (!status) throw error;
+            return res.status(status).json({ success: false, error: error.message, code: error.code });
+        }
+
+        const { attachment } = file;
+        const headers = {
+            'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(attachment.filename || `attachment-${attachment.id}`)}`
+        };
+        if (attachment.mime_type) headers['Content-Type'] = attachment.mime_type;
+
+        // sendFile lo Range / If-Range / ETag; file gốc đã được kiểm tra nằm trong thư mục Attachments,
+        // bản chuyển đổi nằm trong MEDIA_CACHE_DIR
+        res.sendFile(file.path, { headers, dotfiles: 'allow' }, (error) => {
+            if (error && !res.headersSent) {
+                res.status(error.statusCode || 500).json({ success: false, error: error.message });
+            }
+        });
+    });
+
     /**
      * Get conversations list
      * @param {Object} req - Express request object
@@ -78,7 +307,15 @@ class MessageController {
      */
     getConversations = asyncHandler(async (req, res) => {
         const limit = parseInt(req.query.limit) || 50;
-        const result = await messageService.getConversations(limit);
+        // ?mode=chat: một conversation cho mỗi chat (group chat có participants), thay vì theo handle
+        // ?mode=person: một conversation cho mỗi người (số điện thoại + email của cùng một người gộp lại)
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const options = { operator: this.getOperator(req) };
+        const result = req.query.mode === 'chat'
+            ? await messageService.getChatConversations(limit, offset, options)
+            : req.query.mode === 'person'
+                ? await messageService.getPersonConversations(limit, offset, options)
+                : await messageService.getConversations(limit, options);
 
         if (result.success) {
             res.json(result);
@@ -94,7 +331,7 @@ class MessageController {
      */
     getDetailedConversations = asyncHandler(async (req, res) => {
         const limit = parseInt(req.query.limit) || 50;
-        const result = await messageService.getConversations(limit);
+        const result = await messageService.getConversations(limit, { operator: this.getOperator(req) });
 
         if (result.success) {
             // Add additional details to conversations
@@ -115,7 +352,7 @@ class MessageController {
     });
 
     /**
-     * Mark conversation as read
+     * Mark conversation as read (?mode=chat|person như getMessages, ?operator=)
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
@@ -129,13 +366,112 @@ class MessageController {
             });
         }
 
-        const result = await messageService.markAsRead(sender);
+        const result = await messageService.markAsRead(sender, { mode: req.query.mode, operator: this.getOperator(req) });
 
         if (result.success) {
             res.json(result);
         } else {
-            res.status(500).json(result);
+            res.status(result.notFound ? 404 : 500).json(result);
+        }
+    });
+
+    /**
+     * Mark conversation as unread (?mode=chat|person như getMessages, ?operator=)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    markAsUnread = asyncHandler(async (req, res) => {
+        const result = await messageService.markAsUnread(req.params.sender, { mode: req.query.mode, operator: this.getOperator(req) });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.notFound ? 404 : 500).json(result);
+        }
+    });
+
+    /**
+     * List manual identity alias rules
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    getIdentityLinks = asyncHandler(async (req, res) => {
+        res.json({ success: true, links: await identityService.getLinks() });
+    });
+
+    /**
+     * Treat several handles as one person ({ handles: [...] })
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    linkIdentity = asyncHandler(async (req, res) => {
+        try {
+            const link = await identityService.link(req.body?.handles);
+            res.json({ success: true, ...link, person: await identityService.findPerson(link.handles[0]) });
+        } catch (error) {
+            if (error.code !== 'IDENTITY_INVALID') throw error;
+            res.status(400).json({ success: false, error: error.message, code: error.code });
+        }
+    });
+
+    /**
+     * Remove a handle from its alias rule
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    unlinkIdentity = asyncHandler(async (req, res) => {
+        try {
+            const removed = await identityService.unlink(req.params.handle);
+            if (!removed) {
+                return res.status(404).json({ success: false, error: `No alias rule for ${req.params.handle}` });
+            }
+            res.json({ success: true, person: await identityService.findPerson(req.params.handle) });
+        } catch (error) {
+            if (error.code !== 'IDENTITY_INVALID') throw error;
+            res.status(400).json({ success: false, error: error.message, code: error.code });
+        }
+    });
+
+    /**
+     * Applied handle alias batches
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    getHandleAliases = asyncHandler(async (req, res) => {
+        res.json({ success: true, batches: await handleAliasService.getBatches() });
+    });
+
+    /**
+     * Duplicate handles that apply would alias (?handles=a,b chỉ xem nhóm của những handle này)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    previewHandleAliases = asyncHandler(async (req, res) => {
+        const handles = req.query.handles ? String(req.query.handles).split(',') : undefined;
+        res.json({ success: true, ...await handleAliasService.preview({ handles }) });
+    });
+
+    /**
+     * Alias duplicate handles as one batch ({ handles } tuỳ chọn, như preview)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    applyHandleAliases = asyncHandler(async (req, res) => {
+        const handles = Array.isArray(req.body?.handles) ? req.body.handles : undefined;
+        res.json({ success: true, ...await handleAliasService.apply({ handles }) });
+    });
+
+    /**
+     * Undo one alias batch ({ batchId }, mặc định batch mới nhất)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    undoHandleAliases = asyncHandler(async (req, res) => {
+        const result = await handleAliasService.undo(req.body?.batchId);
+        if (!result) {
+            return res.status(404).json({ success: false, error: req.body?.batchId ? `Alias batch not found: ${req.body.batchId}` : 'No alias batch to undo' });
         }
+        res.json({ success: true, ...result });
     });
 
     /**
@@ -0,0 +1,206 @@
+import transport from '../transports/index.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const RECEIPT_STATUSES = ['delivered', 'read', 'failed'];
+const TAPBACK_TYPES = ['love', 'like', 'dislike', 'laugh', 'emphasize', 'question', 'emoji'];
+
+/**
+ * Simulator Controller for Blue Relay Tools
+ * Điều khiển Messages giả lập (chỉ có khi TRANSPORT=simulator)
+ */
+class SimulatorController {
+    /**
+     * Simulate an incoming message
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    simulateInbound = asyncHandler(async (req, res) => {
+        const { from, body, chatGuid, service, runs, replyTo } = req.body || {};
+
+        if (!from || typeof body !== 'string' || !body) {
+            return res.status(400).json({
+                success: false,
+                error: 'Fields from and body are required'
+            });
+        }
+
+        if (runs !== undefined && !this.isValidRuns(runs, body)) {
+            return res.status(400).json({
+                success: false,
+                error: 'runs must be [{ length, attributes }] covering the whole body (UTF-16 lengths)'
+            });
+        }
+
+        try {
+            const message = await transport.simulateInbound({ from, body, chatGuid, service, runs, replyTo });
+            res.status(201).json({ success: true, message });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    isValidRuns(runs, body) {
+        if (!Array.isArray(runs) || runs.length === 0) return false;
+        const valid = runs.every(run => run && Number.isInteger(run.length) && run.length > 0
+            && run.attributes && typeof run.attributes === 'object' && !Array.isArray(run.attributes));
+        return valid && runs.reduce((sum, run) => sum + run.length, 0) === body.length;
+    }
+
+    /**
+     * Create a group chat
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    createGroupChat = asyncHandler(async (req, res) => {
+        const { participants, displayName, service } = req.body || {};
+
+        if (!Array.isArray(participants) || participants.length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'participants must list at least 2 handles'
+            });
+        }
+
+        try {
+            const chat = await transport.createGroupChat({ participants, displayName, service });
+            res.status(201).json({ success: true, chat });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Simulate a tapback added / removed on a message
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    simulateReaction = asyncHandler(async (req, res) => {
+        const { guid } = req.params;
+        const { type, emoji, from, remove } = req.body || {};
+
+        if (!TAPBACK_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `type must be one of: ${TAPBACK_TYPES.join(', ')}`
+            });
+        }
+        if (type === 'emoji' && (typeof emoji !== 'string' || !emoji)) {
+            return res.status(400).json({
+                success: false,
+                error: 'emoji is required for emoji reactions'
+            });
+        }
+
+        try {
+            const reaction = await transport.simulateReaction({ guid, type, emoji, from, remove: remove === true });
+            if (!reaction) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found'
+                });
+            }
+            res.status(201).json({ success: true, reaction });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Simulate an edit of a message
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    simulateEdit = asyncHandler(async (req, res) => {
+        const { body } = req.body || {};
+
+        if (typeof body !== 'string' || !body) {
+            return res.status(400).json({
+                success: false,
+                error: 'Field body is required'
+            });
+        }
+
+        try {
+            const edited = await transport.simulateEdit(req.params.guid, body);
+            if (!edited) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found'
+                });
+            }
+            res.json({ success: true, ...edited });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Simulate an unsend of a message
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    simulateUnsend = asyncHandler(async (req, res) => {
+        try {
+            const retracted = await transport.simulateUnsend(req.params.guid);
+            if (!retracted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found'
+                });
+            }
+            res.json({ success: true, ...retracted });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Simulate a delivery / read receipt or a failure for an outbound message
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    simulateReceipt = asyncHandler(async (req, res) => {
+        const { guid } = req.params;
+        const { status } = req.body || {};
+
+        if (!RECEIPT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${RECEIPT_STATUSES.join(', ')}`
+            });
+        }
+
+        try {
+            const updated = await transport.simulateReceipt(guid, status);
+            if (!updated) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Outbound message not found (or already in that state)'
+                });
+            }
+            res.json({ success: true, guid, status });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+}
+
+export default new SimulatorController();
@@ -0,0 +1,50 @@
+import { APP_CONFIG } from '../config/app.js';
+import { MediaConverter } from './mediaConverter.js';
+
+// Encoder cho từng định dạng output (định dạng container lấy từ đuôi file output)
+const AUDIO_CODECS = {
+    mp3: ['-codec:a', 'libmp3lame', '-q:a', '4'],
+    wav: ['-codec:a', 'pcm_s16le'],
+    ogg: ['-codec:a', 'libopus', '-b:a', '64k']
+};
+
+/**
+ * ffmpeg converter for Blue Relay Tools
+ * Chạy được trên macOS lẫn Linux (FFMPEG_PATH). Đọc HEIC cần ffmpeg ≥ 7.1.
+ */
+export class FfmpegConverter extends MediaConverter {
+    constructor() {
+        super('ffmpeg');
+        this.command = APP_CONFIG.FFMPEG_PATH;
+    }
+
+    get formats() {
+        return { image: ['jpeg', 'png', 'webp'], audio: ['mp3', 'wav', 'ogg'] };
+    }
+
+    get thumbnails() {
+        return true;
+    }
+
+    async convert({ input, output, kind, format, size, timeoutMs }) {
+        if (!this.supports(kind, format)) throw this.notSupported(`${kind} → ${format}`);
+
+        const args = ['-y', '-v', 'error', '-i', input];
+        if (kind === 'image') {
+            if (size) {
+                // Thu nhỏ theo cạnh dài nhất, không phóng to ảnh nhỏ hơn size
+                args.push('-vf', `scale=w='min(iw,${size})':h='min(ih,${size})':force_original_aspect_ratio=decrease`);
+            }
+            args.push('-frames:v', '1');
+        } else {
+            args.push('-vn', ...AUDIO_CODECS[format]);
+        }
+        args.push(output);
+
+        await this.runTool(this.command, args, timeoutMs);
+    }
+
+    getState() {
+        return { ...super.getState(), command: this.command };
+    }
+}
@@ -0,0 +1,25 @@
+import { APP_CONFIG } from '../config/app.js';
+import { MacOSConverter } from './macosConverter.js';
+import { FfmpegConverter } from './ffmpegConverter.js';
+import { JsConverter } from './jsConverter.js';
+
+const CONVERTERS = {
+    macos: MacOSConverter,
+    ffmpeg: FfmpegConverter,
+    js: JsConverter
+};
+
+/**
+ * Create the media converter selected by MEDIA_CONVERTER
+ * @param {string} name - Converter name
+ * @returns {MediaConverter}
+ */
+function createConverter(name) {
+    const Converter = CONVERTERS[name];
+    if (!Converter) {
+        throw new Error(`Unknown MEDIA_CONVERTER "${name}" (expected one of: ${Object.keys(CONVERTERS).join(', ')})`);
+    }
+    return new Converter();
+}
+
+export default createConverter(APP_CONFIG.MEDIA_CONVERTER);
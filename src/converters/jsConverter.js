@@ -0,0 +1,311 @@
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { MediaConverter } from './mediaConverter.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG color type → số channel (chỉ hỗ trợ bit depth 8, không interlace)
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// CAF Linear PCM format flags
+const CAF_FLAG_FLOAT = 1;
+const CAF_FLAG_LITTLE_ENDIAN = 2;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Pure-JS converter for Blue Relay Tools
+ * Không cần công cụ ngoài: dùng trên Linux / simulator và để test API chuyển đổi + cache.
+ * Chỉ hỗ trợ PNG → PNG (thumbnail) và CAF Linear PCM / WAV → WAV; HEIC, JPEG, AAC, Opus cần converter macos hoặc ffmpeg.
+ */
+export class JsConverter extends MediaConverter {
+    constructor() {
+        super('js');
+    }
+
+    get formats() {
+        return { image: ['png'], audio: ['wav'] };
+    }
+
+    get thumbnails() {
+        return true;
+    }
+
+    async convert({ input, output, kind, format, size }) {
+        if (!this.supports(kind, format)) throw this.notSupported(`${kind} → ${format}`);
+
+        const source = await fs.readFile(input);
+        const result = kind === 'image' ? this.convertImage(source, size) : this.convertAudio(source);
+        await fs.writeFile(output, result);
+    }
+
+    convertImage(source, size) {
+        if (!source.subarray(0, 8).equals(PNG_SIGNATURE)) {
+            throw this.createError('CONVERSION_UNSUPPORTED', 'js converter only reads PNG images (use MEDIA_CONVERTER=macos or ffmpeg)');
+        }
+        if (!size) return source;
+
+        const image = this.decodePng(source);
+        return this.encodePng(this.resize(image, size));
+    }
+
+    convertAudio(source) {
+        const magic = source.toString('latin1', 0, 4);
+        if (magic === 'RIFF' && source.toString('latin1', 8, 12) === 'WAVE') return source;
+        if (magic !== 'caff') {
+            throw this.createError('CONVERSION_UNSUPPORTED', 'js converter only reads CAF / WAV audio (use MEDIA_CONVERTER=macos or ffmpeg)');
+        }
+        return this.cafToWav(source);
+    }
+
+    /**
+     * Decode a non-interlaced 8-bit PNG into RGBA pixels
+     * @returns {{ width: number, height: number, pixels: Buffer }}
+     */
+    decodePng(source) {
+        let header = null;
+        let palette = null;
+        let transparency = null;
+        const data = [];
+
+        let offset = 8;
+        while (offset + 8 <= source.length) {
+            const length = source.readUInt32BE(offset);
+            const type = source.toString('latin1', offset + 4, offset + 8);
+            const chunk = source.subarray(offset + 8, offset + 8 + length);
+            offset += 12 + length;
+
+            if (type === 'IHDR') {
+                header = {
+                    width: chunk.readUInt32BE(0),
+                    height: chunk.readUInt32BE(4),
+                    bitDepth: chunk[8],
+                    colorType: chunk[9],
+                    interlace: chunk[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = chunk;
+            } else if (type === 'tRNS') {
+                transparency = chunk;
+            } else if (type === 'IDAT') {
+                data.push(chunk);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+
+        const channels = header && PNG_CHANNELS[header.colorType];
+        if (!channels || header.bitDepth !== 8 || header.interlace !== 0 || (header.colorType === 3 && !palette)) {
+            throw this.createError('CONVERSION_UNSUPPORTED', 'js converter only reads 8-bit non-interlaced PNG');
+        }
+
+        const { width, height } = header;
+        const stride = width * channels;
+        let raw;
+        try {
+            raw = zlib.inflateSync(Buffer.concat(data));
+        } catch (error) {
+            throw this.createError('CONVERSION_FAILED', `Invalid PNG data: ${error.message}`);
+        }
+        if (raw.length < height * (stride + 1)) {
+            throw this.createError('CONVERSION_FAILED', 'Invalid PNG data: truncated image');
+        }
+
+        // Bỏ filter từng dòng
+        const scanlines = Buffer.alloc(height * stride);
+        for (let y = 0; y < height; y++) {
+            const filter = raw[y * (stride + 1)];
+            const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+            const row = scanlines.subarray(y * stride, (y + 1) * stride);
+            const previous = y > 0 ? scanlines.subarray((y - 1) * stride, y * stride) : null;
+
+            for (let x = 0; x < stride; x++) {
+                const a = x >= channels ? row[x - channels] : 0;
+                const b = previous ? previous[x] : 0;
+                const c = previous && x >= channels ? previous[x - channels] : 0;
+                let predictor;
+                switch (filter) {
+                    case 0: predictor = 0; break;
+                    case 1: predictor = a; break;
+                    case 2: predictor = b; break;
+                    case 3: predictor = (a + b) >> 1; break;
+                    case 4: predictor = paeth(a, b, c); break;
+                    default: throw this.createError('CONVERSION_FAILED', `Invalid PNG data: filter type ${filter}`);
+                }
+                row[x] = (line[x] + predictor) & 0xff;
+            }
+        }
+
+        const pixels = Buffer.alloc(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            const pixel = scanlines.subarray(i * channels, (i + 1) * channels);
+            let rgba;
+            switch (header.colorType) {
+                case 0: rgba = [pixel[0], pixel[0], pixel[0], 255]; break;
+                case 2: rgba = [pixel[0], pixel[1], pixel[2], 255]; break;
+                case 3: rgba = [
+                    palette[pixel[0] * 3], palette[pixel[0] * 3 + 1], palette[pixel[0] * 3 + 2],
+                    transparency && pixel[0] < transparency.length ? transparency[pixel[0]] : 255
+                ]; break;
+                case 4: rgba = [pixel[0], pixel[0], pixel[0], pixel[1]]; break;
+                default: rgba = pixel;
+            }
+            pixels.set(rgba, i * 4);
+        }
+
+        return { width, height, pixels };
+    }
+
+    /**
+     * Shrink to fit size × size (box filter), never enlarges
+     */
+    resize(image, size) {
+        const scale = Math.min(1, size / Math.max(image.width, image.height));
+        if (scale === 1) return image;
+
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+        const pixels = Buffer.alloc(width * height * 4);
+
+        for (let y = 0; y < height; y++) {
+            const top = Math.floor(y * image.height / height);
+            const bottom = Math.max(top + 1, Math.floor((y + 1) * image.height / height));
+            for (let x = 0; x < width; x++) {
+                const left = Math.floor(x * image.width / width);
+                const right = Math.max(left + 1, Math.floor((x + 1) * image.width / width));
+                const sum = [0, 0, 0, 0];
+                for (let sy = top; sy < bottom; sy++) {
+                    for (let sx = left; sx < right; sx++) {
+                        const index = (sy * image.width + sx) * 4;
+                        for (let channel = 0; channel < 4; channel++) sum[channel] += image.pixels[index + channel];
+                    }
+                }
+                const count = (bottom - top) * (right - left);
+                pixels.set(sum.map(value => Math.round(value / count)), (y * width + x) * 4);
+            }
+        }
+
+        return { width, height, pixels };
+    }
+
+    /**
+     * Encode RGBA pixels as PNG (color type 6, no filter)
+     */
+    encodePng({ width, height, pixels }) {
+        const chunk = (type, data) => {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(data.length);
+            const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+            const crc = Buffer.alloc(4);
+            crc.writeUInt32BE(crc32(body));
+            return Buffer.concat([length, body, crc]);
+        };
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8;
+        header[9] = 6;
+
+        const stride = width * 4;
+        const raw = Buffer.alloc(height * (stride + 1));
+        for (let y = 0; y < height; y++) {
+            pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+        }
+
+        return Buffer.concat([
+            PNG_SIGNATURE,
+            chunk('IHDR', header),
+            chunk('IDAT', zlib.deflateSync(raw)),
+            chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    /**
+     * CAF (Linear PCM) → WAV
+     * Tin nhắn thoại của Messages thường là CAF AAC / Opus: loại đó cần converter macos hoặc ffmpeg.
+     */
+    cafToWav(source) {
+        let description = null;
+        let audio = null;
+
+        let offset = 8;
+        while (offset + 12 <= source.length) {
+            const type = source.toString('latin1', offset, offset + 4);
+            const size = Number(source.readBigInt64BE(offset + 4));
+            const start = offset + 12;
+            // size -1: chunk data chưa đóng, kéo tới cuối file
+            const end = size < 0 ? source.length : Math.min(start + size, source.length);
+
+            if (type === 'desc') {
+                description = {
+                    sampleRate: source.readDoubleBE(start),
+                    formatId: source.toString('latin1', start + 8, start + 12),
+                    flags: source.readUInt32BE(start + 12),
+                    channels: source.readUInt32BE(start + 24),
+                    bits: source.readUInt32BE(start + 28)
+                };
+            } else if (type === 'data') {
+                audio = source.subarray(start + 4, end); // 4 byte đầu: edit count
+            }
+            offset = end;
+        }
+
+        if (!description || !audio) {
+            throw this.createError('CONVERSION_FAILED', 'Invalid CAF file: missing desc or data chunk');
+        }
+        if (description.formatId !== 'lpcm') {
+            throw this.createError('CONVERSION_UNSUPPORTED', `CAF audio is ${description.formatId.trim()}, js converter only reads Linear PCM (use MEDIA_CONVERTER=macos or ffmpeg)`);
+        }
+
+        const { sampleRate, flags, channels, bits } = description;
+        const isFloat = (flags & CAF_FLAG_FLOAT) !== 0;
+        const bytes = bits / 8;
+        if (!Number.isInteger(bytes) || bytes < 1 || bytes > 8 || channels < 1) {
+            throw this.createError('CONVERSION_UNSUPPORTED', `Unsupported CAF sample format (${bits} bits, ${channels} channels)`);
+        }
+
+        // WAV: little-endian, 8 bit là unsigned
+        const samples = Buffer.from(audio.subarray(0, audio.length - (audio.length % bytes)));
+        if (!(flags & CAF_FLAG_LITTLE_ENDIAN) && bytes > 1) {
+            for (let i = 0; i < samples.length; i += bytes) samples.subarray(i, i + bytes).reverse();
+        }
+        if (bytes === 1 && !isFloat) {
+            for (let i = 0; i < samples.length; i++) samples[i] = (samples[i] + 128) & 0xff;
+        }
+
+        const header = Buffer.alloc(44);
+        header.write('RIFF', 0, 'latin1');
+        header.writeUInt32LE(36 + samples.length, 4);
+        header.write('WAVEfmt ', 8, 'latin1');
+        header.writeUInt32LE(16, 16);
+        header.writeUInt16LE(isFloat ? 3 : 1, 20);
+        header.writeUInt16LE(channels, 22);
+        header.writeUInt32LE(Math.round(sampleRate), 24);
+        header.writeUInt32LE(Math.round(sampleRate) * channels * bytes, 28);
+        header.writeUInt16LE(channels * bytes, 32);
+        header.writeUInt16LE(bits, 34);
+        header.write('data', 36, 'latin1');
+        header.writeUInt32LE(samples.length, 40);
+
+        return Buffer.concat([header, samples]);
+    }
+}
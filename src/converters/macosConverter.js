@@ -0,0 +1,36 @@
+import { MediaConverter } from './mediaConverter.js';
+
+/**
+ * macOS converter for Blue Relay Tools
+ * Dùng công cụ có sẵn trên macOS: sips (ảnh, đọc được HEIC) và afconvert (audio, đọc được CAF).
+ * sips không ghi được WebP, afconvert không có encoder MP3 / Ogg: cần các định dạng đó thì dùng MEDIA_CONVERTER=ffmpeg.
+ */
+export class MacOSConverter extends MediaConverter {
+    constructor() {
+        super('macos');
+    }
+
+    get formats() {
+        return { image: ['jpeg', 'png'], audio: ['wav'] };
+    }
+
+    get thumbnails() {
+        return true;
+    }
+
+    async convert({ input, output, kind, format, size, timeoutMs }) {
+        if (!this.supports(kind, format)) throw this.notSupported(`${kind} → ${format}`);
+
+        if (kind === 'image') {
+            // -Z: thu nhỏ theo cạnh dài nhất, giữ tỉ lệ
+            await this.runTool('sips', [
+                '-s', 'format', format,
+                ...(size ? ['-Z', String(size)] : []),
+                input, '--out', output
+            ], timeoutMs);
+            return;
+        }
+
+        await this.runTool('afconvert', ['-f', 'WAVE', '-d', 'LEI16', input, output], timeoutMs);
+    }
+}
@@ -0,0 +1,94 @@
+import { execFile } from 'child_process';
+
+/**
+ * Media converter for Blue Relay Tools
+ * Chuyển file đính kèm của Messages (HEIC, CAF, ...) sang định dạng trình duyệt hiển thị được.
+ * Converter chỉ đọc input và ghi ra output; cache, hàng đợi và chọn định dạng nằm ở MediaConversionService.
+ *
+ * Lỗi có error.code: CONVERSION_UNSUPPORTED | CONVERSION_FAILED | CONVERSION_TIMEOUT | CONVERTER_UNAVAILABLE
+ */
+export class MediaConverter {
+    /**
+     * @param {string} name - Converter name (MEDIA_CONVERTER env value)
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Output formats this converter can write
+     * @returns {{ image: string[], audio: string[] }}
+     */
+    get formats() {
+        return { image: [], audio: [] };
+    }
+
+    /**
+     * Whether image output can be resized (thumbnails)
+     * @returns {boolean}
+     */
+    get thumbnails() {
+        return false;
+    }
+
+    /**
+     * @param {string} kind - image | audio
+     * @param {string} format - Output format (jpeg, png, webp, mp3, wav, ogg)
+     * @returns {boolean}
+     */
+    supports(kind, format) {
+        return (this.formats[kind] || []).includes(format);
+    }
+
+    /**
+     * Convert one file
+     * @param {Object} job - { input, output, kind, format, size (max edge in px, images only), timeoutMs }
+     * @returns {Promise<void>} - resolves once output is written
+     */
+    async convert(job) {
+        throw this.notSupported('convert');
+    }
+
+    /**
+     * Run a command-line tool (execFile, không qua shell)
+     * @param {string} command - Executable
+     * @param {string[]} args - Arguments
+     * @param {number} timeoutMs - Kill after this many ms
+     */
+    runTool(command, args, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            execFile(command, args, { timeout: timeoutMs, killSignal: 'SIGKILL', maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+                if (!error) return resolve(stdout);
+                if (error.code === 'ENOENT') {
+                    reject(this.createError('CONVERTER_UNAVAILABLE', `${command} is not installed`));
+                } else if (error.killed) {
+                    reject(this.createError('CONVERSION_TIMEOUT', `${command} timed out after ${timeoutMs}ms`));
+                } else {
+                    reject(this.createError('CONVERSION_FAILED', `${command} failed: ${(stderr || error.message).trim().slice(0, 300)}`));
+                }
+            });
+        });
+    }
+
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    notSupported(method) {
+        return this.createError('CONVERSION_UNSUPPORTED', `${method} is not supported by the ${this.name} converter`);
+    }
+
+    /**
+     * Converter info for /api/info
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            name: this.name,
+            formats: this.formats,
+            thumbnails: this.thumbnails
+        };
+    }
+}
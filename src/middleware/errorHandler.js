@@ -29,6 +29,9 @@ export function errorHandler(err, req, res, next) {
     } else if (err.name === 'NotFoundError') {
         statusCode = 404;
         message = 'Not Found';
+    } else if (err.name === 'MulterError') {
+        statusCode = 400;
+        message = 'Invalid Upload';
     } else if (err.code === 'ENOENT') {
         statusCode = 404;
         message = 'File not found';
@@ -1,16 +1,26 @@
 import express from 'express';
 import { getNgrokUrl } from '../config/ngrok.js';
 import { APP_CONFIG } from '../config/app.js';
+import rateLimitService from '../services/rateLimitService.js';
+import decodeCacheService from '../services/decodeCacheService.js';
+import decodeWorkerPool from '../utils/decodeWorkerPool.js';
+import mediaConversionService from '../services/mediaConversionService.js';
+import contactsService from '../services/contactsService.js';
+import appleScriptExecutor from '../utils/appleScriptExecutor.js';
+import transport from '../transports/index.js';
 
 const router = express.Router();
 
 // Health check endpoint
 router.get('/health', (req, res) => {
+    const appleScript = appleScriptExecutor.getState();
     res.json({
-        status: 'ok',
+        // Messages.app không phản hồi (circuit open) thì relay vẫn sống nhưng không gửi được
+        status: appleScript.circuit === 'closed' ? 'ok' : 'degraded',
         timestamp: new Date().toISOString(),
         version: '2.0.0',
-        environment: APP_CONFIG.NODE_ENV
+        environment: APP_CONFIG.NODE_ENV,
+        appleScript
     });
 });
 
@@ -36,8 +46,15 @@ router.get('/info', (req, res) => {
                 websocket: APP_CONFIG.ENABLE_WEBSOCKET,
                 databaseMonitoring: APP_CONFIG.ENABLE_DATABASE_MONITORING,
                 ngrok: APP_CONFIG.ENABLE_NGROK
-            }
+            },
+            transport: transport.getState()
         },
+        rateLimits: rateLimitService.getState(),
+        appleScript: appleScriptExecutor.getState(),
+        decodeCache: decodeCacheService.getState(),
+        decodePool: decodeWorkerPool.getState(),
+        mediaConversion: mediaConversionService.getState(),
+        contacts: contactsService.getState(),
         timestamp: new Date().toISOString()
     });
 });
@@ -3,6 +3,8 @@ import healthRoutes from './healthRoutes.js';
 import messageRoutes from './messageRoutes.js';
 import imessageRoutes from './imessageRoutes.js';
 import iCloudRoutes from './iCloudRoutes.js';
+import simulatorRoutes from './simulatorRoutes.js';
+import { TRANSPORT_CONFIG } from '../config/transport.js';
 
 const router = express.Router();
 
@@ -18,4 +20,9 @@ router.use('/', imessageRoutes);
 // iCloud routes
 router.use('/icloud', iCloudRoutes);
 
+// Messages simulator routes (only with TRANSPORT=simulator)
+if (TRANSPORT_CONFIG.name === 'simulator') {
+    router.use('/simulator', simulatorRoutes);
+}
+
 export default router; 
\ No newline at end of file
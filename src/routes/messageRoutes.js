@@ -1,20 +1,34 @@
 import express from 'express';
+import multer from 'multer';
+import path from 'path';
 import messageController from '../controllers/messageController.js';
 import { authenticateApiKey } from '../middleware/auth.js';
+import { APP_CONFIG } from '../config/app.js';
 
 const router = express.Router();
 
+// Multipart uploads land in the staging dir, attachmentService moves them into slots
+const upload = multer({
+    dest: path.join(APP_CONFIG.ATTACHMENT_STAGING_DIR, 'incoming'),
+    limits: {
+        fileSize: APP_CONFIG.ATTACHMENT_MAX_BYTES,
+        files: APP_CONFIG.ATTACHMENT_MAX_COUNT
+    }
+});
+
 // Apply authentication to all routes
 router.use(authenticateApiKey);
 
 // Message routes
-router.post('/send', (req, res, next) => {
+router.post('/send', upload.array('attachments'), (req, res, next) => {
     console.log('[HTTP] /api/send payload', {
         to: req?.body?.to,
+        chatGuid: req?.body?.chatGuid,
         bodyPreview: typeof req?.body?.body === 'string' ? req.body.body.slice(0, 120) : req?.body?.body,
+        uploads: req?.files?.length || 0,
         at: new Date().toISOString()
     });
-    return messageController.sendMessage(req, res).catch((err) => {
+    return messageController.sendMessage(req, res, (err) => {
         console.error('[HTTP] /api/send error', err?.message || err);
         next(err);
     });
@@ -22,10 +36,38 @@ router.post('/send', (req, res, next) => {
 router.get('/logs', messageController.getLogs);
 router.delete('/logs', messageController.clearLogs);
 
+// Send queue routes
+router.get('/queue', messageController.getQueue);
+router.get('/queue/:id', messageController.getQueueJob);
+router.post('/queue/:id/cancel', messageController.cancelQueueJob);
+
+// Scheduled send routes
+router.get('/scheduled', messageController.getScheduled);
+router.post('/scheduled/:id/reschedule', messageController.rescheduleJob);
+router.post('/scheduled/:id/cancel', messageController.cancelQueueJob);
+
 // Conversation routes
 router.get('/conversations', messageController.getConversations);
 router.get('/conversations/detailed', messageController.getDetailedConversations);
 router.get('/conversations/:sender/messages', messageController.getMessages);
 router.post('/conversations/:sender/mark-read', messageController.markAsRead);
+router.post('/conversations/:sender/mark-unread', messageController.markAsUnread);
+
+// Identity alias rules (gộp handle của cùng một người, lưu trong relay.db)
+router.get('/identity/links', messageController.getIdentityLinks);
+router.post('/identity/links', messageController.linkIdentity);
+router.delete('/identity/links/:handle', messageController.unlinkIdentity);
+
+// Handle aliases (gộp row handle trùng trong chat.db, alias map lưu trong relay.db)
+router.get('/handles/aliases', messageController.getHandleAliases);
+router.get('/handles/aliases/preview', messageController.previewHandleAliases);
+router.post('/handles/aliases/apply', messageController.applyHandleAliases);
+router.post('/handles/aliases/undo', messageController.undoHandleAliases);
+
+// Reply thread routes (inline reply, theo guid của tin gốc)
+router.get('/threads/:guid', messageController.getThread);
+
+// Attachment routes (file trong thư mục Attachments của Messages)
+router.get('/attachments/:id', messageController.getAttachment);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+import express from 'express';
+import simulatorController from '../controllers/simulatorController.js';
+import { authenticateApiKey } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateApiKey);
+
+// Simulator routes (TRANSPORT=simulator)
+router.post('/inbound', simulatorController.simulateInbound);
+router.post('/chats', simulatorController.createGroupChat);
+router.post('/messages/:guid/receipt', simulatorController.simulateReceipt);
+router.post('/messages/:guid/reaction', simulatorController.simulateReaction);
+router.post('/messages/:guid/edit', simulatorController.simulateEdit);
+router.post('/messages/:guid/unsend', simulatorController.simulateUnsend);
+
+export default router;
@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getDatabase } from '../config/database.js';
+import attachmentService from '../services/attachmentService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -34,16 +35,21 @@ async function fetchLastMessages(limit = 100) {
             m.is_finished,
             m.error,
             m.service,
+            m.cache_has_attachments,
             m.handle_id,
             h.id as sender,
             h.country
         FROM message m
         LEFT JOIN handle h ON m.handle_id = h.ROWID
-        WHERE (m.text IS NOT NULL OR m.attributedBody IS NOT NULL)
+        WHERE (m.text IS NOT NULL OR m.attributedBody IS NOT NULL OR m.cache_has_attachments = 1)
         ORDER BY m.date DESC
         LIMIT ?
     `, [limit]);
 
+    const attachments = await attachmentService.getMessageAttachments(
+        rows.filter(r => r.cache_has_attachments === 1).map(r => r.rowid)
+    );
+
     return rows.map(r => ({
         rowid: r.rowid,
         guid: r.guid,
@@ -62,7 +68,8 @@ async function fetchLastMessages(limit = 100) {
         service: r.service,
         date_ns_epoch: r.date,
         readable_date: r.readable_date,
-        has_rich_content: !!r.attributedBody
+        has_rich_content: !!r.attributedBody,
+        attachments: attachments.get(r.rowid) || []
     }));
 }
 
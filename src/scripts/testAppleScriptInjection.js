@@ -0,0 +1,129 @@
+import fs from 'fs';
+import { execFileSync } from 'child_process';
+import appleScript from '../utils/applescript.js';
+
+// Nếu một payload thoát ra được khỏi argv, file này sẽ xuất hiện
+const CANARY = '/tmp/blue-relay-injection-canary';
+
+// Hostile inputs: AppleScript / shell / osascript option injection, control chars, tricky Unicode
+const HOSTILE_INPUTS = [
+    { name: 'empty', value: '' },
+    { name: 'spaces only', value: '   ' },
+    { name: 'double quote', value: 'say "hi"' },
+    { name: 'single quote', value: "it's" },
+    { name: 'backslashes', value: 'C:\\path\\to\\"file\\"\\' },
+    { name: 'trailing backslash', value: 'ends with \\' },
+    { name: 'applescript string breakout', value: `" & (do shell script "touch ${CANARY}") & "` },
+    { name: 'applescript escaped breakout', value: `\\" & (do shell script "touch ${CANARY}") & \\"` },
+    { name: 'applescript statement breakout', value: `"\nend tell\ndo shell script "touch ${CANARY}"\ntell application "Messages"\n"` },
+    { name: 'applescript data literal', value: '«data utxt0041»' },
+    { name: 'shell single quote breakout', value: `'; touch ${CANARY}; echo '` },
+    { name: 'shell command substitution', value: `$(touch ${CANARY})` },
+    { name: 'shell backticks', value: `\`touch ${CANARY}\`` },
+    { name: 'shell variables', value: '$HOME ${PATH} %s %n' },
+    { name: 'osascript option -e', value: '-e' },
+    { name: 'osascript option with script', value: `-e do shell script "touch ${CANARY}"` },
+    { name: 'osascript language option', value: '-l JavaScript' },
+    { name: 'double dash', value: '--' },
+    { name: 'newlines', value: 'line 1\nline 2\n' },
+    { name: 'carriage returns', value: 'line 1\r\nline 2\r' },
+    { name: 'tabs and form feed', value: '\tcol\fnext\v' },
+    { name: 'leading and trailing newline', value: '\nbody\n' },
+    { name: 'unicode line separators', value: 'a\u2028b\u2029c' },
+    { name: 'vietnamese', value: 'Tiếng Việt có dấu: Đường phố Hà Nội' },
+    { name: 'decomposed accents (NFD)', value: 'Vie\u0302\u0323t' },
+    { name: 'leading combining mark', value: '\u0301abc' },
+    { name: 'emoji and ZWJ sequence', value: 'hi 👨‍👩‍👧‍👦 🏳️‍🌈 👍🏽' },
+    { name: 'right-to-left override', value: 'abc\u202Etxt.exe' },
+    { name: 'zero width characters', value: 'a\u200Bb\u200Cc\u200Dd\uFEFF' },
+    { name: 'astral plane', value: '𝕳𝖊𝖑𝖑𝖔 𠜎' },
+    { name: 'long text', value: 'x"\\\''.repeat(2500) },
+    { name: 'NUL character', value: 'before\0after', rejected: true }
+];
+
+// Trả về code point của từng ký tự, ngăn cách bằng dấu phẩy (stdout bị trim nên không echo trực tiếp)
+const ECHO_SCRIPT = `set s to item 1 of argv
+if (length of s) is 0 then return ""
+set ids to id of s
+if class of ids is integer then set ids to {ids}
+set AppleScript's text item delimiters to ","
+return ids as text`;
+
+function expectedIds(value) {
+    return {
+        codePoints: Array.from(value).map(c => c.codePointAt(0)).join(','),
+        utf16: Array.from({ length: value.length }, (_, i) => value.charCodeAt(i)).join(',')
+    };
+}
+
+function hasOsascript() {
+    try {
+        execFileSync('which', ['osascript'], { stdio: 'ignore' });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+async function main() {
+    let failures = 0;
+
+    // 1. Static: the script text never depends on the input
+    const baseline = appleScript.buildInvocation(ECHO_SCRIPT, ['baseline']).script;
+    for (const { name, value, rejected } of HOSTILE_INPUTS) {
+        try {
+            const invocation = appleScript.buildInvocation(ECHO_SCRIPT, [value]);
+            if (rejected) {
+                failures++;
+                console.error(`❌ [static] ${name}: expected rejection`);
+            } else if (invocation.script !== baseline || invocation.args[0].startsWith('-')) {
+                failures++;
+                console.error(`❌ [static] ${name}: input leaked into script or option position`);
+            }
+        } catch (error) {
+            if (!rejected) {
+                failures++;
+                console.error(`❌ [static] ${name}: ${error.message}`);
+            }
+        }
+    }
+    console.log(`✅ Static checks done (${HOSTILE_INPUTS.length} inputs)`);
+
+    // 2. Live: every input must reach AppleScript unchanged and run nothing
+    if (!hasOsascript()) {
+        console.warn('⚠️  osascript not found, skipping live round-trip (run on macOS)');
+    } else {
+        fs.rmSync(CANARY, { force: true });
+        for (const { name, value, rejected } of HOSTILE_INPUTS) {
+            if (rejected) continue;
+            try {
+                const output = await appleScript.execute(ECHO_SCRIPT, [value], { circuit: false });
+                const { codePoints, utf16 } = expectedIds(value);
+                if (output !== codePoints && output !== utf16) {
+                    failures++;
+                    console.error(`❌ [live] ${name}: round-trip mismatch`, { expected: codePoints.slice(0, 80), output: output.slice(0, 80) });
+                }
+            } catch (error) {
+                failures++;
+                console.error(`❌ [live] ${name}: ${error.message}`);
+            }
+        }
+        if (fs.existsSync(CANARY)) {
+            failures++;
+            console.error(`❌ [live] injection executed: ${CANARY} was created`);
+            fs.rmSync(CANARY, { force: true });
+        }
+        console.log('✅ Live round-trip done');
+    }
+
+    if (failures > 0) {
+        console.error(`❌ ${failures} failure(s)`);
+        process.exit(1);
+    }
+    console.log('✅ All hostile inputs handled safely');
+}
+
+main().catch(err => {
+    console.error('❌ testAppleScriptInjection failed:', err?.message || err);
+    process.exit(1);
+});
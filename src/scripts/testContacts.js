@@ -0,0 +1,105 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import contactsService from '../services/contactsService.js';
+
+// Fixture AddressBook: cùng bảng / cột với AddressBook-v22.abcddb (chỉ những cột contactsService đọc)
+const SCHEMA = `
+    CREATE TABLE ZABCDRECORD (
+        Z_PK INTEGER PRIMARY KEY, Z_ENT INTEGER, ZUNIQUEID VARCHAR, ZFIRSTNAME VARCHAR, ZMIDDLENAME VARCHAR,
+        ZLASTNAME VARCHAR, ZNICKNAME VARCHAR, ZORGANIZATION VARCHAR, ZDISPLAYFLAGS INTEGER, ZTHUMBNAILIMAGEDATA BLOB
+    );
+    CREATE TABLE ZABCDPHONENUMBER (Z_PK INTEGER PRIMARY KEY, ZOWNER INTEGER, ZFULLNUMBER VARCHAR, ZLABEL VARCHAR);
+    CREATE TABLE ZABCDEMAILADDRESS (Z_PK INTEGER PRIMARY KEY, ZOWNER INTEGER, ZADDRESS VARCHAR);
+`;
+
+let failures = 0;
+
+function check(name, actual, expected) {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (!ok) {
+        failures++;
+        console.error(`❌ ${name}\n   expected: ${JSON.stringify(expected)}\n   actual:   ${JSON.stringify(actual)}`);
+    }
+}
+
+async function createAddressBook(file, { records, phones = [], emails = [] }) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = await open({ filename: file, driver: sqlite3.Database });
+    await db.exec(SCHEMA);
+    for (const record of records) {
+        await db.run(
+            'INSERT INTO ZABCDRECORD (Z_PK, Z_ENT, ZUNIQUEID, ZFIRSTNAME, ZLASTNAME, ZNICKNAME, ZORGANIZATION, ZDISPLAYFLAGS, ZTHUMBNAILIMAGEDATA) VALUES (?, 19, ?, ?, ?, ?, ?, ?, ?)',
+            [record.pk, record.id, record.first || null, record.last || null, record.nickname || null, record.organization || null, record.flags || 0, record.image ? Buffer.from([0x01, 0xFF, 0xD8]) : null]
+        );
+    }
+    for (const [owner, number] of phones) {
+        await db.run('INSERT INTO ZABCDPHONENUMBER (ZOWNER, ZFULLNUMBER) VALUES (?, ?)', [owner, number]);
+    }
+    for (const [owner, address] of emails) {
+        await db.run('INSERT INTO ZABCDEMAILADDRESS (ZOWNER, ZADDRESS) VALUES (?, ?)', [owner, address]);
+    }
+    await db.close();
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'addressbook-'));
+    const icloud = path.join(root, 'Sources', 'ICLOUD-SOURCE', 'AddressBook-v22.abcddb');
+
+    try {
+        // Thư mục gốc: AddressBook tổng hợp rỗng, danh bạ thật nằm trong Sources/<id>
+        await createAddressBook(path.join(root, 'AddressBook-v22.abcddb'), { records: [] });
+        await createAddressBook(icloud, {
+            records: [
+                { pk: 1, id: 'A1:ABPerson', first: 'Dũng', last: 'Nguyễn', image: true },
+                { pk: 2, id: 'B2:ABPerson', organization: 'Blue Relay Co', flags: 1, first: 'Support' },
+                { pk: 3, id: 'C3:ABPerson', nickname: 'Bé Na' },
+                { pk: 4, id: 'D4:ABGroup' } // group: không có tên người
+            ],
+            phones: [[1, '0346 477 714'], [2, '+1 (415) 555-0100'], [3, '+84 90-123-4567']],
+            emails: [[1, 'Dung.Nguyen@Example.com'], [4, 'group@example.com']]
+        });
+
+        await contactsService.initialize({ path: root });
+
+        check('source count', contactsService.getState().sources, 2);
+        check('contact count', contactsService.getState().contacts, 3);
+        check('local number matches +84 handle', contactsService.lookup('+84346477714'),
+            { contactId: 'A1:ABPerson', displayName: 'Dũng Nguyễn', avatarAvailable: true });
+        check('email is case-insensitive', contactsService.lookup('dung.nguyen@example.COM')?.contactId, 'A1:ABPerson');
+        check('show-as-company uses organization', contactsService.lookup('+14155550100')?.displayName, 'Blue Relay Co');
+        check('nickname fallback', contactsService.lookup('+84901234567')?.displayName, 'Bé Na');
+        check('formatted handle', contactsService.lookup('+84 (90) 123 4567')?.contactId, 'C3:ABPerson');
+        check('unknown handle', contactsService.describe('+84999999999'), { contactId: null, displayName: null, avatarAvailable: false });
+        check('records without a name are skipped', contactsService.lookup('group@example.com'), null);
+        check('short codes only match exactly', contactsService.lookup('477714'), null);
+
+        // Sửa danh bạ → watcher nạp lại
+        const db = await open({ filename: icloud, driver: sqlite3.Database });
+        await db.run("UPDATE ZABCDRECORD SET ZFIRSTNAME = 'Dung' WHERE Z_PK = 1");
+        await db.run("INSERT INTO ZABCDRECORD (Z_PK, Z_ENT, ZUNIQUEID, ZFIRSTNAME) VALUES (5, 19, 'E5:ABPerson', 'Lan')");
+        await db.run("INSERT INTO ZABCDPHONENUMBER (ZOWNER, ZFULLNUMBER) VALUES (5, '+84 912 000 111')");
+        await db.close();
+
+        for (let i = 0; i < 20 && contactsService.lookup('+84912000111') === null; i++) {
+            await wait(250);
+        }
+        check('reload picks up new contact', contactsService.lookup('+84912000111')?.displayName, 'Lan');
+        check('reload picks up renamed contact', contactsService.lookup('+84346477714')?.displayName, 'Dung Nguyễn');
+    } finally {
+        contactsService.stop();
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    if (failures > 0) {
+        console.error(`❌ ${failures} failure(s)`);
+        process.exit(1);
+    }
+    console.log('✅ Contacts OK');
+}
+
+main();
@@ -0,0 +1,49 @@
+import handleNormalizer from '../utils/handleNormalizer.js';
+
+// [input, country (handle.country), expected] — vùng mặc định: DEFAULT_PHONE_REGION (VN)
+const CASES = [
+    ['+84346477714', undefined, '+84346477714'],
+    ['0346477714', undefined, '+84346477714'],
+    ['84346477714', undefined, '+84346477714'],
+    ['346477714', undefined, '+84346477714'],
+    ['+84 346-477-714', undefined, '+84346477714'],
+    ['tel:+84346477714', undefined, '+84346477714'],
+    ['0084346477714', undefined, '+84346477714'],
+    ['(415) 555-0100', 'us', '+14155550100'],
+    ['1 415 555 0100', 'us', '+14155550100'],
+    ['011 84 346 477 714', 'us', '+84346477714'],
+    ['07911 123456', 'gb', '+447911123456'],
+    ['+1 (415) 555-0100', 'vn', '+14155550100'],
+    ['Dung.Nguyen@Example.com', undefined, 'dung.nguyen@example.com'],
+    ['mailto:a@b.co', undefined, 'a@b.co'],
+    ['8555', undefined, '8555'], // short code
+    ['12345678901234567', undefined, '12345678901234567'], // không xác định được → chỉ bỏ định dạng
+    ['  ', undefined, null],
+    [null, undefined, null]
+];
+
+let failures = 0;
+
+for (const [input, country, expected] of CASES) {
+    const actual = handleNormalizer.normalize(input, country);
+    if (actual !== expected) {
+        failures++;
+        console.error(`❌ normalize(${JSON.stringify(input)}, ${country}) → ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+}
+
+const parsed = handleNormalizer.parse('0346 477 714');
+if (parsed.raw !== '0346 477 714' || parsed.type !== 'phone' || !parsed.e164) {
+    failures++;
+    console.error('❌ parse keeps the raw handle', parsed);
+}
+if (!handleNormalizer.same('0346477714', '+84346477714') || handleNormalizer.same('0346477714', '0346477715')) {
+    failures++;
+    console.error('❌ same()');
+}
+
+if (failures > 0) {
+    console.error(`❌ ${failures} failure(s)`);
+    process.exit(1);
+}
+console.log(`✅ Handle normalizer OK (${CASES.length} cases)`);
@@ -0,0 +1,163 @@
+import typedStreamDecoder from '../utils/typedStreamDecoder.js';
+import typedStreamEncoder from '../utils/typedStreamEncoder.js';
+import messageParser from '../utils/messageParser.js';
+
+// attributedBody thật lấy từ chat.db (cùng mẫu với foundationBridge.testWithSampleBytes)
+const SAMPLE_BASE64 = [
+    'BAtzdHJlYW10eXBlZIHoA4QBQISEhBlOU011dGFibGVBdHRyaWJ1dGVkU3RyaW5nAISEEk5TQXR0cmlidXRlZFN0cmluZwCEhAhO',
+    'U09iamVjdACFkoSEhA9OU011dGFibGVTdHJpbmcBhIQITlNTdHJpbmcBlYQBK4FlAVRhaSBraG9hbiBjdWEgUXV5IGtoYWNoIHNh',
+    'cCBoZXQuIFNvYW46CjEgZ3VpIDIxMSBkZSBjb25nIDU1IHBodXQgbm9pIG1hbmcgKDc5NGQvcCksIHN1IGR1bmcgdHJvbmcgMTUg',
+    'bmdheQoyIGd1aSAyMTEgZGUgY29uZyAzMiBwaHV0IG5nb2FpIG1hbmcgKDEuMzY5ZC9wKSwgc3UgZHVuZyB0cm9uZyAxNSBuZ2F5',
+    'CjMgZ3VpIDIxMSBkZSBjb25nIDEwMCB0aW4gbmhhbiBub2kgbWFuZyAoMjMwZC90aW4pLCBzdSBkdW5nIHRyb25nIDE1IG5nYXkK',
+    'NCBndWkgMjExIGRlIGNvbmcgMjAgdGluIG5oYW4gbmdvYWkgbWFuZyAoMzEzZC90aW4pLCBzdSBkdW5nIHRyb25nIDcgbmdheQpD',
+    'aGkgdGlldCBMSCAxODAwODA5OCAobWllbiBwaGkpLoaEAmlJAYFlAZKEhIQMTlNEaWN0aW9uYXJ5AJWEAWkBkoSYmB1fX2tJTU1l',
+    'c3NhZ2VQYXJ0QXR0cmlidXRlTmFtZYaShISECE5TTnVtYmVyAISEB05TVmFsdWUAlYQBKoSbmwCGhoY='
+].join('');
+
+const PART_0 = { __kIMMessagePartAttributeName: 0 };
+
+// Round-trip cases: text + attribute runs → typedstream → decoder
+const ROUND_TRIP_CASES = [
+    { name: 'empty string', text: '' },
+    { name: 'plain ascii', text: 'Hello' },
+    { name: 'vietnamese', text: 'Tiếng Việt có dấu: Đường phố Hà Nội' },
+    { name: 'decomposed accents (NFD)', text: 'Vie\u0302\u0323t' },
+    { name: 'emoji and ZWJ sequence (UTF-16 lengths)', text: 'hi 👨‍👩‍👧‍👦 🏳️‍🌈 👍🏽' },
+    { name: 'astral plane', text: '𝕳𝖊𝖑𝖑𝖔 𠜎' },
+    { name: 'control characters', text: 'a\u0000b\u0001c\r\n\t ' },
+    { name: 'attachment placeholder', text: '￼', runs: [{ length: 1, attributes: { __kIMMessagePartAttributeName: 0, __kIMFileTransferGUIDAttributeName: 'at_0_2D2B5C4A-1F9E-4F0B-9C1B-6B1F2F0E7A11', __kIMFilenameAttributeName: 'IMG_0001.HEIC' } }] },
+    { name: 'long text (int4 length)', text: 'x'.repeat(70000) },
+    { name: 'mid-length text (int2 length)', text: 'y'.repeat(300) },
+    {
+        name: 'multiple runs, reused dictionary',
+        text: 'Hi @Ann, see https://example.com now',
+        runs: [
+            { length: 3, attributes: PART_0 },
+            { length: 4, attributes: { __kIMMessagePartAttributeName: 0, __kIMMentionConfirmedMention: '+84901234567' } },
+            { length: 6, attributes: PART_0 },
+            { length: 19, attributes: { __kIMMessagePartAttributeName: 0, __kIMLinkAttributeName: new URL('https://example.com'), __kIMDataDetectedAttributeName: Buffer.from([0x62, 0x70, 0x6c, 0x69, 0x73, 0x74]) } },
+            { length: 4, attributes: PART_0 }
+        ]
+    },
+    {
+        name: 'text styles and numbers',
+        text: 'bold italic',
+        runs: [
+            { length: 4, attributes: { __kIMMessagePartAttributeName: 0, __kIMTextBoldAttributeName: 1 } },
+            { length: 1, attributes: PART_0 },
+            { length: 6, attributes: { __kIMMessagePartAttributeName: 1, __kIMTextItalicAttributeName: true, ratio: 1.5, big: 2 ** 40, negative: -5000, list: [1, 'a', null] } }
+        ]
+    }
+];
+
+// Giá trị decoder trả về cho từng attribute (URL → string, boolean → number)
+function expectedAttributes(attributes) {
+    return JSON.parse(JSON.stringify(attributes, (key, value) => (typeof value === 'boolean' ? Number(value) : value)));
+}
+
+// Deterministic PRNG cho phần fuzz
+function prng(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) & 0x7fffffff;
+        return state / 0x7fffffff;
+    };
+}
+
+function main() {
+    let failures = 0;
+    const fail = (message, details) => {
+        failures++;
+        console.error(`❌ ${message}`, details ?? '');
+    };
+
+    // 1. Real chat.db sample
+    const sample = Buffer.from(SAMPLE_BASE64, 'base64');
+    const decoded = typedStreamDecoder.decode(sample);
+    if (!decoded || !decoded.text.startsWith('Tai khoan cua Quy khach sap het.') || !decoded.text.endsWith('(mien phi).') || decoded.text.length !== 357) {
+        fail('[sample] text mismatch', decoded?.text?.slice(0, 80));
+    } else if (JSON.stringify(decoded.runs) !== JSON.stringify([{ location: 0, length: 357, attributes: PART_0 }])) {
+        fail('[sample] runs mismatch', decoded.runs);
+    } else if (!typedStreamEncoder.encodeAttributedString(decoded.text).equals(sample)) {
+        fail('[sample] encoder is not byte-exact with Messages');
+    }
+    console.log('✅ Real sample decoded');
+
+    // 2. Round trips
+    for (const { name, text, runs } of ROUND_TRIP_CASES) {
+        const result = typedStreamDecoder.decode(typedStreamEncoder.encodeAttributedString(text, runs));
+        const expectedRuns = (runs || [{ length: text.length, attributes: PART_0 }]).reduce((acc, run) => {
+            const location = acc.length ? acc[acc.length - 1].location + acc[acc.length - 1].length : 0;
+            return [...acc, { location, length: run.length, attributes: expectedAttributes(run.attributes) }];
+        }, []);
+        if (!result || result.text !== text) {
+            fail(`[round-trip] ${name}: text mismatch`);
+        } else if (JSON.stringify(result.runs) !== JSON.stringify(expectedRuns)) {
+            fail(`[round-trip] ${name}: runs mismatch`, { expected: expectedRuns, actual: result.runs });
+        }
+    }
+    console.log(`✅ Round trips done (${ROUND_TRIP_CASES.length} cases)`);
+
+    // 3. Spans from attribute runs (adjacent identical spans merged across message parts)
+    const spanCase = ROUND_TRIP_CASES.find(c => c.name === 'multiple runs, reused dictionary');
+    const rich = messageParser.parseRichBody(typedStreamEncoder.encodeAttributedString(spanCase.text, [
+        { length: 3, attributes: { __kIMMessagePartAttributeName: 0, __kIMTextBoldAttributeName: 1 } },
+        { length: 4, attributes: { __kIMMessagePartAttributeName: 1, __kIMTextBoldAttributeName: 1, __kIMMentionConfirmedMention: '+84901234567' } },
+        ...spanCase.runs.slice(2)
+    ]));
+    const expectedSpans = [
+        { offset: 0, length: 7, type: 'bold' },
+        { offset: 3, length: 4, type: 'mention', handle: '+84901234567' },
+        { offset: 13, length: 19, type: 'link', url: 'https://example.com/' }
+    ];
+    if (!rich || JSON.stringify(rich.spans) !== JSON.stringify(expectedSpans)) {
+        fail('[spans] mismatch', rich?.spans);
+    }
+    console.log('✅ Spans built');
+
+    // 4. Not a typedstream → null
+    for (const input of [null, Buffer.alloc(0), Buffer.from('bplist00'), Buffer.from('plain text that is long enough')]) {
+        if (typedStreamDecoder.decode(input) !== null) fail('[non-typedstream] expected null', input);
+    }
+
+    // 5. Malformed input: never throws from decode(), parse() reports TYPEDSTREAM_INVALID
+    // 16 byte đầu là header (stream rỗng hợp lệ)
+    for (let length = 17; length < sample.length; length++) {
+        const truncated = sample.subarray(0, length);
+        try {
+            typedStreamDecoder.decode(truncated);
+            typedStreamDecoder.parse(truncated);
+            fail(`[truncated] ${length} bytes parsed without error`);
+        } catch (error) {
+            if (error.code !== 'TYPEDSTREAM_INVALID') fail(`[truncated] ${length} bytes: unexpected error`, error.message);
+        }
+    }
+    const random = prng(1702);
+    for (let i = 0; i < 2000; i++) {
+        const corrupted = Buffer.from(sample);
+        for (let j = 0; j < 3; j++) {
+            corrupted[13 + Math.floor(random() * (corrupted.length - 13))] = Math.floor(random() * 256);
+        }
+        try {
+            typedStreamDecoder.decode(corrupted);
+        } catch (error) {
+            fail(`[fuzz] decode threw on iteration ${i}`, error.message);
+        }
+    }
+    console.log('✅ Malformed inputs handled');
+
+    // 6. Throughput
+    const iterations = 5000;
+    const started = process.hrtime.bigint();
+    for (let i = 0; i < iterations; i++) typedStreamDecoder.decode(sample);
+    const perDecodeUs = Number(process.hrtime.bigint() - started) / 1000 / iterations;
+    console.log(`⏱️  ${perDecodeUs.toFixed(1)}µs per decode (${sample.length} bytes)`);
+
+    if (failures > 0) {
+        console.error(`❌ ${failures} failure(s)`);
+        process.exit(1);
+    }
+    console.log('✅ Typedstream decoder OK');
+}
+
+main();
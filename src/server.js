@@ -18,9 +18,21 @@ import routes from './routes/index.js';
 
 // Import services
 import messageService from './services/messageService.js';
+import attachmentService from './services/attachmentService.js';
+import deliveryTrackerService from './services/deliveryTrackerService.js';
+import contactsService from './services/contactsService.js';
+import readStateService from './services/readStateService.js';
+import rateLimitService from './services/rateLimitService.js';
 import socketService from './services/socketService.js';
 import socketCommandHandler from './services/socketCommandHandler.js';
 
+// Import Messages transport
+import transport from './transports/index.js';
+
+// Import utils
+import messageParser from './utils/messageParser.js';
+import decodeWorkerPool from './utils/decodeWorkerPool.js';
+
 // Create Express app
 const app = express();
 const server = createServer(app);
@@ -30,12 +42,14 @@ const io = new Server(server, {
     cors: {
         origin: APP_CONFIG.CORS_ORIGIN,
         methods: ['GET', 'POST']
-    }
+    },
+    // Allow base64 attachments in fe:send_message
+    maxHttpBufferSize: APP_CONFIG.ATTACHMENT_MAX_BYTES * 2
 });
 
 // Middleware
 app.use(cors({ origin: APP_CONFIG.CORS_ORIGIN }));
-app.use(express.json());
+app.use(express.json({ limit: APP_CONFIG.JSON_BODY_LIMIT }));
 
 // Routes
 app.use('/api', routes);
@@ -77,7 +91,8 @@ io.on('connection', socket => {
             (response) => {
                 // Send response back to API server
                 socket.emit('device:command_response', response);
-            }
+            },
+            { client: rateLimitService.clientKeyForSocket(socket) }
         );
     });
 
@@ -94,7 +109,8 @@ io.on('connection', socket => {
             requestId,
             (response) => {
                 socket.emit('fe:command_response', response);
-            }
+            },
+            { client: rateLimitService.clientKeyForSocket(socket) }
         );
     });
 
@@ -105,28 +121,66 @@ io.on('connection', socket => {
         console.log(`📤 Frontend sending message:`, {
             deviceId,
             to: message?.to,
+            chatGuid: message?.chatGuid,
             contentPreview: message?.content?.slice?.(0, 120),
             contentLength: message?.content?.length ?? 0,
+            attachmentCount: message?.attachments?.length ?? 0,
+            sendAt: message?.send_at,
             at: new Date().toISOString()
         });
 
         try {
-            const result = await messageService.sendMessage(message.to, message.content);
+            const sendAt = messageParser.parseSendAt(message.send_at);
+            if (message.send_at && (sendAt === null || sendAt <= Date.now())) {
+                throw new Error(`send_at must be a future ISO 8601 time or epoch milliseconds (at most ${APP_CONFIG.SEND_AT_MAX_AHEAD_DAYS} days ahead)`);
+            }
+
+            const admission = rateLimitService.admit({
+                client: rateLimitService.clientKeyForSocket(socket),
+                recipient: rateLimitService.recipientKey({ to: message.to, chatGuid: message.chatGuid })
+            });
+            if (!admission.allowed) {
+                console.warn('⚠️  fe:send_message rate limited', { to: message.to, ...admission });
+                socket.emit('fe:message_sent', {
+                    success: false,
+                    message: rateLimitService.createError(admission).message,
+                    code: 'RATE_LIMITED',
+                    limitedBy: admission.limitedBy,
+                    retryAfterMs: admission.retryAfterMs,
+                    to: message.to
+                });
+                return;
+            }
+
+            const result = await messageService.queueMessage(message.to, message.content, {
+                attachments: message.attachments,
+                chatGuid: message.chatGuid,
+                source: 'socket',
+                sendAt,
+                wait: message.wait
+            });
 
             if (result.success) {
-                console.log('✅ fe:send_message success', { to: message.to });
+                console.log('✅ fe:send_message success', { to: message.to, queued: !!result.queued, scheduled: !!result.scheduled });
                 socket.emit('fe:message_sent', {
                     success: true,
-                    message: 'Message sent successfully',
+                    message: result.scheduled ? 'Message scheduled'
+                        : result.queued ? 'Message queued' : 'Message sent successfully',
                     to: message.to,
-                    verification: result.verification || null
+                    queued: !!result.queued,
+                    scheduled: !!result.scheduled,
+                    job: result.job || null,
+                    chat: result.chat || null,
+                    verification: result.verification || null,
+                    attachments: result.attachments || []
                 });
             } else {
                 console.warn('⚠️  fe:send_message failed', { to: message.to, error: result.error });
                 socket.emit('fe:message_sent', {
                     success: false,
                     message: result.error,
-                    to: message.to
+                    to: message.to,
+                    job: result.job || null
                 });
             }
         } catch (error) {
@@ -160,12 +214,37 @@ async function initializeApp() {
         // Validate configuration
         validateConfig();
 
+        // Prepare the Messages transport (the simulator creates its chat.db here)
+        await transport.initialize();
+
         // Initialize database
         await initDatabase();
 
         // Initialize message service
         await messageService.initialize();
 
+        // Contact names from the AddressBook (tự nạp lại khi danh bạ đổi)
+        await contactsService.initialize();
+
+        // Decode recent conversations into the decode cache (background, không chặn startup)
+        messageService.warmDecodeCache();
+
+        // Remove staged attachments left over from a previous run (except those of queued jobs)
+        await attachmentService.sweepStaleAttachments(undefined, {
+            keep: await messageService.sendQueue.getActiveAttachmentIds()
+        });
+
+        // Broadcast send queue progress
+        messageService.sendQueue.on('job:updated', (job) => {
+            io.emit('queue:job_updated', job);
+        });
+
+        // Read state (relay.db) đổi: đồng bộ mọi frontend và relay server
+        readStateService.on('conversation:read', (event) => {
+            io.emit('conversation:read', event);
+            socketService.sendMessageUpdate('conversation:read', event);
+        });
+
         // Start database monitoring
         if (APP_CONFIG.ENABLE_DATABASE_MONITORING) {
             messageService.startMonitoring((message) => {
@@ -174,7 +253,29 @@ async function initializeApp() {
 
                 // Also emit to main server via socket service
                 socketService.sendMessage(message);
+            }, {
+                // Tapback thêm / gỡ trên một tin đã có (không phải tin mới)
+                onReaction: (reactionEvent) => {
+                    io.emit(`message:reaction_${reactionEvent.action}`, reactionEvent);
+                    socketService.sendReaction(reactionEvent);
+                },
+                // Tin đã phát trước đó bị sửa / thu hồi
+                onEdited: (message) => {
+                    io.emit('message:edited', message);
+                    socketService.sendMessageUpdate('message:edited', message);
+                },
+                onRetracted: (message) => {
+                    io.emit('message:retracted', message);
+                    socketService.sendMessageUpdate('message:retracted', message);
+                }
+            });
+
+            // Track sent → delivered → read transitions of outbound messages
+            deliveryTrackerService.on('status_changed', (statusData) => {
+                io.emit('message:status_changed', statusData);
+                socketService.sendStatusChange(statusData);
             });
+            await deliveryTrackerService.start();
         }
 
         // Connect to main server via socket service (non-fatal)
@@ -218,8 +319,13 @@ async function startServer() {
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down server...');
 
-    // Stop database monitoring
+    // Stop database monitoring and the send queue (queued jobs stay on disk)
     messageService.stopMonitoring();
+    messageService.sendQueue.stop();
+    deliveryTrackerService.stop();
+    contactsService.stop();
+    await transport.stop();
+    await decodeWorkerPool.stop();
 
     // Disconnect from main server
     socketService.disconnect();
@@ -227,6 +333,8 @@ process.on('SIGINT', async () => {
     // Close database connection
     const { closeDatabase } = await import('./config/database.js');
     await closeDatabase();
+    const { closeRelayDatabase } = await import('./config/relayDatabase.js');
+    await closeRelayDatabase();
 
     // Stop ngrok
     const { stopNgrok } = await import('./config/ngrok.js');
@@ -238,8 +346,13 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     console.log('\n🛑 Shutting down server...');
 
-    // Stop database monitoring
+    // Stop database monitoring and the send queue (queued jobs stay on disk)
     messageService.stopMonitoring();
+    messageService.sendQueue.stop();
+    deliveryTrackerService.stop();
+    contactsService.stop();
+    await transport.stop();
+    await decodeWorkerPool.stop();
 
     // Disconnect from main server
     socketService.disconnect();
@@ -247,6 +360,8 @@ process.on('SIGTERM', async () => {
     // Close database connection
     const { closeDatabase } = await import('./config/database.js');
     await closeDatabase();
+    const { closeRelayDatabase } = await import('./config/relayDatabase.js');
+    await closeRelayDatabase();
 
     // Stop ngrok
     const { stopNgrok } = await import('./config/ngrok.js');
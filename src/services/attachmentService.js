@@ -0,0 +1,391 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { APP_CONFIG } from '../config/app.js';
+import { TRANSPORT_CONFIG } from '../config/transport.js';
+import { getDatabase } from '../config/database.js';
+
+// SQLite giới hạn số tham số mỗi câu lệnh (999 trên bản cũ)
+const CHUNK_SIZE = 100;
+
+const EXTENSION_BY_MIME = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/heic': '.heic',
+    'image/webp': '.webp',
+    'video/mp4': '.mp4',
+    'video/quicktime': '.mov',
+    'audio/mpeg': '.mp3',
+    'audio/mp4': '.m4a',
+    'audio/x-caf': '.caf',
+    'application/pdf': '.pdf',
+    'text/plain': '.txt'
+};
+
+/**
+ * Attachment Service for Blue Relay Tools
+ * Stage file đính kèm (multipart upload hoặc base64) vào thư mục do relay quản lý,
+ * để Messages.app gửi dưới dạng POSIX file, sau đó dọn dẹp.
+ * Phía đọc: metadata attachment của tin trong chat.db và file trong thư mục Attachments của Messages.
+ */
+class AttachmentService {
+    constructor() {
+        this.stagingDir = APP_CONFIG.ATTACHMENT_STAGING_DIR;
+        this.maxBytes = APP_CONFIG.ATTACHMENT_MAX_BYTES;
+        this.maxCount = APP_CONFIG.ATTACHMENT_MAX_COUNT;
+        this.cleanupDelayMs = APP_CONFIG.ATTACHMENT_CLEANUP_DELAY_MS;
+        this.attachmentsRoot = path.resolve(this.expandHome(TRANSPORT_CONFIG.attachmentsPath));
+    }
+
+    /**
+     * Ensure staging directory exists
+     */
+    async ensureStagingDir() {
+        await fs.mkdir(this.stagingDir, { recursive: true });
+        return this.stagingDir;
+    }
+
+    /**
+     * Create a unique slot directory inside staging dir
+     * @returns {Promise<string>}
+     */
+    async createSlot() {
+        const slotDir = path.join(this.stagingDir, randomUUID());
+        await fs.mkdir(slotDir, { recursive: true });
+        return slotDir;
+    }
+
+    /**
+     * Sanitize a user supplied filename
+     * @param {string} filename - Original filename
+     * @param {string} mimeType - MIME type (used for missing extension)
+     * @returns {string}
+     */
+    sanitizeFilename(filename, mimeType) {
+        let name = path.basename(String(filename || '')).replace(/[\x00-\x1F\x7F/\\:]/g, '_').trim();
+        if (!name || name === '.' || name === '..') {
+            name = `attachment-${Date.now()}`;
+        }
+        if (!path.extname(name) && EXTENSION_BY_MIME[mimeType]) {
+            name += EXTENSION_BY_MIME[mimeType];
+        }
+        return name;
+    }
+
+    /**
+     * MIME type of a file from its extension
+     * @param {string} filename - File name
+     * @returns {string}
+     */
+    getMimeType(filename) {
+        const extension = path.extname(filename || '').toLowerCase();
+        const entry = Object.entries(EXTENSION_BY_MIME).find(([, ext]) => ext === extension);
+        return entry ? entry[0] : 'application/octet-stream';
+    }
+
+    /**
+     * Normalize attachment inputs from HTTP/socket payloads
+     * @param {Array|Object} attachments - Raw attachments
+     * @returns {Array}
+     */
+    normalizeInputs(attachments) {
+        if (!attachments) return [];
+        const list = Array.isArray(attachments) ? attachments : [attachments];
+        return list.filter(Boolean);
+    }
+
+    /**
+     * Validate attachment inputs (count + presence of data)
+     * @param {Array} attachments - Raw attachments
+     * @returns {string[]} - Validation errors
+     */
+    validateInputs(attachments) {
+        const list = this.normalizeInputs(attachments);
+        const errors = [];
+
+        if (list.length > this.maxCount) {
+            errors.push(`Too many attachments (max ${this.maxCount})`);
+        }
+
+        list.forEach((item, index) => {
+            const hasUpload = typeof item.path === 'string' && item.path;
+            const hasBase64 = typeof item.data === 'string' && item.data;
+            if (!hasUpload && !hasBase64) {
+                errors.push(`Attachment #${index + 1} has no file data`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Decode base64 payload (plain or data URL)
+     * @param {string} data - Base64 string or data URL
+     * @returns {{ buffer: Buffer, mimeType: string|null }}
+     */
+    decodeBase64(data) {
+        const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(data);
+        const payload = match ? match[2] : data;
+        return {
+            buffer: Buffer.from(payload.replace(/\s/g, ''), 'base64'),
+            mimeType: match?.[1] || null
+        };
+    }
+
+    /**
+     * Stage attachments into the managed staging directory
+     * Supports multer files ({ path, originalname, mimetype, size }) and
+     * base64 payloads ({ filename, mimeType, data }).
+     * @param {Array} attachments - Raw attachments
+     * @returns {Promise<Array<{ id: string, path: string, dir: string, filename: string, mimeType: string|null, size: number }>>}
+     */
+    async stageAttachments(attachments) {
+        const list = this.normalizeInputs(attachments);
+        const staged = [];
+        if (list.length === 0) return staged;
+
+        await this.ensureStagingDir();
+
+        try {
+            for (const item of list) {
+                staged.push(item.path
+                    ? await this.stageUpload(item)
+                    : await this.stageBase64(item));
+            }
+            return staged;
+        } catch (error) {
+            await this.releaseAttachments(staged, { immediate: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Stage an uploaded file (multer writes it inside staging dir already)
+     */
+    async stageUpload(file) {
+        const mimeType = file.mimetype || file.mimeType || null;
+        const filename = this.sanitizeFilename(file.originalname || file.filename, mimeType);
+        const stat = await fs.stat(file.path);
+
+        if (stat.size > this.maxBytes) {
+            await fs.rm(file.path, { force: true });
+            throw new Error(`Attachment ${filename} exceeds ${this.maxBytes} bytes`);
+        }
+
+        const slotDir = await this.createSlot();
+        const target = path.join(slotDir, filename);
+        await fs.rename(file.path, target).catch(async () => {
+            // Upload nằm khác filesystem → copy rồi xóa
+            await fs.copyFile(file.path, target);
+            await fs.rm(file.path, { force: true });
+        });
+
+        return {
+            id: path.basename(slotDir),
+            path: target,
+            dir: slotDir,
+            filename,
+            mimeType,
+            size: stat.size
+        };
+    }
+
+    /**
+     * Stage a base64 payload
+     */
+    async stageBase64(item) {
+        const { buffer, mimeType: dataUrlMime } = this.decodeBase64(item.data);
+        const mimeType = item.mimeType || item.mimetype || dataUrlMime || null;
+        const filename = this.sanitizeFilename(item.filename || item.name, mimeType);
+
+        if (buffer.length === 0) {
+            throw new Error(`Attachment ${filename} is empty or not valid base64`);
+        }
+        if (buffer.length > this.maxBytes) {
+            throw new Error(`Attachment ${filename} exceeds ${this.maxBytes} bytes`);
+        }
+
+        const slotDir = await this.createSlot();
+        const target = path.join(slotDir, filename);
+        await fs.writeFile(target, buffer);
+
+        return {
+            id: path.basename(slotDir),
+            path: target,
+            dir: slotDir,
+            filename,
+            mimeType,
+            size: buffer.length
+        };
+    }
+
+    /**
+     * Remove staged attachments. By default waits cleanupDelayMs because
+     * Messages.app copies the file asynchronously after `send` returns.
+     * @param {Array} staged - Staged attachments
+     * @param {Object} options - { immediate }
+     */
+    async releaseAttachments(staged, options = {}) {
+        if (!staged || staged.length === 0) return;
+        const { immediate = false } = options;
+
+        const removeAll = async () => {
+            for (const item of staged) {
+                try {
+                    await fs.rm(item.dir || item.path, { recursive: true, force: true });
+                } catch (error) {
+                    console.warn('⚠️  Failed to remove staged attachment:', item.path, error.message);
+                }
+            }
+        };
+
+        if (immediate || this.cleanupDelayMs <= 0) {
+            await removeAll();
+            return;
+        }
+
+        const timer = setTimeout(removeAll, this.cleanupDelayMs);
+        timer.unref?.();
+    }
+
+    /**
+     * Remove leftovers from previous runs (crash between staging and cleanup)
+     * @param {number} maxAgeMs - Entries older than this are removed
+     * @param {Object} options - { keep: Set of slot ids still owned by queued jobs }
+     */
+    async sweepStaleAttachments(maxAgeMs = 60 * 60 * 1000, options = {}) {
+        const keep = options.keep || new Set();
+        try {
+            await this.ensureStagingDir();
+            const now = Date.now();
+            let removed = 0;
+
+            const sweepDir = async (dir) => {
+                const entries = await fs.readdir(dir, { withFileTypes: true });
+                for (const entry of entries) {
+                    const entryPath = path.join(dir, entry.name);
+                    if (dir === this.stagingDir && entry.name === 'incoming' && entry.isDirectory()) {
+                        // multer cần thư mục này, chỉ dọn file upload dở bên trong
+                        await sweepDir(entryPath);
+                        continue;
+                    }
+                    if (keep.has(entry.name)) continue;
+                    const stat = await fs.stat(entryPath).catch(() => null);
+                    if (stat && now - stat.mtimeMs > maxAgeMs) {
+                        await fs.rm(entryPath, { recursive: true, force: true });
+                        removed++;
+                    }
+                }
+            };
+            await sweepDir(this.stagingDir);
+
+            if (removed > 0) {
+                console.log(`🧹 Removed ${removed} stale staged attachment(s)`);
+            }
+            return removed;
+        } catch (error) {
+            console.warn('⚠️  Attachment sweep failed:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Expand a leading ~ (chat.db lưu attachment.filename dạng ~/Library/Messages/Attachments/...)
+     * @param {string} filePath - Path
+     * @returns {string}
+     */
+    expandHome(filePath) {
+        return /^~(?=$|\/)/.test(filePath) ? path.join(process.env.HOME || '', filePath.slice(1)) : filePath;
+    }
+
+    /**
+     * Attachment payload for message APIs
+     * @param {Object} row - attachment row (ROWID as id)
+     * @returns {Object}
+     */
+    formatAttachment(row) {
+        const filename = row.transfer_name || (row.filename ? path.basename(row.filename) : null);
+        return {
+            id: row.id,
+            guid: row.guid,
+            filename,
+            mime_type: row.mime_type || (filename ? this.getMimeType(filename) : null),
+            uti: row.uti || null,
+            total_bytes: row.total_bytes || 0,
+            transfer_state: row.transfer_state,
+            is_outgoing: row.is_outgoing === 1,
+            url: `/api/attachments/${row.id}`
+        };
+    }
+
+    /**
+     * Attachments of chat.db messages (message_attachment_join → attachment)
+     * @param {number[]} messageIds - message.ROWID list
+     * @returns {Promise<Map<number, Array<Object>>>} - message ROWID → attachment payloads
+     */
+    async getMessageAttachments(messageIds) {
+        const byMessage = new Map();
+        const ids = [...new Set((messageIds || []).filter(id => id !== null && id !== undefined))];
+        if (ids.length === 0) return byMessage;
+
+        const db = await getDatabase();
+        for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+            const chunk = ids.slice(i, i + CHUNK_SIZE);
+            const rows = await db.all(`
+                SELECT maj.message_id, a.ROWID AS id, a.guid, a.filename, a.transfer_name, a.mime_type, a.uti,
+                    a.total_bytes, a.transfer_state, a.is_outgoing
+                FROM message_attachment_join maj
+                JOIN attachment a ON a.ROWID = maj.attachment_id
+                WHERE maj.message_id IN (${chunk.map(() => '?').join(',')}) AND a.hide_attachment = 0
+                ORDER BY maj.message_id, a.ROWID
+            `, chunk);
+
+            for (const row of rows) {
+                if (!byMessage.has(row.message_id)) byMessage.set(row.message_id, []);
+                byMessage.get(row.message_id).push(this.formatAttachment(row));
+            }
+        }
+        return byMessage;
+    }
+
+    /**
+     * Locate an attachment file for download
+     * Chỉ trả file nằm trong thư mục Attachments (so sánh sau realpath, chặn ../ và symlink ra ngoài).
+     * @param {string|number} id - attachment.ROWID
+     * @returns {Promise<{ path: string, attachment: Object }>}
+     *   throws error.code ATTACHMENT_NOT_FOUND | ATTACHMENT_FORBIDDEN | ATTACHMENT_MISSING
+     */
+    async resolveAttachmentFile(id) {
+        const fail = (code, message) => Object.assign(new Error(message), { code });
+
+        if (!/^\d+$/.test(String(id))) throw fail('ATTACHMENT_NOT_FOUND', 'Attachment not found');
+        const db = await getDatabase();
+        const row = await db.get(`
+            SELECT ROWID AS id, guid, filename, transfer_name, mime_type, uti, total_bytes, transfer_state, is_outgoing
+            FROM attachment WHERE ROWID = ?
+        `, [Number(id)]);
+        if (!row) throw fail('ATTACHMENT_NOT_FOUND', 'Attachment not found');
+        if (!row.filename) throw fail('ATTACHMENT_MISSING', 'Attachment file is not available');
+
+        let root;
+        let filePath;
+        try {
+            root = await fs.realpath(this.attachmentsRoot);
+            filePath = await fs.realpath(path.resolve(root, this.expandHome(row.filename)));
+        } catch (error) {
+            // Chưa tải về (iCloud / transfer dở) hoặc đã bị xoá
+            throw fail('ATTACHMENT_MISSING', 'Attachment file is not available');
+        }
+        if (!filePath.startsWith(root + path.sep)) {
+            throw fail('ATTACHMENT_FORBIDDEN', 'Attachment is outside the attachments directory');
+        }
+
+        const stat = await fs.stat(filePath);
+        if (!stat.isFile()) throw fail('ATTACHMENT_MISSING', 'Attachment file is not available');
+
+        return { path: filePath, attachment: this.formatAttachment(row) };
+    }
+}
+
+export default new AttachmentService();
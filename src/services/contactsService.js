@@ -0,0 +1,258 @@
+import fs from 'fs';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { APP_CONFIG } from '../config/app.js';
+import handleNormalizer from '../utils/handleNormalizer.js';
+
+const DATABASE_FILE = 'AddressBook-v22.abcddb';
+const RELOAD_DEBOUNCE_MS = 500;
+const SHOW_AS_COMPANY = 1; // ZDISPLAYFLAGS bit
+
+/**
+ * Contacts Service for Blue Relay Tools
+ * Đọc danh bạ macOS (Core Data SQLite: ADDRESSBOOK_PATH/AddressBook-v22.abcddb và Sources/<id>/AddressBook-v22.abcddb)
+ * thành index handle (handleNormalizer: số E.164 / email chữ thường) → contact. Số lưu dạng nội địa ("0346 477 714")
+ * được hiểu theo DEFAULT_PHONE_REGION. Index nằm trong bộ nhớ, tự nạp lại khi file đổi.
+ */
+class ContactsService {
+    constructor() {
+        this.enabled = APP_CONFIG.CONTACTS_ENABLED;
+        this.rootPath = APP_CONFIG.ADDRESSBOOK_PATH;
+        this.sources = [];
+        this.byHandle = new Map(); // handle đã chuẩn hoá → contact
+        this.contactCount = 0;
+        this.loadedAt = null;
+        this.watchers = [];
+        this.reloadTimer = null;
+        this.loading = null;
+    }
+
+    /**
+     * Load the AddressBook and watch it for changes
+     * @param {Object} [options] - { path } thay cho ADDRESSBOOK_PATH (fixture)
+     */
+    async initialize({ path: rootPath } = {}) {
+        if (!this.enabled) {
+            console.log('👤 Contacts disabled (CONTACTS_ENABLED=false)');
+            return;
+        }
+        if (rootPath) this.rootPath = rootPath;
+
+        await this.reload();
+        this.watch();
+    }
+
+    /**
+     * AddressBook databases under rootPath (rootPath có thể trỏ thẳng vào một file .abcddb)
+     * @returns {string[]}
+     */
+    findDatabases() {
+        const stat = fs.statSync(this.rootPath, { throwIfNoEntry: false });
+        if (!stat) return [];
+        if (stat.isFile()) return [this.rootPath];
+
+        const candidates = [path.join(this.rootPath, DATABASE_FILE)];
+        const sourcesDir = path.join(this.rootPath, 'Sources');
+        if (fs.existsSync(sourcesDir)) {
+            for (const entry of fs.readdirSync(sourcesDir, { withFileTypes: true })) {
+                if (entry.isDirectory()) candidates.push(path.join(sourcesDir, entry.name, DATABASE_FILE));
+            }
+        }
+        return candidates.filter((file) => fs.existsSync(file));
+    }
+
+    /**
+     * Rebuild the handle index from every AddressBook database
+     * Lỗi đọc một source chỉ bỏ qua source đó; index cũ được giữ tới khi nạp xong.
+     */
+    async reload() {
+        if (this.loading) return this.loading;
+
+        this.loading = (async () => {
+            const sources = this.findDatabases();
+            const byHandle = new Map();
+            let contactCount = 0;
+
+            for (const file of sources) {
+                try {
+                    const contacts = await this.readDatabase(file);
+                    contactCount += contacts.length;
+                    for (const contact of contacts) {
+                        for (const handle of contact.handles) {
+                            if (!byHandle.has(handle)) byHandle.set(handle, contact);
+                        }
+                    }
+                } catch (error) {
+                    console.warn(`⚠️ Could not read AddressBook ${file}:`, error.message);
+                }
+            }
+
+            this.sources = sources;
+            this.byHandle = byHandle;
+            this.contactCount = contactCount;
+            this.loadedAt = new Date().toISOString();
+
+            if (sources.length === 0) {
+                console.log(`👤 No AddressBook found at ${this.rootPath}`);
+            } else {
+                console.log(`👤 Loaded ${contactCount} contacts (${byHandle.size} handles) from ${sources.length} AddressBook source(s)`);
+            }
+        })().finally(() => {
+            this.loading = null;
+        });
+
+        return this.loading;
+    }
+
+    /**
+     * Contacts of one AddressBook database
+     * @param {string} file - AddressBook-v22.abcddb
+     * @returns {Promise<Array<{ contactId, displayName, avatarAvailable, handles: string[] }>>}
+     */
+    async readDatabase(file) {
+        const db = await open({ filename: file, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+        try {
+            const columns = new Set((await db.all('PRAGMA table_info(ZABCDRECORD)')).map((c) => c.name));
+            const optional = (name) => (columns.has(name) ? name : 'NULL');
+            const imageColumns = ['ZTHUMBNAILIMAGEDATA', 'ZIMAGEDATA'].filter((name) => columns.has(name));
+
+            const records = await db.all(`
+                SELECT
+                    Z_PK AS pk, ${optional('ZUNIQUEID')} AS unique_id,
+                    ZFIRSTNAME AS first_name, ${optional('ZMIDDLENAME')} AS middle_name, ZLASTNAME AS last_name,
+                    ${optional('ZNICKNAME')} AS nickname, ZORGANIZATION AS organization, ${optional('ZDISPLAYFLAGS')} AS display_flags,
+                    ${imageColumns.length > 0 ? `(${imageColumns.map((name) => `${name} IS NOT NULL`).join(' OR ')})` : '0'} AS has_image
+                FROM ZABCDRECORD
+            `);
+            const phones = await db.all('SELECT ZOWNER AS owner, ZFULLNUMBER AS value FROM ZABCDPHONENUMBER WHERE ZFULLNUMBER IS NOT NULL ORDER BY ZOWNER, Z_PK');
+            const emails = await db.all('SELECT ZOWNER AS owner, ZADDRESS AS value FROM ZABCDEMAILADDRESS WHERE ZADDRESS IS NOT NULL ORDER BY ZOWNER, Z_PK');
+
+            const contacts = new Map();
+            for (const record of records) {
+                const displayName = this.displayName(record);
+                if (!displayName) continue; // group / record rỗng
+                contacts.set(record.pk, {
+                    contactId: record.unique_id || `${path.basename(path.dirname(file))}:${record.pk}`,
+                    displayName,
+                    avatarAvailable: record.has_image === 1,
+                    handles: []
+                });
+            }
+            for (const { owner, value } of [...phones, ...emails]) {
+                const handle = handleNormalizer.normalize(value);
+                if (handle) contacts.get(owner)?.handles.push(handle);
+            }
+
+            return [...contacts.values()].filter((contact) => contact.handles.length > 0);
+        } finally {
+            await db.close();
+        }
+    }
+
+    /**
+     * Name shown by Contacts.app: "First Middle Last", nickname, then organization
+     */
+    displayName(record) {
+        const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+        const organization = clean(record.organization);
+        if (organization && (record.display_flags & SHOW_AS_COMPANY)) return organization;
+
+        const fullName = [record.first_name, record.middle_name, record.last_name].map(clean).filter(Boolean).join(' ');
+        return fullName || clean(record.nickname) || organization || null;
+    }
+
+    /**
+     * Contact of a chat.db handle (phone / email)
+     * @param {string} handle
+     * @param {string} [country] - handle.country
+     * @returns {{ contactId: string, displayName: string, avatarAvailable: boolean }|null}
+     */
+    lookup(handle, country) {
+        if (!handle || this.byHandle.size === 0) return null;
+
+        const contact = this.byHandle.get(handleNormalizer.normalize(handle, country));
+        if (!contact) return null;
+
+        const { contactId, displayName, avatarAvailable } = contact;
+        return { contactId, displayName, avatarAvailable };
+    }
+
+    /**
+     * Contact fields of the message / conversation model (null / false khi handle không có trong danh bạ)
+     * @param {string} handle
+     * @param {string} [country] - handle.country
+     * @returns {{ contactId: string|null, displayName: string|null, avatarAvailable: boolean }}
+     */
+    describe(handle, country) {
+        return this.lookup(handle, country) || { contactId: null, displayName: null, avatarAvailable: false };
+    }
+
+    /**
+     * Reload (debounced) whenever an AddressBook database or its WAL changes
+     */
+    watch() {
+        this.stopWatching();
+
+        const stat = fs.statSync(this.rootPath, { throwIfNoEntry: false });
+        if (!stat) return;
+
+        const directories = stat.isFile()
+            ? [path.dirname(this.rootPath)]
+            : [this.rootPath, ...this.sources.map((file) => path.dirname(file))];
+        const sourcesDir = path.join(this.rootPath, 'Sources');
+        if (stat.isDirectory() && fs.existsSync(sourcesDir)) directories.push(sourcesDir); // source mới
+
+        for (const directory of new Set(directories)) {
+            try {
+                const watcher = fs.watch(directory, (eventType, filename) => {
+                    if (directory === sourcesDir || !filename || filename.startsWith(DATABASE_FILE)) {
+                        this.scheduleReload();
+                    }
+                });
+                watcher.on('error', (error) => console.warn(`⚠️ AddressBook watcher error (${directory}):`, error.message));
+                this.watchers.push(watcher);
+            } catch (error) {
+                console.warn(`⚠️ Could not watch ${directory}:`, error.message);
+            }
+        }
+    }
+
+    scheduleReload() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(async () => {
+            this.reloadTimer = null;
+            await this.reload();
+            this.watch(); // danh sách source có thể đã đổi
+        }, RELOAD_DEBOUNCE_MS);
+    }
+
+    stopWatching() {
+        for (const watcher of this.watchers) watcher.close();
+        this.watchers = [];
+    }
+
+    stop() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = null;
+        this.stopWatching();
+    }
+
+    /**
+     * Contacts info for /api/info
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            enabled: this.enabled,
+            path: this.rootPath,
+            sources: this.sources.length,
+            contacts: this.contactCount,
+            handles: this.byHandle.size,
+            loadedAt: this.loadedAt,
+            watching: this.watchers.length > 0
+        };
+    }
+}
+
+export default new ContactsService();
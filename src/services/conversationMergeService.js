@@ -1,6 +1,6 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
-const execAsync = promisify(exec);
+import transport from '../transports/index.js';
+import contactsService from './contactsService.js';
+import handleNormalizer from '../utils/handleNormalizer.js';
 
 /**
  * Service để merge conversations từ cả database và AppleScript
@@ -28,7 +28,8 @@ class ConversationMergeService {
             limit = 50,
             includeAppleScript = true,
             includeDatabase = true,
-            mergeStrategy = 'database-priority' // 'database-priority' | 'applescript-priority' | 'balanced'
+            mergeStrategy = 'database-priority', // 'database-priority' | 'applescript-priority' | 'balanced'
+            operator // read state của operator (readStateService)
         } = options;
 
         try {
@@ -36,7 +37,7 @@ class ConversationMergeService {
 
             // Get data từ cả 2 nguồn song song
             const [dbResult, asResult] = await Promise.allSettled([
-                includeDatabase ? this.getConversationsFromDatabase(limit) : Promise.resolve({ success: false, conversations: [] }),
+                includeDatabase ? this.getConversationsFromDatabase(limit, operator) : Promise.resolve({ success: false, conversations: [] }),
                 includeAppleScript ? this.getConversationsFromAppleScript() : Promise.resolve({ success: false, conversations: [] })
             ]);
 
@@ -94,9 +95,9 @@ class ConversationMergeService {
     /**
      * Get conversations từ database
      */
-    async getConversationsFromDatabase(limit = 50) {
+    async getConversationsFromDatabase(limit = 50, operator) {
         try {
-            const result = await this.messageService.getConversations(limit);
+            const result = await this.messageService.getConversations(limit, { operator });
 
             if (!result.success) {
                 throw new Error(result.error);
@@ -106,12 +107,16 @@ class ConversationMergeService {
             const conversations = result.conversations.map(conv => ({
                 id: conv.sender,
                 sender: conv.sender,
-                name: this.extractNameFromSender(conv.sender),
+                normalizedSender: conv.normalizedSender || handleNormalizer.normalize(conv.sender, conv.country),
+                name: conv.displayName || this.extractNameFromSender(conv.sender),
+                contactId: conv.contactId || null,
+                avatarAvailable: conv.avatarAvailable || false,
                 lastMessage: conv.lastMessage || '',
                 lastMessageTime: conv.lastMessageDate
                     ? new Date(conv.lastMessageDate / 1000000000 * 1000 + Date.UTC(2001, 0, 1)).toISOString()
                     : new Date().toISOString(),
                 unreadCount: conv.unreadCount || 0,
+                markedUnread: conv.markedUnread || false,
                 messageCount: conv.messageCount || 0,
                 messageType: conv.service === 'iMessage' ? 'iMessage' : 'SMS',
                 service: conv.service || 'unknown',
@@ -141,48 +146,21 @@ class ConversationMergeService {
      */
     async getConversationsFromAppleScript() {
         try {
-            const script = `tell application "Messages"
-                try
-                    set svc to 1st service whose service type = iMessage
-                    set result to ""
-                    repeat with theChat in every chat of svc
-                        try
-                            set chatId to id of theChat as string
-                            set chatName to name of theChat as string
-                            set participantCount to (count of participants of theChat)
-                            set chatInfo to chatId & "|" & chatName & "|" & participantCount
-                            if result is not "" then
-                                set result to result & "\\n"
-                            end if
-                            set result to result & chatInfo
-                        on error chatErr
-                            log "Error processing chat: " & chatErr
-                        end try
-                    end repeat
-                    return result
-                on error errMsg
-                    return "error: " & errMsg
-                end try
-            end tell`;
-
-            const { stdout, stderr } = await execAsync(`osascript -e '${script}'`);
-
-            if (stderr) {
-                console.warn('⚠️ AppleScript stderr:', stderr);
-            }
-
-            const lines = (stdout || '').trim().split('\n').filter(line => line.trim());
+            const chats = await transport.getConversations({ withParticipantCount: true });
 
-            if (lines.length === 0 || lines[0].startsWith('error:')) {
-                throw new Error(lines[0] || 'No conversations found');
+            if (chats.length === 0) {
+                throw new Error('No conversations found');
             }
 
-            const conversations = lines.map(line => {
-                const [id, name, participantCount] = line.split('|');
+            const conversations = chats.map(({ id, name, participantCount }) => {
+                const contact = contactsService.describe(id);
                 return {
                     id: id || '',
                     sender: id || '',
-                    name: name || this.extractNameFromSender(id),
+                    normalizedSender: handleNormalizer.normalize(id),
+                    name: name || contact.displayName || this.extractNameFromSender(id),
+                    contactId: contact.contactId,
+                    avatarAvailable: contact.avatarAvailable,
                     participantCount: Number(participantCount) || 1,
                     lastMessage: '',
                     lastMessageTime: new Date().toISOString(),
@@ -217,10 +195,10 @@ class ConversationMergeService {
     mergeConversationData(dbConversations, asConversations, strategy = 'database-priority') {
         const conversationMap = new Map();
 
-        // Helper function để normalize sender
-        const normalizeSender = (sender) => {
+        // Helper function để normalize sender (E.164 / email chữ thường)
+        const normalizeSender = (sender, country) => {
             if (!sender) return '';
-            return sender.toLowerCase().trim();
+            return handleNormalizer.normalize(sender, country) || '';
         };
 
         // Helper function để choose better sender format
@@ -241,7 +219,7 @@ class ConversationMergeService {
 
         // Add database conversations first (higher priority)
         dbConversations.forEach(conv => {
-            const key = normalizeSender(conv.sender);
+            const key = normalizeSender(conv.sender, conv.country);
             if (key) {
                 conversationMap.set(key, {
                     ...conv,
@@ -0,0 +1,120 @@
+import { ensureSchema } from '../config/relayDatabase.js';
+
+const CACHE_LIMIT = 5000;
+
+/**
+ * Correlation Service for Blue Relay Tools
+ * Gắn relay message id (id trả về cho API/backend) với đúng message.guid trong chat.db.
+ * Một relay message có thể sinh nhiều row: phần text và từng attachment.
+ */
+class CorrelationService {
+    constructor() {
+        this.cache = new Map(); // message guid → { relayMessageId, part }
+    }
+
+    /**
+     * Get relay database with the correlation table in place
+     */
+    async getDb() {
+        return ensureSchema('message_correlations', `
+            CREATE TABLE IF NOT EXISTS message_correlations (
+                message_guid TEXT PRIMARY KEY,
+                relay_message_id TEXT NOT NULL,
+                message_rowid INTEGER,
+                part TEXT NOT NULL,
+                recipient TEXT,
+                chat_guid TEXT,
+                matched_by TEXT,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_message_correlations_relay ON message_correlations (relay_message_id);
+        `);
+    }
+
+    /**
+     * Bind a chat.db row to a relay message id. A guid already bound keeps its first owner.
+     * @param {Object} binding - { relayMessageId, messageGuid, rowid, part, recipient, chatGuid, matchedBy }
+     * @returns {Promise<boolean>} - false when the guid belongs to another relay message
+     */
+    async bind(binding) {
+        const { relayMessageId, messageGuid, rowid, part = 'text', recipient, chatGuid, matchedBy } = binding;
+        if (!relayMessageId || !messageGuid) return false;
+
+        const db = await this.getDb();
+        await db.run(`
+            INSERT OR IGNORE INTO message_correlations (
+                message_guid, relay_message_id, message_rowid, part, recipient, chat_guid, matched_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [messageGuid, relayMessageId, rowid ?? null, part, recipient || null, chatGuid || null, matchedBy || null, Date.now()]);
+
+        const owner = await this.lookup(messageGuid);
+        return owner?.relayMessageId === relayMessageId;
+    }
+
+    /**
+     * Find which relay message a chat.db row belongs to
+     * @param {string} messageGuid - message.guid
+     * @returns {Promise<{ relayMessageId: string, part: string }|null>}
+     */
+    async lookup(messageGuid) {
+        if (!messageGuid) return null;
+        if (this.cache.has(messageGuid)) return this.cache.get(messageGuid);
+
+        const db = await this.getDb();
+        const row = await db.get(`
+            SELECT relay_message_id, part FROM message_correlations WHERE message_guid = ?
+        `, [messageGuid]);
+        if (!row) return null;
+
+        const entry = { relayMessageId: row.relay_message_id, part: row.part };
+        this.remember(messageGuid, entry);
+        return entry;
+    }
+
+    /**
+     * Guids among the given ones that are already bound (candidates to skip when matching)
+     * @param {string[]} guids - message.guid values
+     * @returns {Promise<Set<string>>}
+     */
+    async getBoundGuids(guids) {
+        const list = (guids || []).filter(Boolean);
+        if (list.length === 0) return new Set();
+
+        const db = await this.getDb();
+        const rows = await db.all(`
+            SELECT message_guid FROM message_correlations
+            WHERE message_guid IN (${list.map(() => '?').join(',')})
+        `, list);
+        return new Set(rows.map(r => r.message_guid));
+    }
+
+    /**
+     * All rows bound to a relay message id
+     * @param {string} relayMessageId - Relay message id
+     * @returns {Promise<Array>}
+     */
+    async getByRelayMessageId(relayMessageId) {
+        const db = await this.getDb();
+        const rows = await db.all(`
+            SELECT * FROM message_correlations WHERE relay_message_id = ? ORDER BY message_rowid ASC
+        `, [relayMessageId]);
+        return rows.map(row => ({
+            messageGuid: row.message_guid,
+            rowid: row.message_rowid,
+            part: row.part,
+            recipient: row.recipient,
+            chatGuid: row.chat_guid,
+            matchedBy: row.matched_by,
+            boundAt: new Date(row.created_at).toISOString()
+        }));
+    }
+
+    remember(messageGuid, entry) {
+        if (this.cache.size >= CACHE_LIMIT) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(messageGuid, entry);
+    }
+}
+
+export default new CorrelationService();
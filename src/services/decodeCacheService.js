@@ -0,0 +1,180 @@
+import { ensureSchema } from '../config/relayDatabase.js';
+import { APP_CONFIG } from '../config/app.js';
+
+// SQLite giới hạn số tham số mỗi câu lệnh (999 trên bản cũ)
+const CHUNK_SIZE = 100;
+
+/**
+ * Decode Cache Service for Blue Relay Tools
+ * Lưu text + spans đã decode từ attributedBody vào relay.db, theo message.guid + date_edited:
+ * tin cũ không đổi nên mở lại conversation không phải decode lại, tin bị sửa (date_edited đổi) thì decode lại.
+ * Vượt DECODE_CACHE_MAX_ENTRIES thì xoá các entry lâu không dùng nhất (LRU theo last_used_at).
+ */
+class DecodeCacheService {
+    constructor() {
+        this.enabled = APP_CONFIG.DECODE_CACHE_ENABLED;
+        this.maxEntries = APP_CONFIG.DECODE_CACHE_MAX_ENTRIES;
+        this.entries = null;
+        this.stats = { hits: 0, misses: 0, stale: 0, writes: 0, evictions: 0, errors: 0 };
+        this.warmup = { state: 'idle', messages: 0, decoded: 0, durationMs: null };
+    }
+
+    /**
+     * Get relay database with the cache table in place
+     */
+    async getDb() {
+        return ensureSchema('decoded_bodies', `
+            CREATE TABLE IF NOT EXISTS decoded_bodies (
+                message_guid TEXT PRIMARY KEY,
+                date_edited INTEGER NOT NULL DEFAULT 0,
+                text TEXT NOT NULL,
+                spans TEXT NOT NULL,
+                decoder TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                last_used_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_decoded_bodies_last_used ON decoded_bodies (last_used_at);
+        `, (db) => this.countEntries(db));
+    }
+
+    async countEntries(db) {
+        const row = await db.get('SELECT COUNT(*) AS count FROM decoded_bodies');
+        this.entries = row.count;
+    }
+
+    /**
+     * Look up decoded bodies; an entry only counts when its date_edited stamp still matches
+     * @param {Array<{ guid: string, dateEdited: number }>} keys - message.guid + message.date_edited
+     * @returns {Promise<Map<string, { text: string, spans: Array }>>} - guid → decoded body (hits only)
+     */
+    async getMany(keys) {
+        const found = new Map();
+        const list = (keys || []).filter(key => key.guid);
+        if (!this.enabled || list.length === 0) return found;
+
+        try {
+            const db = await this.getDb();
+            const stamps = new Map(list.map(key => [key.guid, key.dateEdited || 0]));
+            const guids = [...stamps.keys()];
+            const hits = [];
+
+            for (let i = 0; i < guids.length; i += CHUNK_SIZE) {
+                const chunk = guids.slice(i, i + CHUNK_SIZE);
+                const rows = await db.all(`
+                    SELECT message_guid, date_edited, text, spans FROM decoded_bodies
+                    WHERE message_guid IN (${chunk.map(() => '?').join(',')})
+                `, chunk);
+
+                for (const row of rows) {
+                    if (row.date_edited !== stamps.get(row.message_guid)) {
+                        this.stats.stale++;
+                        continue;
+                    }
+                    found.set(row.message_guid, { text: row.text, spans: JSON.parse(row.spans) });
+                    hits.push(row.message_guid);
+                }
+            }
+
+            this.stats.hits += found.size;
+            this.stats.misses += guids.length - found.size;
+            await this.touch(db, hits);
+        } catch (error) {
+            this.stats.errors++;
+            console.warn('⚠️ Decode cache lookup failed:', error.message);
+        }
+        return found;
+    }
+
+    async touch(db, guids) {
+        const now = Date.now();
+        for (let i = 0; i < guids.length; i += CHUNK_SIZE) {
+            const chunk = guids.slice(i, i + CHUNK_SIZE);
+            await db.run(`
+                UPDATE decoded_bodies SET last_used_at = ?
+                WHERE message_guid IN (${chunk.map(() => '?').join(',')})
+            `, [now, ...chunk]);
+        }
+    }
+
+    /**
+     * Store decoded bodies (replaces older versions of the same guid)
+     * @param {Array<{ guid: string, dateEdited: number, text: string, spans: Array, decoder: string }>} entries
+     */
+    async setMany(entries) {
+        const list = (entries || []).filter(entry => entry.guid && typeof entry.text === 'string');
+        if (!this.enabled || list.length === 0) return;
+
+        try {
+            const db = await this.getDb();
+            const now = Date.now();
+            for (let i = 0; i < list.length; i += CHUNK_SIZE) {
+                const chunk = list.slice(i, i + CHUNK_SIZE);
+                await db.run(`
+                    INSERT OR REPLACE INTO decoded_bodies (
+                        message_guid, date_edited, text, spans, decoder, created_at, last_used_at
+                    ) VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}
+                `, chunk.flatMap(entry => [
+                    entry.guid, entry.dateEdited || 0, entry.text, JSON.stringify(entry.spans || []),
+                    entry.decoder || 'typedstream', now, now
+                ]));
+            }
+            this.stats.writes += list.length;
+            await this.countEntries(db);
+            await this.evict(db);
+        } catch (error) {
+            this.stats.errors++;
+            console.warn('⚠️ Decode cache write failed:', error.message);
+        }
+    }
+
+    /**
+     * Drop least recently used entries above DECODE_CACHE_MAX_ENTRIES
+     */
+    async evict(db) {
+        const excess = this.entries - this.maxEntries;
+        if (excess <= 0) return;
+
+        const result = await db.run(`
+            DELETE FROM decoded_bodies WHERE message_guid IN (
+                SELECT message_guid FROM decoded_bodies ORDER BY last_used_at ASC LIMIT ?
+            )
+        `, [excess]);
+        this.stats.evictions += result.changes;
+        this.entries -= result.changes;
+    }
+
+    /**
+     * Remove every entry
+     */
+    async clear() {
+        const db = await this.getDb();
+        await db.run('DELETE FROM decoded_bodies');
+        this.entries = 0;
+    }
+
+    /**
+     * Warm-up progress (set by MessageService.warmDecodeCache)
+     * @param {Object} update - { state, messages, decoded, durationMs }
+     */
+    setWarmup(update) {
+        this.warmup = { ...this.warmup, ...update };
+    }
+
+    /**
+     * Cache info for /api/info
+     * @returns {Object}
+     */
+    getState() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            enabled: this.enabled,
+            entries: this.entries,
+            maxEntries: this.maxEntries,
+            ...this.stats,
+            hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : null,
+            warmup: this.warmup
+        };
+    }
+}
+
+export default new DecodeCacheService();
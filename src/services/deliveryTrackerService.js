@@ -0,0 +1,154 @@
+import { EventEmitter } from 'events';
+import { getDatabase } from '../config/database.js';
+import { APP_CONFIG } from '../config/app.js';
+import messageService from './messageService.js';
+import correlationService from './correlationService.js';
+import reactionService from './reactionService.js';
+import logger from '../utils/logger.js';
+
+const APPLE_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+/**
+ * Delivery Tracker Service for Blue Relay Tools
+ * Theo dõi các tin gửi đi trong chat.db (is_delivered, date_delivered, date_read, error)
+ * và phát event khi trạng thái đổi: sent → delivered → read, hoặc failed.
+ */
+class DeliveryTrackerService extends EventEmitter {
+    constructor() {
+        super();
+        this.intervalMs = APP_CONFIG.DELIVERY_TRACK_INTERVAL_MS;
+        this.windowMs = APP_CONFIG.DELIVERY_TRACK_WINDOW_MS;
+        this.maxRows = APP_CONFIG.DELIVERY_TRACK_MAX_ROWS;
+        this.statuses = new Map(); // rowid → last emitted status
+        this.pollInterval = null;
+        this.isPolling = false;
+        this.seeded = false;
+    }
+
+    /**
+     * Start tracking. The first pass only records current statuses.
+     */
+    async start() {
+        if (this.pollInterval) return;
+        await this.poll();
+        this.pollInterval = setInterval(() => this.poll(), this.intervalMs);
+        console.log(`📬 Delivery tracker started (${this.statuses.size} outbound message(s) in window)`);
+    }
+
+    /**
+     * Stop tracking
+     */
+    stop() {
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+        }
+    }
+
+    /**
+     * Status of an outbound row, one step further than deriveStatusFromRow:
+     * a row with date_read is `read`. Also applies the SEND_FAIL_TIMEOUT_MS downgrade.
+     * @param {Object} row - Message row
+     * @returns {string}
+     */
+    getStatus(row) {
+        const { derivedStatus } = messageService.deriveStatusFromRow(row);
+        if (derivedStatus !== 'failed' && row.date_read && Number(row.date_read) > 0) {
+            return 'read';
+        }
+        return derivedStatus;
+    }
+
+    /**
+     * Check outbound rows in the tracking window and emit status changes
+     */
+    async poll() {
+        if (this.isPolling) return;
+        this.isPolling = true;
+
+        try {
+            const db = await getDatabase();
+            const sinceNs = (Date.now() - this.windowMs - APPLE_EPOCH_MS) * 1e6;
+            const rows = await db.all(`
+                SELECT
+                    m.ROWID AS rowid,
+                    m.guid,
+                    m.date,
+                    m.is_from_me,
+                    m.is_sent,
+                    m.is_delivered,
+                    m.is_finished,
+                    m.error AS error,
+                    m.date_read,
+                    m.date_delivered,
+                    m.service,
+                    h.id AS handle,
+                    c.guid AS chat_guid
+                FROM message m
+                LEFT JOIN handle h ON h.ROWID = m.handle_id
+                LEFT JOIN chat_message_join cmj ON cmj.message_id = m.ROWID
+                LEFT JOIN chat c ON c.ROWID = cmj.chat_id
+                WHERE m.is_from_me = 1
+                  AND m.date >= ?
+                  AND ${reactionService.excludeSql()}
+                ORDER BY m.ROWID DESC
+                LIMIT ?
+            `, [sinceNs, this.maxRows]);
+
+            const seen = new Map();
+            for (const row of rows) {
+                if (seen.has(row.rowid)) continue; // một message có thể join nhiều chat
+                const status = this.getStatus(row);
+                seen.set(row.rowid, status);
+
+                const previousStatus = this.statuses.get(row.rowid) ?? null;
+                if (this.seeded && status !== previousStatus) {
+                    await this.emitChange(row, status, previousStatus);
+                }
+            }
+
+            // Rows falling out of the window are no longer tracked
+            this.statuses = seen;
+            this.seeded = true;
+        } catch (error) {
+            console.error('❌ Delivery tracker poll failed:', error.message);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Emit a status change (with the relay message id when the row came from a relay send)
+     */
+    async emitChange(row, status, previousStatus) {
+        const correlation = await correlationService.lookup(row.guid).catch(() => null);
+        const event = {
+            relayMessageId: correlation?.relayMessageId || null,
+            part: correlation?.part || null,
+            rowid: row.rowid,
+            guid: row.guid,
+            handle: row.handle || null,
+            chatGuid: row.chat_guid || null,
+            service: row.service || null,
+            status,
+            previousStatus,
+            isSent: row.is_sent === 1,
+            isDelivered: row.is_delivered === 1,
+            dateDelivered: this.toIsoDate(row.date_delivered),
+            dateRead: this.toIsoDate(row.date_read),
+            error: row.error ? Number(row.error) : 0,
+            changedAt: new Date().toISOString()
+        };
+
+        console.log(`📬 Message ${row.guid} ${previousStatus || 'new'} → ${status}`, { relayMessageId: event.relayMessageId });
+        await logger.logStatusChange(event);
+        this.emit('status_changed', event);
+    }
+
+    toIsoDate(nsValue) {
+        const ms = messageService.toUnixMsFromAppleNsEpoch(nsValue);
+        return ms ? new Date(ms).toISOString() : null;
+    }
+}
+
+export default new DeliveryTrackerService();
@@ -0,0 +1,252 @@
+import { randomUUID } from 'crypto';
+import { getDatabase } from '../config/database.js';
+import { ensureSchema } from '../config/relayDatabase.js';
+import handleNormalizer from '../utils/handleNormalizer.js';
+
+/**
+ * Handle Alias Service for Blue Relay Tools
+ * Gộp các row trùng trong bảng handle của chat.db ("0346477714" / "+84346477714", "Dung@x.com" / "dung@x.com",
+ * iMessage + SMS) bằng một alias map ảo trong relay.db (handle_aliases): alias handle_id → canonical handle_id.
+ * Thay cho /api/cleanup-handles cũ (sửa message.handle_id, chat_handle_join và xoá row handle ngay trong chat.db).
+ * Mỗi lần apply là một batch, undo theo batch. chat.db chỉ được đọc.
+ */
+class HandleAliasService {
+    constructor() {
+        this.loading = null;
+        this.aliases = new Map(); // alias handle_id → { handleId, handle, canonicalHandleId, canonicalHandle, batchId }
+        this.members = new Map(); // canonical handle_id → Set(alias handle_id)
+    }
+
+    /**
+     * Get relay database with the handle_aliases table in place
+     */
+    async getDb() {
+        return ensureSchema('handle_aliases', `
+            CREATE TABLE IF NOT EXISTS handle_aliases (
+                handle_id INTEGER PRIMARY KEY,
+                handle TEXT NOT NULL,
+                canonical_handle_id INTEGER NOT NULL,
+                canonical_handle TEXT NOT NULL,
+                batch_id TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_handle_aliases_batch ON handle_aliases (batch_id);
+        `);
+    }
+
+    /**
+     * Load the alias map into memory (một lần; apply / undo nạp lại)
+     */
+    async initialize() {
+        if (!this.loading) {
+            this.loading = this.load().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        await this.loading;
+    }
+
+    async load() {
+        const db = await this.getDb();
+        const rows = await db.all('SELECT handle_id, handle, canonical_handle_id, canonical_handle, batch_id FROM handle_aliases');
+
+        const aliases = new Map();
+        const members = new Map();
+        for (const row of rows) {
+            aliases.set(row.handle_id, {
+                handleId: row.handle_id,
+                handle: row.handle,
+                canonicalHandleId: row.canonical_handle_id,
+                canonicalHandle: row.canonical_handle,
+                batchId: row.batch_id
+            });
+            if (!members.has(row.canonical_handle_id)) members.set(row.canonical_handle_id, new Set());
+            members.get(row.canonical_handle_id).add(row.handle_id);
+        }
+
+        this.aliases = aliases;
+        this.members = members;
+        if (rows.length > 0) {
+            console.log(`🪪 Loaded ${rows.length} handle alias(es)`);
+        }
+    }
+
+    /**
+     * Canonical handle_id of a chat.db handle_id (chính nó khi không phải alias)
+     * @param {number} handleId
+     * @returns {number}
+     */
+    canonicalId(handleId) {
+        return this.aliases.get(handleId)?.canonicalHandleId ?? handleId;
+    }
+
+    /**
+     * Canonical handle (chat.db handle.id) to show for a message / conversation row
+     * @param {number} handleId - message.handle_id
+     * @param {string} handle - handle.id of that row
+     * @returns {string}
+     */
+    canonicalHandle(handleId, handle) {
+        return this.aliases.get(handleId)?.canonicalHandle ?? handle;
+    }
+
+    /**
+     * Every handle_id aliased together with the given ones (canonical + aliases), order preserved
+     * @param {number[]} handleIds
+     * @returns {number[]}
+     */
+    expand(handleIds) {
+        const expanded = new Set();
+        for (const handleId of handleIds) {
+            const canonicalId = this.canonicalId(handleId);
+            expanded.add(handleId);
+            expanded.add(canonicalId);
+            for (const aliasId of this.members.get(canonicalId) || []) expanded.add(aliasId);
+        }
+        return [...expanded];
+    }
+
+    /**
+     * Duplicate handles that apply() would alias (cùng handle sau khi chuẩn hoá E.164 / email chữ thường)
+     * Canonical: handle đã là canonical → id đúng dạng chuẩn hoá → nhiều tin nhất → ROWID nhỏ nhất.
+     * @param {Object} [options] - { handles }: chỉ các nhóm của những handle này
+     * @returns {Promise<{ groups: Array<{ normalized, canonical, aliases }>, aliasCount: number }>}
+     */
+    async preview({ handles } = {}) {
+        await this.initialize();
+        const chatDb = await getDatabase();
+        const rows = await chatDb.all('SELECT ROWID AS handle_id, id, service, country FROM handle ORDER BY ROWID');
+        const counts = new Map((await chatDb.all(`
+            SELECT handle_id, COUNT(*) AS count FROM message WHERE handle_id > 0 GROUP BY handle_id
+        `)).map((row) => [row.handle_id, row.count]));
+
+        const only = Array.isArray(handles) && handles.length > 0
+            ? new Set(handles.map((handle) => handleNormalizer.normalize(handle)).filter(Boolean))
+            : null;
+
+        const byNormalized = new Map();
+        for (const row of rows) {
+            if (this.aliases.has(row.handle_id)) continue; // đã gộp
+            const normalized = handleNormalizer.normalize(row.id, row.country);
+            if (!normalized || (only && !only.has(normalized))) continue;
+            if (!byNormalized.has(normalized)) byNormalized.set(normalized, []);
+            byNormalized.get(normalized).push({
+                handleId: row.handle_id,
+                handle: row.id,
+                service: row.service,
+                messageCount: counts.get(row.handle_id) || 0,
+                normalized
+            });
+        }
+
+        const groups = [];
+        for (const [normalized, entries] of byNormalized) {
+            if (entries.length < 2) continue;
+            entries.sort((a, b) =>
+                this.members.has(b.handleId) - this.members.has(a.handleId) ||
+                (b.handle === normalized) - (a.handle === normalized) ||
+                b.messageCount - a.messageCount ||
+                a.handleId - b.handleId
+            );
+            const [canonical, ...rest] = entries;
+            // Một canonical khác trong cùng nhóm giữ nguyên, không tạo alias lồng nhau
+            const aliases = rest.filter((entry) => !this.members.has(entry.handleId));
+            if (aliases.length === 0) continue;
+            groups.push({
+                normalized,
+                canonical: this.formatEntry(canonical),
+                aliases: aliases.map((entry) => this.formatEntry(entry))
+            });
+        }
+
+        return { groups, aliasCount: groups.reduce((sum, group) => sum + group.aliases.length, 0) };
+    }
+
+    formatEntry({ handleId, handle, service, messageCount }) {
+        return { handleId, handle, service, messageCount };
+    }
+
+    /**
+     * Store the previewed aliases as one batch
+     * @param {Object} [options] - { handles }: như preview
+     * @returns {Promise<{ batchId: string|null, groups: Array, aliasCount: number }>}
+     */
+    async apply(options = {}) {
+        const { groups, aliasCount } = await this.preview(options);
+        if (aliasCount === 0) {
+            return { batchId: null, groups, aliasCount };
+        }
+
+        const db = await this.getDb();
+        const batchId = randomUUID();
+        const now = Date.now();
+        const rows = groups.flatMap(({ canonical, aliases }) =>
+            aliases.map((alias) => [alias.handleId, alias.handle, canonical.handleId, canonical.handle, batchId, now])
+        );
+        await db.run(`
+            INSERT INTO handle_aliases (handle_id, handle, canonical_handle_id, canonical_handle, batch_id, created_at)
+            VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+            ON CONFLICT(handle_id) DO NOTHING
+        `, rows.flat());
+
+        await this.load();
+        console.log(`🪪 Aliased ${aliasCount} duplicate handle(s) in ${groups.length} group(s) (batch ${batchId})`);
+        return { batchId, groups, aliasCount };
+    }
+
+    /**
+     * Remove the aliases of one batch (mặc định: batch mới nhất)
+     * @param {string} [batchId]
+     * @returns {Promise<{ batchId: string, removed: Array<{ handleId, handle, canonicalHandleId, canonicalHandle }> }|null>} - null when there is nothing to undo
+     */
+    async undo(batchId) {
+        const db = await this.getDb();
+        const target = batchId || (await db.get('SELECT batch_id FROM handle_aliases ORDER BY created_at DESC, rowid DESC LIMIT 1'))?.batch_id;
+        if (!target) return null;
+
+        const rows = await db.all('SELECT handle_id, handle, canonical_handle_id, canonical_handle FROM handle_aliases WHERE batch_id = ? ORDER BY handle_id', [target]);
+        if (rows.length === 0) return null;
+
+        await db.run('DELETE FROM handle_aliases WHERE batch_id = ?', [target]);
+        await this.load();
+        console.log(`🪪 Undid handle alias batch ${target} (${rows.length} alias(es))`);
+        return {
+            batchId: target,
+            removed: rows.map((row) => ({
+                handleId: row.handle_id,
+                handle: row.handle,
+                canonicalHandleId: row.canonical_handle_id,
+                canonicalHandle: row.canonical_handle
+            }))
+        };
+    }
+
+    /**
+     * Applied batches, newest first
+     * @returns {Promise<Array<{ batchId, createdAt, aliases }>>}
+     */
+    async getBatches() {
+        const db = await this.getDb();
+        const rows = await db.all(`
+            SELECT handle_id, handle, canonical_handle_id, canonical_handle, batch_id, created_at
+            FROM handle_aliases
+            ORDER BY created_at DESC, handle_id
+        `);
+        const batches = new Map();
+        for (const row of rows) {
+            if (!batches.has(row.batch_id)) {
+                batches.set(row.batch_id, { batchId: row.batch_id, createdAt: new Date(row.created_at).toISOString(), aliases: [] });
+            }
+            batches.get(row.batch_id).aliases.push({
+                handleId: row.handle_id,
+                handle: row.handle,
+                canonicalHandleId: row.canonical_handle_id,
+                canonicalHandle: row.canonical_handle
+            });
+        }
+        return [...batches.values()];
+    }
+}
+
+export default new HandleAliasService();
@@ -2,6 +2,7 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs/promises';
 import logger from '../utils/logger.js';
+import appleScript from '../utils/applescript.js';
 
 const execAsync = promisify(exec);
 
@@ -228,7 +229,7 @@ class ICloudDetectionService {
             // Method 4: Lấy từ System Preferences bằng AppleScript
             if (!result.email) {
                 try {
-                    const { stdout: appleScriptResult } = await execAsync('osascript -e "tell application \\"System Events\\" to get value of text field 1 of group 1 of window 1 of process \\"System Preferences\\"" 2>/dev/null');
+                    const appleScriptResult = await appleScript.querySystemEvents('tell application "System Events" to get value of text field 1 of group 1 of window 1 of process "System Preferences"');
                     if (appleScriptResult && appleScriptResult.trim()) {
                         result.apple_id = appleScriptResult.trim();
                         result.email = appleScriptResult.trim();
@@ -603,7 +604,7 @@ class ICloudDetectionService {
             // Method 3: Lấy từ iCloud account bằng AppleScript (backup)
             if (!result.email) {
                 try {
-                    const { stdout: appleScriptResult } = await execAsync('osascript -e "tell application \\"System Events\\" to tell process \\"System Preferences\\" to get value of text field 1 of group 1 of window 1" 2>/dev/null');
+                    const appleScriptResult = await appleScript.querySystemEvents('tell application "System Events" to tell process "System Preferences" to get value of text field 1 of group 1 of window 1');
                     if (appleScriptResult && appleScriptResult.trim() && appleScriptResult.trim().includes('@')) {
                         result.email = appleScriptResult.trim();
                         result.apple_id = appleScriptResult.trim();
@@ -0,0 +1,255 @@
+import { randomUUID } from 'crypto';
+import { getDatabase } from '../config/database.js';
+import { ensureSchema } from '../config/relayDatabase.js';
+import handleNormalizer from '../utils/handleNormalizer.js';
+import contactsService from './contactsService.js';
+
+/**
+ * Identity Service for Blue Relay Tools
+ * Gom các handle của cùng một người (số điện thoại + email, iMessage + SMS) thành một "person":
+ *   - contact: các handle thuộc cùng một contact trong danh bạ (contactsService)
+ *   - chat: các handle cùng nằm trong một chat 1:1 (chat_handle_join, Messages đã tự gộp)
+ *   - alias: quy tắc gộp thủ công, lưu trong relay.db (identity_links)
+ * Chỉ đọc chat.db, không bao giờ ghi vào đó.
+ *
+ * Lỗi có error.code: IDENTITY_INVALID
+ */
+class IdentityService {
+    constructor() {
+        this.snapshot = null; // { signature, people, byHandleId, byKey }
+        this.linksVersion = 0;
+    }
+
+    /**
+     * Get relay database with the identity_links table in place
+     */
+    async getDb() {
+        return ensureSchema('identity_links', `
+            CREATE TABLE IF NOT EXISTS identity_links (
+                handle TEXT PRIMARY KEY,
+                group_id TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_identity_links_group ON identity_links (group_id);
+        `);
+    }
+
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * People built from chat.db handles (rebuilt khi handle / chat_handle_join / danh bạ / alias thay đổi)
+     * @returns {Promise<{ people: Map<string, Object>, byHandleId: Map<number, string>, byKey: Map<string, string> }>}
+     */
+    async resolve() {
+        const chatDb = await getDatabase();
+        const state = await chatDb.get(`
+            SELECT (SELECT MAX(ROWID) FROM handle) AS max_handle, (SELECT COUNT(*) FROM chat_handle_join) AS joins
+        `);
+        const signature = `${state.max_handle}:${state.joins}:${contactsService.loadedAt}:${this.linksVersion}`;
+        if (this.snapshot?.signature === signature) return this.snapshot;
+
+        const handles = await chatDb.all('SELECT ROWID AS handle_id, id, service, country FROM handle ORDER BY ROWID');
+        const directChats = await chatDb.all(`
+            SELECT chj.chat_id, chj.handle_id
+            FROM chat_handle_join chj
+            JOIN chat c ON c.ROWID = chj.chat_id
+            WHERE c.style = 45
+            ORDER BY chj.chat_id
+        `);
+        const links = await (await this.getDb()).all('SELECT handle, group_id FROM identity_links');
+
+        // Union-find trên node: "h:<normalized>", "contact:<id>", "alias:<group_id>"
+        const parent = new Map();
+        const reasons = new Map(); // root → Set(lý do gộp)
+        const find = (node) => {
+            if (!parent.has(node)) parent.set(node, node);
+            let root = node;
+            while (parent.get(root) !== root) root = parent.get(root);
+            parent.set(node, root);
+            return root;
+        };
+        const union = (a, b, reason) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA === rootB) return;
+            parent.set(rootB, rootA);
+            const merged = new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || [])]);
+            if (reason) merged.add(reason);
+            reasons.set(rootA, merged);
+            reasons.delete(rootB);
+        };
+
+        const entries = handles
+            .map((row) => ({ ...row, normalized: handleNormalizer.normalize(row.id, row.country) }))
+            .filter((row) => row.normalized);
+        const keyOfHandleId = new Map(entries.map((row) => [row.handle_id, `h:${row.normalized}`]));
+
+        for (const row of entries) {
+            const node = `h:${row.normalized}`;
+            find(node);
+            const contact = contactsService.lookup(row.id, row.country);
+            if (contact) union(`contact:${contact.contactId}`, node, 'contact');
+        }
+
+        let previous = null;
+        for (const { chat_id: chatId, handle_id: handleId } of directChats) {
+            const node = keyOfHandleId.get(handleId);
+            if (!node) continue;
+            if (previous?.chatId === chatId) union(previous.node, node, 'chat');
+            previous = { chatId, node };
+        }
+
+        for (const { handle, group_id: groupId } of links) {
+            union(`alias:${groupId}`, `h:${handle}`, 'alias');
+        }
+
+        // root → person
+        const people = new Map();
+        const rootToPerson = new Map();
+        const byHandleId = new Map();
+        const byKey = new Map();
+
+        for (const row of entries) {
+            const root = find(`h:${row.normalized}`);
+            let person = rootToPerson.get(root);
+            if (!person) {
+                person = { nodes: [], handles: [], linkedBy: [...(reasons.get(root) || [])].sort() };
+                rootToPerson.set(root, person);
+            }
+            person.handles.push({
+                handleId: row.handle_id,
+                handle: row.id,
+                normalizedHandle: row.normalized,
+                service: row.service,
+                country: row.country || null
+            });
+        }
+        for (const node of parent.keys()) {
+            if (!node.startsWith('h:')) rootToPerson.get(find(node))?.nodes.push(node);
+        }
+
+        for (const person of rootToPerson.values()) {
+            const contact = person.handles.map((h) => contactsService.lookup(h.handle, h.country)).find(Boolean) || null;
+            const alias = person.nodes.find((node) => node.startsWith('alias:'));
+            // id ổn định: contact → nhóm alias → handle đầu tiên (số điện thoại trước email)
+            const primary = [...person.handles].sort((a, b) =>
+                a.normalizedHandle.includes('@') - b.normalizedHandle.includes('@') || a.handleId - b.handleId
+            )[0];
+            const personId = contact ? `contact:${contact.contactId}` : alias || `handle:${primary.normalizedHandle}`;
+
+            const formatted = {
+                personId,
+                displayName: contact?.displayName || null,
+                contactId: contact?.contactId || null,
+                avatarAvailable: contact?.avatarAvailable || false,
+                primaryHandle: primary.handle,
+                handles: person.handles,
+                linkedBy: person.linkedBy
+            };
+            people.set(personId, formatted);
+            for (const handle of person.handles) {
+                byHandleId.set(handle.handleId, personId);
+                byKey.set(handle.normalizedHandle, personId);
+            }
+        }
+
+        this.snapshot = { signature, people, byHandleId, byKey };
+        return this.snapshot;
+    }
+
+    /**
+     * Person by personId or by any of its handles (mọi định dạng)
+     * @param {string} ref - "contact:…", "alias:…", "handle:…" or a phone number / email
+     * @returns {Promise<Object|null>}
+     */
+    async findPerson(ref) {
+        if (!ref) return null;
+        const { people, byKey } = await this.resolve();
+        if (people.has(ref)) return people.get(ref);
+        const personId = byKey.get(handleNormalizer.normalize(ref));
+        return personId ? people.get(personId) : null;
+    }
+
+    /**
+     * Manual alias rules (identity_links), grouped
+     * @returns {Promise<Array<{ groupId: string, handles: string[], createdAt: string }>>}
+     */
+    async getLinks() {
+        const db = await this.getDb();
+        const rows = await db.all('SELECT handle, group_id, created_at FROM identity_links ORDER BY created_at, handle');
+        const groups = new Map();
+        for (const row of rows) {
+            if (!groups.has(row.group_id)) {
+                groups.set(row.group_id, { groupId: row.group_id, handles: [], createdAt: new Date(row.created_at).toISOString() });
+            }
+            groups.get(row.group_id).handles.push(row.handle);
+        }
+        return [...groups.values()];
+    }
+
+    /**
+     * Treat handles as one person (nhóm alias có sẵn của các handle này được gộp lại)
+     * @param {string[]} handles - Phone numbers / emails in any format
+     * @returns {Promise<{ groupId: string, handles: string[] }>}
+     */
+    async link(handles) {
+        const normalized = [...new Set((Array.isArray(handles) ? handles : []).map((handle) => handleNormalizer.normalize(handle)).filter(Boolean))];
+        if (normalized.length < 2) {
+            throw this.createError('IDENTITY_INVALID', 'At least two different handles are required');
+        }
+
+        const db = await this.getDb();
+        const existing = await db.all(
+            `SELECT DISTINCT group_id FROM identity_links WHERE handle IN (${normalized.map(() => '?').join(',')})`,
+            normalized
+        );
+        const groupId = existing[0]?.group_id || randomUUID();
+        const now = Date.now();
+
+        if (existing.length > 1) {
+            const others = existing.slice(1).map((row) => row.group_id);
+            await db.run(`UPDATE identity_links SET group_id = ? WHERE group_id IN (${others.map(() => '?').join(',')})`, [groupId, ...others]);
+        }
+        await db.run(`
+            INSERT INTO identity_links (handle, group_id, created_at) VALUES ${normalized.map(() => '(?, ?, ?)').join(', ')}
+            ON CONFLICT(handle) DO UPDATE SET group_id = excluded.group_id
+        `, normalized.flatMap((handle) => [handle, groupId, now]));
+
+        this.linksVersion++;
+        const rows = await db.all('SELECT handle FROM identity_links WHERE group_id = ? ORDER BY handle', [groupId]);
+        console.log(`🔗 Linked ${normalized.join(', ')} (alias group ${groupId})`);
+        return { groupId, handles: rows.map((row) => row.handle) };
+    }
+
+    /**
+     * Remove a handle from its alias group (nhóm chỉ còn một handle thì bị xoá luôn)
+     * @param {string} handle - Phone number / email in any format
+     * @returns {Promise<boolean>} - false when the handle had no alias rule
+     */
+    async unlink(handle) {
+        const normalized = handleNormalizer.normalize(handle);
+        if (!normalized) {
+            throw this.createError('IDENTITY_INVALID', 'Handle is required');
+        }
+
+        const db = await this.getDb();
+        const row = await db.get('SELECT group_id FROM identity_links WHERE handle = ?', [normalized]);
+        if (!row) return false;
+
+        await db.run('DELETE FROM identity_links WHERE handle = ?', [normalized]);
+        const remaining = await db.get('SELECT COUNT(*) AS count FROM identity_links WHERE group_id = ?', [row.group_id]);
+        if (remaining.count < 2) {
+            await db.run('DELETE FROM identity_links WHERE group_id = ?', [row.group_id]);
+        }
+
+        this.linksVersion++;
+        console.log(`🔗 Unlinked ${normalized}`);
+        return true;
+    }
+}
+
+export default new IdentityService();
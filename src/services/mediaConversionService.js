@@ -0,0 +1,222 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { APP_CONFIG } from '../config/app.js';
+import mediaConverter from '../converters/index.js';
+
+// format → { kind, extension, mimeType }
+const FORMATS = {
+    jpeg: { kind: 'image', extension: 'jpg', mimeType: 'image/jpeg' },
+    png: { kind: 'image', extension: 'png', mimeType: 'image/png' },
+    webp: { kind: 'image', extension: 'webp', mimeType: 'image/webp' },
+    mp3: { kind: 'audio', extension: 'mp3', mimeType: 'audio/mpeg' },
+    wav: { kind: 'audio', extension: 'wav', mimeType: 'audio/wav' },
+    ogg: { kind: 'audio', extension: 'ogg', mimeType: 'audio/ogg' }
+};
+
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+// UTI của Messages khi attachment không có mime_type
+const KIND_BY_UTI = {
+    'public.heic': 'image',
+    'public.heif': 'image',
+    'public.jpeg': 'image',
+    'public.png': 'image',
+    'com.apple.coreaudio-format': 'audio',
+    'com.apple.m4a-audio': 'audio'
+};
+
+const MIN_THUMBNAIL_SIZE = 16;
+
+/**
+ * Media Conversion Service for Blue Relay Tools
+ * Chuyển file đính kèm sang định dạng web (?format=jpeg|png|webp|mp3|wav|ogg, ?size= cho thumbnail)
+ * bằng converter chọn qua MEDIA_CONVERTER. Kết quả cache trên đĩa theo attachment guid + format + size,
+ * nhiều request cùng lúc cho cùng một file chỉ chạy một lần chuyển đổi.
+ *
+ * Lỗi có error.code: CONVERSION_INVALID (tham số sai) | CONVERSION_UNSUPPORTED | lỗi của converter
+ */
+class MediaConversionService {
+    constructor() {
+        this.converter = mediaConverter;
+        this.cacheDir = path.resolve(APP_CONFIG.MEDIA_CACHE_DIR);
+        this.timeoutMs = APP_CONFIG.MEDIA_CONVERT_TIMEOUT_MS;
+        this.concurrency = Math.max(APP_CONFIG.MEDIA_CONVERT_CONCURRENCY, 1);
+        this.maxSize = APP_CONFIG.MEDIA_THUMBNAIL_MAX_SIZE;
+
+        this.pending = [];
+        this.running = 0;
+        this.inFlight = new Map(); // cache path → Promise
+        this.stats = { converted: 0, cacheHits: 0, failed: 0 };
+    }
+
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * image | audio | null, from mime_type then UTI
+     * @param {Object} attachment - Attachment payload (attachmentService.formatAttachment)
+     */
+    kindOf(attachment) {
+        const mimeKind = /^(image|audio)\//.exec(attachment.mime_type || '');
+        return mimeKind ? mimeKind[1] : KIND_BY_UTI[attachment.uti] || null;
+    }
+
+    /**
+     * Validate conversion options
+     * Chỉ có size: thumbnail ở định dạng ảnh đầu tiên converter hỗ trợ.
+     * @param {Object} attachment - Attachment payload
+     * @param {Object} options - { format, size } (query string)
+     * @returns {{ kind: string, format: string, size: number|null }}
+     */
+    parseOptions(attachment, { format, size } = {}) {
+        const kind = this.kindOf(attachment);
+        if (!kind) {
+            throw this.createError('CONVERSION_UNSUPPORTED', 'Only image and audio attachments can be converted');
+        }
+
+        let maxEdge = null;
+        if (size !== undefined && size !== '') {
+            maxEdge = Number(size);
+            if (!Number.isInteger(maxEdge) || maxEdge < MIN_THUMBNAIL_SIZE || maxEdge > this.maxSize) {
+                throw this.createError('CONVERSION_INVALID', `size must be an integer between ${MIN_THUMBNAIL_SIZE} and ${this.maxSize}`);
+            }
+            if (kind !== 'image') {
+                throw this.createError('CONVERSION_INVALID', 'size only applies to images');
+            }
+        }
+
+        const requested = format ? String(format).toLowerCase() : this.converter.formats[kind][0];
+        const target = FORMAT_ALIASES[requested] || requested;
+        if (!FORMATS[target]) {
+            throw this.createError('CONVERSION_INVALID', `Unknown format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+        }
+        if (FORMATS[target].kind !== kind) {
+            throw this.createError('CONVERSION_INVALID', `${target} is not an ${kind} format`);
+        }
+        if (!this.converter.supports(kind, target) || (maxEdge && !this.converter.thumbnails)) {
+            const supported = this.converter.formats[kind].join(', ') || 'none';
+            throw this.createError('CONVERSION_UNSUPPORTED', `The ${this.converter.name} converter cannot write ${target}${maxEdge ? ' thumbnails' : ''} (${kind}: ${supported})`);
+        }
+
+        return { kind, format: target, size: maxEdge };
+    }
+
+    /**
+     * Cache file for one attachment + format + size
+     */
+    cachePath(guid, { format, size }) {
+        const folder = String(guid).replace(/[^A-Za-z0-9_-]/g, '_');
+        return path.join(this.cacheDir, folder, `${size || 'full'}.${FORMATS[format].extension}`);
+    }
+
+    /**
+     * Converted copy of an attachment (from cache when available)
+     * @param {string} input - Attachment file (attachmentService.resolveAttachmentFile)
+     * @param {Object} attachment - Attachment payload
+     * @param {Object} options - { format, size }
+     * @returns {Promise<{ path: string, mimeType: string, filename: string, cached: boolean }>}
+     */
+    async getConverted(input, attachment, options) {
+        const job = this.parseOptions(attachment, options);
+        const output = this.cachePath(attachment.guid, job);
+        const baseName = path.parse(attachment.filename || `attachment-${attachment.id}`).name;
+        const result = {
+            path: output,
+            mimeType: FORMATS[job.format].mimeType,
+            filename: `${baseName}${job.size ? `-${job.size}` : ''}.${FORMATS[job.format].extension}`
+        };
+
+        if (await this.isCached(output)) {
+            this.stats.cacheHits++;
+            return { ...result, cached: true };
+        }
+
+        if (!this.inFlight.has(output)) {
+            const conversion = this.schedule(() => this.convert({ ...job, input, output }))
+                .finally(() => this.inFlight.delete(output));
+            this.inFlight.set(output, conversion);
+        }
+        await this.inFlight.get(output);
+        return { ...result, cached: false };
+    }
+
+    async isCached(output) {
+        const stat = await fs.stat(output).catch(() => null);
+        return !!stat && stat.size > 0;
+    }
+
+    /**
+     * Run conversions with at most MEDIA_CONVERT_CONCURRENCY at a time
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const { task, resolve, reject } = this.pending.shift();
+            this.running++;
+            task()
+                .then(resolve, reject)
+                .finally(() => {
+                    this.running--;
+                    this.drain();
+                });
+        }
+    }
+
+    /**
+     * Convert into a temp file, then rename into the cache (không để lại file dở khi lỗi)
+     */
+    async convert({ input, output, kind, format, size }) {
+        await fs.mkdir(path.dirname(output), { recursive: true });
+        // Giữ đuôi file: sips / ffmpeg chọn định dạng theo đuôi output
+        const temp = `${output}.${randomUUID()}.tmp.${FORMATS[format].extension}`;
+        const startedAt = Date.now();
+
+        try {
+            await this.converter.convert({ input, output: temp, kind, format, size, timeoutMs: this.timeoutMs });
+            if (!(await this.isCached(temp))) {
+                throw this.createError('CONVERSION_FAILED', `${this.converter.name} converter produced no output`);
+            }
+            await fs.rename(temp, output);
+            this.stats.converted++;
+            console.log(`🖼️  Converted attachment → ${format}${size ? ` (${size}px)` : ''} in ${Date.now() - startedAt}ms`);
+        } catch (error) {
+            this.stats.failed++;
+            await fs.rm(temp, { force: true });
+            console.warn(`⚠️ Attachment conversion to ${format} failed:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove every cached conversion
+     */
+    async clear() {
+        await fs.rm(this.cacheDir, { recursive: true, force: true });
+    }
+
+    /**
+     * Conversion info for /api/info
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            converter: this.converter.getState(),
+            cacheDir: this.cacheDir,
+            running: this.running,
+            pending: this.pending.length,
+            ...this.stats
+        };
+    }
+}
+
+export default new MediaConversionService();
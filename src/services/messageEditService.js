@@ -0,0 +1,193 @@
+import bplistParser from 'bplist-parser';
+import { getDatabase, getMessageColumns } from '../config/database.js';
+import { APP_CONFIG } from '../config/app.js';
+import typedStreamDecoder from '../utils/typedStreamDecoder.js';
+import reactionService from './reactionService.js';
+
+const APPLE_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+/**
+ * Message Edit Service for Blue Relay Tools
+ * Tin sửa / thu hồi (macOS 13+): message.date_edited, message.date_retracted (macOS 14+) và
+ * message_summary_info (binary plist): "ec" = các phiên bản của từng message part
+ * ({ d: thời điểm, t: attributedBody của phiên bản đó }), "rp" = các part đã thu hồi.
+ * text / attributedBody của row luôn là phiên bản mới nhất (null khi cả tin bị thu hồi).
+ */
+class MessageEditService {
+    constructor() {
+        this.windowMs = APP_CONFIG.EDIT_TRACK_WINDOW_MS;
+        this.stamps = new Map(); // rowid → { stamp: "date_edited:date_retracted", retracted: số part đã thu hồi }
+        this.seeded = false;
+    }
+
+    /**
+     * Select list for edit state (cột không có trên chat.db cũ → 0 / NULL)
+     * @returns {Promise<string>} - "<expr> AS date_retracted, <expr> AS message_summary_info"
+     */
+    async selectSql() {
+        const columns = await getMessageColumns();
+        return [
+            `${columns.has('date_retracted') ? 'm.date_retracted' : '0'} AS date_retracted`,
+            `${columns.has('message_summary_info') ? 'm.message_summary_info' : 'NULL'} AS message_summary_info`
+        ].join(', ');
+    }
+
+    /**
+     * SQL condition matching unsent messages (không có text / attributedBody nên bị lọc khỏi danh sách tin)
+     * macOS 13 chưa có date_retracted: tin thu hồi là tin có date_edited nhưng không còn text.
+     * @returns {Promise<string>}
+     */
+    async retractedSql() {
+        const columns = await getMessageColumns();
+        const conditions = [];
+        if (columns.has('date_retracted')) conditions.push('m.date_retracted > 0');
+        if (columns.has('date_edited')) conditions.push('(m.date_edited > 0 AND m.text IS NULL AND m.attributedBody IS NULL)');
+        return conditions.length > 0 ? `(${conditions.join(' OR ')})` : '0';
+    }
+
+    /**
+     * Parse message_summary_info
+     * @param {Buffer} buffer - message_summary_info blob
+     * @returns {{ versions: Array<{ part: number, text: string|null, date: string|null }>, retractedParts: number[] }|null}
+     */
+    parseSummaryInfo(buffer) {
+        if (!buffer || buffer.length === 0) return null;
+
+        let info;
+        try {
+            [info] = bplistParser.parseBuffer(Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer));
+        } catch (error) {
+            console.warn('⚠️ Could not parse message_summary_info:', error.message);
+            return null;
+        }
+        if (!info || typeof info !== 'object') return null;
+
+        const versions = [];
+        for (const [part, edits] of Object.entries(info.ec || {})) {
+            if (!Array.isArray(edits)) continue;
+            for (const edit of edits) {
+                versions.push({
+                    part: Number(part),
+                    text: this.decodeText(edit?.t),
+                    date: this.toIsoDate(edit?.d)
+                });
+            }
+        }
+
+        return {
+            versions,
+            retractedParts: Array.isArray(info.rp) ? info.rp.map(Number).filter(Number.isInteger) : []
+        };
+    }
+
+    decodeText(body) {
+        if (!Buffer.isBuffer(body)) return null;
+        try {
+            return typedStreamDecoder.decode(body)?.text ?? null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Apple epoch timestamp → ISO string
+     * chat.db dùng nanosecond, message_summary_info dùng giây (số thực)
+     */
+    toIsoDate(value) {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number <= 0) return null;
+        const ms = number > 1e14 ? number / 1e6 : number * 1000;
+        return new Date(APPLE_EPOCH_MS + ms).toISOString();
+    }
+
+    /**
+     * Edit / retraction fields of the message model
+     * @param {Object} row - Row with date_edited, date_retracted, message_summary_info, text, attributedBody
+     * @returns {{ is_edited: boolean, edited_at: string|null, edit_history: Array, is_retracted: boolean, retracted_at: string|null, retracted_parts: number[] }}
+     */
+    describe(row) {
+        const summary = this.parseSummaryInfo(row.message_summary_info);
+        const retractedParts = summary?.retractedParts || [];
+        const wholeMessageRetracted = !row.text && !row.attributedBody;
+        const isRetracted = retractedParts.length > 0 || row.date_retracted > 0 || (row.date_edited > 0 && wholeMessageRetracted);
+        const history = summary?.versions || [];
+        // Messages ghi date_edited cả khi thu hồi: chỉ tính là sửa khi có phiên bản trong "ec"
+        const isEdited = history.length > 0 || (row.date_edited > 0 && !isRetracted);
+
+        return {
+            is_edited: isEdited,
+            edited_at: isEdited ? this.toIsoDate(row.date_edited) || history.at(-1)?.date || null : null,
+            edit_history: history,
+            is_retracted: isRetracted,
+            retracted_at: isRetracted ? this.toIsoDate(row.date_retracted) || this.toIsoDate(row.date_edited) : null,
+            retracted_parts: retractedParts.length > 0 ? retractedParts : isRetracted ? [0] : []
+        };
+    }
+
+    /**
+     * Edits / unsends on rows the monitor has already emitted
+     * Chỉ xét tin trong EDIT_TRACK_WINDOW_MS gần nhất (Messages chỉ cho sửa trong 15 phút, thu hồi trong 2 phút).
+     * Lần chạy đầu chỉ ghi nhận trạng thái hiện tại.
+     * @param {number} seenRowId - Highest ROWID already emitted as a new message
+     * @returns {Promise<Array<{ type: 'edited'|'retracted', message: Object }>>}
+     */
+    async detectChanges(seenRowId) {
+        const columns = await getMessageColumns();
+        if (!columns.has('date_edited')) return [];
+
+        const db = await getDatabase();
+        const sinceNs = (Date.now() - this.windowMs - APPLE_EPOCH_MS) * 1e6;
+        const rows = await db.all(`
+            SELECT
+                m.ROWID AS rowid, m.guid, m.text, m.attributedBody, m.date_edited, ${await this.selectSql()},
+                m.is_from_me, h.id AS handle, c.guid AS chat_guid
+            FROM message m
+            LEFT JOIN handle h ON h.ROWID = m.handle_id
+            LEFT JOIN chat_message_join cmj ON cmj.message_id = m.ROWID
+            LEFT JOIN chat c ON c.ROWID = cmj.chat_id
+            WHERE m.date >= ?
+              AND (m.date_edited > 0${columns.has('date_retracted') ? ' OR m.date_retracted > 0' : ''})
+              AND ${reactionService.excludeSql()}
+        `, [sinceNs]);
+
+        const changes = [];
+        const stamps = new Map();
+        for (const row of rows) {
+            if (stamps.has(row.rowid)) continue; // một message có thể join nhiều chat
+            const state = this.describe(row);
+            const current = { stamp: `${row.date_edited}:${row.date_retracted}`, retracted: state.retracted_parts.length };
+            stamps.set(row.rowid, current);
+
+            const previous = this.stamps.get(row.rowid);
+            if (!this.seeded || row.rowid > seenRowId || previous?.stamp === current.stamp) continue;
+
+            changes.push({
+                type: current.retracted > (previous?.retracted || 0) ? 'retracted' : 'edited',
+                message: this.toEventPayload(row, state)
+            });
+        }
+
+        this.stamps = stamps;
+        this.seeded = true;
+        return changes;
+    }
+
+    /**
+     * Payload of message:edited / message:retracted
+     */
+    toEventPayload(row, state) {
+        const isFromMe = row.is_from_me === 1;
+        return {
+            id: row.rowid,
+            guid: row.guid,
+            chatGuid: row.chat_guid || null,
+            sender: isFromMe ? 'me' : row.handle || null,
+            sender_handle: isFromMe ? null : row.handle || null,
+            is_from_me: isFromMe,
+            text: row.text || this.decodeText(row.attributedBody),
+            ...state
+        };
+    }
+}
+
+export default new MessageEditService();
@@ -1,9 +1,29 @@
-import { getDatabase } from '../config/database.js';
+import { getDatabase, getMessageColumns } from '../config/database.js';
 import messageParser from '../utils/messageParser.js';
+import foundationBridge from '../utils/foundationBridge.js';
 import logger from '../utils/logger.js';
-import appleScript from '../utils/applescript.js';
+import transport from '../transports/index.js';
+import appleScriptExecutor from '../utils/appleScriptExecutor.js';
+import attachmentService from './attachmentService.js';
+import SendQueueService from './sendQueueService.js';
+import correlationService from './correlationService.js';
+import rateLimitService from './rateLimitService.js';
+import decodeCacheService from './decodeCacheService.js';
+import reactionService from './reactionService.js';
+import messageEditService from './messageEditService.js';
+import contactsService from './contactsService.js';
+import identityService from './identityService.js';
+import handleAliasService from './handleAliasService.js';
+import readStateService from './readStateService.js';
+import decodeWorkerPool from '../utils/decodeWorkerPool.js';
+import handleNormalizer from '../utils/handleNormalizer.js';
 import { watch } from 'fs';
+import { randomUUID } from 'crypto';
 import { DB_CONFIG } from '../config/database.js';
+import { APP_CONFIG } from '../config/app.js';
+
+// Số ký tự tối đa của đoạn trích tin gốc trong replyTo
+const REPLY_SNIPPET_LENGTH = 100;
 
 /**
  * Message Service for Blue Relay Tools
@@ -12,8 +32,27 @@ class MessageService {
     constructor() {
         this.lastMessageId = 0;
         this.isMonitoring = false;
+        this.isChecking = false;
+        this.checkPending = false;
         this.db = null;
+        this.handleIndex = null; // { maxRowId, byNormalized } - findHandlesForRecipient()
         this.SEND_FAIL_TIMEOUT_MS = Number(process.env.SEND_FAIL_TIMEOUT_MS || 10 * 60 * 1000);
+        // Lệch đồng hồ cho phép giữa lúc gọi AppleScript và message.date
+        this.SEND_CLOCK_SKEW_MS = 5000;
+        this.sendQueue = new SendQueueService({
+            send: (job) => this.sendMessage(job.to, job.body, {
+                chatGuid: job.chatGuid,
+                stagedAttachments: job.stagedAttachments,
+                relayMessageId: job.id
+            }),
+            // Messages.app đang lỗi (circuit open): chờ tới lúc probe, không tốn lượt thử
+            throttle: (job) => appleScriptExecutor.getRetryAfterMs() || rateLimitService.throttle(
+                rateLimitService.recipientKey(job),
+                Math.max((job.body ? 1 : 0) + job.stagedAttachments.length, 1)
+            ),
+            checkpoint: () => this.getMaxMessageRowId(),
+            recover: (job) => this.findInterruptedSend(job)
+        });
     }
 
     /**
@@ -25,6 +64,8 @@ class MessageService {
             const result = await this.db.get('SELECT MAX(ROWID) as maxId FROM message');
             this.lastMessageId = result.maxId || 0;
             console.log(`📊 Message service initialized. Last message ID: ${this.lastMessageId}`);
+            await handleAliasService.initialize();
+            await this.sendQueue.start();
         } catch (error) {
             console.error('❌ Failed to initialize message service:', error);
             throw error;
@@ -42,50 +83,176 @@ class MessageService {
     }
 
     /**
-     * Send message
-     * @param {string} to - Recipient
+     * Queue a message through the durable send queue
+     * @param {string} to - Recipient (ignored when options.chatGuid is set)
      * @param {string} body - Message body
+     * @param {Object} options - {
+     *   attachments, chatGuid: same as sendMessage,
+     *   source: who queued it (api | socket | device),
+     *   sendAt: epoch ms to schedule the send for later (returns right away),
+     *   wait: false to return right after queueing,
+     *   timeoutMs: how long to wait for the job to finish
+     * }
+     * @returns {Promise<Object>} - Send result + job, or { queued: true, job } while still pending
+     */
+    async queueMessage(to, body, options = {}) {
+        try {
+            const job = await this.sendQueue.enqueue({
+                to,
+                body,
+                chatGuid: options.chatGuid,
+                attachments: options.attachments,
+                source: options.source,
+                sendAt: options.sendAt
+            });
+            if (job.state === 'scheduled') {
+                return { success: true, scheduled: true, job };
+            }
+            if (options.wait === false) {
+                return { success: true, queued: true, job };
+            }
+
+            const current = await this.sendQueue.waitForJob(job.id, options.timeoutMs ?? APP_CONFIG.QUEUE_WAIT_TIMEOUT_MS);
+            if (current.state === 'sent' || current.state === 'delivered') {
+                return { ...current.result, success: true, job: current };
+            }
+            if (current.state === 'failed' || current.state === 'cancelled') {
+                return { success: false, error: current.lastError || `Job ${current.state}`, job: current };
+            }
+            // Vẫn đang chờ retry → trả về job để client theo dõi
+            return { success: true, queued: true, job: current };
+        } catch (error) {
+            console.error('[MessageService] Queue message failed', error?.message || error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Send message
+     * @param {string} to - Recipient (ignored when options.chatGuid is set)
+     * @param {string} body - Message body (optional when attachments are present)
+     * @param {Object} options - {
+     *   attachments: multer files or { filename, mimeType, data(base64) },
+     *   stagedAttachments: already staged attachments (caller owns cleanup),
+     *   chatGuid: chat.guid or chat.chat_identifier of an existing (group) chat,
+     *   relayMessageId: id bound to the resulting message.guid (generated when missing)
+     * }
      * @returns {Promise<Object>}
      */
-    async sendMessage(to, body) {
+    async sendMessage(to, body, options = {}) {
+        const rawTo = to;
+        const preStaged = Array.isArray(options.stagedAttachments);
+        const relayMessageId = options.relayMessageId || randomUUID();
+        let staged = [];
         try {
+            const hasBody = typeof body === 'string' && body.length > 0;
+
+            // Resolve target: existing chat by guid/chat_identifier, otherwise buddy handle
+            let chat = null;
+            if (options.chatGuid) {
+                chat = await this.findChat(options.chatGuid);
+                if (!chat) {
+                    return { success: false, error: `Chat not found: ${options.chatGuid}`, retryable: false, relayMessageId };
+                }
+                to = chat.guid;
+            } else if (to) {
+                // Người đã có trong chat.db: gửi tới đúng handle id; người mới: E.164 / email chữ thường
+                to = await this.resolveRecipient(to);
+            }
+            const sendTarget = chat ? { chatGuid: chat.guid } : to;
+            const verifyTarget = chat ? { chatId: chat.chat_id } : to;
+
             console.log('[MessageService] Attempting to send message...', {
+                relayMessageId,
                 to,
+                rawTo,
+                chatGuid: chat?.guid || null,
                 bodyPreview: typeof body === 'string' ? body.slice(0, 120) : body,
                 bodyLength: typeof body === 'string' ? body.length : 0,
+                attachmentCount: preStaged
+                    ? options.stagedAttachments.length
+                    : attachmentService.normalizeInputs(options.attachments).length,
                 timestamp: new Date().toISOString()
             });
-            // Snapshot before sending to detect new records
-            let snapshot = null;
+
+            // Stage attachments before touching Messages.app
+            staged = preStaged
+                ? options.stagedAttachments
+                : await attachmentService.stageAttachments(options.attachments);
+
+            // Snapshot before sending: rows created by this send have a larger ROWID
+            let snapshot = 0;
             try {
-                const handleRow = await this.findHandleForRecipient(to);
-                if (handleRow) {
-                    snapshot = await this.getLastRowIdForHandle(handleRow.handle_id);
-                }
+                snapshot = await this.getMaxMessageRowId();
             } catch (e) {
                 // ignore
             }
+            const sentAtMs = Date.now();
+            const match = { relayMessageId, recipient: chat ? null : to, chatGuid: chat?.guid || null, sentAtMs };
 
-            const result = await appleScript.sendMessage(to, body);
+            let result = 'success';
+            if (hasBody) {
+                result = await transport.sendMessage(sendTarget, body);
+            }
+            if (result === 'success') {
+                for (const item of staged) {
+                    result = await transport.sendAttachment(sendTarget, item.path);
+                    if (result !== 'success') break;
+                }
+            }
 
             const messageData = {
+                relayMessageId,
                 to,
+                chatGuid: chat?.guid,
                 body,
+                attachments: staged.map(({ filename, mimeType, size }) => ({ filename, mimeType, size })),
                 timestamp: new Date().toISOString(),
                 result
             };
 
             if (result === 'success') {
                 // Post-send verification with retry
-                const { verification, derivedStatus } = await this.verifySendWithRetry(to, snapshot);
+                let verification = null;
+                let derivedStatus = 'unknown';
+                if (hasBody) {
+                    ({ verification, derivedStatus } = await this.verifySendWithRetry(verifyTarget, snapshot, { ...match, body }));
+                }
+
+                let attachments = [];
+                if (staged.length > 0) {
+                    attachments = await this.verifyAttachmentsWithRetry(verifyTarget, snapshot, staged, match);
+                    if (!hasBody) {
+                        // Attachment-only send: status follows the attachment message rows
+                        const statuses = attachments.map(a => a.status);
+                        derivedStatus = statuses.includes('failed') ? 'failed'
+                            : statuses.find(st => st !== 'unknown') || 'unknown';
+                    }
+                }
+
+                const messageGuid = verification?.guid || attachments.find(a => a.messageGuid)?.messageGuid || null;
                 console.log('[MessageService] Send success', {
+                    relayMessageId,
+                    messageGuid,
                     to,
                     result,
+                    attachments: attachments.length,
                     at: messageData.timestamp
                 });
-                await logger.logSentMessage({ ...messageData, verification, derivedStatus });
+                await logger.logSentMessage({ ...messageData, messageGuid, verification, derivedStatus, attachments });
                 const success = derivedStatus !== 'failed';
-                return { success, result, verification, derivedStatus };
+                return {
+                    success,
+                    relayMessageId,
+                    messageGuid,
+                    to: chat ? null : rawTo,
+                    normalizedTo: chat ? null : to,
+                    result,
+                    verification,
+                    derivedStatus,
+                    attachments,
+                    chat: this.formatChatTarget(chat)
+                };
             } else {
                 messageData.status = 'failed';
                 messageData.error = result;
@@ -95,46 +262,106 @@ class MessageService {
                     at: messageData.timestamp
                 });
                 await logger.logError(result, messageData);
-                return { success: false, error: result };
+                return { success: false, error: result, relayMessageId };
             }
         } catch (error) {
             console.error('[MessageService] Send threw error', {
                 to,
                 error: error?.message || String(error)
             });
-            await logger.logError(error, { to, body });
-            return { success: false, error: error.message };
+            await logger.logError(error, { relayMessageId, to, body });
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                retryAfterMs: error.retryAfterMs,
+                relayMessageId
+            };
+        } finally {
+            if (!preStaged) {
+                await attachmentService.releaseAttachments(staged);
+            }
         }
     }
 
     /**
-     * Get last outbound message for a recipient from Messages DB
+     * Highest message ROWID in chat.db (checkpoint before a queued attempt)
      */
-    async getLastOutboundMessageForRecipient(recipient, sinceRowId = 0) {
+    async getMaxMessageRowId() {
         const db = await getDatabase();
-        const handle = await this.findHandleForRecipient(recipient);
-        if (!handle) {
-            console.log(`[MessageService] No handle found for recipient: ${recipient}`);
-            return null;
+        const row = await db.get('SELECT MAX(ROWID) AS max_rowid FROM message');
+        return row?.max_rowid || 0;
+    }
+
+    /**
+     * Check whether an attempt interrupted by a restart already reached chat.db,
+     * so the queue does not send the same message twice.
+     * @param {Object} job - Queue job with checkpointRowId
+     * @returns {Promise<Object|null>} - Send result when found
+     */
+    async findInterruptedSend(job) {
+        if (job.checkpointRowId === null || job.checkpointRowId === undefined) return null;
+
+        let chat = null;
+        if (job.chatGuid) {
+            chat = await this.findChat(job.chatGuid);
+            if (!chat) return null;
         }
-        
-        console.log(`[MessageService] Found handle for ${recipient}:`, handle);
-        
-        // Find all handles with the same ID (there can be multiple)
-        const allHandles = await db.all(`
-            SELECT ROWID as handle_id, id 
-            FROM handle 
-            WHERE id COLLATE NOCASE = ? COLLATE NOCASE
-        `, [recipient]);
-        
-        console.log(`[MessageService] All handles for ${recipient}:`, allHandles);
-        
-        if (allHandles.length === 0) return null;
-        
-        const handleIds = allHandles.map(h => h.handle_id);
-        const placeholders = handleIds.map(() => '?').join(',');
-        
-        const row = await db.get(`
+        const target = chat ? { chatId: chat.chat_id } : job.to;
+        const match = { relayMessageId: job.id, recipient: chat ? null : job.to, chatGuid: chat?.guid || null };
+
+        if (job.body) {
+            const { verification, derivedStatus } = await this.verifySendWithRetry(
+                target, job.checkpointRowId, { ...match, body: job.body }, 1, 0);
+            if (!verification) return null;
+            return {
+                success: true,
+                relayMessageId: job.id,
+                messageGuid: verification.guid,
+                result: 'success',
+                verification,
+                derivedStatus,
+                chat: this.formatChatTarget(chat)
+            };
+        }
+
+        const staged = job.stagedAttachments || [];
+        if (staged.length === 0) return null;
+        const attachments = await this.verifyAttachmentsWithRetry(target, job.checkpointRowId, staged, match, 1, 0);
+        if (!attachments.some(a => a.verified)) return null;
+        return {
+            success: true,
+            relayMessageId: job.id,
+            messageGuid: attachments.find(a => a.messageGuid)?.messageGuid || null,
+            result: 'success',
+            verification: null,
+            derivedStatus: attachments.find(a => a.status !== 'unknown')?.status || 'unknown',
+            attachments,
+            chat: this.formatChatTarget(chat)
+        };
+    }
+
+    /**
+     * Outbound rows created after a snapshot, oldest first
+     * @param {string|{chatId: number}} target - Recipient handle, or { chatId } to go through chat_message_join
+     * @param {number} sinceRowId - ROWID snapshot taken before sending
+     */
+    async getOutboundRowsSince(target, sinceRowId = 0, limit = 50) {
+        const db = await getDatabase();
+        let scope;
+        let params;
+        if (target && typeof target === 'object') {
+            scope = 'm.ROWID IN (SELECT message_id FROM chat_message_join WHERE chat_id = ?)';
+            params = [target.chatId];
+        } else {
+            // Handle có thể chỉ được tạo sau khi gửi tin đầu tiên, nên tìm lại mỗi lần gọi
+            const handles = await this.findHandlesForRecipient(target);
+            if (handles.length === 0) return [];
+            scope = `m.handle_id IN (${handles.map(() => '?').join(',')})`;
+            params = handles.map((handle) => handle.handle_id);
+        }
+
+        return db.all(`
             SELECT 
                 m.ROWID AS rowid,
                 m.guid,
@@ -151,65 +378,267 @@ class MessageService {
                 m.date_read,
                 m.date_delivered
             FROM message m
-            WHERE m.handle_id IN (${placeholders})
+            WHERE ${scope}
               AND m.is_from_me = 1 
               AND (m.text IS NOT NULL OR m.attributedBody IS NOT NULL)
+              AND ${reactionService.excludeSql()}
               AND m.ROWID > ?
-            ORDER BY m.date DESC
+            ORDER BY m.ROWID ASC
+            LIMIT ?
+        `, [...params, sinceRowId || 0, limit]);
+    }
+
+    /**
+     * Pick the row produced by a send among rows after the snapshot:
+     * not bound to another relay message, not older than the send,
+     * text equal to the body (decoded from attributedBody when text is empty).
+     * @param {Array} rows - Rows from getOutboundRowsSince
+     * @param {Object} match - { body, sentAtMs }
+     * @returns {Promise<{ row: Object, matchedBy: string }|null>}
+     */
+    async matchSentRow(rows, match = {}) {
+        const bound = await correlationService.getBoundGuids(rows.map(r => r.guid));
+        const earliestMs = match.sentAtMs ? match.sentAtMs - this.SEND_CLOCK_SKEW_MS : null;
+        const body = this.normalizeText(match.body);
+        let fallback = null;
+
+        for (const row of rows) {
+            if (bound.has(row.guid)) continue;
+            const rowMs = this.toUnixMsFromAppleNsEpoch(row.date);
+            if (earliestMs !== null && rowMs !== null && rowMs < earliestMs) continue;
+
+            let text = this.normalizeText(row.text);
+            if (text === null && row.attributedBody) {
+                const decoded = await messageParser.parseAttributedBody(row.attributedBody);
+                text = decoded === '[Rich content]' ? null : this.normalizeText(decoded);
+            }
+
+            if (text === body) return { row, matchedBy: 'text' };
+            // Không đọc được nội dung: chỉ dựa vào snapshot + thời gian
+            if (text === null && !fallback) fallback = row;
+        }
+
+        return fallback ? { row: fallback, matchedBy: 'timestamp' } : null;
+    }
+
+    normalizeText(text) {
+        return typeof text === 'string' ? text.replace(/\r\n?/g, '\n').trim() : null;
+    }
+
+    /**
+     * Find a chat by guid (e.g. "iMessage;+;chat123") or chat_identifier
+     * @param {string} chatRef - chat.guid or chat.chat_identifier
+     * @returns {Promise<Object|null>}
+     */
+    async findChat(chatRef) {
+        if (!chatRef) return null;
+        const db = await getDatabase();
+        const row = await db.get(`
+            SELECT ROWID AS chat_id, guid, chat_identifier, display_name, style, service_name
+            FROM chat
+            WHERE guid = ? OR chat_identifier = ?
+            ORDER BY (guid = ?) DESC, ROWID DESC
             LIMIT 1
-        `, [...handleIds, sinceRowId || 0]);
-        
-        console.log(`[MessageService] Query result for ${recipient} (sinceRowId: ${sinceRowId}):`, row ? {
-            rowid: row.rowid,
-            text: row.text?.slice(0, 50),
-            is_sent: row.is_sent,
-            is_delivered: row.is_delivered,
-            is_finished: row.is_finished,
-            error: row.error,
-            readable_date: row.readable_date
-        } : 'null');
-        
+        `, [chatRef, chatRef, chatRef]);
         return row || null;
     }
 
+    formatChatTarget(chat) {
+        if (!chat) return null;
+        return {
+            guid: chat.guid,
+            chatIdentifier: chat.chat_identifier,
+            displayName: chat.display_name || null,
+            isGroup: chat.style === 43
+        };
+    }
+
+    /**
+     * Address to send to: id of the existing handle, otherwise the normalized handle
+     * @param {string} recipient - Phone number / email in any format
+     * @returns {Promise<string>}
+     */
+    async resolveRecipient(recipient) {
+        const handle = await this.findHandleForRecipient(recipient);
+        if (handle) return handle.id;
+
+        const parsed = handleNormalizer.parse(recipient);
+        return parsed.type === 'other' || !parsed.normalized ? String(recipient).trim() : parsed.normalized;
+    }
+
+    /**
+     * Best handle row for a recipient (xem findHandlesForRecipient)
+     * @returns {Promise<{ handle_id: number, id: string, service: string, country: string|null, normalized: string }|null>}
+     */
     async findHandleForRecipient(recipient) {
+        const [handle] = await this.findHandlesForRecipient(recipient);
+        return handle || null;
+    }
+
+    /**
+     * Every handle row of a recipient, compared in E.164 / lowercase email form (handleNormalizer)
+     * Một người có thể có nhiều row: iMessage + SMS, hoặc cùng số nhưng viết khác nhau. Handle alias (handleAliasService)
+     * được gộp vào; canonical đứng trước alias, rồi tới row có id trùng khớp.
+     * @param {string} recipient - Phone number / email in any format
+     * @returns {Promise<Array<{ handle_id: number, id: string, service: string, country: string|null, normalized: string }>>}
+     */
+    async findHandlesForRecipient(recipient) {
+        const target = handleNormalizer.parse(recipient);
+        if (!target.normalized) return [];
+
+        await handleAliasService.initialize();
         const db = await getDatabase();
-        const candidates = this.generateRecipientCandidates(recipient);
-        for (const c of candidates) {
-            const row = await db.get(`
-                SELECT ROWID AS handle_id, id 
-                FROM handle 
-                WHERE id COLLATE NOCASE = ? COLLATE NOCASE 
-                LIMIT 1
-            `, [c]);
-            if (row) return row;
-        }
-        return null;
-    }
-
-    generateRecipientCandidates(recipient) {
-        const out = new Set();
-        if (!recipient) return [];
-        out.add(recipient);
-        out.add(String(recipient).toLowerCase());
-        // If looks like number, try variants
-        const digits = String(recipient).replace(/[^0-9+]/g, '');
-        if (digits) {
-            out.add(digits);
-            if (!digits.startsWith('tel:')) out.add(`tel:${digits}`);
-            // VN normalization guesses (safe to try as candidate without forcing)
-            if (digits.startsWith('0')) {
-                out.add(`+84${digits.slice(1)}`);
-                out.add(`tel:+84${digits.slice(1)}`);
-            }
-        }
-        return Array.from(out);
-    }
-
-    async getLastRowIdForHandle(handleId) {
+        const index = await this.getHandleIndex(db);
+        const matches = [...(index.get(target.normalized) || [])];
+        const matchedIds = new Set(matches.map((row) => row.handle_id));
+        const aliasIds = handleAliasService.expand([...matchedIds]).filter((handleId) => !matchedIds.has(handleId));
+        if (aliasIds.length > 0) {
+            matches.push(...await db.all(
+                `SELECT ROWID AS handle_id, id, service, country FROM handle WHERE ROWID IN (${aliasIds.map(() => '?').join(',')})`,
+                aliasIds
+            ));
+        }
+
+        const raw = String(recipient).trim();
+        const isAlias = (row) => handleAliasService.canonicalId(row.handle_id) !== row.handle_id;
+        return matches
+            .map((row) => ({ ...row, normalized: row.normalized ?? handleNormalizer.normalize(row.id, row.country) }))
+            .sort((a, b) => isAlias(a) - isAlias(b) || (b.id === raw) - (a.id === raw) || a.handle_id - b.handle_id);
+    }
+
+    /**
+     * Normalized handle → handle rows, built once and rebuilt when MAX(handle.ROWID) changes (có handle mới)
+     * @returns {Promise<Map<string, Array<{ handle_id, id, service, country, normalized }>>>}
+     */
+    async getHandleIndex(db) {
+        const { maxRowId } = await db.get('SELECT IFNULL(MAX(ROWID), 0) AS maxRowId FROM handle');
+        if (this.handleIndex?.maxRowId !== maxRowId) {
+            const byNormalized = db.all('SELECT ROWID AS handle_id, id, service, country FROM handle').then((rows) => {
+                const index = new Map();
+                for (const row of rows) {
+                    const normalized = handleNormalizer.normalize(row.id, row.country);
+                    if (!normalized) continue;
+                    if (!index.has(normalized)) index.set(normalized, []);
+                    index.get(normalized).push({ ...row, normalized });
+                }
+                return index;
+            });
+            this.handleIndex = { maxRowId, byNormalized };
+            byNormalized.catch(() => {
+                if (this.handleIndex?.byNormalized === byNormalized) this.handleIndex = null;
+            });
+        }
+        return this.handleIndex.byNormalized;
+    }
+
+    /**
+     * Get outbound attachment rows (message_attachment_join → attachment)
+     * @param {string|{chatId: number}} target - Recipient handle, or { chatId } to go through chat_message_join
+     */
+    async getOutboundAttachments(target, sinceRowId = 0) {
         const db = await getDatabase();
-        const row = await db.get(`SELECT MAX(ROWID) AS max_rowid FROM message WHERE handle_id = ?`, [handleId]);
-        return row?.max_rowid || 0;
+        let scope;
+        let scopeParams;
+        if (target && typeof target === 'object') {
+            scope = 'm.ROWID IN (SELECT message_id FROM chat_message_join WHERE chat_id = ?)';
+            scopeParams = [target.chatId];
+        } else {
+            const handles = await this.findHandlesForRecipient(target);
+            if (handles.length === 0) return [];
+            scope = `m.handle_id IN (${handles.map(() => '?').join(',')})`;
+            scopeParams = handles.map((handle) => handle.handle_id);
+        }
+
+        return db.all(`
+            SELECT
+                m.ROWID AS rowid,
+                m.guid,
+                m.date,
+                m.is_from_me,
+                m.is_sent,
+                m.is_delivered,
+                m.is_finished,
+                m.error AS error,
+                m.date_read,
+                m.date_delivered,
+                a.ROWID AS attachment_id,
+                a.guid AS attachment_guid,
+                a.filename,
+                a.transfer_name,
+                a.mime_type,
+                a.total_bytes,
+                a.transfer_state
+            FROM message m
+            JOIN message_attachment_join maj ON maj.message_id = m.ROWID
+            JOIN attachment a ON a.ROWID = maj.attachment_id
+            WHERE ${scope}
+              AND m.is_from_me = 1
+              AND m.ROWID > ?
+            ORDER BY m.ROWID ASC
+        `, [...scopeParams, sinceRowId || 0]);
+    }
+
+    /**
+     * Verify staged attachments landed in chat.db (matched by transfer_name) and bind
+     * each row to the relay message id
+     * @param {Object} match - { relayMessageId, recipient, chatGuid }
+     * @returns {Promise<Array>} - One entry per staged attachment
+     */
+    async verifyAttachmentsWithRetry(target, snapshotRowId, staged, match = {}, attempts = 5, delayMs = 400) {
+        let matches = new Map();
+
+        for (let i = 0; i < attempts; i++) {
+            try {
+                const rows = await this.getOutboundAttachments(target, snapshotRowId);
+                const bound = await correlationService.getBoundGuids(rows.map(r => r.guid));
+                const used = new Set();
+                matches = new Map();
+                for (const item of staged) {
+                    const row = rows.find(r => !used.has(r.attachment_id) && !bound.has(r.guid) &&
+                        (r.transfer_name === item.filename || (r.filename || '').endsWith(`/${item.filename}`)));
+                    if (row) {
+                        used.add(row.attachment_id);
+                        matches.set(item.id, row);
+                    }
+                }
+                if (matches.size === staged.length) break;
+            } catch (err) {
+                console.log(`[MessageService] Attachment verify attempt ${i + 1} failed:`, err.message);
+            }
+            if (i < attempts - 1) await this.sleep(delayMs);
+        }
+
+        if (match.relayMessageId) {
+            for (const [index, item] of staged.entries()) {
+                const row = matches.get(item.id);
+                if (!row) continue;
+                const owned = await correlationService.bind({
+                    relayMessageId: match.relayMessageId,
+                    messageGuid: row.guid,
+                    rowid: row.rowid,
+                    part: `attachment:${index}`,
+                    recipient: match.recipient,
+                    chatGuid: match.chatGuid,
+                    matchedBy: 'attachment'
+                });
+                if (!owned) matches.delete(item.id);
+            }
+        }
+
+        return staged.map(item => {
+            const row = matches.get(item.id) || null;
+            return {
+                filename: item.filename,
+                mimeType: item.mimeType,
+                size: item.size,
+                verified: !!row,
+                rowid: row?.rowid ?? null,
+                messageGuid: row?.guid ?? null,
+                attachmentGuid: row?.attachment_guid ?? null,
+                transferState: row?.transfer_state ?? null,
+                status: this.deriveStatusFromRow(row).derivedStatus
+            };
+        });
     }
 
     async sleep(ms) { return new Promise(res => setTimeout(res, ms)); }
@@ -244,16 +673,38 @@ class MessageService {
         return { derivedStatus: 'queued', failed: false };
     }
 
-    async verifySendWithRetry(recipient, snapshotRowId, attempts = 5, delayMs = 400) {
+    /**
+     * Verify an outbound row after sending and bind it to the relay message id
+     * @param {string|{chatId: number}} target - Recipient handle, or { chatId } to verify through chat_message_join
+     * @param {number} snapshotRowId - MAX(ROWID) taken before sending
+     * @param {Object} match - { body, sentAtMs, relayMessageId, recipient, chatGuid }
+     */
+    async verifySendWithRetry(target, snapshotRowId, match = {}, attempts = 5, delayMs = 400) {
         let latest = null;
-        
-        // First, try to find any recent outbound message for this recipient (ignore sinceRowId initially)
+        let matchedBy = null;
+
         for (let i = 0; i < attempts; i++) {
             try {
-                latest = await this.getLastOutboundMessageForRecipient(recipient, 0);
-                if (latest) {
+                const rows = await this.getOutboundRowsSince(target, snapshotRowId);
+                const found = await this.matchSentRow(rows, match);
+                // Row có thể vừa bị một lệnh gửi khác nhận trước → thử lại lần sau
+                const owned = found && (!match.relayMessageId || await correlationService.bind({
+                    relayMessageId: match.relayMessageId,
+                    messageGuid: found.row.guid,
+                    rowid: found.row.rowid,
+                    part: 'text',
+                    recipient: match.recipient,
+                    chatGuid: match.chatGuid,
+                    matchedBy: found.matchedBy
+                }));
+                if (owned) {
+                    latest = found.row;
+                    matchedBy = found.matchedBy;
                     console.log(`[MessageService] Found message on attempt ${i + 1}:`, {
+                        relayMessageId: match.relayMessageId,
                         rowid: latest.rowid,
+                        guid: latest.guid,
+                        matchedBy,
                         text: latest.text?.slice(0, 50),
                         is_sent: latest.is_sent,
                         is_delivered: latest.is_delivered,
@@ -266,22 +717,24 @@ class MessageService {
             } catch (err) {
                 console.log(`[MessageService] Attempt ${i + 1} failed:`, err.message);
             }
-            await this.sleep(delayMs);
+            if (i < attempts - 1) await this.sleep(delayMs);
         }
         
         const { derivedStatus } = this.deriveStatusFromRow(latest);
         console.log(`[MessageService] Final verification result:`, { 
             hasMessage: !!latest, 
             derivedStatus,
+            matchedBy,
             messageInfo: latest ? {
                 rowid: latest.rowid,
+                guid: latest.guid,
                 is_sent: latest.is_sent,
                 is_delivered: latest.is_delivered,
                 error: latest.error
             } : null
         });
         
-        return { verification: latest || null, derivedStatus };
+        return { verification: latest || null, derivedStatus, matchedBy };
     }
 
     /**
@@ -294,71 +747,15 @@ class MessageService {
      */
     async getMessages(sender, limit = 50, offset = 0, options = {}) {
         try {
-            const { skipAttributedBody = false, fastMode = false } = options;
-            
-            console.log(`🔍 Starting optimized query execution...`);
-            const queryStartTime = Date.now();
-
-            // Lấy database connection
-            const db = await this.getDb();
-
-            // Lấy tổng số tin nhắn
-            const countResult = await db.get(`
-                SELECT COUNT(DISTINCT m.ROWID) as count
-                FROM message m
-                LEFT JOIN handle h ON m.handle_id = h.ROWID
-                WHERE h.id = ? AND (m.text IS NOT NULL OR m.attributedBody IS NOT NULL)
-            `, [sender]);
-
-            const total = countResult?.count || 0;
-            const currentPage = Math.floor(offset / limit) + 1;
-            const totalPages = Math.ceil(total / limit);
-
-            // Lấy tin nhắn với thông tin chi tiết
-            const messages = await db.all(`
-                SELECT DISTINCT
-                    m.ROWID as id,
-                    m.text,
-                    m.attributedBody,
-                    m.date,
-                    m.is_from_me,
-                    m.is_read,
-                    m.is_sent,
-                    m.is_delivered,
-                    m.error,
-                    m.date_read,
-                    m.date_delivered,
-                    m.service,
-                    m.service_center,
-                    m.account,
-                    m.handle_id as handle_rowid,
-                    h.id as handle_id_text,
-                    h.service as handle_service,
-                    datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch', 'localtime') as readable_date
-                FROM message m
-                LEFT JOIN handle h ON m.handle_id = h.ROWID
-                WHERE h.id = ? AND (m.text IS NOT NULL OR m.attributedBody IS NOT NULL)
-                ORDER BY m.date DESC
-                LIMIT ? OFFSET ?
-            `, [sender, limit, offset]);
-
-            const queryTime = Date.now() - queryStartTime;
-            console.log(`✅ Optimized query completed in ${queryTime}ms, found ${messages.length} messages`);
-
-            // Tối ưu hóa: Xử lý attributedBody decoding song song với chunking
-            const formattedMessages = skipAttributedBody || fastMode
-                ? await this.processMessagesFast(messages, sender)
-                : await this.processMessagesWithAttributedBody(messages, sender);
-
+            // Mọi handle của cùng một người (0346477714, +84346477714, iMessage + SMS)
+            const handles = await this.findHandlesForRecipient(sender);
+            const scope = handles.length > 0 ? `m.handle_id IN (${handles.map(() => '?').join(',')})` : '0';
             return {
                 success: true,
-                messages: formattedMessages,
-                total,
-                page: currentPage,
-                pageSize: limit,
-                totalPages
+                sender,
+                normalizedSender: handleNormalizer.normalize(sender),
+                ...await this.queryMessagePage(scope, handles.map((handle) => handle.handle_id), sender, limit, offset, options)
             };
-
         } catch (error) {
             console.error('❌ Error in getMessages:', error);
             return {
@@ -374,66 +771,402 @@ class MessageService {
     }
 
     /**
-     * Xử lý tin nhắn với attributedBody decoding song song (tối ưu hóa hiệu suất)
+     * Messages of one chat (chat_message_join), newest first
+     * Group chat: mọi tin của group, mỗi tin có sender_handle; chat 1:1 không lẫn tin group với cùng người đó.
+     * @param {string} chatRef - chat.guid or chat.chat_identifier
+     * @param {number} limit - Số lượng tin nhắn tối đa
+     * @param {number} offset - Số tin nhắn bỏ qua
+     * @param {Object} options - { skipAttributedBody, fastMode }
+     * @returns {Promise<Object>} - { success, chat, messages, total, page, pageSize, totalPages }
      */
-    async processMessagesWithAttributedBody(messages, sender) {
-        // Tối ưu hóa: Batch decode tất cả attributedBody cùng lúc
-        const messagesToDecode = messages.filter(
-            (msg) => !msg.text && msg.attributedBody
-        );
+    async getChatMessages(chatRef, limit = 50, offset = 0, options = {}) {
+        try {
+            const chat = await this.findChat(chatRef);
+            if (!chat) {
+                return { success: false, notFound: true, error: `Chat not found: ${chatRef}` };
+            }
 
-        let decodedResults = {};
+            const [conversation] = await this.describeChats([chat]);
+            const page = await this.queryMessagePage(
+                'm.ROWID IN (SELECT message_id FROM chat_message_join WHERE chat_id = ?)',
+                [chat.chat_id], chat.guid, limit, offset, options
+            );
+            return { success: true, chat: conversation, ...page };
+        } catch (error) {
+            console.error('❌ Error in getChatMessages:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Combined timeline of one person (mọi handle của người đó: số điện thoại, email, iMessage + SMS), newest first
+     * @param {string} personRef - personId (identityService) or any handle of the person
+     * @param {number} limit - Số lượng tin nhắn tối đa
+     * @param {number} offset - Số tin nhắn bỏ qua
+     * @param {Object} options - { skipAttributedBody, fastMode }
+     * @returns {Promise<Object>} - { success, person, messages, total, page, pageSize, totalPages }
+     */
+    async getPersonMessages(personRef, limit = 50, offset = 0, options = {}) {
+        try {
+            const person = await identityService.findPerson(personRef);
+            if (!person) {
+                return { success: false, notFound: true, error: `Person not found: ${personRef}` };
+            }
 
-        if (messagesToDecode.length > 0) {
-            console.log(
-                `🔧 Batch decoding ${messagesToDecode.length} attributedBody items...`
+            const handleIds = handleAliasService.expand(person.handles.map((handle) => handle.handleId));
+            const page = await this.queryMessagePage(
+                `m.handle_id IN (${handleIds.map(() => '?').join(',')})`,
+                handleIds, person.personId, limit, offset, options
             );
+            return { success: true, person, ...page };
+        } catch (error) {
+            console.error('❌ Error in getPersonMessages:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Messages of one inline reply thread (tin gốc + các reply), oldest first like the thread view of Messages
+     * @param {string} guid - message.guid of the thread originator (guid của một reply cũng được: dùng tin gốc của nó)
+     * @param {number} limit - Số lượng tin nhắn tối đa
+     * @param {number} offset - Số tin nhắn bỏ qua
+     * @param {Object} options - { skipAttributedBody, fastMode }
+     * @returns {Promise<Object>} - { success, originatorGuid, messages, total, page, pageSize, totalPages }
+     */
+    async getThread(guid, limit = 50, offset = 0, options = {}) {
+        try {
+            const db = await this.getDb();
+            const threadColumns = await this.threadColumns();
+            const message = await db.get(`SELECT m.guid, ${threadColumns} FROM message m WHERE m.guid = ?`, [guid]);
+            if (!message) {
+                return { success: false, notFound: true, error: `Message not found: ${guid}` };
+            }
 
-            // Chuẩn bị items cho batch decode
-            const batchItems = messagesToDecode.map((msg, index) => ({
-                id: `msg_${msg.id || index}`,
-                buffer: msg.attributedBody,
-            }));
+            const originatorGuid = message.thread_originator_guid || message.guid;
+            const page = threadColumns.startsWith('NULL')
+                ? await this.queryMessagePage('m.guid = ?', [originatorGuid], originatorGuid, limit, offset, { ...options, order: 'asc' })
+                : await this.queryMessagePage(
+                    '(m.guid = ? OR m.thread_originator_guid = ?)',
+                    [originatorGuid, originatorGuid], originatorGuid, limit, offset, { ...options, order: 'asc' }
+                );
+            return { success: true, originatorGuid, ...page };
+        } catch (error) {
+            console.error('❌ Error in getThread:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
-            try {
-                // Sử dụng Foundation Bridge batch decode
-                const { default: foundationBridge } = await import('../utils/foundationBridge.js');
-                const batchResults = await foundationBridge.batchDecode(batchItems);
+    /**
+     * message.thread_originator_guid / thread_originator_part (inline reply, macOS 11+), NULL trên chat.db cũ
+     * @returns {Promise<string>} - Select list
+     */
+    async threadColumns() {
+        const columns = await getMessageColumns();
+        return columns.has('thread_originator_guid')
+            ? 'm.thread_originator_guid AS thread_originator_guid, m.thread_originator_part AS thread_originator_part'
+            : 'NULL AS thread_originator_guid, NULL AS thread_originator_part';
+    }
+
+    /**
+     * replyTo of inline replies: tin gốc (id, guid, part, sender) và một đoạn trích nội dung
+     * @param {Array} rows - Rows with thread_originator_guid, thread_originator_part
+     * @returns {Promise<Map<Object, Object>>} - row → { id, guid, part, sender, snippet } (id / sender / snippet null khi tin gốc không có trong chat.db)
+     */
+    async getReplyTargets(rows) {
+        const targets = new Map();
+        const replies = rows.filter((row) => row.thread_originator_guid);
+        if (replies.length === 0) return targets;
+
+        const db = await this.getDb();
+        const guids = [...new Set(replies.map((row) => row.thread_originator_guid))];
+        const parents = await db.all(`
+            SELECT m.ROWID AS id, m.guid, m.text, m.attributedBody, ${await this.dateEditedColumn()} AS date_edited,
+                m.is_from_me, m.cache_has_attachments, m.handle_id, h.id AS handle
+            FROM message m
+            LEFT JOIN handle h ON m.handle_id = h.ROWID
+            WHERE m.guid IN (${guids.map(() => '?').join(',')})
+        `, guids);
+        const decodedBodies = await this.decodeBodies(parents.filter((parent) => !this.normalizeText(parent.text)));
+        const byGuid = new Map(parents.map((parent) => [parent.guid, parent]));
+
+        for (const row of replies) {
+            const parent = byGuid.get(row.thread_originator_guid);
+            // thread_originator_part: "<part>:<start>:<length>"
+            const part = parseInt(row.thread_originator_part, 10);
+            const text = parent
+                ? (this.normalizeText(parent.text) || decodedBodies.get(parent)?.text || '').replace(/\uFFFC/g, '').trim()
+                : '';
+            targets.set(row, {
+                id: parent?.id ?? null,
+                guid: row.thread_originator_guid,
+                part: Number.isNaN(part) ? 0 : part,
+                sender: parent ? (parent.is_from_me === 1 ? 'me' : handleAliasService.canonicalHandle(parent.handle_id, parent.handle) || null) : null,
+                snippet: text.length > REPLY_SNIPPET_LENGTH ? `${Array.from(text).slice(0, REPLY_SNIPPET_LENGTH).join('')}…` : text || null
+            });
+        }
+        return targets;
+    }
+
+    /**
+     * One page of formatted messages
+     * @param {string} scope - SQL condition on m / h
+     * @param {Array} params - Parameters of scope
+     * @param {string} sender - Conversation id passed to the formatters (handle or chat guid)
+     * @param {Object} options - { skipAttributedBody, fastMode, order: 'desc' (mới nhất trước, mặc định) | 'asc' }
+     */
+    async queryMessagePage(scope, params, sender, limit, offset, options = {}) {
+        const { skipAttributedBody = false, fastMode = false, order = 'desc' } = options;
+
+        console.log(`🔍 Starting optimized query execution...`);
+        const queryStartTime = Date.now();
+
+        // Lấy database connection
+        const db = await this.getDb();
+        // Tin đã thu hồi không còn text / attributedBody nhưng vẫn được trả về (is_retracted)
+        const contentFilter = `(m.text IS NOT NULL OR m.attributedBody IS NOT NULL OR m.cache_has_attachments = 1 OR ${await messageEditService.retractedSql()})`;
+
+        // Lấy tổng số tin nhắn
+        const countResult = await db.get(`
+            SELECT COUNT(DISTINCT m.ROWID) as count
+            FROM message m
+            LEFT JOIN handle h ON m.handle_id = h.ROWID
+            WHERE ${scope} AND ${contentFilter}
+                AND ${reactionService.excludeSql()}
+        `, params);
+
+        const total = countResult?.count || 0;
+        const currentPage = Math.floor(offset / limit) + 1;
+        const totalPages = Math.ceil(total / limit);
+
+        // Lấy tin nhắn với thông tin chi tiết
+        const messages = await db.all(`
+            SELECT DISTINCT
+                m.ROWID as id,
+                m.guid,
+                m.text,
+                m.attributedBody,
+                ${await this.dateEditedColumn()} as date_edited,
+                ${await messageEditService.selectSql()},
+                ${await this.threadColumns()},
+                m.date,
+                m.is_from_me,
+                m.is_read,
+                m.is_sent,
+                m.is_delivered,
+                m.error,
+                m.date_read,
+                m.date_delivered,
+                m.service,
+                m.service_center,
+                m.account,
+                m.cache_has_attachments,
+                m.handle_id as handle_rowid,
+                h.id as handle_id_text,
+                h.service as handle_service,
+                h.country as handle_country,
+                datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch', 'localtime') as readable_date
+            FROM message m
+            LEFT JOIN handle h ON m.handle_id = h.ROWID
+            WHERE ${scope} AND ${contentFilter}
+                AND ${reactionService.excludeSql()}
+            ORDER BY m.date ${order === 'asc' ? 'ASC' : 'DESC'}
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        const queryTime = Date.now() - queryStartTime;
+        console.log(`✅ Optimized query completed in ${queryTime}ms, found ${messages.length} messages`);
+
+        // Handle alias → canonical handle (sender_phone / sender_handle)
+        for (const msg of messages) {
+            msg.handle_id_text = handleAliasService.canonicalHandle(msg.handle_rowid, msg.handle_id_text);
+        }
+
+        // File đính kèm (message_attachment_join → attachment)
+        const attachments = await attachmentService.getMessageAttachments(
+            messages.filter((msg) => msg.cache_has_attachments === 1).map((msg) => msg.id)
+        );
+        // Tapback (associated_message_type 2000–3006) gắn vào tin gốc
+        const reactions = await reactionService.getReactions(messages);
+        // Inline reply (thread_originator_guid) → tin gốc
+        const replyTargets = await this.getReplyTargets(messages);
+
+        // Tối ưu hóa: Xử lý attributedBody decoding song song với chunking
+        const formattedMessages = skipAttributedBody || fastMode
+            ? await this.processMessagesFast(messages, sender, attachments, reactions, replyTargets)
+            : await this.processMessagesWithAttributedBody(messages, sender, attachments, reactions, replyTargets);
+
+        return {
+            messages: formattedMessages,
+            total,
+            page: currentPage,
+            pageSize: limit,
+            totalPages
+        };
+    }
+
+    /**
+     * message.date_edited (chỉ có trên macOS mới), 0 khi chat.db không có cột này
+     * @returns {Promise<string>} - SQL expression
+     */
+    async dateEditedColumn() {
+        const columns = await getMessageColumns();
+        return columns.has('date_edited') ? 'm.date_edited' : '0';
+    }
+
+    /**
+     * Conversation preview of a message row: text / decoded attributedBody, attachment-only → '', bỏ ký tự U+FFFC
+     * @param {Object} [row] - message row (text, attributedBody, cache_has_attachments)
+     * @param {Map} decodedBodies - decodeBodies()
+     * @returns {string}
+     */
+    previewText(row, decodedBodies) {
+        if (!row) return '';
+        const text = this.normalizeText(row.text) || decodedBodies.get(row)?.text || (row.cache_has_attachments === 1 ? '' : '[Rich content]');
+        return messageParser.stripAttachmentPlaceholders(text).text.trim();
+    }
+
+    /**
+     * Decode attributedBody of chat.db rows: decode cache → typedstream decoder (worker pool) → Foundation Bridge (rows without text)
+     * Kết quả mới được lưu vào decode cache. Job của pool bị từ chối / quá timeout thì row đó không có kết quả
+     * (caller dùng placeholder) và không được cache, lần đọc sau sẽ decode lại.
+     * @param {Array} rows - Rows with guid, date_edited, text, attributedBody
+     * @returns {Promise<Map<Object, { text: string, spans: Array }>>} - row → decoded body (rows that could be decoded)
+     */
+    async decodeBodies(rows) {
+        const decoded = new Map();
+        const pending = rows.filter((row) => row.attributedBody);
+        if (pending.length === 0) return decoded;
+
+        const cached = await decodeCacheService.getMany(
+            pending.map((row) => ({ guid: row.guid, dateEdited: row.date_edited }))
+        );
+        const fresh = [];
+        const bridgeRows = new Map();
+        const misses = pending.filter((row) => {
+            const hit = row.guid && cached.get(row.guid);
+            if (hit) decoded.set(row, hit);
+            return !hit;
+        });
+
+        const results = await decodeWorkerPool.decode(misses.map((row) => row.attributedBody));
+        let failed = 0;
+        misses.forEach((row, index) => {
+            const { decoded: result, error } = results[index];
+            if (result) {
+                const rich = { text: result.text, spans: messageParser.buildSpans(result.runs) };
+                decoded.set(row, rich);
+                fresh.push({ guid: row.guid, dateEdited: row.date_edited, ...rich, decoder: 'typedstream' });
+            } else if (error) {
+                failed++;
+            } else if (!row.text) {
+                bridgeRows.set(`msg_${index}`, row);
+            }
+        });
+        if (failed > 0) {
+            console.warn(`⚠️ Decode pool skipped ${failed} attributedBody items (${results.find((r) => r.error).error})`);
+        }
 
-                // Chuyển kết quả thành map để lookup nhanh
+        if (bridgeRows.size > 0) {
+            try {
+                const batchResults = await foundationBridge.batchDecode(
+                    [...bridgeRows].map(([id, row]) => ({ id, buffer: row.attributedBody }))
+                );
                 for (const result of batchResults) {
-                    if (result.result) {
-                        decodedResults[result.id] = result.result;
+                    const row = bridgeRows.get(result.id);
+                    if (row && result.result) {
+                        decoded.set(row, { text: result.result, spans: [] });
+                        fresh.push({ guid: row.guid, dateEdited: row.date_edited, text: result.result, spans: [], decoder: 'foundation' });
                     }
                 }
-
-                console.log(
-                    `✅ Batch decoded ${batchResults.filter((r) => r.result).length}/${batchItems.length} items successfully`
-                );
             } catch (error) {
                 console.warn("⚠️ Batch decode failed:", error.message);
             }
         }
 
+        await decodeCacheService.setMany(fresh);
+        console.log(
+            `✅ Decoded ${decoded.size}/${pending.length} attributedBody items (cache hits: ${cached.size})`
+        );
+        return decoded;
+    }
+
+    /**
+     * Decode the recent messages of the most recent conversations into the decode cache (startup, background)
+     */
+    async warmDecodeCache() {
+        const conversations = APP_CONFIG.DECODE_CACHE_WARMUP_CONVERSATIONS;
+        if (!APP_CONFIG.DECODE_CACHE_ENABLED || conversations <= 0) return;
+
+        const startedAt = Date.now();
+        decodeCacheService.setWarmup({ state: 'running' });
+        try {
+            const db = await this.getDb();
+            const rows = await db.all(`
+                WITH recent AS (
+                    SELECT handle_id, MAX(date) AS last_date
+                    FROM message
+                    WHERE handle_id > 0
+                    GROUP BY handle_id
+                    ORDER BY last_date DESC
+                    LIMIT ?
+                )
+                SELECT guid, text, attributedBody, date_edited FROM (
+                    SELECT m.guid, m.text, m.attributedBody, ${await this.dateEditedColumn()} AS date_edited,
+                        ROW_NUMBER() OVER (PARTITION BY m.handle_id ORDER BY m.date DESC) AS position
+                    FROM message m
+                    JOIN recent r ON m.handle_id = r.handle_id
+                    WHERE m.attributedBody IS NOT NULL
+                )
+                WHERE position <= ?
+            `, [conversations, APP_CONFIG.DECODE_CACHE_WARMUP_MESSAGES]);
+
+            let decoded = 0;
+            for (let i = 0; i < rows.length; i += 200) {
+                decoded += (await this.decodeBodies(rows.slice(i, i + 200))).size;
+                // Nhường event loop cho socket / API giữa các chunk
+                await new Promise((resolve) => setImmediate(resolve));
+            }
+
+            decodeCacheService.setWarmup({ state: 'done', messages: rows.length, decoded, durationMs: Date.now() - startedAt });
+            console.log(`🔥 Decode cache warmed: ${decoded}/${rows.length} messages in ${Date.now() - startedAt}ms`);
+        } catch (error) {
+            decodeCacheService.setWarmup({ state: 'failed', durationMs: Date.now() - startedAt });
+            console.warn('⚠️ Decode cache warm-up failed:', error.message);
+        }
+    }
+
+    /**
+     * Xử lý tin nhắn với attributedBody decoding (decode cache + batch decode)
+     * @param {Map<number, Array>} attachments - message ROWID → attachment payloads
+     * @param {Map<number, Array>} reactions - message ROWID → reactions
+     * @param {Map<Object, Object>} replyTargets - row → replyTo (getReplyTargets)
+     */
+    async processMessagesWithAttributedBody(messages, sender, attachments = new Map(), reactions = new Map(), replyTargets = new Map()) {
+        // Tối ưu hóa: Batch decode tất cả attributedBody cùng lúc
+        // (cả tin đã có text: spans chỉ nằm trong attributedBody)
+        const decodedBodies = await this.decodeBodies(messages);
+
         // Xử lý tất cả tin nhắn với kết quả đã decode
         return messages.map((msg) => {
-            let content = msg.text;
+            const decodedBody = decodedBodies.get(msg);
+            // Tin chỉ có file đính kèm: text là "\uFFFC" → content rỗng, xem attachments
+            const stripped = messageParser.stripAttachmentPlaceholders(msg.text, decodedBody?.spans || []);
+            const spans = stripped.spans;
+            let content = stripped.text;
             let senderId, recipients;
+            const messageAttachments = attachments.get(msg.id) || [];
 
-            // Sử dụng kết quả đã decode từ batch
-            if (!content && msg.attributedBody) {
+            // Sử dụng kết quả đã decode từ batch (tin chỉ có file đính kèm: content rỗng, xem attachments)
+            if (!content && msg.attributedBody && messageAttachments.length === 0) {
                 const needsDecoding = this.shouldDecodeAttributedBody(
                     msg.attributedBody
                 );
 
                 if (needsDecoding) {
-                    const msgId = `msg_${msg.id || messages.indexOf(msg)}`;
-                    const decodedContent = decodedResults[msgId];
-
-                    if (decodedContent) {
-                        content = decodedContent;
+                    if (decodedBody?.text) {
+                        content = decodedBody.text;
                     } else {
-                        content = "[Media/Sticker - Decoded via Foundation Bridge]";
+                        content = "[Rich content]";
                     }
                 } else {
                     content = "[Media/Sticker - Skipped decoding]";
@@ -477,12 +1210,21 @@ class MessageService {
 
             // Use deriveStatusFromRow for accurate status determination
             const { derivedStatus } = this.deriveStatusFromRow(msg);
+            const contact = contactsService.describe(msg.is_from_me === 1 ? null : msg.handle_id_text, msg.handle_country);
             
             return {
                 id: msg.id,
                 sender_phone: senderId,
-                sender_name: senderId,
+                sender_name: contact.displayName || senderId,
+                sender_handle: msg.is_from_me === 1 ? null : msg.handle_id_text || null, // người gửi trong group chat
+                sender_handle_normalized: msg.is_from_me === 1 ? null : handleNormalizer.normalize(msg.handle_id_text, msg.handle_country),
+                ...contact,
                 content: content || "",
+                spans,
+                attachments: messageAttachments,
+                reactions: reactions.get(msg.id) || [],
+                replyTo: replyTargets.get(msg) || null,
+                ...messageEditService.describe(msg),
                 message_type: messageType,
                 direction: msg.is_from_me === 1 ? "outbound" : "inbound",
                 status: derivedStatus === 'failed' ? 'failed' : 
@@ -515,14 +1257,18 @@ class MessageService {
 
     /**
      * Xử lý tin nhắn nhanh (bỏ qua attributedBody decoding)
+     * @param {Map<number, Array>} attachments - message ROWID → attachment payloads
+     * @param {Map<number, Array>} reactions - message ROWID → reactions
+     * @param {Map<Object, Object>} replyTargets - row → replyTo (getReplyTargets)
      */
-    async processMessagesFast(messages, sender) {
+    async processMessagesFast(messages, sender, attachments = new Map(), reactions = new Map(), replyTargets = new Map()) {
         return messages.map((msg) => {
-            let content = msg.text;
+            let content = messageParser.stripAttachmentPlaceholders(msg.text).text;
             let senderId, recipients;
+            const messageAttachments = attachments.get(msg.id) || [];
 
             // Bỏ qua attributedBody decoding để tăng tốc
-            if (!content && msg.attributedBody) {
+            if (!content && msg.attributedBody && messageAttachments.length === 0) {
                 content = "[Media/Sticker - Fast Mode]";
             }
 
@@ -563,12 +1309,21 @@ class MessageService {
 
             // Use deriveStatusFromRow for accurate status determination
             const { derivedStatus } = this.deriveStatusFromRow(msg);
+            const contact = contactsService.describe(msg.is_from_me === 1 ? null : msg.handle_id_text, msg.handle_country);
             
             return {
                 id: msg.id,
                 sender_phone: senderId,
-                sender_name: senderId,
+                sender_name: contact.displayName || senderId,
+                sender_handle: msg.is_from_me === 1 ? null : msg.handle_id_text || null, // người gửi trong group chat
+                sender_handle_normalized: msg.is_from_me === 1 ? null : handleNormalizer.normalize(msg.handle_id_text, msg.handle_country),
+                ...contact,
                 content: content || "",
+                spans: [], // fast mode không decode attributedBody
+                attachments: messageAttachments,
+                reactions: reactions.get(msg.id) || [],
+                replyTo: replyTargets.get(msg) || null,
+                ...messageEditService.describe(msg),
                 message_type: messageType,
                 direction: msg.is_from_me === 1 ? "outbound" : "inbound",
                 status: derivedStatus === 'failed' ? 'failed' : 
@@ -586,21 +1341,25 @@ class MessageService {
     /**
      * Get conversations list
      * @param {number} limit - Number of conversations to return
+     * @param {Object} [options] - { operator }: unread theo read state của operator (readStateService)
      * @returns {Promise<Object>}
      */
-    async getConversations(limit = 50) {
+    async getConversations(limit = 50, options = {}) {
         try {
             const db = await getDatabase();
+            const unreadMarks = await readStateService.getMarkedUnread(options.operator);
+            const unread = readStateService.unreadSql(options.operator, 'm6');
 
             // Updated SQL query with improved logic from /api/conversations/detailed
             const conversations = await db.all(`
                 SELECT 
+                    h.ROWID as handleId,
                     h.id as sender,
                     h.country,
                     (
                       SELECT m2.service
                       FROM message m2
-                      WHERE m2.handle_id = h.ROWID AND (m2.text IS NOT NULL OR m2.attributedBody IS NOT NULL)
+                      WHERE m2.handle_id = h.ROWID AND (m2.text IS NOT NULL OR m2.attributedBody IS NOT NULL) AND ${reactionService.excludeSql('m2')}
                       ORDER BY m2.date DESC
                       LIMIT 1
                     ) as service,
@@ -608,44 +1367,65 @@ class MessageService {
                     MAX(m.date) as lastMessageDate,
                     datetime(MAX(m.date)/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch', 'localtime') as lastMessageReadable,
                     (
-                      SELECT m3.text
+                      SELECT m3.ROWID
                       FROM message m3
-                      WHERE m3.handle_id = h.ROWID AND (m3.text IS NOT NULL OR m3.attributedBody IS NOT NULL)
+                      WHERE m3.handle_id = h.ROWID AND (m3.text IS NOT NULL OR m3.attributedBody IS NOT NULL) AND ${reactionService.excludeSql('m3')}
                       ORDER BY m3.date DESC
                       LIMIT 1
-                    ) as lastMessage,
+                    ) as lastMessageId,
                     (
-                      SELECT m4.text
+                      SELECT m4.ROWID
                       FROM message m4
-                      WHERE m4.handle_id = h.ROWID AND m4.is_from_me = 0 AND (m4.text IS NOT NULL OR m4.attributedBody IS NOT NULL)
+                      WHERE m4.handle_id = h.ROWID AND m4.is_from_me = 0 AND (m4.text IS NOT NULL OR m4.attributedBody IS NOT NULL) AND ${reactionService.excludeSql('m4')}
                       ORDER BY m4.date DESC
                       LIMIT 1
-                    ) as lastReceivedMessage,
+                    ) as lastReceivedMessageId,
                     (
-                      SELECT m5.text
+                      SELECT m5.ROWID
                       FROM message m5
-                      WHERE m5.handle_id = h.ROWID AND m5.is_from_me = 1 AND (m5.text IS NOT NULL OR m5.attributedBody IS NOT NULL)
+                      WHERE m5.handle_id = h.ROWID AND m5.is_from_me = 1 AND (m5.text IS NOT NULL OR m5.attributedBody IS NOT NULL) AND ${reactionService.excludeSql('m5')}
                       ORDER BY m5.date DESC
                       LIMIT 1
-                    ) as lastSentMessage,
+                    ) as lastSentMessageId,
                     (
                       SELECT COUNT(*) FROM message m6
-                      WHERE m6.handle_id = h.ROWID AND m6.is_read = 0 AND m6.is_from_me = 0
+                      ${unread.join}
+                      WHERE m6.handle_id = h.ROWID AND ${unread.condition} AND ${reactionService.excludeSql('m6')}
                     ) as unreadCount
                 FROM handle h
                 LEFT JOIN message m ON h.ROWID = m.handle_id
-                WHERE (m.text IS NOT NULL OR m.attributedBody IS NOT NULL)
+                WHERE (m.text IS NOT NULL OR m.attributedBody IS NOT NULL) AND ${reactionService.excludeSql()}
                 GROUP BY h.ROWID, h.id COLLATE NOCASE, h.country
                 HAVING MAX(m.date) IS NOT NULL
                 ORDER BY MAX(m.date) DESC
                 LIMIT ?
-            `, [limit]);
+            `, [...unread.params, limit]);
+
+            // Text của tin cuối (decode attributedBody, tin chỉ có attachment → '') như chat / person mode
+            const lastIds = [...new Set(conversations
+                .flatMap((conv) => [conv.lastMessageId, conv.lastReceivedMessageId, conv.lastSentMessageId])
+                .filter(Boolean))];
+            const lastRows = lastIds.length === 0 ? [] : await db.all(`
+                SELECT m.ROWID AS id, m.guid, m.text, m.attributedBody, ${await this.dateEditedColumn()} AS date_edited, m.cache_has_attachments
+                FROM message m
+                WHERE m.ROWID IN (${lastIds.map(() => '?').join(',')})
+            `, lastIds);
+            const decodedBodies = await this.decodeBodies(lastRows);
+            const lastById = new Map(lastRows.map((row) => [row.id, row]));
+            const previewOf = (id) => (id ? this.previewText(lastById.get(id), decodedBodies) : null);
 
             // Merge conversations with same sender (case insensitive) - improved logic
             const conversationMap = new Map();
 
-            conversations.forEach(conv => {
-                const senderKey = conv.sender.toLowerCase();
+            conversations.forEach(({ handleId, lastMessageId, lastReceivedMessageId, lastSentMessageId, ...conv }) => {
+                conv.lastMessage = previewOf(lastMessageId);
+                conv.lastReceivedMessage = previewOf(lastReceivedMessageId);
+                conv.lastSentMessage = previewOf(lastSentMessageId);
+                // Handle alias → canonical handle
+                conv.sender = handleAliasService.canonicalHandle(handleId, conv.sender);
+                conv.markedUnread = readStateService.isMarkedUnread(unreadMarks, { handleIds: [handleId] });
+                // 0346477714 / +84346477714 / 84346477714 là cùng một người
+                const senderKey = handleNormalizer.normalize(conv.sender, conv.country) || conv.sender.toLowerCase();
 
                 if (!conversationMap.has(senderKey)) {
                     conversationMap.set(senderKey, conv);
@@ -669,6 +1449,7 @@ class MessageService {
                         sender: betterSender,
                         messageCount: existing.messageCount + conv.messageCount,
                         unreadCount: existing.unreadCount + conv.unreadCount,
+                        markedUnread: existing.markedUnread || conv.markedUnread,
                         // Keep the most recent message date and related data
                         lastMessageDate: Math.max(existingDate, convDate),
                         lastMessageReadable: useConvData ? conv.lastMessageReadable : existing.lastMessageReadable,
@@ -683,8 +1464,16 @@ class MessageService {
             });
 
             // Sort conversations by last message date (most recent first)
+            const { byKey: personByHandle } = await identityService.resolve();
             const mergedConversations = Array.from(conversationMap.values())
-                .sort((a, b) => (b.lastMessageDate || 0) - (a.lastMessageDate || 0));
+                .sort((a, b) => (b.lastMessageDate || 0) - (a.lastMessageDate || 0))
+                .map((conv) => ({
+                    ...conv,
+                    unreadCount: conv.markedUnread ? Math.max(conv.unreadCount, 1) : conv.unreadCount,
+                    normalizedSender: handleNormalizer.normalize(conv.sender, conv.country),
+                    personId: personByHandle.get(handleNormalizer.normalize(conv.sender, conv.country)) || null,
+                    ...contactsService.describe(conv.sender, conv.country)
+                }));
 
             return { success: true, conversations: mergedConversations };
         } catch (error) {
@@ -694,57 +1483,418 @@ class MessageService {
     }
 
     /**
-     * Mark conversation as read
-     * @param {string} sender - Sender identifier
-     * @returns {Promise<Object>}
+     * Conversations keyed by chat (chat, chat_handle_join, chat_message_join)
+     * Mỗi group chat là một conversation; chat 1:1 và group chat với cùng một người không bị trộn.
+     * @param {number} limit - Number of conversations to return
+     * @param {number} offset - Conversations to skip
+     * @param {Object} [options] - { operator }: unread theo read state của operator (readStateService)
+     * @returns {Promise<Object>} - { success, conversations, total }
      */
-    async markAsRead(sender) {
+    async getChatConversations(limit = 50, offset = 0, options = {}) {
         try {
             const db = await getDatabase();
+            const unreadMarks = await readStateService.getMarkedUnread(options.operator);
+            const unread = readStateService.unreadSql(options.operator, 'm', 'cmj.chat_id');
+            const contentFilter = `(m.text IS NOT NULL OR m.attributedBody IS NOT NULL OR m.cache_has_attachments = 1) AND ${reactionService.excludeSql()}`;
+
+            const chats = await db.all(`
+                SELECT
+                    c.ROWID AS chat_id, c.guid, c.chat_identifier, c.display_name, c.style, c.service_name,
+                    COUNT(m.ROWID) AS message_count,
+                    SUM(CASE WHEN ${unread.condition} THEN 1 ELSE 0 END) AS unread_count,
+                    MAX(m.date) AS last_date
+                FROM chat c
+                JOIN chat_message_join cmj ON cmj.chat_id = c.ROWID
+                JOIN message m ON m.ROWID = cmj.message_id
+                ${unread.join}
+                WHERE ${contentFilter}
+                GROUP BY c.ROWID
+                ORDER BY last_date DESC
+                LIMIT ? OFFSET ?
+            `, [...unread.params, limit, offset]);
+
+            const totalRow = await db.get(`
+                SELECT COUNT(DISTINCT cmj.chat_id) AS count
+                FROM chat_message_join cmj
+                JOIN message m ON m.ROWID = cmj.message_id
+                WHERE ${contentFilter}
+            `);
+
+            if (chats.length === 0) {
+                return { success: true, conversations: [], total: totalRow?.count || 0 };
+            }
 
-            await db.run(`
-                UPDATE message 
-                SET is_read = 1 
-                WHERE handle_id = (SELECT ROWID FROM handle WHERE id = ?) 
-                AND is_from_me = 0
-            `, [sender]);
+            // Tin cuối cùng của mỗi chat (decode attributedBody qua decode cache / worker pool)
+            const lastRows = await db.all(`
+                SELECT * FROM (
+                    SELECT
+                        cmj.chat_id, m.ROWID AS id, m.guid, m.text, m.attributedBody,
+                        ${await this.dateEditedColumn()} AS date_edited,
+                        m.is_from_me, m.cache_has_attachments, m.service, m.handle_id, h.id AS handle,
+                        ROW_NUMBER() OVER (PARTITION BY cmj.chat_id ORDER BY m.date DESC) AS position
+                    FROM chat_message_join cmj
+                    JOIN message m ON m.ROWID = cmj.message_id
+                    LEFT JOIN handle h ON h.ROWID = m.handle_id
+                    WHERE cmj.chat_id IN (${chats.map(() => '?').join(',')}) AND ${contentFilter}
+                )
+                WHERE position = 1
+            `, chats.map((chat) => chat.chat_id));
+            const decodedBodies = await this.decodeBodies(lastRows);
+            const lastByChat = new Map(lastRows.map((row) => [row.chat_id, row]));
+
+            const described = await this.describeChats(chats);
+            // Chat 1:1 cũng chưa đọc khi handle của người kia bị mark unread
+            const directHandles = await db.all(`
+                SELECT chj.chat_id, chj.handle_id
+                FROM chat_handle_join chj
+                JOIN chat c ON c.ROWID = chj.chat_id
+                WHERE c.style <> 43 AND chj.chat_id IN (${chats.map(() => '?').join(',')})
+            `, chats.map((chat) => chat.chat_id));
+            const conversations = described.map((conversation, index) => {
+                const chat = chats[index];
+                const last = lastByChat.get(chat.chat_id);
+                const markedUnread = readStateService.isMarkedUnread(unreadMarks, {
+                    chatId: chat.chat_id,
+                    handleIds: directHandles.filter((row) => row.chat_id === chat.chat_id).map((row) => row.handle_id)
+                });
+                const lastMs = this.toUnixMsFromAppleNsEpoch(chat.last_date);
+
+                return {
+                    ...conversation,
+                    messageCount: chat.message_count,
+                    unreadCount: markedUnread ? Math.max(chat.unread_count || 0, 1) : chat.unread_count || 0,
+                    markedUnread,
+                    lastMessage: this.previewText(last, decodedBodies),
+                    lastMessageSender: last ? (last.is_from_me === 1 ? 'me' : handleAliasService.canonicalHandle(last.handle_id, last.handle) || null) : null,
+                    lastMessageService: last?.service || null,
+                    lastMessageDate: chat.last_date,
+                    lastMessageTime: lastMs !== null ? new Date(lastMs).toISOString() : null
+                };
+            });
 
-            return { success: true };
+            return { success: true, conversations, total: totalRow?.count || 0 };
+        } catch (error) {
+            console.error('❌ Failed to get chat conversations:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Conversations keyed by person (identityService): các handle của cùng một người gộp thành một conversation
+     * @param {number} limit - Number of conversations to return
+     * @param {number} offset - Conversations to skip
+     * @param {Object} [options] - { operator }: unread theo read state của operator (readStateService)
+     * @returns {Promise<Object>} - { success, conversations, total }
+     */
+    async getPersonConversations(limit = 50, offset = 0, options = {}) {
+        try {
+            const db = await getDatabase();
+            const { people, byHandleId } = await identityService.resolve();
+            const unreadMarks = await readStateService.getMarkedUnread(options.operator);
+            const unread = readStateService.unreadSql(options.operator);
+            const contentFilter = `(m.text IS NOT NULL OR m.attributedBody IS NOT NULL OR m.cache_has_attachments = 1) AND ${reactionService.excludeSql()}`;
+
+            const stats = await db.all(`
+                SELECT
+                    m.handle_id,
+                    COUNT(*) AS message_count,
+                    SUM(CASE WHEN ${unread.condition} THEN 1 ELSE 0 END) AS unread_count,
+                    MAX(m.date) AS last_date
+                FROM message m
+                ${unread.join}
+                WHERE m.handle_id > 0 AND ${contentFilter}
+                GROUP BY m.handle_id
+            `, unread.params);
+
+            const byPerson = new Map();
+            for (const row of stats) {
+                const personId = byHandleId.get(handleAliasService.canonicalId(row.handle_id)) || byHandleId.get(row.handle_id);
+                if (!personId) continue;
+                const entry = byPerson.get(personId) || { messageCount: 0, unreadCount: 0, markedUnread: false, lastDate: 0, lastHandleId: null };
+                entry.messageCount += row.message_count;
+                entry.unreadCount += row.unread_count || 0;
+                entry.markedUnread = entry.markedUnread || readStateService.isMarkedUnread(unreadMarks, { handleIds: [row.handle_id] });
+                if (row.last_date > entry.lastDate) {
+                    entry.lastDate = row.last_date;
+                    entry.lastHandleId = row.handle_id;
+                }
+                byPerson.set(personId, entry);
+            }
+
+            const sorted = [...byPerson.entries()].sort((a, b) => b[1].lastDate - a[1].lastDate);
+            const pageEntries = sorted.slice(offset, offset + limit);
+            if (pageEntries.length === 0) {
+                return { success: true, conversations: [], total: sorted.length };
+            }
+
+            // Tin cuối cùng của mỗi person (handle có tin mới nhất)
+            const lastRows = await db.all(`
+                SELECT * FROM (
+                    SELECT
+                        m.handle_id, m.ROWID AS id, m.guid, m.text, m.attributedBody,
+                        ${await this.dateEditedColumn()} AS date_edited,
+                        m.is_from_me, m.cache_has_attachments, m.service, h.id AS handle,
+                        ROW_NUMBER() OVER (PARTITION BY m.handle_id ORDER BY m.date DESC) AS position
+                    FROM message m
+                    LEFT JOIN handle h ON h.ROWID = m.handle_id
+                    WHERE m.handle_id IN (${pageEntries.map(() => '?').join(',')}) AND ${contentFilter}
+                )
+                WHERE position = 1
+            `, pageEntries.map(([, entry]) => entry.lastHandleId));
+            const decodedBodies = await this.decodeBodies(lastRows);
+            const lastByHandle = new Map(lastRows.map((row) => [row.handle_id, row]));
+
+            const conversations = pageEntries.map(([personId, entry]) => {
+                const last = lastByHandle.get(entry.lastHandleId);
+                const lastMs = this.toUnixMsFromAppleNsEpoch(entry.lastDate);
+
+                return {
+                    ...people.get(personId),
+                    messageCount: entry.messageCount,
+                    unreadCount: entry.markedUnread ? Math.max(entry.unreadCount, 1) : entry.unreadCount,
+                    markedUnread: entry.markedUnread,
+                    lastMessage: this.previewText(last, decodedBodies),
+                    lastMessageSender: last ? (last.is_from_me === 1 ? 'me' : handleAliasService.canonicalHandle(last.handle_id, last.handle) || null) : null,
+                    lastMessageHandle: last ? handleAliasService.canonicalHandle(last.handle_id, last.handle) || null : null,
+                    lastMessageService: last?.service || null,
+                    lastMessageDate: entry.lastDate,
+                    lastMessageTime: lastMs !== null ? new Date(lastMs).toISOString() : null
+                };
+            });
+
+            return { success: true, conversations, total: sorted.length };
+        } catch (error) {
+            console.error('❌ Failed to get person conversations:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Chat rows → conversation identity with participants
+     * @param {Array} chats - Rows with chat_id, guid, chat_identifier, display_name, style, service_name
+     * @returns {Promise<Array<{ chatGuid, chatIdentifier, displayName, contactId, avatarAvailable, style, isGroup, service, participants }>>}
+     */
+    async describeChats(chats) {
+        const db = await getDatabase();
+        const participants = await db.all(`
+            SELECT chj.chat_id, chj.handle_id, h.id AS handle, h.service, h.country
+            FROM chat_handle_join chj
+            JOIN handle h ON h.ROWID = chj.handle_id
+            WHERE chj.chat_id IN (${chats.map(() => '?').join(',')})
+            ORDER BY chj.chat_id, h.ROWID
+        `, chats.map((chat) => chat.chat_id));
+
+        return chats.map((chat) => {
+            const isGroup = chat.style === 43;
+            const seen = new Set();
+            const members = participants
+                .filter((participant) => participant.chat_id === chat.chat_id)
+                // Handle alias → canonical handle, mỗi người một lần
+                .map((participant) => ({ ...participant, handle: handleAliasService.canonicalHandle(participant.handle_id, participant.handle) }))
+                .filter(({ handle_id: handleId }) => {
+                    const canonicalId = handleAliasService.canonicalId(handleId);
+                    if (seen.has(canonicalId)) return false;
+                    seen.add(canonicalId);
+                    return true;
+                })
+                .map(({ handle, service, country }) => ({
+                    handle,
+                    normalizedHandle: handleNormalizer.normalize(handle, country),
+                    service,
+                    country: country || null,
+                    ...contactsService.describe(handle, country)
+                }));
+            // Chat 1:1 không có display_name: dùng tên trong danh bạ của người kia
+            const contact = isGroup ? null : members[0] || contactsService.describe(chat.chat_identifier);
+
+            return {
+                chatGuid: chat.guid,
+                chatIdentifier: chat.chat_identifier,
+                displayName: chat.display_name || contact?.displayName || null,
+                contactId: contact?.contactId || null,
+                avatarAvailable: contact?.avatarAvailable || false,
+                style: isGroup ? 'group' : 'direct',
+                isGroup,
+                service: chat.service_name || null,
+                participants: members
+            };
+        });
+    }
+
+    /**
+     * Read state keys of a conversation (readStateService)
+     * @param {string} ref - Handle (mode 'handle'), chat guid / chat_identifier (mode 'chat') or personId / handle (mode 'person')
+     * @param {string} [mode] - 'handle' | 'chat' | 'person'
+     * @returns {Promise<{ conversation: { mode, id }, keys: string[] }|null>} - null when the chat / person does not exist
+     */
+    async getReadStateKeys(ref, mode = 'handle') {
+        if (mode === 'chat') {
+            const chat = await this.findChat(ref);
+            if (!chat) return null;
+            const keys = [readStateService.chatKey(chat.guid)];
+            // Chat 1:1: đọc trong chat cũng là đọc conversation theo handle của người kia
+            if (chat.style !== 43) {
+                const [described] = await this.describeChats([chat]);
+                keys.push(...described.participants.map((participant) => readStateService.handleKey(participant.normalizedHandle)));
+            }
+            return { conversation: { mode, id: chat.guid }, keys: [...new Set(keys)] };
+        }
+
+        if (mode === 'person') {
+            const person = await identityService.findPerson(ref);
+            if (!person) return null;
+            return {
+                conversation: { mode, id: person.personId },
+                keys: [...new Set(person.handles.map((handle) => readStateService.handleKey(handle.normalizedHandle)))]
+            };
+        }
+
+        const handles = await this.findHandlesForRecipient(ref);
+        const normalized = handles.length > 0 ? handles.map((handle) => handle.normalized) : [handleNormalizer.normalize(ref)];
+        return {
+            conversation: { mode: 'handle', id: handles[0]?.id || String(ref).trim() },
+            keys: [...new Set(normalized.filter(Boolean).map((handle) => readStateService.handleKey(handle)))]
+        };
+    }
+
+    /**
+     * Mark conversation as read (read state trong relay.db, chat.db không bị sửa)
+     * @param {string} sender - Sender identifier (chat guid / personId với options.mode)
+     * @param {Object} [options] - { mode: 'handle' | 'chat' | 'person', operator }
+     * @returns {Promise<Object>} - { success, event } (event: conversation:read)
+     */
+    async markAsRead(sender, options = {}) {
+        try {
+            const target = await this.getReadStateKeys(sender, options.mode);
+            if (!target) {
+                return { success: false, notFound: true, error: `Conversation not found: ${sender}` };
+            }
+            if (target.keys.length === 0) {
+                return { success: true };
+            }
+
+            const event = await readStateService.markRead(target.keys, {
+                operator: options.operator,
+                lastReadRowId: await this.getMaxMessageRowId(),
+                conversation: target.conversation
+            });
+            return { success: true, event };
         } catch (error) {
             console.error('❌ Failed to mark as read:', error);
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Mark conversation as unread (conversation hiện unreadCount >= 1 tới lần mark read sau)
+     * @param {string} sender - Sender identifier (chat guid / personId với options.mode)
+     * @param {Object} [options] - { mode: 'handle' | 'chat' | 'person', operator }
+     * @returns {Promise<Object>} - { success, event } (event: conversation:read)
+     */
+    async markAsUnread(sender, options = {}) {
+        try {
+            const target = await this.getReadStateKeys(sender, options.mode);
+            if (!target) {
+                return { success: false, notFound: true, error: `Conversation not found: ${sender}` };
+            }
+            if (target.keys.length === 0) {
+                return { success: true };
+            }
+
+            const event = await readStateService.markUnread(target.keys, {
+                operator: options.operator,
+                conversation: target.conversation
+            });
+            return { success: true, event };
+        } catch (error) {
+            console.error('❌ Failed to mark as unread:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Check for new messages
+     * fs.watch và polling có thể gọi chồng nhau: chỉ một lượt chạy tại một thời điểm,
+     * các lần gọi trong lúc đang chạy được gộp thành một lượt chạy lại ngay sau đó.
      * @param {Function} onNewMessage - Callback for new messages
+     * @param {Object} [handlers] - { onReaction, onEdited, onRetracted } (xem startMonitoring)
      * @returns {Promise<void>}
      */
-    async checkNewMessages(onNewMessage) {
+    async checkNewMessages(onNewMessage, handlers = {}) {
+        if (this.isChecking) {
+            this.checkPending = true;
+            return;
+        }
+
+        this.isChecking = true;
+        try {
+            do {
+                this.checkPending = false;
+                await this.readNewMessages(onNewMessage, handlers.onReaction);
+                await this.readEditedMessages(handlers);
+            } while (this.checkPending);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Read rows after lastMessageId and hand them to onNewMessage
+     * Rows theo thứ tự ghi (ROWID), để tapback thêm rồi gỡ được phát đúng thứ tự.
+     * Tapback rows không phải tin mới: chúng đi qua onReaction (reactionService.toEvent).
+     * @param {Function} onNewMessage - Callback for new messages
+     * @param {Function} [onReaction] - Callback for tapbacks added / removed
+     */
+    async readNewMessages(onNewMessage, onReaction) {
         try {
             const db = await getDatabase();
 
             const messages = await db.all(`
                 SELECT 
                     m.ROWID, 
+                    m.guid,
                     m.text, 
                     m.attributedBody,
+                    ${await this.dateEditedColumn()} as date_edited,
                     m.date, 
                     m.is_from_me, 
+                    m.associated_message_guid,
+                    m.associated_message_type,
+                    ${await reactionService.emojiColumn()} as emoji,
+                    ${await this.threadColumns()},
+                    m.handle_id,
                     h.id as sender,
+                    h.country as sender_country,
                     datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch', 'localtime') as readable_date
                 FROM message m 
                 LEFT JOIN handle h ON m.handle_id = h.ROWID 
                 WHERE m.ROWID > ? 
-                ORDER BY m.date DESC
+                ORDER BY m.ROWID ASC
             `, [this.lastMessageId]);
 
             if (messages.length > 0) {
                 console.log(`📥 Found ${messages.length} new messages`);
+                const decodedBodies = await this.decodeBodies(
+                    messages.filter((msg) => !reactionService.describe(msg.associated_message_type))
+                );
+                const replyTargets = await this.getReplyTargets(messages);
 
                 for (const msg of messages) {
-                    const parsedMessage = await messageParser.parseMessage(msg);
+                    msg.sender = handleAliasService.canonicalHandle(msg.handle_id, msg.sender);
+                    if (reactionService.describe(msg.associated_message_type)) {
+                        const event = await reactionService.toEvent(msg);
+                        console.log(`💟 Tapback ${event.reaction.type} ${event.action} by ${event.reaction.sender} on ${event.message_guid}`);
+                        if (onReaction) {
+                            onReaction(event);
+                        }
+                        this.lastMessageId = Math.max(this.lastMessageId, msg.ROWID);
+                        continue;
+                    }
+
+                    const parsedMessage = await messageParser.parseMessage(msg, decodedBodies.get(msg) || null);
+                    parsedMessage.replyTo = replyTargets.get(msg) || null;
+                    parsedMessage.fromNormalized = handleNormalizer.normalize(msg.sender, msg.sender_country);
+                    Object.assign(parsedMessage, contactsService.describe(parsedMessage.isFromMe ? null : msg.sender, msg.sender_country));
                     await logger.logReceivedMessage(parsedMessage);
 
                     if (onNewMessage) {
@@ -759,11 +1909,34 @@ class MessageService {
         }
     }
 
+    /**
+     * Emit edits / unsends of messages already handed to onNewMessage
+     * @param {Object} handlers - { onEdited, onRetracted }
+     */
+    async readEditedMessages({ onEdited, onRetracted }) {
+        try {
+            const changes = await messageEditService.detectChanges(this.lastMessageId);
+            for (const { type, message } of changes) {
+                console.log(`✏️  Message ${message.guid} ${type}`);
+                const handler = type === 'retracted' ? onRetracted : onEdited;
+                if (handler) {
+                    handler(message);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Failed to check edited messages:', error);
+        }
+    }
+
     /**
      * Start database monitoring
      * @param {Function} onNewMessage - Callback for new messages
+     * @param {Object} [handlers] - Callbacks for changes that are not new messages: {
+     *   onReaction: tapback added / removed (reactionService.toEvent),
+     *   onEdited, onRetracted: message edited / unsent (messageEditService.toEventPayload)
+     * }
      */
-    startMonitoring(onNewMessage) {
+    startMonitoring(onNewMessage, handlers = {}) {
         if (this.isMonitoring) {
             console.log('⚠️  Database monitoring already started');
             return;
@@ -773,19 +1946,19 @@ class MessageService {
         this.isMonitoring = true;
 
         // Initial check
-        this.checkNewMessages(onNewMessage);
+        this.checkNewMessages(onNewMessage, handlers);
 
         // Watch for file changes
         watch(DB_CONFIG.filename, (eventType, filename) => {
             if (eventType === 'change') {
                 console.log('📝 Database changed, checking for new messages...');
-                setTimeout(() => this.checkNewMessages(onNewMessage), 1000);
+                setTimeout(() => this.checkNewMessages(onNewMessage, handlers), 1000);
             }
         });
 
         // Also poll every 3 seconds as backup
         this.pollInterval = setInterval(() => {
-            this.checkNewMessages(onNewMessage);
+            this.checkNewMessages(onNewMessage, handlers);
         }, 3000);
     }
 
@@ -808,25 +1981,19 @@ class MessageService {
         try {
             const db = await getDatabase();
 
-            // Lấy handle_id của sender
-            const handleRow = await db.get(`
-                SELECT ROWID FROM handle 
-                WHERE id COLLATE NOCASE = ? COLLATE NOCASE
-                LIMIT 1
-            `, [sender]);
+            // Lấy các handle_id của sender
+            const handles = await this.findHandlesForRecipient(sender);
 
-            if (!handleRow) {
+            if (handles.length === 0) {
                 return { success: true, count: 0 };
             }
 
-            const senderHandleId = handleRow.ROWID;
-
             // Count total messages
             const countResult = await db.get(`
                 SELECT COUNT(*) as count
                 FROM message m 
-                WHERE m.handle_id = ?
-            `, [senderHandleId]);
+                WHERE m.handle_id IN (${handles.map(() => '?').join(',')})
+            `, handles.map((handle) => handle.handle_id));
 
             const totalCount = countResult?.count || 0;
             if (process.env.VERBOSE_INBOX_LOG === 'true') {
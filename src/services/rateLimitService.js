@@ -0,0 +1,141 @@
+import { createHash } from 'crypto';
+import { APP_CONFIG } from '../config/app.js';
+import { TokenBucket, KeyedTokenBuckets } from '../utils/rateLimiter.js';
+import handleNormalizer from '../utils/handleNormalizer.js';
+
+/**
+ * Rate Limit Service for Blue Relay Tools
+ * Giới hạn tốc độ gửi để tránh Apple ID bị đánh dấu spam: global, theo người nhận,
+ * theo API key / socket client.
+ *
+ * - Client limit được kiểm tra khi nhận request và luôn trả lỗi (429 / socket error).
+ * - Global + recipient limit được trừ token lúc send queue thật sự gửi (throttle),
+ *   nên mọi đường gửi (API, socket, hẹn giờ, retry) đều bị giới hạn. Ở mode `reject`
+ *   request còn bị từ chối ngay nếu bucket đang cạn; ở mode `defer` request được nhận
+ *   và nằm chờ trong queue.
+ */
+class RateLimitService {
+    constructor() {
+        this.enabled = APP_CONFIG.RATE_LIMIT_ENABLED;
+        this.mode = APP_CONFIG.RATE_LIMIT_MODE === 'defer' ? 'defer' : 'reject';
+        this.global = new TokenBucket({
+            capacity: APP_CONFIG.RATE_LIMIT_GLOBAL_BURST,
+            perMinute: APP_CONFIG.RATE_LIMIT_GLOBAL_PER_MIN
+        });
+        this.recipients = new KeyedTokenBuckets({
+            capacity: APP_CONFIG.RATE_LIMIT_RECIPIENT_BURST,
+            perMinute: APP_CONFIG.RATE_LIMIT_RECIPIENT_PER_MIN
+        });
+        this.clients = new KeyedTokenBuckets({
+            capacity: APP_CONFIG.RATE_LIMIT_CLIENT_BURST,
+            perMinute: APP_CONFIG.RATE_LIMIT_CLIENT_PER_MIN
+        });
+    }
+
+    /**
+     * Bucket key of a send target
+     * @param {Object} target - { to, chatGuid }
+     * @returns {string|null}
+     */
+    recipientKey({ to, chatGuid } = {}) {
+        if (chatGuid) return `chat:${chatGuid}`;
+        if (to) return `to:${handleNormalizer.normalize(to) || String(to).trim().toLowerCase()}`;
+        return null;
+    }
+
+    /**
+     * Bucket key of an API key (never keep the raw key around)
+     */
+    clientKeyForApiKey(apiKey) {
+        return `api:${createHash('sha256').update(String(apiKey || '')).digest('hex').slice(0, 8)}`;
+    }
+
+    /**
+     * Bucket key of a socket connection
+     */
+    clientKeyForSocket(socket) {
+        return `socket:${socket.id}`;
+    }
+
+    /**
+     * Admission check for an incoming send request
+     * @param {Object} params - { client, recipient } bucket keys
+     * @returns {{ allowed: boolean, limitedBy?: string, retryAfterMs?: number }}
+     */
+    admit({ client, recipient } = {}) {
+        if (!this.enabled) return { allowed: true };
+        const now = Date.now();
+
+        const checks = [];
+        if (client) checks.push(['client', this.clients.get(client)]);
+        if (this.mode === 'reject') {
+            checks.push(['global', this.global]);
+            if (recipient) checks.push(['recipient', this.recipients.get(recipient)]);
+        }
+
+        for (const [limitedBy, bucket] of checks) {
+            const retryAfterMs = bucket.getWaitMs(1, now);
+            if (retryAfterMs > 0) {
+                console.warn(`🚦 Send rejected by ${limitedBy} rate limit`, { retryAfterMs });
+                return { allowed: false, limitedBy, retryAfterMs };
+            }
+        }
+
+        if (client) this.clients.get(client).take(1, now);
+        return { allowed: true };
+    }
+
+    /**
+     * Dispatch-time throttle, called by the send queue right before Messages.app is used
+     * @param {string|null} recipient - Recipient bucket key
+     * @param {number} cost - Number of iMessage sends (text + each attachment)
+     * @returns {number} - 0 when tokens were taken, otherwise ms to wait
+     */
+    throttle(recipient, cost = 1) {
+        if (!this.enabled) return 0;
+        const now = Date.now();
+        const buckets = [this.global];
+        if (recipient) buckets.push(this.recipients.get(recipient));
+
+        const waitMs = Math.max(...buckets.map(bucket => bucket.getWaitMs(cost, now)));
+        if (waitMs > 0) return waitMs;
+
+        buckets.forEach(bucket => bucket.take(cost, now));
+        return 0;
+    }
+
+    /**
+     * Error for a rejected admission (socket handlers)
+     * @param {Object} admission - Result of admit()
+     * @returns {Error}
+     */
+    createError(admission) {
+        const error = new Error(`Rate limit exceeded (${admission.limitedBy}), retry after ${Math.ceil(admission.retryAfterMs / 1000)}s`);
+        error.code = 'RATE_LIMITED';
+        error.limitedBy = admission.limitedBy;
+        error.retryAfterMs = admission.retryAfterMs;
+        return error;
+    }
+
+    /**
+     * Current limiter state (recipient keys are masked, /api/info is public)
+     * @returns {Object}
+     */
+    getState() {
+        const maskRecipient = (key) => {
+            const [kind, ...rest] = key.split(':');
+            const value = rest.join(':');
+            return `${kind}:***${value.slice(-4)}`;
+        };
+
+        return {
+            enabled: this.enabled,
+            mode: this.mode,
+            global: this.global.getState(),
+            recipient: this.recipients.getState(maskRecipient),
+            client: this.clients.getState()
+        };
+    }
+}
+
+export default new RateLimitService();
@@ -0,0 +1,192 @@
+import { getDatabase, getMessageColumns } from '../config/database.js';
+
+// associated_message_type 2000–2006 = thêm tapback, 3000–3006 = gỡ tapback tương ứng
+const REACTION_KINDS = ['love', 'like', 'dislike', 'laugh', 'emphasize', 'question', 'emoji'];
+
+const REACTION_EMOJI = {
+    love: '❤️',
+    like: '👍',
+    dislike: '👎',
+    laugh: '😂',
+    emphasize: '‼️',
+    question: '❓'
+};
+
+// Số associated_message_guid mỗi truy vấn (giới hạn biến của SQLite)
+const GUID_CHUNK_SIZE = 500;
+
+/**
+ * Reaction Service for Blue Relay Tools
+ * Tapback (love, like, ... và emoji reaction) là một row riêng trong message với associated_message_type 2000–3006,
+ * trỏ tới tin gốc qua associated_message_guid. Service này gom chúng thành danh sách reactions của tin gốc.
+ */
+class ReactionService {
+    /**
+     * SQL condition that drops tapback rows from message queries
+     * @param {string} alias - message table alias
+     * @returns {string}
+     */
+    excludeSql(alias = 'm') {
+        return `COALESCE(${alias}.associated_message_type, 0) NOT BETWEEN 2000 AND 3006`;
+    }
+
+    /**
+     * @param {number} type - message.associated_message_type
+     * @returns {{ type: string, action: 'added'|'removed' }|null} - null when the row is not a tapback
+     */
+    describe(type) {
+        if (type >= 2000 && type <= 2006) return { type: REACTION_KINDS[type - 2000], action: 'added' };
+        if (type >= 3000 && type <= 3006) return { type: REACTION_KINDS[type - 3000], action: 'removed' };
+        return null;
+    }
+
+    /**
+     * @param {string} value - message.associated_message_guid
+     * @returns {{ guid: string, part: number }}
+     */
+    parseParentGuid(value) {
+        const match = /^(?:p:(\d+)\/|bp:)?(.+)$/.exec(value || '');
+        return match ? { guid: match[2], part: Number(match[1] || 0) } : { guid: null, part: 0 };
+    }
+
+    /**
+     * message.associated_message_emoji (emoji reaction, macOS 15+), NULL khi chat.db không có cột này
+     * @returns {Promise<string>} - SQL expression
+     */
+    async emojiColumn() {
+        const columns = await getMessageColumns();
+        return columns.has('associated_message_emoji') ? 'm.associated_message_emoji' : 'NULL';
+    }
+
+    /**
+     * Tapback row → reaction payload
+     * @param {Object} row - Row with guid, associated_message_type, associated_message_guid, emoji, text, is_from_me, handle, readable_date
+     * @returns {Object|null}
+     */
+    formatReaction(row) {
+        const described = this.describe(row.associated_message_type);
+        if (!described) return null;
+
+        const isFromMe = row.is_from_me === 1;
+        // Chat.db cũ không có associated_message_emoji: lấy emoji từ text ("Reacted 😀 to “…”")
+        const emoji = described.type === 'emoji'
+            ? row.emoji || /^Reacted (.+?) to /u.exec(row.text || '')?.[1] || null
+            : REACTION_EMOJI[described.type];
+
+        return {
+            type: described.type,
+            emoji,
+            sender: isFromMe ? 'me' : row.handle || null,
+            sender_handle: isFromMe ? null : row.handle || null,
+            is_from_me: isFromMe,
+            part: this.parseParentGuid(row.associated_message_guid).part,
+            guid: row.guid,
+            created_at: row.readable_date
+        };
+    }
+
+    /**
+     * Current reactions of each message: tapback rows replayed in date order
+     * Mỗi người chỉ có một tapback trên mỗi message part: tapback mới thay tapback cũ, row 3xxx gỡ tapback cùng loại.
+     * @param {Array<{ id: number, guid: string }>} messages - Parent message rows
+     * @returns {Promise<Map<number, Array>>} - message ROWID → reactions (oldest first)
+     */
+    async getReactions(messages) {
+        const byGuid = new Map(messages.filter((msg) => msg.guid).map((msg) => [msg.guid, msg.id]));
+        const reactions = new Map();
+        if (byGuid.size === 0) return reactions;
+
+        const db = await getDatabase();
+        const ids = [...byGuid.values()];
+        const attachmentCounts = new Map((await db.all(`
+            SELECT message_id, COUNT(*) AS count FROM message_attachment_join
+            WHERE message_id IN (${ids.map(() => '?').join(',')})
+            GROUP BY message_id
+        `, ids)).map((row) => [row.message_id, row.count]));
+
+        // associated_message_guid: "<guid>", "bp:<guid>" (balloon / app message) hoặc "p:<part>/<guid>";
+        // n attachment xen kẽ với text cho tối đa 2n + 1 part. So khớp trực tiếp để chỉ đọc tapback của các tin trong trang
+        const forms = [];
+        for (const [guid, id] of byGuid) {
+            forms.push(guid, `bp:${guid}`);
+            for (let part = 0; part <= 2 * (attachmentCounts.get(id) || 0); part++) forms.push(`p:${part}/${guid}`);
+        }
+
+        const rows = [];
+        const emoji = await this.emojiColumn();
+        for (let i = 0; i < forms.length; i += GUID_CHUNK_SIZE) {
+            const chunk = forms.slice(i, i + GUID_CHUNK_SIZE);
+            rows.push(...await db.all(`
+                SELECT
+                    m.ROWID AS rowid, m.guid, m.text, m.associated_message_guid, m.associated_message_type,
+                    ${emoji} AS emoji,
+                    m.is_from_me, m.date, h.id AS handle,
+                    datetime(m.date/1000000000 + strftime('%s', '2001-01-01'), 'unixepoch', 'localtime') as readable_date
+                FROM message m
+                LEFT JOIN handle h ON m.handle_id = h.ROWID
+                WHERE m.associated_message_guid IN (${chunk.map(() => '?').join(',')})
+                    AND m.associated_message_type BETWEEN 2000 AND 3006
+            `, chunk));
+        }
+        rows.sort((a, b) => a.date - b.date || a.rowid - b.rowid);
+
+        const current = new Map(); // parent guid → (sender + part → reaction)
+        for (const row of rows) {
+            const reaction = this.formatReaction(row);
+            const { guid: parentGuid } = this.parseParentGuid(row.associated_message_guid);
+            if (!current.has(parentGuid)) current.set(parentGuid, new Map());
+            const active = current.get(parentGuid);
+            const key = `${reaction.sender}|${reaction.part}`;
+
+            if (this.describe(row.associated_message_type).action === 'added') {
+                active.set(key, reaction);
+            } else if (active.get(key)?.type === reaction.type) {
+                active.delete(key);
+            }
+        }
+
+        for (const [parentGuid, active] of current) {
+            if (active.size > 0) reactions.set(byGuid.get(parentGuid), [...active.values()]);
+        }
+        return reactions;
+    }
+
+    /**
+     * Live monitor event for a new tapback row
+     * @param {Object} row - message row (guid, text, associated_message_guid, associated_message_type, emoji, is_from_me, sender, readable_date)
+     * @returns {Promise<{ action: string, reaction: Object, message_guid: string, message: Object|null, chatGuid: string|null }>}
+     */
+    async toEvent(row) {
+        const db = await getDatabase();
+        const reaction = this.formatReaction({ ...row, handle: row.sender });
+        const { guid: parentGuid } = this.parseParentGuid(row.associated_message_guid);
+
+        const parent = await db.get(`
+            SELECT m.ROWID AS id, m.guid, m.text, m.is_from_me, h.id AS handle, c.guid AS chat_guid
+            FROM message m
+            LEFT JOIN handle h ON m.handle_id = h.ROWID
+            LEFT JOIN chat_message_join cmj ON cmj.message_id = m.ROWID
+            LEFT JOIN chat c ON c.ROWID = cmj.chat_id
+            WHERE m.guid = ?
+            LIMIT 1
+        `, [parentGuid]);
+
+        return {
+            action: this.describe(row.associated_message_type).action,
+            reaction,
+            message_guid: parentGuid,
+            message: parent
+                ? {
+                    id: parent.id,
+                    guid: parent.guid,
+                    text: parent.text || null,
+                    sender: parent.is_from_me === 1 ? 'me' : parent.handle || null,
+                    is_from_me: parent.is_from_me === 1
+                }
+                : null, // tin gốc chưa đồng bộ về máy này
+            chatGuid: parent?.chat_guid || null
+        };
+    }
+}
+
+export default new ReactionService();
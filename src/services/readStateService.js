@@ -0,0 +1,226 @@
+import { EventEmitter } from 'events';
+import { getDatabase } from '../config/database.js';
+import { ensureSchema, RELAY_DB_CONFIG } from '../config/relayDatabase.js';
+import handleNormalizer from '../utils/handleNormalizer.js';
+
+/**
+ * Read State Service for Blue Relay Tools
+ * Trạng thái đã đọc / chưa đọc của conversation lưu trong relay.db (read_state), không ghi message.is_read vào chat.db.
+ * Mỗi conversation key ("handle:<E.164 / email>" hoặc "chat:<guid>") có một watermark: tin đến có ROWID <= last_read_rowid
+ * là đã đọc, cộng cờ "mark unread". Tin Messages.app đã đánh dấu đọc (is_read = 1) vẫn là đã đọc.
+ * State chung có operator = ''; mỗi operator có thể có state riêng.
+ *
+ * Events: 'conversation:read' (mark read / mark unread)
+ */
+class ReadStateService extends EventEmitter {
+    constructor() {
+        super();
+        this.attachedTo = null; // chat.db connection đã attach relay.db
+        this.attaching = null;
+        this.syncing = null;
+        this.keysMaxRowId = 0;
+    }
+
+    /**
+     * Get relay database with the read_state table in place
+     */
+    async getDb() {
+        return ensureSchema('read_state', `
+            CREATE TABLE IF NOT EXISTS read_state (
+                conversation TEXT NOT NULL,
+                operator TEXT NOT NULL DEFAULT '',
+                last_read_rowid INTEGER NOT NULL DEFAULT 0,
+                marked_unread INTEGER NOT NULL DEFAULT 0,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (conversation, operator)
+            );
+        `);
+    }
+
+    handleKey(normalizedHandle) {
+        return `handle:${normalizedHandle}`;
+    }
+
+    chatKey(chatGuid) {
+        return `chat:${chatGuid}`;
+    }
+
+    normalizeOperator(operator) {
+        return typeof operator === 'string' ? operator.trim() : '';
+    }
+
+    /**
+     * Attach relay.db vào connection chat.db (schema "relay") cùng bảng tạm handle_id → conversation key,
+     * để truy vấn unread LEFT JOIN read_state theo key thay vì nhét watermark vào SQL
+     * @returns {Promise<Database>} - chat.db connection
+     */
+    async prepare() {
+        await this.getDb();
+        const chatDb = await getDatabase();
+        if (this.attachedTo !== chatDb) {
+            this.attachedTo = chatDb;
+            this.keysMaxRowId = 0;
+            this.attaching = chatDb.exec(`
+                CREATE TEMP TABLE IF NOT EXISTS read_state_handles (
+                    handle_id INTEGER PRIMARY KEY,
+                    conversation TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS temp.idx_read_state_handles_conversation ON read_state_handles (conversation);
+            `).then(() => chatDb.run('ATTACH DATABASE ? AS relay', [RELAY_DB_CONFIG.filename])).catch(error => {
+                this.attachedTo = null;
+                throw error;
+            });
+        }
+        await this.attaching;
+        await this.syncHandleKeys(chatDb);
+        return chatDb;
+    }
+
+    /**
+     * Thêm key của các handle mới (ROWID > lần sync trước) vào bảng tạm
+     */
+    async syncHandleKeys(chatDb) {
+        if (!this.syncing) {
+            this.syncing = (async () => {
+                const rows = await chatDb.all('SELECT ROWID AS handle_id, id, country FROM handle WHERE ROWID > ? ORDER BY ROWID', [this.keysMaxRowId]);
+                const keys = rows
+                    .map((row) => [row.handle_id, handleNormalizer.normalize(row.id, row.country)])
+                    .filter(([, normalized]) => normalized);
+                for (let i = 0; i < keys.length; i += 400) {
+                    const chunk = keys.slice(i, i + 400);
+                    await chatDb.run(
+                        `INSERT OR REPLACE INTO temp.read_state_handles (handle_id, conversation) VALUES ${chunk.map(() => '(?, ?)').join(', ')}`,
+                        chunk.flatMap(([handleId, normalized]) => [handleId, this.handleKey(normalized)])
+                    );
+                }
+                if (rows.length > 0) this.keysMaxRowId = rows[rows.length - 1].handle_id;
+            })().finally(() => {
+                this.syncing = null;
+            });
+        }
+        await this.syncing;
+    }
+
+    /**
+     * Conversations the operator marked unread, mapped onto chat.db ids
+     * @param {string} [operator]
+     * @returns {Promise<{ byHandleId: Set<number>, byChatId: Set<number> }>}
+     */
+    async getMarkedUnread(operator) {
+        const chatDb = await this.prepare();
+        const op = this.normalizeOperator(operator);
+        const handles = await chatDb.all(`
+            SELECT k.handle_id
+            FROM relay.read_state rs
+            JOIN temp.read_state_handles k ON k.conversation = rs.conversation
+            WHERE rs.operator = ? AND rs.marked_unread = 1
+        `, [op]);
+        const chats = await chatDb.all(`
+            SELECT c.ROWID AS chat_id
+            FROM relay.read_state rs
+            JOIN chat c ON c.guid = substr(rs.conversation, 6)
+            WHERE rs.operator = ? AND rs.marked_unread = 1 AND rs.conversation LIKE 'chat:%'
+        `, [op]);
+        return {
+            byHandleId: new Set(handles.map((row) => row.handle_id)),
+            byChatId: new Set(chats.map((row) => row.chat_id))
+        };
+    }
+
+    /**
+     * SQL for "message is unread" (tin đến, Messages.app chưa đọc, sau watermark của handle / chat); cần prepare() trước
+     * @param {string} [operator]
+     * @param {string} [alias] - message table alias
+     * @param {string} [chatIdColumn] - chat_message_join.chat_id column (chat mode)
+     * @returns {{ join: string, condition: string, params: Array }} - join đặt sau FROM / JOIN của alias, params theo thứ tự của join
+     */
+    unreadSql(operator, alias = 'm', chatIdColumn = null) {
+        const op = this.normalizeOperator(operator);
+        const joins = [
+            `LEFT JOIN temp.read_state_handles ${alias}_rk ON ${alias}_rk.handle_id = ${alias}.handle_id`,
+            `LEFT JOIN relay.read_state ${alias}_rh ON ${alias}_rh.conversation = ${alias}_rk.conversation AND ${alias}_rh.operator = ?`
+        ];
+        const params = [op];
+        const conditions = [
+            `${alias}.is_from_me = 0`,
+            `${alias}.is_read = 0`,
+            `${alias}.ROWID > IFNULL(${alias}_rh.last_read_rowid, 0)`
+        ];
+        if (chatIdColumn) {
+            joins.push(
+                `LEFT JOIN chat ${alias}_rc ON ${alias}_rc.ROWID = ${chatIdColumn}`,
+                `LEFT JOIN relay.read_state ${alias}_rs ON ${alias}_rs.conversation = 'chat:' || ${alias}_rc.guid AND ${alias}_rs.operator = ?`
+            );
+            params.push(op);
+            conditions.push(`${alias}.ROWID > IFNULL(${alias}_rs.last_read_rowid, 0)`);
+        }
+        return { join: joins.join('\n'), condition: `(${conditions.join(' AND ')})`, params };
+    }
+
+    /**
+     * true when any of the handles / the chat is marked unread
+     * @param {Object} unreadMarks - getMarkedUnread()
+     */
+    isMarkedUnread(unreadMarks, { handleIds = [], chatId = null } = {}) {
+        return handleIds.some((handleId) => unreadMarks.byHandleId.has(handleId))
+            || (chatId !== null && unreadMarks.byChatId.has(chatId));
+    }
+
+    /**
+     * Mark conversation keys read up to a message ROWID (xoá cờ mark unread)
+     * @param {string[]} keys - handleKey() / chatKey()
+     * @param {Object} options - { operator, lastReadRowId, conversation: { mode, id } }
+     * @returns {Promise<Object>} - conversation:read event
+     */
+    async markRead(keys, { operator, lastReadRowId, conversation }) {
+        const db = await this.getDb();
+        const op = this.normalizeOperator(operator);
+        const now = Date.now();
+        await db.run(`
+            INSERT INTO read_state (conversation, operator, last_read_rowid, marked_unread, updated_at)
+            VALUES ${keys.map(() => '(?, ?, ?, 0, ?)').join(', ')}
+            ON CONFLICT(conversation, operator) DO UPDATE SET
+                last_read_rowid = MAX(last_read_rowid, excluded.last_read_rowid),
+                marked_unread = 0,
+                updated_at = excluded.updated_at
+        `, keys.flatMap((key) => [key, op, lastReadRowId, now]));
+
+        return this.publish({ conversation, keys, operator: op, read: true, lastReadRowId, updatedAt: now });
+    }
+
+    /**
+     * Mark conversation keys unread (watermark giữ nguyên, conversation hiện là chưa đọc tới lần mark read sau)
+     * @param {string[]} keys - handleKey() / chatKey()
+     * @param {Object} options - { operator, conversation: { mode, id } }
+     * @returns {Promise<Object>} - conversation:read event
+     */
+    async markUnread(keys, { operator, conversation }) {
+        const db = await this.getDb();
+        const op = this.normalizeOperator(operator);
+        const now = Date.now();
+        await db.run(`
+            INSERT INTO read_state (conversation, operator, last_read_rowid, marked_unread, updated_at)
+            VALUES ${keys.map(() => '(?, ?, 0, 1, ?)').join(', ')}
+            ON CONFLICT(conversation, operator) DO UPDATE SET marked_unread = 1, updated_at = excluded.updated_at
+        `, keys.flatMap((key) => [key, op, now]));
+
+        return this.publish({ conversation, keys, operator: op, read: false, lastReadRowId: null, updatedAt: now });
+    }
+
+    publish({ conversation, keys, operator, read, lastReadRowId, updatedAt }) {
+        const event = {
+            conversation,
+            keys,
+            operator: operator || null,
+            read,
+            markedUnread: !read,
+            lastReadRowId,
+            updatedAt: new Date(updatedAt).toISOString()
+        };
+        console.log(`👁️  ${conversation.mode} ${conversation.id} marked ${read ? 'read' : 'unread'}${operator ? ` by ${operator}` : ''}`);
+        this.emit('conversation:read', event);
+        return event;
+    }
+}
+
+export default new ReadStateService();
@@ -0,0 +1,611 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { ensureSchema } from '../config/relayDatabase.js';
+import { APP_CONFIG } from '../config/app.js';
+import attachmentService from './attachmentService.js';
+
+// scheduled → queued → sending → sent | delivered | failed, scheduled/queued → cancelled
+export const JOB_STATES = ['scheduled', 'queued', 'sending', 'sent', 'delivered', 'failed', 'cancelled'];
+const TERMINAL_STATES = new Set(['sent', 'delivered', 'failed', 'cancelled']);
+const PENDING_STATES = ['scheduled', 'queued'];
+
+// Ngủ tối đa 1 phút mỗi lần: setTimeout không chịu được delay > ~24.8 ngày,
+// và đồng hồ có thể nhảy khi máy Mac sleep/wake
+const MAX_TIMER_MS = 60 * 1000;
+
+/**
+ * Send Queue Service for Blue Relay Tools
+ * Hàng đợi gửi tin lưu trong SQLite của relay: retry với backoff,
+ * job đang gửi dở được khôi phục sau khi restart. Thuộc sở hữu của MessageService.
+ */
+class SendQueueService extends EventEmitter {
+    /**
+     * @param {Object} handlers - {
+     *   send(job): Promise<Object> - same result shape as MessageService.sendMessage,
+     *   throttle(job): number - ms to wait before this job may be sent (0 = go),
+     *   checkpoint(): Promise<number> - chat.db high-water mark taken before each attempt,
+     *   recover(job): Promise<Object|null> - send result if an interrupted attempt actually went out
+     * }
+     */
+    constructor(handlers) {
+        super();
+        this.setMaxListeners(0);
+        this.handlers = handlers;
+        this.maxAttempts = APP_CONFIG.QUEUE_MAX_ATTEMPTS;
+        this.retryBaseMs = APP_CONFIG.QUEUE_RETRY_BASE_MS;
+        this.retryMaxMs = APP_CONFIG.QUEUE_RETRY_MAX_MS;
+        this.timer = null;
+        this.processing = false;
+        this.started = false;
+    }
+
+    /**
+     * Get relay database with the queue table in place
+     */
+    async getDb() {
+        return ensureSchema('send_jobs', `
+            CREATE TABLE IF NOT EXISTS send_jobs (
+                id TEXT PRIMARY KEY,
+                state TEXT NOT NULL,
+                recipient TEXT,
+                chat_guid TEXT,
+                body TEXT,
+                attachments TEXT,
+                source TEXT,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL,
+                next_attempt_at INTEGER NOT NULL,
+                send_at INTEGER,
+                checkpoint_rowid INTEGER,
+                last_error TEXT,
+                result TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_send_jobs_state ON send_jobs (state, next_attempt_at);
+        `, (db) => this.migrate(db));
+    }
+
+    /**
+     * Add columns introduced after the table was first created
+     */
+    async migrate(db) {
+        const columns = new Set((await db.all(`PRAGMA table_info(send_jobs)`)).map(c => c.name));
+        if (!columns.has('send_at')) {
+            await db.exec(`ALTER TABLE send_jobs ADD COLUMN send_at INTEGER`);
+        }
+    }
+
+    /**
+     * Recover interrupted jobs and start processing
+     */
+    async start() {
+        if (this.started) return;
+        const db = await this.getDb();
+
+        const inFlight = await db.all(`SELECT * FROM send_jobs WHERE state = 'sending'`);
+        for (const row of inFlight) {
+            await this.recoverJob(row);
+        }
+
+        this.started = true;
+        const pending = await db.get(`
+            SELECT SUM(state = 'queued') AS queued, SUM(state = 'scheduled') AS scheduled
+            FROM send_jobs WHERE state IN ('queued', 'scheduled')
+        `);
+        console.log(`📮 Send queue started. ${pending.queued || 0} queued, ${pending.scheduled || 0} scheduled, ${inFlight.length} recovered`);
+        this.schedule(0);
+    }
+
+    /**
+     * Stop processing (jobs stay on disk)
+     */
+    stop() {
+        this.started = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * A job was `sending` when the process died: the message may or may not have gone out.
+     * Ask the owner to look for it in chat.db before sending it again.
+     */
+    async recoverJob(row) {
+        let result = null;
+        try {
+            result = await this.handlers.recover?.(this.toSendJob(row));
+        } catch (error) {
+            console.warn(`⚠️  Recovery check failed for job ${row.id}:`, error.message);
+        }
+
+        if (result?.success) {
+            console.log(`📮 Job ${row.id} was sent before restart`);
+            await this.settleAttempt(row, result);
+            return;
+        }
+
+        // Lần gửi bị gián đoạn không tính vào số lần thử
+        await this.updateJob(row.id, {
+            state: 'queued',
+            attempts: Math.max(row.attempts - 1, 0),
+            next_attempt_at: Date.now(),
+            last_error: 'Interrupted by restart'
+        });
+        console.log(`📮 Job ${row.id} re-queued after restart`);
+    }
+
+    /**
+     * Add a message to the queue. Attachments are staged now so the job survives restarts.
+     * @param {Object} payload - { to, chatGuid, body, attachments, source, maxAttempts, sendAt (epoch ms) }
+     * @returns {Promise<Object>} - Queued (or scheduled) job
+     */
+    async enqueue(payload) {
+        const { to, chatGuid, body, attachments, source = 'api', maxAttempts, sendAt = null } = payload;
+        const state = sendAt ? 'scheduled' : 'queued';
+        const db = await this.getDb();
+        const staged = await attachmentService.stageAttachments(attachments);
+        const id = randomUUID();
+        const now = Date.now();
+
+        try {
+            await db.run(`
+                INSERT INTO send_jobs (
+                    id, state, recipient, chat_guid, body, attachments, source,
+                    attempts, max_attempts, next_attempt_at, send_at, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?)
+            `, [
+                id,
+                state,
+                to || null,
+                chatGuid || null,
+                body || null,
+                JSON.stringify(staged),
+                source,
+                parseInt(maxAttempts) || this.maxAttempts,
+                sendAt || now,
+                sendAt,
+                now,
+                now
+            ]);
+        } catch (error) {
+            await attachmentService.releaseAttachments(staged, { immediate: true });
+            throw error;
+        }
+
+        const job = await this.getJob(id);
+        console.log(`📮 Job ${id} ${state}`, { to, chatGuid, attachments: staged.length, source, sendAt: job.sendAt });
+        this.emit('job:updated', job);
+        this.schedule(0);
+        return job;
+    }
+
+    /**
+     * Schedule the next processing pass
+     * @param {number} delayMs - Delay before processing
+     */
+    schedule(delayMs) {
+        if (!this.started) return;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.processDue();
+        }, Math.min(delayMs, MAX_TIMER_MS));
+        this.timer.unref?.();
+    }
+
+    /**
+     * Send due jobs one by one (Messages.app chỉ nên nhận một lệnh gửi tại một thời điểm)
+     */
+    async processDue() {
+        if (this.processing || !this.started) return;
+        this.processing = true;
+        let db;
+
+        try {
+            db = await this.getDb();
+            while (this.started) {
+                const row = await db.get(`
+                    SELECT * FROM send_jobs
+                    WHERE state IN ('queued', 'scheduled') AND next_attempt_at <= ?
+                    ORDER BY next_attempt_at ASC, created_at ASC
+                    LIMIT 1
+                `, [Date.now()]);
+                if (!row) break;
+                await this.runJob(row);
+            }
+        } catch (error) {
+            console.error('❌ Send queue processing failed:', error);
+        } finally {
+            this.processing = false;
+        }
+
+        if (!db) return;
+        try {
+            const next = await db.get(`SELECT MIN(next_attempt_at) AS at FROM send_jobs WHERE state IN ('queued', 'scheduled')`);
+            if (next?.at) {
+                this.schedule(Math.max(next.at - Date.now(), 0));
+            }
+        } catch (error) {
+            console.error('❌ Send queue scheduling failed:', error);
+        }
+    }
+
+    /**
+     * Run one attempt of a job
+     */
+    async runJob(row) {
+        const waitMs = this.handlers.throttle?.(this.toSendJob(row)) || 0;
+        if (waitMs > 0) {
+            // Rate limit: lùi job lại, không tính là một lần thử (giữ nguyên state: job scheduled vẫn reschedule / hiện trong /api/scheduled được)
+            if (!await this.claimJob(row.id, { next_attempt_at: Date.now() + waitMs })) return;
+            const job = await this.getJob(row.id);
+            console.log(`⏳ Job ${row.id} throttled, next try at ${job.nextAttemptAt}`);
+            this.emit('job:updated', job);
+            return;
+        }
+
+        // Lần thử trước có thể đã tới Messages.app dù báo lỗi (vd. AppleScript timeout):
+        // kiểm tra chat.db trước khi gửi lại
+        if (row.attempts > 0 && row.checkpoint_rowid !== null) {
+            let found = null;
+            try {
+                found = await this.handlers.recover?.(this.toSendJob(row));
+            } catch (error) {
+                // ignore - resend
+            }
+            if (found?.success) {
+                // Job có thể vừa bị cancel / reschedule: chỉ settle khi còn claim được
+                if (!await this.claimJob(row.id, { state: 'sending' })) {
+                    console.log(`⏭️  Job ${row.id} changed before settling, skipped`);
+                    return;
+                }
+                console.log(`📮 Job ${row.id} previous attempt reached Messages`);
+                await this.settleAttempt(row, found);
+                return;
+            }
+        }
+
+        const attempts = row.attempts + 1;
+        let checkpoint = null;
+        try {
+            checkpoint = await this.handlers.checkpoint?.() ?? null;
+        } catch (error) {
+            // ignore - recovery falls back to resending
+        }
+
+        // Job có thể vừa bị cancel / reschedule sau khi processDue() đọc row
+        if (!await this.claimJob(row.id, { state: 'sending', attempts, checkpoint_rowid: checkpoint })) {
+            console.log(`⏭️  Job ${row.id} changed before sending, skipped`);
+            return;
+        }
+        this.emit('job:updated', await this.getJob(row.id));
+        console.log(`📤 Sending job ${row.id} (attempt ${attempts}/${row.max_attempts})`);
+
+        let result;
+        try {
+            result = await this.handlers.send(this.toSendJob(row));
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        await this.settleAttempt({ ...row, attempts }, result);
+    }
+
+    /**
+     * Apply the outcome of an attempt to the job
+     */
+    async settleAttempt(row, result) {
+        const fields = { result: JSON.stringify(this.summarizeResult(result)) };
+
+        if (result?.success) {
+            fields.state = result.derivedStatus === 'delivered' ? 'delivered' : 'sent';
+            fields.last_error = null;
+        } else {
+            fields.last_error = result?.error || `Send ${result?.derivedStatus || 'failed'}`;
+            if (result?.retryable !== false && row.attempts < row.max_attempts) {
+                fields.state = 'queued';
+                fields.next_attempt_at = Date.now() + Math.max(this.getRetryDelay(row.attempts), result?.retryAfterMs || 0);
+            } else {
+                fields.state = 'failed';
+            }
+        }
+
+        await this.updateJob(row.id, fields);
+        const job = await this.getJob(row.id);
+
+        if (TERMINAL_STATES.has(job.state)) {
+            await attachmentService.releaseAttachments(this.parseAttachments(row.attachments));
+            if (job.lastError) {
+                console.log(`📮 Job ${row.id} ${job.state}`, { error: job.lastError });
+            } else {
+                console.log(`📮 Job ${row.id} ${job.state}`);
+            }
+            this.emit('job:updated', job);
+            this.emit('job:settled', job);
+        } else {
+            console.warn(`⚠️  Job ${row.id} attempt ${row.attempts} failed, retry at ${job.nextAttemptAt}`, { error: job.lastError });
+            this.emit('job:updated', job);
+        }
+        return job;
+    }
+
+    /**
+     * Exponential backoff: base * 2^(attempt-1), capped
+     * @param {number} attempts - Attempts made so far
+     * @returns {number}
+     */
+    getRetryDelay(attempts) {
+        return Math.min(this.retryBaseMs * 2 ** Math.max(attempts - 1, 0), this.retryMaxMs);
+    }
+
+    /**
+     * Wait until a job reaches a terminal state
+     * @param {string} id - Job ID
+     * @param {number} timeoutMs - Give up after this long and return the current job
+     * @returns {Promise<Object|null>}
+     */
+    waitForJob(id, timeoutMs = APP_CONFIG.QUEUE_WAIT_TIMEOUT_MS) {
+        return new Promise(resolve => {
+            let timer = null;
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.off('job:settled', onSettled);
+            };
+            const onSettled = (job) => {
+                if (job.id !== id) return;
+                cleanup();
+                resolve(job);
+            };
+
+            this.on('job:settled', onSettled);
+            timer = setTimeout(async () => {
+                cleanup();
+                resolve(await this.getJob(id).catch(() => null));
+            }, timeoutMs);
+
+            // Job có thể đã xong trước khi listener được gắn
+            this.getJob(id).then(job => {
+                if (!job || TERMINAL_STATES.has(job.state)) {
+                    cleanup();
+                    resolve(job);
+                }
+            }).catch(() => {});
+        });
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>}
+     */
+    async getJob(id) {
+        const db = await this.getDb();
+        const row = await db.get(`SELECT * FROM send_jobs WHERE id = ?`, [id]);
+        return row ? this.formatJob(row) : null;
+    }
+
+    /**
+     * List jobs, newest first (or soonest send_at first with sort: 'send_at')
+     * @param {Object} options - { state, limit, offset, sort }
+     * @returns {Promise<Object>}
+     */
+    async listJobs(options = {}) {
+        try {
+            const db = await this.getDb();
+            const limit = Math.min(parseInt(options.limit) || 50, 200);
+            const offset = Math.max(parseInt(options.offset) || 0, 0);
+            const states = String(options.state || '').split(',').map(s => s.trim()).filter(Boolean);
+
+            const invalid = states.filter(s => !JOB_STATES.includes(s));
+            if (invalid.length > 0) {
+                return { success: false, error: `Unknown state: ${invalid.join(', ')}` };
+            }
+
+            const where = states.length > 0 ? `WHERE state IN (${states.map(() => '?').join(',')})` : '';
+            const rows = await db.all(`
+                SELECT * FROM send_jobs ${where}
+                ORDER BY ${options.sort === 'send_at' ? 'next_attempt_at ASC' : 'created_at DESC'}
+                LIMIT ? OFFSET ?
+            `, [...states, limit, offset]);
+            const total = await db.get(`SELECT COUNT(*) AS count FROM send_jobs ${where}`, states);
+
+            return {
+                success: true,
+                jobs: rows.map(row => this.formatJob(row)),
+                total: total.count,
+                limit,
+                offset
+            };
+        } catch (error) {
+            console.error('❌ Error listing send jobs:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Cancel a scheduled or queued job (a job that is already sending cannot be stopped)
+     * @param {string} id - Job ID
+     * @returns {Promise<Object>}
+     */
+    async cancelJob(id) {
+        try {
+            const db = await this.getDb();
+            const row = await db.get(`SELECT * FROM send_jobs WHERE id = ?`, [id]);
+            if (!row) {
+                return { success: false, error: 'Job not found', notFound: true };
+            }
+
+            const { changes } = await db.run(`
+                UPDATE send_jobs SET state = 'cancelled', updated_at = ?
+                WHERE id = ? AND state IN ('scheduled', 'queued')
+            `, [Date.now(), id]);
+            if (changes === 0) {
+                const current = await this.getJob(id);
+                return { success: false, error: `Job is ${current.state}, only scheduled or queued jobs can be cancelled`, job: current };
+            }
+
+            await attachmentService.releaseAttachments(this.parseAttachments(row.attachments), { immediate: true });
+            const job = await this.getJob(id);
+            console.log(`🚫 Job ${id} cancelled`);
+            this.emit('job:updated', job);
+            this.emit('job:settled', job);
+            return { success: true, job };
+        } catch (error) {
+            console.error('❌ Error cancelling send job:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Move a scheduled job to another time
+     * @param {string} id - Job ID
+     * @param {number} sendAt - New send time (epoch ms)
+     * @returns {Promise<Object>}
+     */
+    async rescheduleJob(id, sendAt) {
+        try {
+            const db = await this.getDb();
+            const { changes } = await db.run(`
+                UPDATE send_jobs SET send_at = ?, next_attempt_at = ?, updated_at = ?
+                WHERE id = ? AND state = 'scheduled'
+            `, [sendAt, sendAt, Date.now(), id]);
+
+            const job = await this.getJob(id);
+            if (!job) {
+                return { success: false, error: 'Job not found', notFound: true };
+            }
+            if (changes === 0) {
+                return { success: false, error: `Job is ${job.state}, only scheduled jobs can be rescheduled`, job };
+            }
+
+            console.log(`🗓️  Job ${id} rescheduled to ${job.sendAt}`);
+            this.emit('job:updated', job);
+            this.schedule(0);
+            return { success: true, job };
+        } catch (error) {
+            console.error('❌ Error rescheduling send job:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Staging slots still needed by unfinished jobs (protected from the stale sweep)
+     * @returns {Promise<Set<string>>}
+     */
+    async getActiveAttachmentIds() {
+        const db = await this.getDb();
+        const rows = await db.all(`SELECT attachments FROM send_jobs WHERE state IN ('scheduled', 'queued', 'sending')`);
+        return new Set(rows.flatMap(row => this.parseAttachments(row.attachments).map(item => item.id)));
+    }
+
+    /**
+     * Update job columns
+     */
+    async updateJob(id, fields) {
+        const db = await this.getDb();
+        const columns = Object.keys(fields);
+        await db.run(`
+            UPDATE send_jobs SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = ?
+            WHERE id = ?
+        `, [...columns.map(c => fields[c]), Date.now(), id]);
+    }
+
+    /**
+     * Update a job only while it is still queued / scheduled and due
+     * @returns {Promise<boolean>} - false when the job was cancelled or rescheduled meanwhile
+     */
+    async claimJob(id, fields) {
+        const db = await this.getDb();
+        const columns = Object.keys(fields);
+        const now = Date.now();
+        const { changes } = await db.run(`
+            UPDATE send_jobs SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = ?
+            WHERE id = ? AND state IN ('queued', 'scheduled') AND next_attempt_at <= ?
+        `, [...columns.map(c => fields[c]), now, id, now]);
+        return changes > 0;
+    }
+
+    parseAttachments(value) {
+        try {
+            return JSON.parse(value || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    parseResult(value) {
+        try {
+            return value ? JSON.parse(value) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Keep what callers need from a send result (drop the raw attributedBody blob)
+     */
+    summarizeResult(result) {
+        if (!result) return null;
+        const { attributedBody, ...verification } = result.verification || {};
+        return {
+            success: !!result.success,
+            relayMessageId: result.relayMessageId ?? null,
+            messageGuid: result.messageGuid ?? null,
+            to: result.to ?? null,
+            normalizedTo: result.normalizedTo ?? null,
+            result: result.result ?? null,
+            error: result.error ?? null,
+            derivedStatus: result.derivedStatus ?? null,
+            verification: result.verification ? verification : null,
+            attachments: result.attachments || [],
+            chat: result.chat || null
+        };
+    }
+
+    /**
+     * Job as passed to the send handler (includes staged attachment paths)
+     */
+    toSendJob(row) {
+        return {
+            ...this.formatJob(row),
+            checkpointRowId: row.checkpoint_rowid,
+            stagedAttachments: this.parseAttachments(row.attachments)
+        };
+    }
+
+    /**
+     * Public job shape
+     */
+    formatJob(row) {
+        return {
+            id: row.id,
+            state: row.state,
+            to: row.recipient,
+            chatGuid: row.chat_guid,
+            body: row.body,
+            attachments: this.parseAttachments(row.attachments)
+                .map(({ filename, mimeType, size }) => ({ filename, mimeType, size })),
+            source: row.source,
+            attempts: row.attempts,
+            maxAttempts: row.max_attempts,
+            sendAt: row.send_at ? this.toIso(row.send_at) : null,
+            nextAttemptAt: PENDING_STATES.includes(row.state) ? this.toIso(row.next_attempt_at) : null,
+            lastError: row.last_error,
+            result: this.parseResult(row.result),
+            createdAt: this.toIso(row.created_at),
+            updatedAt: this.toIso(row.updated_at)
+        };
+    }
+
+    /**
+     * Epoch ms → ISO string; null for a bad row value so one row can't break the whole list
+     */
+    toIso(ms) {
+        const date = new Date(ms);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+}
+
+export default SendQueueService;
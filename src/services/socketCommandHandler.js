@@ -1,4 +1,9 @@
+import { APP_CONFIG } from '../config/app.js';
 import messageService from './messageService.js';
+import attachmentService from './attachmentService.js';
+import messageParser from '../utils/messageParser.js';
+import rateLimitService from './rateLimitService.js';
+import appleScriptExecutor from '../utils/appleScriptExecutor.js';
 import logger from '../utils/logger.js';
 import ConversationMergeService from './conversationMergeService.js';
 
@@ -27,11 +32,21 @@ class SocketCommandHandler {
         // Get conversation messages command
         this.commands.set('get_conversation_messages', this.handleGetConversationMessages.bind(this));
 
+        // Get reply thread command
+        this.commands.set('get_thread', this.handleGetThread.bind(this));
+
         // Send message command
         this.commands.set('send_message', this.handleSendMessage.bind(this));
 
-        // Mark as read command
+        // Send queue commands
+        this.commands.set('list_send_queue', this.handleListSendQueue.bind(this));
+        this.commands.set('get_send_job', this.handleGetSendJob.bind(this));
+        this.commands.set('cancel_send_job', this.handleCancelSendJob.bind(this));
+        this.commands.set('reschedule_send_job', this.handleRescheduleSendJob.bind(this));
+
+        // Read state commands (relay.db, không ghi chat.db)
         this.commands.set('mark_as_read', this.handleMarkAsRead.bind(this));
+        this.commands.set('mark_as_unread', this.handleMarkAsUnread.bind(this));
 
         // Check iMessage support command
         this.commands.set('check_imessage_support', this.handleCheckIMessageSupport.bind(this));
@@ -52,8 +67,9 @@ class SocketCommandHandler {
      * @param {Object} data - Command data
      * @param {string} requestId - Request ID for response
      * @param {Function} callback - Response callback
+     * @param {Object} context - { client: rate limit key of the caller }
      */
-    async handleCommand(command, data, requestId, callback) {
+    async handleCommand(command, data, requestId, callback, context = {}) {
         try {
             console.log(`📨 Received command: ${command}`, { data, requestId });
 
@@ -62,7 +78,7 @@ class SocketCommandHandler {
             }
 
             const handler = this.commands.get(command);
-            const result = await handler(data);
+            const result = await handler(data, context);
 
             const response = {
                 requestId,
@@ -83,6 +99,11 @@ class SocketCommandHandler {
                 message: error.message || 'Command failed',
                 data: null
             };
+            if (error.code === 'RATE_LIMITED') {
+                response.code = error.code;
+                response.limitedBy = error.limitedBy;
+                response.retryAfterMs = error.retryAfterMs;
+            }
 
             callback(response);
         }
@@ -90,16 +111,27 @@ class SocketCommandHandler {
 
     /**
      * Handle get conversations command - Now with merged data from both sources
+     * mode: 'chat' → conversations keyed by chat (group chats with participants)
+     * mode: 'person' → conversations keyed by person (handles of one person merged)
      */
     async handleGetConversations(data) {
         const {
             page = 1,
             limit = 50,
             search,
+            mode,
+            operator,
             mergeMode = 'hybrid', // 'database-only' | 'applescript-only' | 'hybrid'
             includeStats = false
         } = data;
 
+        if (mode === 'chat') {
+            return this.handleGetChatConversations({ page, limit, operator });
+        }
+        if (mode === 'person') {
+            return this.handleGetPersonConversations({ page, limit, operator });
+        }
+
         try {
             let result;
 
@@ -108,7 +140,8 @@ class SocketCommandHandler {
                     result = await this.conversationMergeService.getMergedConversations({
                         limit,
                         includeDatabase: true,
-                        includeAppleScript: false
+                        includeAppleScript: false,
+                        operator
                     });
                     break;
 
@@ -116,7 +149,8 @@ class SocketCommandHandler {
                     result = await this.conversationMergeService.getMergedConversations({
                         limit,
                         includeDatabase: false,
-                        includeAppleScript: true
+                        includeAppleScript: true,
+                        operator
                     });
                     break;
 
@@ -126,7 +160,8 @@ class SocketCommandHandler {
                         limit,
                         includeDatabase: true,
                         includeAppleScript: true,
-                        mergeStrategy: 'database-priority'
+                        mergeStrategy: 'database-priority',
+                        operator
                     });
                     break;
             }
@@ -173,6 +208,50 @@ class SocketCommandHandler {
         }
     }
 
+    /**
+     * Conversations keyed by chat (get_conversations with mode: 'chat')
+     */
+    async handleGetChatConversations({ page, limit, operator }) {
+        const parsedLimit = Math.min(parseInt(limit) || 50, 200);
+        const parsedPage = Math.max(parseInt(page) || 1, 1);
+
+        const result = await messageService.getChatConversations(parsedLimit, (parsedPage - 1) * parsedLimit, { operator });
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to get conversations');
+        }
+
+        return {
+            conversations: result.conversations,
+            total: result.total,
+            page: parsedPage,
+            limit: parsedLimit,
+            totalPages: Math.ceil(result.total / parsedLimit),
+            mode: 'chat'
+        };
+    }
+
+    /**
+     * Conversations keyed by person (get_conversations with mode: 'person')
+     */
+    async handleGetPersonConversations({ page, limit, operator }) {
+        const parsedLimit = Math.min(parseInt(limit) || 50, 200);
+        const parsedPage = Math.max(parseInt(page) || 1, 1);
+
+        const result = await messageService.getPersonConversations(parsedLimit, (parsedPage - 1) * parsedLimit, { operator });
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to get conversations');
+        }
+
+        return {
+            conversations: result.conversations,
+            total: result.total,
+            page: parsedPage,
+            limit: parsedLimit,
+            totalPages: Math.ceil(result.total / parsedLimit),
+            mode: 'person'
+        };
+    }
+
     /**
      * Handle get conversation comparison command - Shows detailed comparison between sources
      */
@@ -229,9 +308,9 @@ class SocketCommandHandler {
         if (this.VERBOSE_INBOX_LOG) {
             console.log(`🎯 SocketCommandHandler: handleGetConversationMessages called with:`, data);
         }
-        const { sender, page = 1, limit = 50 } = data;
+        const { sender, chatGuid, personId, page = 1, limit = 50 } = data;
 
-        if (!sender) {
+        if (!sender && !chatGuid && !personId) {
             throw new Error('Sender is required');
         }
 
@@ -240,6 +319,38 @@ class SocketCommandHandler {
         const parsedPage = Math.max(parseInt(page) || 1, 1); // Min page 1
         const offset = (parsedPage - 1) * parsedLimit;
 
+        // Chat mode: tin của một chat (group hoặc 1:1) theo chat guid
+        if (chatGuid) {
+            const result = await messageService.getChatMessages(chatGuid, parsedLimit, offset);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            return {
+                chat: result.chat,
+                messages: result.messages,
+                total: result.total,
+                page: parsedPage,
+                limit: parsedLimit,
+                hasMore: offset + result.messages.length < result.total
+            };
+        }
+
+        // Person mode: timeline gộp mọi handle của một người
+        if (personId) {
+            const result = await messageService.getPersonMessages(personId, parsedLimit, offset);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            return {
+                person: result.person,
+                messages: result.messages,
+                total: result.total,
+                page: parsedPage,
+                limit: parsedLimit,
+                hasMore: offset + result.messages.length < result.total
+            };
+        }
+
         if (this.VERBOSE_INBOX_LOG) {
             console.log(`📞 Calling messageService.getMessages for sender: ${sender}, limit: ${parsedLimit}, page: ${parsedPage}, offset: ${offset}`);
         }
@@ -291,24 +402,82 @@ class SocketCommandHandler {
         };
     }
 
+    /**
+     * Handle get thread command: tin gốc + inline replies, cũ nhất trước
+     * @param {Object} data - { guid: originator message guid, page, limit }
+     */
+    async handleGetThread(data = {}) {
+        const { guid, page = 1, limit = 50 } = data;
+
+        if (!guid) {
+            throw new Error('guid is required');
+        }
+
+        const parsedLimit = Math.min(parseInt(limit) || 50, 200);
+        const parsedPage = Math.max(parseInt(page) || 1, 1);
+        const offset = (parsedPage - 1) * parsedLimit;
+
+        const result = await messageService.getThread(guid, parsedLimit, offset);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return {
+            originatorGuid: result.originatorGuid,
+            messages: result.messages,
+            total: result.total,
+            page: parsedPage,
+            limit: parsedLimit,
+            hasMore: offset + result.messages.length < result.total
+        };
+    }
+
     /**
      * Handle send message command
+     * @param {Object} data - { recipient, chatGuid, content, attachments, send_at, wait }
+     * @param {Object} context - { client: rate limit key of the caller }
      */
-    async handleSendMessage(data) {
-        const { recipient, content } = data;
+    async handleSendMessage(data, context = {}) {
+        const { recipient, chatGuid, content, attachments, wait, send_at } = data;
         console.log('[SocketCommandHandler] handleSendMessage', {
             to: recipient,
+            chatGuid,
             bodyPreview: typeof content === 'string' ? content.slice(0, 120) : content,
             bodyLength: typeof content === 'string' ? content.length : 0,
+            attachmentCount: Array.isArray(attachments) ? attachments.length : 0,
+            sendAt: send_at,
             at: new Date().toISOString()
         });
 
 
-        if (!recipient || !content) {
-            throw new Error('Recipient and content are required');
+        if ((!recipient && !chatGuid) || (!content && !(Array.isArray(attachments) && attachments.length > 0))) {
+            throw new Error('Recipient (or chatGuid) and content (or attachments) are required');
+        }
+
+        const attachmentErrors = attachmentService.validateInputs(attachments);
+        if (attachmentErrors.length > 0) {
+            throw new Error(attachmentErrors.join('; '));
         }
 
-        const result = await messageService.sendMessage(recipient, content);
+        const sendAt = messageParser.parseSendAt(send_at);
+        if (send_at && (sendAt === null || sendAt <= Date.now())) {
+            throw new Error(`send_at must be a future ISO 8601 time or epoch milliseconds (at most ${APP_CONFIG.SEND_AT_MAX_AHEAD_DAYS} days ahead)`);
+        }
+
+        const admission = rateLimitService.admit({
+            client: context.client,
+            recipient: rateLimitService.recipientKey({ to: recipient, chatGuid })
+        });
+        if (!admission.allowed) {
+            throw rateLimitService.createError(admission);
+        }
+
+        const result = await messageService.queueMessage(recipient, content, {
+            attachments,
+            chatGuid,
+            source: 'socket',
+            sendAt,
+            wait
+        });
         console.log('[SocketCommandHandler] sendMessage result', result);
 
         if (!result.success) {
@@ -316,18 +485,20 @@ class SocketCommandHandler {
             throw new Error(result.error);
         }
 
-        // Return mock response (will be replaced with real response)
         const response = {
             message: {
-                id: Date.now(),
-                sender_phone: recipient,
-                sender_name: recipient,
-                content: content,
+                id: result.relayMessageId || result.job?.id || null,
+                guid: result.messageGuid || null,
+                sender_phone: recipient || result.chat?.chatIdentifier || chatGuid,
+                sender_name: result.chat?.displayName || recipient || chatGuid,
+                chat: result.chat || null,
+                content: content || '',
+                attachments: result.attachments || [],
                 message_type: 'iMessage',
                 direction: 'outbound',
-                status: result.derivedStatus || ((result.verification?.is_finished === 1 && result.verification?.is_delivered === 1)
+                status: result.scheduled ? 'scheduled' : result.queued ? 'queued' : (result.derivedStatus || ((result.verification?.is_finished === 1 && result.verification?.is_delivered === 1)
                     ? 'delivered'
-                    : (result.verification?.is_sent === 1 ? 'sent' : 'queued')),
+                    : (result.verification?.is_sent === 1 ? 'sent' : 'queued'))),
                 created_at: new Date().toISOString(),
                 updated_at: new Date().toISOString()
             },
@@ -336,7 +507,8 @@ class SocketCommandHandler {
                 device_name: 'Dungkuro MacBook',
                 device_id: 'dungkuro-macbook-001'
             },
-            verification: result.verification || null
+            verification: result.verification || null,
+            job: result.job || null
         };
         console.log('[SocketCommandHandler] handleSendMessage response', {
             to: recipient,
@@ -347,22 +519,105 @@ class SocketCommandHandler {
     }
 
     /**
-     * Handle mark as read command
+     * Handle list send queue command
+     */
+    async handleListSendQueue(data = {}) {
+        const { state, limit = 50, offset = 0 } = data;
+        const result = await messageService.sendQueue.listJobs({ state, limit, offset });
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return { jobs: result.jobs, total: result.total, limit: result.limit, offset: result.offset };
+    }
+
+    /**
+     * Handle get send job command
+     */
+    async handleGetSendJob(data = {}) {
+        const { jobId } = data;
+
+        if (!jobId) {
+            throw new Error('jobId is required');
+        }
+
+        const job = await messageService.sendQueue.getJob(jobId);
+        if (!job) {
+            throw new Error('Job not found');
+        }
+
+        return { job };
+    }
+
+    /**
+     * Handle cancel send job command
+     */
+    async handleCancelSendJob(data = {}) {
+        const { jobId } = data;
+
+        if (!jobId) {
+            throw new Error('jobId is required');
+        }
+
+        const result = await messageService.sendQueue.cancelJob(jobId);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return { job: result.job };
+    }
+
+    /**
+     * Handle reschedule send job command
+     */
+    async handleRescheduleSendJob(data = {}) {
+        const { jobId, send_at } = data;
+
+        if (!jobId) {
+            throw new Error('jobId is required');
+        }
+
+        const sendAt = messageParser.parseSendAt(send_at);
+        if (sendAt === null || sendAt <= Date.now()) {
+            throw new Error(`send_at must be a future ISO 8601 time or epoch milliseconds (at most ${APP_CONFIG.SEND_AT_MAX_AHEAD_DAYS} days ahead)`);
+        }
+
+        const result = await messageService.sendQueue.rescheduleJob(jobId, sendAt);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return { job: result.job };
+    }
+
+    /**
+     * Handle mark as read command ({ sender } | { chatGuid } | { personId }, operator tuỳ chọn)
      */
     async handleMarkAsRead(data) {
-        const { sender } = data;
+        return this.updateReadState(data, (ref, options) => messageService.markAsRead(ref, options));
+    }
+
+    /**
+     * Handle mark as unread command (cùng tham số với mark_as_read)
+     */
+    async handleMarkAsUnread(data) {
+        return this.updateReadState(data, (ref, options) => messageService.markAsUnread(ref, options));
+    }
 
-        if (!sender) {
+    async updateReadState({ sender, chatGuid, personId, operator } = {}, update) {
+        if (!sender && !chatGuid && !personId) {
             throw new Error('Sender is required');
         }
 
-        const result = await messageService.markAsRead(sender);
+        const mode = chatGuid ? 'chat' : personId ? 'person' : 'handle';
+        const result = await update(chatGuid || personId || sender, { mode, operator });
 
         if (!result.success) {
             throw new Error(result.error);
         }
 
-        return { success: true };
+        return { success: true, event: result.event || null };
     }
 
     /**
@@ -387,10 +642,10 @@ class SocketCommandHandler {
     /**
      * Handle get inbox stats command
      */
-    async handleGetInboxStats() {
+    async handleGetInboxStats(data = {}) {
         try {
-            // Get conversations to calculate stats
-            const conversationsResult = await messageService.getConversations(1000);
+            // Get conversations to calculate stats (unread theo read state của operator)
+            const conversationsResult = await messageService.getConversations(1000, { operator: data.operator });
 
             if (!conversationsResult.success) {
                 throw new Error(conversationsResult.error);
@@ -399,11 +654,13 @@ class SocketCommandHandler {
             const conversations = conversationsResult.conversations;
             const totalConversations = conversations.length;
             const unreadMessages = conversations.reduce((sum, conv) => sum + (conv.unreadCount || 0), 0);
+            const unreadConversations = conversations.filter((conv) => conv.unreadCount > 0).length;
             const totalMessages = conversations.reduce((sum, conv) => sum + (conv.messageCount || 0), 0);
 
             return {
                 totalMessages,
                 unreadMessages,
+                unreadConversations,
                 totalConversations
             };
         } catch (error) {
@@ -427,7 +684,8 @@ class SocketCommandHandler {
             deviceId: 'dungkuro-macbook-001',
             status: 'online',
             version: '2.0.0',
-            features: ['send', 'receive', 'conversations', 'stats'],
+            features: ['send', 'receive', 'conversations', 'stats', 'send_queue', 'scheduled_send'],
+            appleScript: appleScriptExecutor.getState(),
             timestamp: new Date().toISOString()
         };
     }
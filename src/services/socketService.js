@@ -3,6 +3,7 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import { DEVICE_CONFIG, validateConfig } from '../config/device-config.js';
 import socketCommandHandler from './socketCommandHandler.js';
+import appleScriptExecutor from '../utils/appleScriptExecutor.js';
 
 const execAsync = promisify(exec);
 
@@ -23,6 +24,8 @@ class SocketService {
         this.isAuthenticating = false;
         this.pendingMessages = [];
         this.messageQueue = [];
+        this.pendingStatusChanges = new Map(); // message guid → latest status change
+        this.pendingMessageUpdates = []; // tapback / sửa / thu hồi, giữ thứ tự
         // Version handshake state
         this.serverVersion = null; // phiên bản BE hiện tại mà Tools biết
         this.lastKnownServerVersion = null; // lưu phiên bản gần nhất để so sánh thay đổi
@@ -43,6 +46,9 @@ class SocketService {
         this.icloudEmail = DEVICE_CONFIG.ICLOUD_EMAIL;
         this.icloudPhone = DEVICE_CONFIG.ICLOUD_PHONE;
 
+        // Rate limit bucket of commands coming from the relay server
+        this.rateLimitClient = `device:${this.deviceId}`;
+
         // Validate configuration
         if (!validateConfig()) {
             throw new Error('Invalid device configuration');
@@ -145,6 +151,8 @@ class SocketService {
         this.reconnectAttempts = 0;
         this.pendingMessages = [];
         this.messageQueue = [];
+        this.pendingStatusChanges.clear();
+        this.pendingMessageUpdates = [];
         this.deviceInfo = null;
         this.lastHeartbeatResponse = null;
         
@@ -443,18 +451,29 @@ class SocketService {
         this.socket.on('device:send_message', async (data) => {
             console.log('📤 Received message send request:', data);
             try {
-                // Here you would implement the actual message sending
-                // For now, just acknowledge
+                // Gửi qua send queue (cùng validate + rate limit với command send_message)
+                const result = await this.commandHandler.handleSendMessage({
+                    recipient: data.recipient || data.to,
+                    chatGuid: data.chatGuid || data.chat_guid,
+                    content: data.content ?? data.body,
+                    attachments: data.attachments,
+                    send_at: data.send_at,
+                    wait: data.wait
+                }, { client: this.rateLimitClient });
                 this.socket.emit('device:message_sent', {
                     request_id: data.requestId,
-                    message_id: data.message_id || 'temp-id',
-                    status: 'sent',
+                    message_id: data.message_id || result.message.id,
+                    relay_message_id: result.message.id,
+                    message_guid: result.message.guid,
+                    status: result.message.status,
                     timestamp: new Date().toISOString()
                 });
             } catch (error) {
                 this.socket.emit('device:message_error', {
                     request_id: data.requestId,
-                    error: error.message
+                    error: error.message,
+                    code: error.code || null,
+                    retry_after_ms: error.retryAfterMs ?? null
                 });
             }
         });
@@ -541,7 +560,19 @@ class SocketService {
                 return await this.getICloudStatus();
 
             case 'send_message':
-                return await this.commandHandler.handleSendMessage(params);
+                return await this.commandHandler.handleSendMessage(params, { client: this.rateLimitClient });
+
+            case 'list_send_queue':
+                return await this.commandHandler.handleListSendQueue(params);
+
+            case 'get_send_job':
+                return await this.commandHandler.handleGetSendJob(params);
+
+            case 'cancel_send_job':
+                return await this.commandHandler.handleCancelSendJob(params);
+
+            case 'reschedule_send_job':
+                return await this.commandHandler.handleRescheduleSendJob(params);
 
             case 'get_messages':
                 return await this.getMessages(params);
@@ -555,14 +586,20 @@ class SocketService {
             case 'get_conversation_messages':
                 return await this.getConversationMessages(params);
 
+            case 'get_thread':
+                return await this.commandHandler.handleGetThread(params);
+
             case 'mark_as_read':
                 return await this.markAsRead(params);
 
+            case 'mark_as_unread':
+                return await this.commandHandler.handleMarkAsUnread(params);
+
             case 'check_imessage_support':
                 return await this.checkIMessageSupport(params);
 
             case 'get_inbox_stats':
-                return await this.getInboxStats();
+                return await this.getInboxStats(params);
 
             default:
                 throw new Error(`Unknown command: ${command}`);
@@ -630,7 +667,8 @@ class SocketService {
                         os_version: this.deviceInfo?.os_version || 'Unknown',
                         uptime: process.uptime(),
                         memory_usage: process.memoryUsage()
-                    }
+                    },
+                    applescript: appleScriptExecutor.getState()
                 });
 
                 // Set timeout for heartbeat response
@@ -701,6 +739,60 @@ class SocketService {
         }
     }
 
+    /**
+     * Report a delivery status change (sent → delivered → read / failed) to the server
+     * @param {Object} statusData - Event from the delivery tracker
+     */
+    sendStatusChange(statusData) {
+        if (!this.isConnected || !this.isAuthenticated) {
+            // Chỉ cần giữ trạng thái mới nhất của mỗi message
+            this.pendingStatusChanges.set(statusData.guid, statusData);
+            return;
+        }
+
+        try {
+            this.socket.emit('message:status_changed', {
+                device_id: this.deviceId,
+                ...statusData,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Error sending status change:', error.message);
+            this.pendingStatusChanges.set(statusData.guid, statusData);
+        }
+    }
+
+    /**
+     * Report a tapback added / removed on a message (message:reaction_added | message:reaction_removed)
+     * @param {Object} reactionEvent - Event from reactionService.toEvent
+     */
+    sendReaction(reactionEvent) {
+        this.sendMessageUpdate(`message:reaction_${reactionEvent.action}`, reactionEvent);
+    }
+
+    /**
+     * Report a change to a message already sent to the server (tapback, edit, unsend)
+     * @param {string} event - message:reaction_added | message:reaction_removed | message:edited | message:retracted | conversation:read
+     * @param {Object} payload - Event data
+     */
+    sendMessageUpdate(event, payload) {
+        if (!this.isConnected || !this.isAuthenticated) {
+            this.pendingMessageUpdates.push({ event, payload });
+            return;
+        }
+
+        try {
+            this.socket.emit(event, {
+                device_id: this.deviceId,
+                ...payload,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`❌ Error sending ${event}:`, error.message);
+            this.pendingMessageUpdates.push({ event, payload });
+        }
+    }
+
     processPendingMessages() {
         if (this.messageQueue.length > 0 && this.isConnected && this.isAuthenticated) {
             console.log(`📤 Processing ${this.messageQueue.length} pending messages`);
@@ -709,6 +801,20 @@ class SocketService {
                 this.sendMessage(message);
             }
         }
+
+        if (this.pendingStatusChanges.size > 0 && this.isConnected && this.isAuthenticated) {
+            console.log(`📤 Processing ${this.pendingStatusChanges.size} pending status changes`);
+            const pending = Array.from(this.pendingStatusChanges.values());
+            this.pendingStatusChanges.clear();
+            pending.forEach(statusData => this.sendStatusChange(statusData));
+        }
+
+        if (this.pendingMessageUpdates.length > 0 && this.isConnected && this.isAuthenticated) {
+            console.log(`📤 Processing ${this.pendingMessageUpdates.length} pending message updates`);
+            const pending = this.pendingMessageUpdates;
+            this.pendingMessageUpdates = [];
+            pending.forEach(({ event, payload }) => this.sendMessageUpdate(event, payload));
+        }
     }
 
     sendCommandResponse(requestId, success, data, message) {
@@ -767,7 +873,27 @@ class SocketService {
                 console.log('📋 Getting conversations...');
             }
             const messageService = await import('./messageService.js');
-            const result = await messageService.default.getConversations(params.limit || 20);
+            if (params.mode === 'chat') {
+                // Conversation theo chat: group chat là một conversation, có participants
+                const limit = Math.min(parseInt(params.limit) || 20, 200);
+                const page = Math.max(parseInt(params.page) || 1, 1);
+                const chatResult = await messageService.default.getChatConversations(limit, (page - 1) * limit, { operator: params.operator });
+                if (!chatResult.success) {
+                    throw new Error(chatResult.error);
+                }
+                return { conversations: chatResult.conversations, total: chatResult.total, page, limit, mode: 'chat' };
+            }
+            if (params.mode === 'person') {
+                // Conversation theo người: số điện thoại + email của cùng một người là một conversation
+                const limit = Math.min(parseInt(params.limit) || 20, 200);
+                const page = Math.max(parseInt(params.page) || 1, 1);
+                const personResult = await messageService.default.getPersonConversations(limit, (page - 1) * limit, { operator: params.operator });
+                if (!personResult.success) {
+                    throw new Error(personResult.error);
+                }
+                return { conversations: personResult.conversations, total: personResult.total, page, limit, mode: 'person' };
+            }
+            const result = await messageService.default.getConversations(params.limit || 20, { operator: params.operator });
 
             if (!result.success) {
                 throw new Error(result.error);
@@ -782,6 +908,7 @@ class SocketService {
                     ? new Date(conv.lastMessageDate / 1000000000 * 1000 + Date.UTC(2001, 0, 1)).toISOString()
                     : new Date().toISOString(),
                 unreadCount: conv.unreadCount || 0,
+                markedUnread: conv.markedUnread || false,
                 messageType: conv.service === 'iMessage' ? 'iMessage' : 'SMS',
                 service: conv.service || 'unknown',
                 // Additional internal fields for debugging (not exposed in API spec)
@@ -806,9 +933,9 @@ class SocketService {
             if (this.VERBOSE_INBOX_LOG) {
                 console.log('📨 SocketService: getConversationMessages called with:', params);
             }
-            const { sender, limit = 50, page = 1, offset = 0 } = params;
+            const { sender, chatGuid, personId, limit = 50, page = 1, offset = 0 } = params;
 
-            if (!sender || sender.trim() === '') {
+            if ((!sender || sender.trim() === '') && !chatGuid && !personId) {
                 throw new Error('Sender is required');
             }
 
@@ -818,6 +945,40 @@ class SocketService {
             const parsedOffsetInput = Math.max(parseInt(offset) || 0, 0);
             const computedOffset = parsedOffsetInput > 0 ? parsedOffsetInput : (parsedPage - 1) * parsedLimit;
 
+            // Chat mode: tin của một chat (group hoặc 1:1) theo chat guid
+            if (chatGuid) {
+                const { default: messageService } = await import('./messageService.js');
+                const chatResult = await messageService.getChatMessages(chatGuid, parsedLimit, computedOffset);
+                if (!chatResult.success) {
+                    throw new Error(chatResult.error);
+                }
+                return {
+                    chat: chatResult.chat,
+                    messages: chatResult.messages,
+                    total: chatResult.total,
+                    page: parsedPage,
+                    limit: parsedLimit,
+                    hasMore: computedOffset + chatResult.messages.length < chatResult.total
+                };
+            }
+
+            // Person mode: timeline gộp mọi handle của một người
+            if (personId) {
+                const { default: messageService } = await import('./messageService.js');
+                const personResult = await messageService.getPersonMessages(personId, parsedLimit, computedOffset);
+                if (!personResult.success) {
+                    throw new Error(personResult.error);
+                }
+                return {
+                    person: personResult.person,
+                    messages: personResult.messages,
+                    total: personResult.total,
+                    page: parsedPage,
+                    limit: parsedLimit,
+                    hasMore: computedOffset + personResult.messages.length < personResult.total
+                };
+            }
+
             if (this.VERBOSE_INBOX_LOG) {
                 console.log(`📞 SocketService: Calling messageService with sender: ${sender}, limit: ${parsedLimit}, page: ${parsedPage}, computedOffset: ${computedOffset}`);
             }
@@ -857,20 +1018,22 @@ class SocketService {
     async markAsRead(params = {}) {
         try {
             console.log('✅ Marking as read...');
-            const { sender } = params;
+            const { sender, chatGuid, personId, operator } = params;
 
-            if (!sender) {
+            if (!sender && !chatGuid && !personId) {
                 throw new Error('Sender is required');
             }
 
+            // Read state trong relay.db (conversation:read được phát cho mọi frontend)
             const messageService = await import('./messageService.js');
-            const result = await messageService.default.markAsRead(sender);
+            const mode = chatGuid ? 'chat' : personId ? 'person' : 'handle';
+            const result = await messageService.default.markAsRead(chatGuid || personId || sender, { mode, operator });
 
             if (!result.success) {
                 throw new Error(result.error);
             }
 
-            return { success: true };
+            return { success: true, event: result.event || null };
         } catch (error) {
             console.error('Error marking as read:', error);
             throw error;
@@ -899,11 +1062,11 @@ class SocketService {
         }
     }
 
-    async getInboxStats() {
+    async getInboxStats(params = {}) {
         try {
             console.log('📊 Getting inbox stats...');
             const messageService = await import('./messageService.js');
-            const result = await messageService.default.getConversations(1000);
+            const result = await messageService.default.getConversations(1000, { operator: params.operator });
 
             if (!result.success) {
                 throw new Error(result.error);
@@ -912,11 +1075,13 @@ class SocketService {
             const conversations = result.conversations;
             const totalConversations = conversations.length;
             const unreadMessages = conversations.reduce((sum, conv) => sum + (conv.unreadCount || 0), 0);
+            const unreadConversations = conversations.filter((conv) => conv.unreadCount > 0).length;
             const totalMessages = conversations.reduce((sum, conv) => sum + (conv.messageCount || 0), 0);
 
             return {
                 totalMessages,
                 unreadMessages,
+                unreadConversations,
                 totalConversations
             };
         } catch (error) {
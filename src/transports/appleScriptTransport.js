@@ -0,0 +1,40 @@
+import appleScript from '../utils/applescript.js';
+import { MessagesTransport } from './messagesTransport.js';
+
+/**
+ * AppleScript transport for Blue Relay Tools
+ * Điều khiển Messages.app thật trên macOS, Messages tự ghi vào ~/Library/Messages/chat.db.
+ */
+export class AppleScriptTransport extends MessagesTransport {
+    constructor() {
+        super('applescript');
+    }
+
+    get capabilities() {
+        return { appleScript: true, foundationBridge: process.platform === 'darwin' };
+    }
+
+    async sendMessage(to, body) {
+        return appleScript.sendMessage(to, body);
+    }
+
+    async sendAttachment(to, filePath) {
+        return appleScript.sendAttachment(to, filePath);
+    }
+
+    async getConversations(options = {}) {
+        return appleScript.getConversations(options);
+    }
+
+    async checkIMessageSupport(contact) {
+        return appleScript.checkIMessageSupport(contact);
+    }
+
+    async getIMessageAccounts() {
+        return appleScript.getIMessageAccounts();
+    }
+
+    async runScript(script) {
+        return appleScript.execute(script);
+    }
+}
@@ -0,0 +1,29 @@
+import { TRANSPORT_CONFIG } from '../config/transport.js';
+import foundationBridge from '../utils/foundationBridge.js';
+import { AppleScriptTransport } from './appleScriptTransport.js';
+import { SimulatorTransport } from './simulatorTransport.js';
+
+const TRANSPORTS = {
+    applescript: AppleScriptTransport,
+    simulator: SimulatorTransport
+};
+
+/**
+ * Create the transport selected by TRANSPORT
+ * @param {string} name - Transport name
+ * @returns {MessagesTransport}
+ */
+function createTransport(name) {
+    const Transport = TRANSPORTS[name];
+    if (!Transport) {
+        throw new Error(`Unknown TRANSPORT "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+
+    const transport = new Transport();
+    if (!transport.capabilities.foundationBridge) {
+        foundationBridge.disable(`${name} transport on ${process.platform}`);
+    }
+    return transport;
+}
+
+export default createTransport(TRANSPORT_CONFIG.name);
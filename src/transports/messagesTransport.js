@@ -0,0 +1,114 @@
+import { TRANSPORT_CONFIG } from '../config/transport.js';
+
+/**
+ * Messages transport for Blue Relay Tools
+ * Lớp nằm dưới MessageService: gửi tin / file qua Messages và cho biết chat.db nằm ở đâu.
+ * Mọi tin gửi / nhận đều được đọc lại từ chat.db, nên transport chỉ cần ghi vào đó.
+ *
+ * Kết quả gửi giữ nguyên quy ước của AppleScript: "success" hoặc "error: <message>".
+ */
+export class MessagesTransport {
+    /**
+     * @param {string} name - Transport name (TRANSPORT env value)
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * What the host provides: AppleScript automation, the Swift Foundation bridge
+     * @returns {{ appleScript: boolean, foundationBridge: boolean }}
+     */
+    get capabilities() {
+        return { appleScript: false, foundationBridge: false };
+    }
+
+    /**
+     * chat.db used by this transport
+     * @returns {string}
+     */
+    getDatabasePath() {
+        return TRANSPORT_CONFIG.databasePath;
+    }
+
+    /**
+     * Prepare the transport (called before the database is opened)
+     */
+    async initialize() {}
+
+    /**
+     * Stop background work (timers, ...)
+     */
+    async stop() {}
+
+    /**
+     * Send a text message
+     * @param {string|{chatGuid: string}} to - Recipient handle, or { chatGuid } of an existing chat
+     * @param {string} body - Message body
+     * @returns {Promise<string>} - "success" | "error: ..."
+     */
+    async sendMessage(to, body) {
+        throw this.notSupported('sendMessage');
+    }
+
+    /**
+     * Send a file
+     * @param {string|{chatGuid: string}} to - Recipient handle, or { chatGuid } of an existing chat
+     * @param {string} filePath - Absolute path of the staged file
+     * @returns {Promise<string>} - "success" | "error: ..."
+     */
+    async sendAttachment(to, filePath) {
+        throw this.notSupported('sendAttachment');
+    }
+
+    /**
+     * Chats known to Messages
+     * @param {Object} options - { withParticipantCount }
+     * @returns {Promise<Array<{ id: string, name: string, participantCount: number }>>}
+     */
+    async getConversations(options = {}) {
+        throw this.notSupported('getConversations');
+    }
+
+    /**
+     * Check iMessage support for a contact
+     * @param {string} contact - Contact (phone/email)
+     * @returns {Promise<{ supportsIMessage: boolean, service: string, message: string }>}
+     */
+    async checkIMessageSupport(contact) {
+        throw this.notSupported('checkIMessageSupport');
+    }
+
+    /**
+     * Accounts signed in to Messages
+     * @returns {Promise<Object>}
+     */
+    async getIMessageAccounts() {
+        throw this.notSupported('getIMessageAccounts');
+    }
+
+    /**
+     * Run a raw AppleScript (debug endpoints only)
+     * @param {string} script - AppleScript code
+     * @returns {Promise<string>}
+     */
+    async runScript(script) {
+        throw this.notSupported('runScript');
+    }
+
+    /**
+     * Transport info for /api/info
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            name: this.name,
+            databasePath: this.getDatabasePath(),
+            capabilities: this.capabilities
+        };
+    }
+
+    notSupported(operation) {
+        return new Error(`${operation} is not supported by the ${this.name} transport`);
+    }
+}
@@ -0,0 +1,564 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID, randomInt } from 'crypto';
+import { APP_CONFIG } from '../config/app.js';
+import { getDatabase } from '../config/database.js';
+import attachmentService from '../services/attachmentService.js';
+import bplistParser from 'bplist-parser';
+import typedStreamEncoder from '../utils/typedStreamEncoder.js';
+import binaryPlistEncoder from '../utils/binaryPlistEncoder.js';
+import handleNormalizer from '../utils/handleNormalizer.js';
+import { MessagesTransport } from './messagesTransport.js';
+import { CHAT_DB_SCHEMA } from './simulatorSchema.js';
+
+const APPLE_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+// chat.style: 45 = chat 1:1, 43 = group chat
+const CHAT_STYLE_DIRECT = 45;
+const CHAT_STYLE_GROUP = 43;
+
+// message.error khi Messages không gửi được (giống "Not Delivered")
+const SEND_ERROR_CODE = 22;
+
+// Tapback: associated_message_type (gỡ = +1000) và text Messages ghi cho row đó
+const TAPBACKS = {
+    love: { type: 2000, added: 'Loved', removed: 'Removed a heart from' },
+    like: { type: 2001, added: 'Liked', removed: 'Removed a like from' },
+    dislike: { type: 2002, added: 'Disliked', removed: 'Removed a dislike from' },
+    laugh: { type: 2003, added: 'Laughed at', removed: 'Removed a laugh from' },
+    emphasize: { type: 2004, added: 'Emphasized', removed: 'Removed an exclamation from' },
+    question: { type: 2005, added: 'Questioned', removed: 'Removed a question mark from' },
+    emoji: { type: 2006, added: 'Reacted {emoji} to', removed: 'Removed {emoji} from' }
+};
+
+const UTI_BY_MIME = {
+    'image/jpeg': 'public.jpeg',
+    'image/png': 'public.png',
+    'image/gif': 'com.compuserve.gif',
+    'image/heic': 'public.heic',
+    'video/mp4': 'public.mpeg-4',
+    'video/quicktime': 'com.apple.quicktime-movie',
+    'audio/x-caf': 'com.apple.coreaudio-format',
+    'application/pdf': 'com.adobe.pdf',
+    'text/plain': 'public.plain-text'
+};
+
+/**
+ * Simulator transport for Blue Relay Tools
+ * Giả lập Messages.app để chạy relay trên Linux (CI, dev): tin gửi đi được ghi vào một chat.db
+ * tổng hợp với schema thật, delivery / read receipt được giả lập bằng timer, tin đến được
+ * tạo qua simulateInbound (REST /api/simulator/*). Monitoring, delivery tracker, correlation
+ * đọc chat.db như với Messages thật.
+ */
+export class SimulatorTransport extends MessagesTransport {
+    constructor() {
+        super('simulator');
+        this.attachmentsDir = path.resolve(APP_CONFIG.SIMULATOR_ATTACHMENTS_DIR);
+        this.account = APP_CONFIG.SIMULATOR_ACCOUNT;
+        this.deliveryDelayMs = APP_CONFIG.SIMULATOR_DELIVERY_DELAY_MS;
+        this.readDelayMs = APP_CONFIG.SIMULATOR_READ_DELAY_MS;
+        this.failureRate = APP_CONFIG.SIMULATOR_FAILURE_RATE;
+        this.autoReply = APP_CONFIG.SIMULATOR_AUTO_REPLY;
+        this.timers = new Set();
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Create the synthetic chat.db (kept across restarts)
+     */
+    async initialize() {
+        await fs.mkdir(path.dirname(path.resolve(this.getDatabasePath())), { recursive: true });
+        await fs.mkdir(this.attachmentsDir, { recursive: true });
+
+        const db = await getDatabase();
+        await db.exec(CHAT_DB_SCHEMA);
+        await db.run(`INSERT OR IGNORE INTO _SqliteDatabaseProperties (key, value) VALUES ('relay_simulator', '1')`);
+        console.log(`🧪 Messages simulator ready: ${path.resolve(this.getDatabasePath())}`);
+    }
+
+    async stop() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    async sendMessage(to, body) {
+        return this.serialize(async () => {
+            const target = await this.resolveTarget(to);
+            if (target.error) return `error: ${target.error}`;
+
+            const failed = this.rollFailure();
+            const message = await this.insertMessage({ ...target, text: body, isFromMe: true, failed });
+            if (!failed) this.scheduleReceipts(message, target, body);
+            return 'success';
+        });
+    }
+
+    async sendAttachment(to, filePath) {
+        return this.serialize(async () => {
+            const target = await this.resolveTarget(to);
+            if (target.error) return `error: ${target.error}`;
+
+            let stat;
+            try {
+                stat = await fs.stat(filePath);
+            } catch (error) {
+                return `error: Can’t get POSIX file "${filePath}".`;
+            }
+
+            // Messages copy file vào ~/Library/Messages/Attachments/<..>/<guid>/<tên file>
+            const attachmentGuid = `at_0_${randomUUID().toUpperCase()}`;
+            const transferName = path.basename(filePath);
+            const storedPath = path.join(this.attachmentsDir, attachmentGuid, transferName);
+            await fs.mkdir(path.dirname(storedPath), { recursive: true });
+            await fs.copyFile(filePath, storedPath);
+
+            const mimeType = attachmentService.getMimeType(transferName);
+            const db = await getDatabase();
+            const createdDate = Math.floor((Date.now() - APPLE_EPOCH_MS) / 1000);
+            const attachment = await db.run(`
+                INSERT INTO attachment (
+                    guid, original_guid, created_date, start_date, filename, uti, mime_type,
+                    transfer_state, is_outgoing, transfer_name, total_bytes
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, 5, 1, ?, ?)
+            `, [attachmentGuid, attachmentGuid, createdDate, createdDate, storedPath,
+                UTI_BY_MIME[mimeType] || 'public.data', mimeType, transferName, stat.size]);
+
+            const failed = this.rollFailure();
+            const message = await this.insertMessage({
+                ...target,
+                text: '\uFFFC', // ký tự thay thế attachment trong text
+                runs: [{
+                    length: 1,
+                    attributes: {
+                        __kIMMessagePartAttributeName: 0,
+                        __kIMFileTransferGUIDAttributeName: attachmentGuid,
+                        __kIMFilenameAttributeName: transferName
+                    }
+                }],
+                isFromMe: true,
+                failed,
+                hasAttachments: true
+            });
+            await db.run('INSERT INTO message_attachment_join (message_id, attachment_id) VALUES (?, ?)',
+                [message.rowid, attachment.lastID]);
+
+            if (!failed) this.scheduleReceipts(message, target, null);
+            return 'success';
+        });
+    }
+
+    /**
+     * Simulate an incoming message
+     * @param {Object} params - { from, body, chatGuid, service, runs, replyTo }
+     *   runs: attribute runs của attributedBody ([{ length, attributes }], phủ toàn bộ body)
+     *   replyTo: guid của tin được trả lời (inline reply, cùng chat)
+     * @returns {Promise<Object>} - { rowid, guid, chatGuid, from }
+     */
+    async simulateInbound({ from, body, chatGuid, service = 'iMessage', runs = null, replyTo = null }) {
+        return this.serialize(async () => {
+            const db = await getDatabase();
+            const handle = await this.ensureHandle(from, service);
+
+            let chat;
+            if (chatGuid) {
+                chat = await this.findChat(chatGuid);
+                if (!chat) throw new Error(`Chat not found: ${chatGuid}`);
+                await db.run('INSERT OR IGNORE INTO chat_handle_join (chat_id, handle_id) VALUES (?, ?)',
+                    [chat.ROWID, handle.ROWID]);
+            } else {
+                chat = await this.ensureDirectChat(handle);
+            }
+
+            const message = await this.insertMessage({
+                chat,
+                handleId: handle.ROWID,
+                text: body,
+                runs: runs && runs.map(run => ({ length: run.length, attributes: this.toArchivedAttributes(run.attributes) })),
+                isFromMe: false,
+                thread: replyTo ? await this.findThreadOriginator(replyTo) : null
+            });
+            console.log(`🧪 Simulated inbound message ${message.guid} from ${handle.id}`);
+            return { rowid: message.rowid, guid: message.guid, chatGuid: chat.guid, from: handle.id };
+        });
+    }
+
+    /**
+     * Simulate a tapback added / removed on a message (row riêng với associated_message_type như Messages)
+     * @param {Object} params - { guid: message.guid, type: love | like | ... | emoji, emoji, from, remove }
+     *   from: handle phản hồi (bỏ trống = chính mình)
+     * @returns {Promise<Object|null>} - { rowid, guid, associatedMessageGuid, associatedMessageType }, null when no message has this guid
+     */
+    async simulateReaction({ guid, type, emoji = null, from = null, remove = false }) {
+        const tapback = TAPBACKS[type];
+        if (!tapback) throw new Error(`Unknown tapback type: ${type}`);
+        if (type === 'emoji' && !emoji) throw new Error('emoji is required for emoji reactions');
+
+        return this.serialize(async () => {
+            const db = await getDatabase();
+            const parent = await db.get(`
+                SELECT m.ROWID, m.guid, m.text, m.handle_id, cmj.chat_id
+                FROM message m JOIN chat_message_join cmj ON cmj.message_id = m.ROWID
+                WHERE m.guid = ?
+            `, [guid]);
+            if (!parent) return null;
+
+            const chat = await db.get('SELECT * FROM chat WHERE ROWID = ?', [parent.chat_id]);
+            const handle = from ? await this.ensureHandle(from, chat.service_name) : null;
+            const verb = (remove ? tapback.removed : tapback.added).replace('{emoji}', emoji);
+            const associatedMessageType = tapback.type + (remove ? 1000 : 0);
+
+            const message = await this.insertMessage({
+                chat,
+                // Tapback của mình trong chat 1:1 mang handle của người kia, trong group là 0
+                handleId: handle ? handle.ROWID : chat.style === CHAT_STYLE_DIRECT ? parent.handle_id : 0,
+                text: `${verb} “${parent.text || ''}”`,
+                isFromMe: !handle,
+                associated: { guid: `p:0/${parent.guid}`, type: associatedMessageType }
+            });
+            console.log(`🧪 Simulated tapback ${type}${remove ? ' removal' : ''} on ${parent.guid}`);
+            return { rowid: message.rowid, guid: message.guid, associatedMessageGuid: `p:0/${parent.guid}`, associatedMessageType };
+        });
+    }
+
+    /**
+     * Simulate an edit: text / attributedBody thành phiên bản mới, các phiên bản được ghi vào message_summary_info ("ec")
+     * @param {string} guid - message.guid
+     * @param {string} body - New text
+     * @returns {Promise<Object|null>} - { guid, versions }, null when no message has this guid
+     */
+    async simulateEdit(guid, body) {
+        return this.serialize(async () => {
+            const db = await getDatabase();
+            const row = await db.get('SELECT ROWID, text, attributedBody, date, message_summary_info FROM message WHERE guid = ?', [guid]);
+            if (!row) return null;
+
+            const info = this.readSummaryInfo(row.message_summary_info);
+            const now = Date.now();
+            const attributedBody = typedStreamEncoder.encodeAttributedString(body);
+            // Lần sửa đầu tiên: phiên bản gốc là phần tử đầu của "ec" (d: giây từ 2001-01-01)
+            const versions = info.ec?.['0'] || [{ d: row.date / 1e9, t: row.attributedBody || typedStreamEncoder.encodeAttributedString(row.text || '') }];
+            versions.push({ d: (now - APPLE_EPOCH_MS) / 1000, t: attributedBody });
+
+            await db.run(`
+                UPDATE message SET text = ?, attributedBody = ?, date_edited = ?, message_summary_info = ? WHERE ROWID = ?
+            `, [body, attributedBody, this.toAppleNs(now), binaryPlistEncoder.encode({ ...info, ec: { ...info.ec, 0: versions }, ep: [0] }), row.ROWID]);
+            console.log(`🧪 Simulated edit of ${guid} (${versions.length} versions)`);
+            return { guid, versions: versions.length };
+        });
+    }
+
+    /**
+     * Simulate an unsend: text / attributedBody bị xoá, date_retracted và "rp" trong message_summary_info được ghi
+     * @param {string} guid - message.guid
+     * @returns {Promise<Object|null>} - { guid }, null when no message has this guid
+     */
+    async simulateUnsend(guid) {
+        return this.serialize(async () => {
+            const db = await getDatabase();
+            const row = await db.get('SELECT ROWID, message_summary_info FROM message WHERE guid = ?', [guid]);
+            if (!row) return null;
+
+            const info = this.readSummaryInfo(row.message_summary_info);
+            const now = this.toAppleNs(Date.now());
+            await db.run(`
+                UPDATE message SET text = NULL, attributedBody = NULL, date_edited = ?, date_retracted = ?, message_summary_info = ?
+                WHERE ROWID = ?
+            `, [now, now, binaryPlistEncoder.encode({ ...info, rp: [0] }), row.ROWID]);
+            console.log(`🧪 Simulated unsend of ${guid}`);
+            return { guid };
+        });
+    }
+
+    /**
+     * thread_originator_guid / part of a reply to guid (reply của một reply vẫn trỏ về tin gốc, như Messages)
+     */
+    async findThreadOriginator(guid) {
+        const db = await getDatabase();
+        const row = await db.get('SELECT guid, text, thread_originator_guid, thread_originator_part FROM message WHERE guid = ?', [guid]);
+        if (!row) throw new Error(`Message not found: ${guid}`);
+        return row.thread_originator_guid
+            ? { guid: row.thread_originator_guid, part: row.thread_originator_part }
+            : { guid: row.guid, part: `0:0:${(row.text || '').length}` };
+    }
+
+    readSummaryInfo(buffer) {
+        return buffer ? bplistParser.parseBuffer(buffer)[0] || {} : {};
+    }
+
+    /**
+     * Create a group chat
+     * @param {Object} params - { participants: string[], displayName }
+     * @returns {Promise<Object>} - { guid, chatIdentifier, displayName, participants }
+     */
+    async createGroupChat({ participants, displayName = null, service = 'iMessage' }) {
+        return this.serialize(async () => {
+            const db = await getDatabase();
+            const chatIdentifier = `chat${randomInt(1e8, 1e9)}${randomInt(1e8, 1e9)}`;
+            const guid = `${service};+;${chatIdentifier}`;
+            const result = await db.run(`
+                INSERT INTO chat (
+                    guid, style, state, account_id, chat_identifier, service_name, room_name,
+                    account_login, display_name, group_id, last_addressed_handle
+                ) VALUES (?, ?, 3, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [guid, CHAT_STYLE_GROUP, randomUUID().toUpperCase(), chatIdentifier, service, chatIdentifier,
+                `E:${this.account}`, displayName || '', randomUUID().toUpperCase(), this.account]);
+
+            const handles = [];
+            for (const participant of participants) {
+                const handle = await this.ensureHandle(participant, service);
+                await db.run('INSERT OR IGNORE INTO chat_handle_join (chat_id, handle_id) VALUES (?, ?)',
+                    [result.lastID, handle.ROWID]);
+                handles.push(handle.id);
+            }
+
+            console.log(`🧪 Simulated group chat ${guid} (${handles.length} participants)`);
+            return { guid, chatIdentifier, displayName: displayName || null, participants: handles };
+        });
+    }
+
+    /**
+     * Simulate a delivery / read receipt or a send failure for an outbound message
+     * @param {string} guid - message.guid
+     * @param {string} status - delivered | read | failed
+     * @returns {Promise<boolean>} - false when no outbound message has this guid
+     */
+    async simulateReceipt(guid, status) {
+        return this.serialize(async () => {
+            const db = await getDatabase();
+            const now = this.toAppleNs(Date.now());
+            let result;
+            if (status === 'failed') {
+                result = await db.run(`
+                    UPDATE message SET error = ?, is_sent = 0, is_delivered = 0
+                    WHERE guid = ? AND is_from_me = 1
+                `, [SEND_ERROR_CODE, guid]);
+            } else if (status === 'read') {
+                result = await db.run(`
+                    UPDATE message
+                    SET is_delivered = 1,
+                        date_delivered = CASE WHEN date_delivered > 0 THEN date_delivered ELSE ? END,
+                        date_read = ?, is_read = 1
+                    WHERE guid = ? AND is_from_me = 1 AND error = 0
+                `, [now, now, guid]);
+            } else {
+                result = await db.run(`
+                    UPDATE message SET is_delivered = 1, date_delivered = ?
+                    WHERE guid = ? AND is_from_me = 1 AND error = 0 AND is_delivered = 0
+                `, [now, guid]);
+            }
+            return result.changes > 0;
+        });
+    }
+
+    async getConversations({ withParticipantCount = false } = {}) {
+        const db = await getDatabase();
+        const rows = await db.all(`
+            SELECT
+                c.guid AS id,
+                COALESCE(NULLIF(c.display_name, ''), c.chat_identifier) AS name,
+                COUNT(chj.handle_id) AS participantCount
+            FROM chat c
+            LEFT JOIN chat_handle_join chj ON chj.chat_id = c.ROWID
+            GROUP BY c.ROWID
+            ORDER BY c.ROWID ASC
+        `);
+        return rows.map(row => ({ ...row, participantCount: withParticipantCount ? row.participantCount : 1 }));
+    }
+
+    async checkIMessageSupport(contact) {
+        const db = await getDatabase();
+        const target = handleNormalizer.normalize(contact);
+        const services = (await db.all('SELECT id, service, country FROM handle'))
+            .filter((row) => handleNormalizer.normalize(row.id, row.country) === target);
+        const smsOnly = services.length > 0 && services.every(row => row.service === 'SMS');
+        return {
+            supportsIMessage: !smsOnly,
+            service: smsOnly ? 'SMS' : 'iMessage',
+            message: smsOnly ? 'Chỉ hỗ trợ SMS' : 'Hỗ trợ iMessage'
+        };
+    }
+
+    async getIMessageAccounts() {
+        const isEmail = this.account.includes('@');
+        return {
+            success: true,
+            emails: isEmail ? [this.account] : [],
+            phones: isEmail ? [] : [this.account],
+            all: [this.account]
+        };
+    }
+
+    getState() {
+        return {
+            ...super.getState(),
+            account: this.account,
+            deliveryDelayMs: this.deliveryDelayMs,
+            readDelayMs: this.readDelayMs,
+            failureRate: this.failureRate,
+            autoReply: this.autoReply
+        };
+    }
+
+    /**
+     * Resolve a send target like Messages does: an existing chat by guid, or the 1:1 chat of a buddy
+     * @returns {Promise<{ chat: Object, handleId: number }|{ error: string }>}
+     */
+    async resolveTarget(to) {
+        if (to && typeof to === 'object' && to.chatGuid) {
+            const chat = await this.findChat(to.chatGuid);
+            if (!chat) return { error: `Can’t get chat id "${to.chatGuid}".` };
+
+            // Tin gửi vào chat 1:1 mang handle của người nhận, tin trong group có handle_id = 0
+            let handleId = 0;
+            if (chat.style === CHAT_STYLE_DIRECT) {
+                const db = await getDatabase();
+                const row = await db.get('SELECT handle_id FROM chat_handle_join WHERE chat_id = ? LIMIT 1', [chat.ROWID]);
+                handleId = row?.handle_id || 0;
+            }
+            return { chat, handleId };
+        }
+
+        const handle = await this.ensureHandle(to);
+        const chat = await this.ensureDirectChat(handle);
+        return { chat, handleId: handle.ROWID };
+    }
+
+    async findChat(chatGuid) {
+        const db = await getDatabase();
+        return db.get('SELECT * FROM chat WHERE guid = ? OR chat_identifier = ? LIMIT 1', [chatGuid, chatGuid]);
+    }
+
+    async ensureHandle(id, service = 'iMessage') {
+        const value = String(id || '').trim();
+        if (!value) throw new Error('Handle is required');
+        // Messages lưu handle ở dạng chuẩn: số E.164, email chữ thường
+        const parsed = handleNormalizer.parse(value);
+        const handleId = parsed.type === 'other' ? value : parsed.normalized;
+
+        const db = await getDatabase();
+        await db.run('INSERT OR IGNORE INTO handle (id, service, uncanonicalized_id) VALUES (?, ?, ?)',
+            [handleId, service, value]);
+        return db.get('SELECT * FROM handle WHERE id = ? AND service = ?', [handleId, service]);
+    }
+
+    async ensureDirectChat(handle) {
+        const db = await getDatabase();
+        const guid = `${handle.service};-;${handle.id}`;
+        await db.run(`
+            INSERT OR IGNORE INTO chat (
+                guid, style, state, account_id, chat_identifier, service_name, account_login,
+                display_name, last_addressed_handle
+            ) VALUES (?, ?, 3, ?, ?, ?, ?, '', ?)
+        `, [guid, CHAT_STYLE_DIRECT, randomUUID().toUpperCase(), handle.id, handle.service,
+            `E:${this.account}`, this.account]);
+        const chat = await db.get('SELECT * FROM chat WHERE guid = ?', [guid]);
+        await db.run('INSERT OR IGNORE INTO chat_handle_join (chat_id, handle_id) VALUES (?, ?)',
+            [chat.ROWID, handle.ROWID]);
+        return chat;
+    }
+
+    /**
+     * Messages lưu link dưới dạng NSURL, không phải NSString
+     */
+    toArchivedAttributes(attributes = {}) {
+        const link = attributes.__kIMLinkAttributeName;
+        return typeof link === 'string' && URL.canParse(link)
+            ? { ...attributes, __kIMLinkAttributeName: new URL(link) }
+            : attributes;
+    }
+
+    /**
+     * Insert a message row and join it to its chat
+     * attributedBody được ghi như Messages (mặc định một run phủ toàn bộ text)
+     * @returns {Promise<{ rowid: number, guid: string }>}
+     */
+    async insertMessage({ chat, handleId, text, runs = null, isFromMe, failed = false, hasAttachments = false, associated = null, thread = null }) {
+        const db = await getDatabase();
+        const guid = randomUUID().toUpperCase();
+        const date = this.toAppleNs(Date.now());
+        const attributedBody = typedStreamEncoder.encodeAttributedString(text, runs);
+
+        const result = await db.run(`
+            INSERT INTO message (
+                guid, text, attributedBody, handle_id, service, account, account_guid, date, date_read, date_delivered,
+                is_delivered, is_finished, is_from_me, is_read, is_sent, error, cache_has_attachments,
+                destination_caller_id, part_count, associated_message_guid, associated_message_type,
+                thread_originator_guid, thread_originator_part
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, 1, ?, 0, ?, ?, ?, ?, 1, ?, ?, ?, ?)
+        `, [
+            guid, text, attributedBody, handleId, chat.service_name, `e:${this.account}`, chat.account_id, date,
+            isFromMe ? 0 : 1,
+            isFromMe ? 1 : 0,
+            isFromMe && !failed ? 1 : 0,
+            failed ? SEND_ERROR_CODE : 0,
+            hasAttachments ? 1 : 0,
+            this.account,
+            associated?.guid || null,
+            associated?.type || 0,
+            thread?.guid || null,
+            thread?.part || null
+        ]);
+
+        await db.run('INSERT INTO chat_message_join (chat_id, message_id, message_date) VALUES (?, ?, ?)',
+            [chat.ROWID, result.lastID, date]);
+        return { rowid: result.lastID, guid };
+    }
+
+    /**
+     * Delivery receipt after SIMULATOR_DELIVERY_DELAY_MS, then read receipt / auto reply
+     */
+    scheduleReceipts(message, target, body) {
+        this.later(this.deliveryDelayMs, async () => {
+            await this.simulateReceipt(message.guid, 'delivered');
+
+            if (this.readDelayMs > 0) {
+                this.later(this.readDelayMs, () => this.simulateReceipt(message.guid, 'read'));
+            }
+
+            if (this.autoReply && body && target.chat.style === CHAT_STYLE_DIRECT) {
+                const db = await getDatabase();
+                const handle = await db.get('SELECT id, service FROM handle WHERE ROWID = ?', [target.handleId]);
+                if (handle) {
+                    this.later(500, () => this.simulateInbound({
+                        from: handle.id,
+                        service: handle.service,
+                        chatGuid: target.chat.guid,
+                        body: `Auto reply: ${body}`
+                    }));
+                }
+            }
+        });
+    }
+
+    later(delayMs, task) {
+        const timer = setTimeout(async () => {
+            this.timers.delete(timer);
+            try {
+                await task();
+            } catch (error) {
+                console.error('❌ Simulator task failed:', error.message);
+            }
+        }, delayMs);
+        timer.unref?.();
+        this.timers.add(timer);
+    }
+
+    rollFailure() {
+        return this.failureRate > 0 && Math.random() < this.failureRate;
+    }
+
+    /**
+     * Run chat.db writes one at a time (each send touches several tables)
+     */
+    serialize(task) {
+        const run = this.writes.then(task, task);
+        this.writes = run.catch(() => {});
+        return run;
+    }
+
+    toAppleNs(ms) {
+        return (ms - APPLE_EPOCH_MS) * 1e6;
+    }
+}
@@ -0,0 +1,224 @@
+import { execFile } from 'child_process';
+import { APP_CONFIG } from '../config/app.js';
+
+// Lỗi trong kết quả script cho thấy Messages.app đang treo / không chạy
+// (-1712: AppleEvent timed out, -600: application isn't running)
+const UNHEALTHY_RESULT = /AppleEvent timed out|\(-1712\)|\(-600\)/i;
+
+/**
+ * AppleScript executor for Blue Relay Tools
+ * Chạy osascript điều khiển Messages.app tuần tự (giới hạn concurrency), có timeout cho từng lần gọi
+ * và circuit breaker: sau nhiều lỗi liên tiếp thì mở mạch để caller fail fast,
+ * hết cooldown thì half-open cho một lần gọi thử.
+ */
+export class AppleScriptExecutor {
+    /**
+     * @param {Object} options - { timeoutMs, concurrency, maxQueue, failureThreshold, cooldownMs }
+     */
+    constructor({ timeoutMs, concurrency, maxQueue, failureThreshold, cooldownMs }) {
+        this.timeoutMs = timeoutMs;
+        this.concurrency = Math.max(concurrency, 1);
+        this.maxQueue = maxQueue;
+        this.failureThreshold = Math.max(failureThreshold, 1);
+        this.cooldownMs = cooldownMs;
+
+        this.pending = [];
+        this.running = 0;
+
+        this.state = 'closed'; // closed | open | half_open
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+        this.lastError = null;
+        this.lastFailureAt = null;
+        this.lastSuccessAt = null;
+        this.stats = { executed: 0, failed: 0, timedOut: 0, rejected: 0 };
+    }
+
+    /**
+     * Run an AppleScript
+     * @param {string} script - AppleScript code
+     * @param {Object} options - { args (passed to osascript as argv), timeoutMs,
+     *   circuit (false for scripts not driving Messages.app: they bypass the breaker) }
+     * @returns {Promise<string>} - Trimmed stdout
+     */
+    run(script, { args = [], timeoutMs = this.timeoutMs, circuit = true } = {}) {
+        // Script không điều khiển Messages.app (System Events...) chạy ngay, chỉ có timeout:
+        // không xếp hàng sau một lệnh Messages đang treo
+        if (!circuit) {
+            return this.execute({ script, args, timeoutMs, circuit });
+        }
+
+        this.checkCircuit();
+
+        if (this.pending.length >= this.maxQueue) {
+            this.stats.rejected++;
+            return Promise.reject(this.createError('APPLESCRIPT_QUEUE_FULL',
+                `AppleScript queue is full (${this.maxQueue} pending)`));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending.push({ script, args, timeoutMs, resolve, reject });
+            this.drain();
+        });
+    }
+
+    /**
+     * Start queued calls while there is a free slot
+     */
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const call = this.pending.shift();
+
+            // Mạch có thể đã mở trong lúc call nằm chờ
+            try {
+                this.checkCircuit();
+            } catch (error) {
+                call.reject(error);
+                continue;
+            }
+
+            this.running++;
+            this.execute({ ...call, circuit: true })
+                .then(call.resolve, call.reject)
+                .finally(() => {
+                    this.running--;
+                    this.drain();
+                });
+        }
+    }
+
+    /**
+     * Spawn osascript for one call and record the outcome
+     */
+    async execute({ script, args, timeoutMs, circuit }) {
+        const probe = circuit && this.state === 'half_open';
+        if (probe) this.probeInFlight = true;
+        this.stats.executed++;
+
+        try {
+            const { stdout, stderr } = await new Promise((resolve, reject) => {
+                execFile('osascript', ['-e', script, ...args], { timeout: timeoutMs, killSignal: 'SIGKILL' }, (error, stdout, stderr) => {
+                    if (error) {
+                        if (error.killed) {
+                            reject(this.createError('APPLESCRIPT_TIMEOUT', `AppleScript timed out after ${timeoutMs}ms`));
+                        } else {
+                            reject(error);
+                        }
+                        return;
+                    }
+                    resolve({ stdout, stderr });
+                });
+            });
+
+            if (stderr) {
+                console.warn('⚠️  AppleScript stderr:', stderr);
+            }
+
+            const result = stdout.trim();
+            if (circuit) {
+                if (UNHEALTHY_RESULT.test(result)) {
+                    this.recordFailure(result);
+                } else {
+                    this.recordSuccess();
+                }
+            }
+            return result;
+        } catch (error) {
+            if (error.code === 'APPLESCRIPT_TIMEOUT') this.stats.timedOut++;
+            if (circuit) this.recordFailure(error.message);
+            throw error;
+        } finally {
+            if (probe) this.probeInFlight = false;
+        }
+    }
+
+    /**
+     * Throw CIRCUIT_OPEN when calls are not allowed right now.
+     * An open circuit past its cooldown moves to half_open and lets one probe through.
+     */
+    checkCircuit() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = 'half_open';
+            console.log('🔌 AppleScript circuit half-open, probing Messages.app');
+        }
+
+        const blocked = this.state === 'open'
+            || (this.state === 'half_open' && (this.probeInFlight || this.running > 0));
+        if (blocked) {
+            this.stats.rejected++;
+            const error = this.createError('CIRCUIT_OPEN', 'Messages.app is not responding (AppleScript circuit open)');
+            error.retryAfterMs = this.getRetryAfterMs() || this.cooldownMs;
+            throw error;
+        }
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            console.log('✅ AppleScript circuit closed, Messages.app recovered');
+        }
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastSuccessAt = Date.now();
+    }
+
+    recordFailure(message) {
+        this.consecutiveFailures++;
+        this.stats.failed++;
+        this.lastError = message;
+        this.lastFailureAt = Date.now();
+
+        if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                console.error(`🔌 AppleScript circuit open after ${this.consecutiveFailures} consecutive failure(s)`, { error: message });
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Milliseconds until the open circuit allows a probe (0 when calls are allowed)
+     * @returns {number}
+     */
+    getRetryAfterMs() {
+        if (this.state !== 'open') return 0;
+        return Math.max(this.openedAt + this.cooldownMs - Date.now(), 0);
+    }
+
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Breaker and queue state (health output, device heartbeat)
+     * @returns {Object}
+     */
+    getState() {
+        const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+        return {
+            circuit: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            openedAt: toIso(this.openedAt),
+            retryAfterMs: this.getRetryAfterMs(),
+            running: this.running,
+            pending: this.pending.length,
+            lastError: this.lastError,
+            lastFailureAt: toIso(this.lastFailureAt),
+            lastSuccessAt: toIso(this.lastSuccessAt),
+            stats: { ...this.stats }
+        };
+    }
+}
+
+export default new AppleScriptExecutor({
+    timeoutMs: APP_CONFIG.APPLESCRIPT_TIMEOUT_MS,
+    concurrency: APP_CONFIG.APPLESCRIPT_CONCURRENCY,
+    maxQueue: APP_CONFIG.APPLESCRIPT_MAX_QUEUE,
+    failureThreshold: APP_CONFIG.APPLESCRIPT_BREAKER_THRESHOLD,
+    cooldownMs: APP_CONFIG.APPLESCRIPT_BREAKER_COOLDOWN_MS
+});
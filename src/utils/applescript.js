@@ -1,35 +1,98 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import appleScriptExecutor from './appleScriptExecutor.js';
 
 const execAsync = promisify(exec);
 
+// Tham số truyền qua argv luôn có prefix này (xem buildInvocation)
+const ARG_PREFIX = '\n';
+
+// Resolve the send target from `item 1` (kind) and `item 2` (chat guid or buddy handle) of argv
+const TARGET_LINES = `if (item 1 of argv) is "chat" then
+                    set target to chat id (item 2 of argv)
+                else
+                    set svc to 1st service whose service type = iMessage
+                    set target to buddy (item 2 of argv) of svc
+                end if`;
+
 /**
  * AppleScript utility for Blue Relay Tools
  */
 class AppleScriptUtil {
     /**
-     * Execute AppleScript command
-     * @param {string} script - AppleScript code
+     * Execute AppleScript command (serialized, with timeout and circuit breaker).
+     * User data must never be interpolated into `script`: pass it in `args`, the script
+     * reads it from `argv` (a list of strings, `item 1 of argv`, ...).
+     * @param {string} script - AppleScript code (without its own `on run` handler when args are used)
+     * @param {Array} args - Values for `argv`, coerced to strings
+     * @param {Object} options - { timeoutMs, circuit }
      * @returns {Promise<string>}
      */
-    async execute(script) {
+    async execute(script, args = [], options = {}) {
         try {
-            const { stdout, stderr } = await execAsync(`osascript -e '${script.replace(/'/g, "'\\''")}'`);
-
-            if (stderr) {
-                console.warn('⚠️  AppleScript stderr:', stderr);
-            }
-
-            return stdout.trim();
+            const invocation = this.buildInvocation(script, args);
+            return await appleScriptExecutor.run(invocation.script, { ...options, args: invocation.args });
         } catch (error) {
             console.error('❌ AppleScript execution failed:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Wrap a script in an `on run` handler receiving `args` as `argv`.
+     * osascript đọc option bằng getopt, nên một tham số bắt đầu bằng "-" (vd. body "-e ...")
+     * sẽ bị hiểu là option. Mỗi tham số được thêm prefix ARG_PREFIX rồi bỏ đi trong script.
+     * ARG_PREFIX là LF: không ghép được với ký tự sau nó thành một grapheme, nên
+     * `text 2 thru -1` luôn trả lại đúng chuỗi gốc (kể cả khi chuỗi bắt đầu bằng dấu kết hợp).
+     * @param {string} script - AppleScript code reading `argv`
+     * @param {Array} args - Values for `argv`
+     * @returns {{ script: string, args: string[] }}
+     */
+    buildInvocation(script, args = []) {
+        if (args.length === 0) {
+            return { script, args: [] };
+        }
+
+        const argv = args.map((value, index) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            if (text.includes('\0')) {
+                throw new Error(`AppleScript argument ${index + 1} contains a NUL character`);
+            }
+            return ARG_PREFIX + text;
+        });
+
+        return {
+            script: `on run rawArgv
+    set argv to {}
+    repeat with rawArg in rawArgv
+        set rawArg to rawArg as text
+        if (length of rawArg) > 1 then
+            set end of argv to text 2 thru -1 of rawArg
+        else
+            set end of argv to ""
+        end if
+    end repeat
+${script}
+end run`,
+            args: argv
+        };
+    }
+
+    /**
+     * Arguments resolving the send target (`item 1` / `item 2` of argv, see TARGET_LINES)
+     * @param {string|{chatGuid: string}} to - Buddy handle, or { chatGuid } for an existing chat
+     * @returns {string[]}
+     */
+    getTargetArgs(to) {
+        if (to && typeof to === 'object' && to.chatGuid) {
+            return ['chat', to.chatGuid];
+        }
+        return ['buddy', String(to)];
+    }
+
     /**
      * Send message via iMessage
-     * @param {string} to - Recipient (phone/email)
+     * @param {string|{chatGuid: string}} to - Recipient (phone/email) or { chatGuid } of a chat
      * @param {string} body - Message body
      * @returns {Promise<string>}
      */
@@ -40,15 +103,10 @@ class AppleScriptUtil {
             bodyLength: typeof body === 'string' ? body.length : 0
         });
 
-        // Escape quotes to prevent AppleScript injection
-        const escapedTo = to.replace(/"/g, '\\"');
-        const escapedBody = body.replace(/"/g, '\\"');
-
         const script = `tell application "Messages"
             try
-                set svc to 1st service whose service type = iMessage
-                set bud to buddy "${escapedTo}" of svc
-                set msg to send "${escapedBody}" to bud
+                ${TARGET_LINES}
+                set msg to send (item 3 of argv) to target
                 return "success"
             on error errMsg
                 return "error: " & errMsg
@@ -56,35 +114,64 @@ class AppleScriptUtil {
         end tell`;
 
         const execStart = Date.now();
-        const res = await this.execute(script);
+        const res = await this.execute(script, [...this.getTargetArgs(to), body]);
         const ms = Date.now() - execStart;
         console.log('[AppleScript] result', { result: res, durationMs: ms });
         return res;
     }
 
+    /**
+     * Send a file via iMessage (as POSIX file)
+     * @param {string|{chatGuid: string}} to - Recipient (phone/email) or { chatGuid } of a chat
+     * @param {string} filePath - Absolute path of the staged file
+     * @returns {Promise<string>}
+     */
+    async sendAttachment(to, filePath) {
+        console.log("[AppleScript] sendAttachment called", { to, filePath });
+
+        const script = `set theFile to POSIX file (item 3 of argv)
+        tell application "Messages"
+            try
+                ${TARGET_LINES}
+                send theFile to target
+                return "success"
+            on error errMsg
+                return "error: " & errMsg
+            end try
+        end tell`;
+
+        const execStart = Date.now();
+        const res = await this.execute(script, [...this.getTargetArgs(to), filePath]);
+        const ms = Date.now() - execStart;
+        console.log('[AppleScript] attachment result', { result: res, durationMs: ms });
+        return res;
+    }
+
     /**
      * Get conversations list
+     * @param {Object} options - { withParticipantCount }
      * @returns {Promise<Array>}
      */
-    async getConversations() {
+    async getConversations({ withParticipantCount = false } = {}) {
+        const countLine = withParticipantCount
+            ? 'set participantCount to (count of participants of theChat) as string'
+            : 'set participantCount to "1"';
         const script = `tell application "Messages"
             try
                 set svc to 1st service whose service type = iMessage
-                set result to ""
+                set chatLines to {}
                 repeat with theChat in every chat of svc
                     try
                         set chatId to id of theChat as string
                         set chatName to name of theChat as string
-                        set chatInfo to chatId & "|" & chatName & "|1"
-                        if result is not "" then
-                            set result to result & "\\n"
-                        end if
-                        set result to result & chatInfo
+                        ${countLine}
+                        set end of chatLines to chatId & "|" & chatName & "|" & participantCount
                     on error chatErr
                         log "Error processing chat: " & chatErr
                     end try
                 end repeat
-                return result
+                set AppleScript's text item delimiters to linefeed
+                return chatLines as text
             on error errMsg
                 return "error: " & errMsg
             end try
@@ -112,7 +199,7 @@ class AppleScriptUtil {
         const script = `tell application "Messages"
             try
                 set svc to 1st service whose service type = iMessage
-                set bud to buddy "${contact}" of svc
+                set bud to buddy (item 1 of argv) of svc
                 set serviceType to service type of bud
                 if serviceType is iMessage then
                     return "iMessage"
@@ -124,7 +211,7 @@ class AppleScriptUtil {
             end try
         end tell`;
 
-        const result = await this.execute(script);
+        const result = await this.execute(script, [contact]);
 
         if (result.startsWith('error:')) {
             return {
@@ -144,6 +231,15 @@ class AppleScriptUtil {
         };
     }
 
+    /**
+     * Read a UI value through System Events (not Messages.app: bypasses the circuit breaker)
+     * @param {string} script - AppleScript code
+     * @returns {Promise<string>}
+     */
+    async querySystemEvents(script) {
+        return this.execute(script, [], { circuit: false, timeoutMs: 10000 });
+    }
+
     /**
      * Get iMessage accounts
      * @returns {Promise<Object>}
@@ -0,0 +1,147 @@
+/**
+ * Binary plist encoder ("bplist00")
+ * Ghi message_summary_info giống Messages: dùng cho simulator (đọc lại bằng bplist-parser).
+ *
+ * Giá trị JS → plist: boolean → bool, integer → int, số thực → real, string → string (ASCII / UTF-16),
+ * Buffer → data, Array → array, object → dict. Không hỗ trợ date / uid / null.
+ */
+
+const MAGIC = 'bplist00';
+
+class BinaryPlistEncoder {
+    /**
+     * @param {*} value - Top-level value (thường là object)
+     * @returns {Buffer}
+     */
+    encode(value) {
+        const objects = [];
+        this.flatten(value, objects);
+
+        const refSize = this.byteWidth(objects.length);
+        const chunks = [Buffer.from(MAGIC, 'ascii')];
+        const offsets = [];
+        let position = chunks[0].length;
+
+        for (const object of objects) {
+            const encoded = this.encodeObject(object, refSize);
+            offsets.push(position);
+            chunks.push(encoded);
+            position += encoded.length;
+        }
+
+        const offsetSize = this.byteWidth(position);
+        const offsetTable = Buffer.concat(offsets.map((offset) => this.uint(offset, offsetSize)));
+
+        const trailer = Buffer.alloc(32);
+        trailer.writeUInt8(offsetSize, 6);
+        trailer.writeUInt8(refSize, 7);
+        trailer.writeBigUInt64BE(BigInt(objects.length), 8);
+        trailer.writeBigUInt64BE(0n, 16); // top object
+        trailer.writeBigUInt64BE(BigInt(position), 24);
+
+        return Buffer.concat([...chunks, offsetTable, trailer]);
+    }
+
+    /**
+     * Object table in depth-first order; containers keep the indexes of their children
+     * @returns {number} - index of value
+     */
+    flatten(value, objects) {
+        const index = objects.length;
+        if (Array.isArray(value)) {
+            const entry = { type: 'array', refs: [] };
+            objects.push(entry);
+            entry.refs = value.map((item) => this.flatten(item, objects));
+        } else if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+            const entry = { type: 'dict', keys: [], refs: [] };
+            objects.push(entry);
+            for (const [key, item] of Object.entries(value)) {
+                entry.keys.push(this.flatten(key, objects));
+                entry.refs.push(this.flatten(item, objects));
+            }
+        } else {
+            objects.push({ type: 'value', value });
+        }
+        return index;
+    }
+
+    encodeObject(object, refSize) {
+        if (object.type === 'array') {
+            return Buffer.concat([this.marker(0xA0, object.refs.length), ...object.refs.map((ref) => this.uint(ref, refSize))]);
+        }
+        if (object.type === 'dict') {
+            return Buffer.concat([
+                this.marker(0xD0, object.keys.length),
+                ...object.keys.map((ref) => this.uint(ref, refSize)),
+                ...object.refs.map((ref) => this.uint(ref, refSize))
+            ]);
+        }
+
+        const { value } = object;
+        if (typeof value === 'boolean') {
+            return Buffer.from([value ? 0x09 : 0x08]);
+        }
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? this.integer(value) : this.real(value);
+        }
+        if (typeof value === 'string') {
+            if (/^[\x00-\x7F]*$/.test(value)) {
+                return Buffer.concat([this.marker(0x50, value.length), Buffer.from(value, 'ascii')]);
+            }
+            const utf16 = Buffer.from(value, 'utf16le').swap16(); // UTF-16 big-endian
+            return Buffer.concat([this.marker(0x60, utf16.length / 2), utf16]);
+        }
+        if (Buffer.isBuffer(value)) {
+            return Buffer.concat([this.marker(0x40, value.length), value]);
+        }
+        throw new Error(`Cannot encode ${value === null ? 'null' : typeof value} in a binary plist`);
+    }
+
+    /**
+     * Type marker with inline length (≥ 15: 0xF + int object)
+     */
+    marker(type, length) {
+        return length < 15
+            ? Buffer.from([type | length])
+            : Buffer.concat([Buffer.from([type | 0x0F]), this.integer(length)]);
+    }
+
+    integer(value) {
+        if (value < 0 || value > 0xFFFFFFFF) {
+            const buffer = Buffer.alloc(9);
+            buffer.writeUInt8(0x13, 0);
+            buffer.writeBigInt64BE(BigInt(value), 1);
+            return buffer;
+        }
+        const width = this.byteWidth(value);
+        return Buffer.concat([Buffer.from([0x10 | Math.log2(width)]), this.uint(value, width)]);
+    }
+
+    real(value) {
+        const buffer = Buffer.alloc(9);
+        buffer.writeUInt8(0x23, 0);
+        buffer.writeDoubleBE(value, 1);
+        return buffer;
+    }
+
+    uint(value, width) {
+        const buffer = Buffer.alloc(width);
+        buffer.writeUIntBE(value, 0, width);
+        return buffer;
+    }
+
+    /**
+     * 1, 2 or 4 bytes
+     */
+    byteWidth(max) {
+        if (max <= 0xFF) return 1;
+        if (max <= 0xFFFF) return 2;
+        return 4;
+    }
+}
+
+const binaryPlistEncoder = new BinaryPlistEncoder();
+
+export default binaryPlistEncoder;
+
+export { BinaryPlistEncoder };
@@ -0,0 +1,205 @@
+import { Worker } from 'worker_threads';
+import { APP_CONFIG } from '../config/app.js';
+import typedStreamDecoder from './typedStreamDecoder.js';
+
+const WORKER_URL = new URL('../workers/typedStreamWorker.js', import.meta.url);
+
+/**
+ * Decode worker pool for Blue Relay Tools
+ * Decode attributedBody trong worker_threads để trang conversation lớn không chặn event loop
+ * (heartbeat socket, command khác). Mỗi job là một nhóm blob; hàng đợi có giới hạn,
+ * job quá timeout thì worker bị thay mới. Job lỗi trả về error cho từng blob để caller dùng placeholder.
+ * workers = 0: decode ngay trên main thread.
+ */
+export class DecodeWorkerPool {
+    /**
+     * @param {Object} options - { workers, maxQueue, timeoutMs, batchSize }
+     */
+    constructor({ workers, maxQueue, timeoutMs, batchSize }) {
+        this.size = Math.max(workers, 0);
+        this.maxQueue = maxQueue;
+        this.timeoutMs = timeoutMs;
+        this.batchSize = Math.max(batchSize, 1);
+
+        this.workers = [];
+        this.idle = [];
+        this.pending = [];
+        this.nextJobId = 1;
+        this.stopped = false;
+        this.stats = { jobs: 0, decoded: 0, failed: 0, timedOut: 0, rejected: 0, crashed: 0 };
+    }
+
+    /**
+     * Decode attributedBody blobs
+     * @param {Buffer[]} buffers - attributedBody blobs
+     * @returns {Promise<Array<{ decoded: { text: string, runs: Array }|null, error: string|null }>>}
+     *   decoded null + error null: không phải typedstream / không đọc được,
+     *   error: pool không decode được (queue_full | timeout | worker_error | stopped)
+     */
+    async decode(buffers) {
+        if (!buffers || buffers.length === 0) return [];
+
+        if (this.size === 0) {
+            return buffers.map((buffer) => ({ decoded: typedStreamDecoder.decode(buffer), error: null }));
+        }
+
+        const jobs = [];
+        for (let i = 0; i < buffers.length; i += this.batchSize) {
+            jobs.push(this.submit(buffers.slice(i, i + this.batchSize)));
+        }
+        return (await Promise.all(jobs)).flat();
+    }
+
+    /**
+     * Queue one job (a batch of blobs); never rejects
+     */
+    submit(buffers) {
+        const failAll = (error) => buffers.map(() => ({ decoded: null, error }));
+
+        if (this.stopped) {
+            return Promise.resolve(failAll('stopped'));
+        }
+        if (this.pending.length >= this.maxQueue) {
+            this.stats.rejected++;
+            return Promise.resolve(failAll('queue_full'));
+        }
+
+        return new Promise((resolve) => {
+            this.pending.push({ id: this.nextJobId++, buffers, resolve, failAll });
+            this.ensureWorkers();
+            this.drain();
+        });
+    }
+
+    ensureWorkers() {
+        while (this.workers.length < this.size) {
+            this.spawn();
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_URL);
+        worker.unref();
+        worker.job = null;
+
+        worker.on('message', ({ id, results }) => {
+            const job = worker.job;
+            if (!job || job.id !== id) return;
+            this.finish(worker, results.map((decoded) => ({ decoded, error: null })));
+        });
+        worker.on('error', (error) => {
+            console.warn('⚠️ Decode worker error:', error.message);
+            this.stats.crashed++;
+            this.replace(worker, 'worker_error');
+        });
+        worker.on('exit', () => {
+            if (this.workers.includes(worker)) {
+                this.replace(worker, 'worker_error');
+            }
+        });
+
+        this.workers.push(worker);
+        this.idle.push(worker);
+    }
+
+    /**
+     * Hand queued jobs to idle workers
+     */
+    drain() {
+        while (this.idle.length > 0 && this.pending.length > 0) {
+            const worker = this.idle.shift();
+            const job = this.pending.shift();
+
+            worker.job = job;
+            job.timer = setTimeout(() => {
+                // Worker có thể đang kẹt trong blob bất thường: bỏ và tạo worker mới
+                this.stats.timedOut++;
+                console.warn(`⚠️ Decode job timed out after ${this.timeoutMs}ms (${job.buffers.length} items)`);
+                this.replace(worker, 'timeout');
+            }, this.timeoutMs);
+
+            worker.postMessage({ id: job.id, buffers: job.buffers });
+        }
+    }
+
+    finish(worker, results) {
+        const job = worker.job;
+        clearTimeout(job.timer);
+        worker.job = null;
+
+        this.stats.jobs++;
+        this.stats.decoded += results.filter((result) => result.decoded).length;
+        job.resolve(results);
+
+        if (this.workers.includes(worker)) {
+            this.idle.push(worker);
+            this.drain();
+        }
+    }
+
+    /**
+     * Drop a worker (timeout / crash), fail its job and start a replacement
+     */
+    replace(worker, error) {
+        const job = worker.job;
+        if (job) {
+            clearTimeout(job.timer);
+            worker.job = null;
+            this.stats.failed++;
+            job.resolve(job.failAll(error));
+        }
+
+        this.workers = this.workers.filter((w) => w !== worker);
+        this.idle = this.idle.filter((w) => w !== worker);
+        worker.terminate().catch(() => {});
+
+        if (!this.stopped && this.pending.length > 0) {
+            this.ensureWorkers();
+            this.drain();
+        }
+    }
+
+    /**
+     * Terminate every worker, fail queued jobs
+     */
+    async stop() {
+        this.stopped = true;
+        for (const job of this.pending.splice(0)) {
+            job.resolve(job.failAll('stopped'));
+        }
+        const workers = this.workers;
+        this.workers = [];
+        this.idle = [];
+        for (const worker of workers) {
+            if (worker.job) {
+                clearTimeout(worker.job.timer);
+                worker.job.resolve(worker.job.failAll('stopped'));
+                worker.job = null;
+            }
+        }
+        await Promise.all(workers.map((worker) => worker.terminate().catch(() => {})));
+    }
+
+    /**
+     * Pool info for /api/info
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            workers: this.size,
+            running: this.workers.filter((worker) => worker.job).length,
+            pending: this.pending.length,
+            maxQueue: this.maxQueue,
+            timeoutMs: this.timeoutMs,
+            batchSize: this.batchSize,
+            stats: { ...this.stats }
+        };
+    }
+}
+
+export default new DecodeWorkerPool({
+    workers: APP_CONFIG.DECODE_WORKERS,
+    maxQueue: APP_CONFIG.DECODE_MAX_QUEUE,
+    timeoutMs: APP_CONFIG.DECODE_JOB_TIMEOUT_MS,
+    batchSize: APP_CONFIG.DECODE_BATCH_SIZE
+});
@@ -8,12 +8,26 @@ import { execSync } from 'child_process';
 import { writeFileSync, readFileSync, unlinkSync, existsSync } from 'fs';
 import { tmpdir } from 'os';
 import { join } from 'path';
+import { APP_CONFIG } from '../config/app.js';
 
 class FoundationBridge {
     constructor() {
         this.debug = false;
         this.tempDir = tmpdir();
         this.batchId = 0; // Để tạo unique batch ID
+        // Chỉ là fallback của typedstream decoder, tắt được bằng FOUNDATION_BRIDGE_FALLBACK=false
+        this.enabled = APP_CONFIG.FOUNDATION_BRIDGE_FALLBACK;
+    }
+
+    /**
+     * Turn the bridge off when the host has no Swift / Foundation (decode calls return failures)
+     * @param {string} reason - Why (for the log)
+     */
+    disable(reason) {
+        if (this.enabled) {
+            console.log(`ℹ️  Foundation bridge disabled (${reason})`);
+        }
+        this.enabled = false;
     }
 
     /**
@@ -41,6 +55,9 @@ class FoundationBridge {
         if (!items || items.length === 0) {
             return [];
         }
+        if (!this.enabled) {
+            return items.map(item => ({ id: item.id, result: null, success: false }));
+        }
 
         this.log(`Batch decoding ${items.length} items`);
 
@@ -262,7 +279,7 @@ do {
      */
     async decode(buffer) {
         try {
-            if (!buffer || buffer.length === 0) {
+            if (!buffer || buffer.length === 0 || !this.enabled) {
                 return null;
             }
 
@@ -0,0 +1,135 @@
+import { APP_CONFIG } from '../config/app.js';
+
+/**
+ * Calling code, trunk prefix (số 0 / 1 đầu số nội địa), độ dài số quốc gia (NSN) và đầu số gọi quốc tế
+ * Chỉ các vùng thường gặp; vùng khác vẫn chuẩn hoá được số có "+" / "00" ở đầu.
+ */
+const REGIONS = {
+    VN: { code: '84', trunk: '0', lengths: [9, 10] },
+    US: { code: '1', trunk: '1', lengths: [10, 10], international: '011' },
+    CA: { code: '1', trunk: '1', lengths: [10, 10], international: '011' },
+    GB: { code: '44', trunk: '0', lengths: [9, 10] },
+    AU: { code: '61', trunk: '0', lengths: [9, 9], international: '0011' },
+    FR: { code: '33', trunk: '0', lengths: [9, 9] },
+    DE: { code: '49', trunk: '0', lengths: [7, 11] },
+    JP: { code: '81', trunk: '0', lengths: [9, 10], international: '010' },
+    KR: { code: '82', trunk: '0', lengths: [8, 10], international: '001' },
+    CN: { code: '86', trunk: '0', lengths: [10, 11] },
+    TW: { code: '886', trunk: '0', lengths: [8, 9], international: '002' },
+    HK: { code: '852', trunk: null, lengths: [8, 8], international: '001' },
+    SG: { code: '65', trunk: null, lengths: [8, 8], international: '000' },
+    TH: { code: '66', trunk: '0', lengths: [8, 9], international: '001' },
+    MY: { code: '60', trunk: '0', lengths: [9, 10] },
+    ID: { code: '62', trunk: '0', lengths: [9, 12], international: '001' },
+    PH: { code: '63', trunk: '0', lengths: [10, 10] },
+    IN: { code: '91', trunk: '0', lengths: [10, 10] },
+    KH: { code: '855', trunk: '0', lengths: [8, 9], international: '001' },
+    LA: { code: '856', trunk: '0', lengths: [8, 10] }
+};
+
+// Số ngắn hơn (tổng đài, short code) giữ nguyên chữ số
+const MIN_PHONE_DIGITS = 7;
+const MAX_E164_DIGITS = 15;
+
+/**
+ * Handle Normalizer for Blue Relay Tools
+ * Một handle (chat.db handle.id, recipient gửi lên API, số trong danh bạ) → dạng chuẩn để so sánh:
+ * số điện thoại → E.164 ("+84346477714") theo handle.country hoặc DEFAULT_PHONE_REGION, email → chữ thường.
+ * "0346477714", "+84 346 477 714", "84346477714" và "tel:+84346477714" là cùng một handle.
+ */
+class HandleNormalizer {
+    constructor() {
+        const region = String(APP_CONFIG.DEFAULT_PHONE_REGION || '').toUpperCase();
+        if (region && !REGIONS[region]) {
+            console.warn(`⚠️ Unknown DEFAULT_PHONE_REGION "${APP_CONFIG.DEFAULT_PHONE_REGION}": national numbers will not be converted to E.164`);
+        }
+        this.defaultRegion = REGIONS[region] ? region : null;
+    }
+
+    /**
+     * @param {string} value - Raw handle
+     * @param {string} [country] - handle.country (ISO 3166, "vn", "us"...); mặc định DEFAULT_PHONE_REGION
+     * @returns {{ raw: string, normalized: string|null, type: 'phone'|'email'|'other'|null, e164: boolean }}
+     */
+    parse(value, country) {
+        const raw = typeof value === 'string' ? value : value == null ? '' : String(value);
+        const trimmed = raw.trim().replace(/^(tel|sms|mailto|imessage):/i, '');
+        if (!trimmed) return { raw, normalized: null, type: null, e164: false };
+
+        if (trimmed.includes('@')) {
+            return { raw, normalized: trimmed.toLowerCase(), type: 'email', e164: false };
+        }
+        if (!/^\+?[\d\s().\-\/]+$/.test(trimmed)) {
+            return { raw, normalized: trimmed.toLowerCase(), type: 'other', e164: false };
+        }
+
+        const e164 = this.toE164(trimmed, country);
+        return {
+            raw,
+            normalized: e164 || (trimmed.startsWith('+') ? '+' : '') + trimmed.replace(/\D/g, ''),
+            type: 'phone',
+            e164: !!e164
+        };
+    }
+
+    /**
+     * Comparable form of a handle (null when empty)
+     * @param {string} value - Raw handle
+     * @param {string} [country] - handle.country
+     * @returns {string|null}
+     */
+    normalize(value, country) {
+        return this.parse(value, country).normalized;
+    }
+
+    /**
+     * @returns {boolean} - true when both handles are the same person
+     */
+    same(a, b, countryA, countryB) {
+        const left = this.normalize(a, countryA);
+        return left !== null && left === this.normalize(b, countryB);
+    }
+
+    /**
+     * Phone number → E.164, null when it cannot be determined
+     */
+    toE164(phone, country) {
+        let digits = phone.replace(/\D/g, '');
+        if (digits.length < MIN_PHONE_DIGITS) return null;
+
+        const region = REGIONS[String(country || '').toUpperCase()] ? String(country).toUpperCase() : this.defaultRegion;
+        const info = region ? REGIONS[region] : null;
+
+        if (phone.startsWith('+')) {
+            return digits.length <= MAX_E164_DIGITS ? `+${digits}` : null;
+        }
+
+        const international = info?.international || '00';
+        if (digits.startsWith(international)) {
+            digits = digits.slice(international.length);
+            return digits.length >= MIN_PHONE_DIGITS && digits.length <= MAX_E164_DIGITS ? `+${digits}` : null;
+        }
+        if (!info) return null;
+
+        const fits = (nsn) => nsn.length >= info.lengths[0] && nsn.length <= info.lengths[1];
+        // "0346477714" → trunk prefix + NSN
+        if (info.trunk && digits.startsWith(info.trunk) && fits(digits.slice(info.trunk.length))) {
+            return `+${info.code}${digits.slice(info.trunk.length)}`;
+        }
+        // "84346477714" → calling code không có "+"
+        if (digits.startsWith(info.code) && fits(digits.slice(info.code.length))) {
+            return `+${digits}`;
+        }
+        // "346477714" → NSN
+        if (fits(digits)) {
+            return `+${info.code}${digits}`;
+        }
+        return null;
+    }
+}
+
+const handleNormalizer = new HandleNormalizer();
+
+export default handleNormalizer;
+
+export { HandleNormalizer };
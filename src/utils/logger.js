@@ -39,6 +39,18 @@ class Logger {
         await this.logToFile(logEntry);
     }
 
+    /**
+     * Log delivery status change of an outbound message
+     * @param {Object} statusData - { relayMessageId, guid, previousStatus, status, ... }
+     */
+    async logStatusChange(statusData) {
+        const logEntry = {
+            type: 'message_status',
+            ...statusData
+        };
+        await this.logToFile(logEntry);
+    }
+
     /**
      * Log received message
      * @param {Object} messageData - Message data
@@ -1,12 +1,37 @@
+import { APP_CONFIG } from '../config/app.js';
 import nsArchiver from './nsArchiver.js';
+import typedStreamDecoder from './typedStreamDecoder.js';
+
+// Giới hạn của Date (±100 triệu ngày quanh epoch)
+const MAX_DATE_MS = 8.64e15;
+
+// attributedBody attribute keys (Messages) → span type
+const STYLE_ATTRIBUTES = {
+    __kIMTextBoldAttributeName: 'bold',
+    __kIMTextItalicAttributeName: 'italic',
+    __kIMTextUnderlineAttributeName: 'underline',
+    __kIMTextStrikethroughAttributeName: 'strikethrough'
+};
+
+// Giá trị của __kIMTextEffectAttributeName (text effects từ iOS 18 / macOS 15)
+const TEXT_EFFECTS = {
+    4: 'ripple',
+    5: 'big',
+    6: 'bloom',
+    8: 'nod',
+    9: 'shake',
+    10: 'jitter',
+    11: 'small',
+    12: 'explode'
+};
 
 /**
  * Message parsing utility for Blue Relay Tools
- * Tối ưu: Chỉ sử dụng Foundation Bridge để decode nhanh nhất
+ * attributedBody được decode bằng typedstream decoder (Foundation Bridge chỉ là fallback)
  */
 class MessageParser {
     /**
-     * Parse attributed body buffer using ONLY Foundation Bridge (fastest method)
+     * Parse attributed body buffer (typedstream decoder, Foundation Bridge fallback)
      * @param {Buffer} buffer - Attributed body buffer
      * @returns {Promise<string>}
      */
@@ -21,7 +46,6 @@ class MessageParser {
                 buf = Buffer.from(buf);
             }
 
-            // TỐI ƯU: Chỉ sử dụng Foundation Bridge (nhanh nhất)
             const decodedText = await nsArchiver.decodeFast(buf);
             return decodedText || '[Rich content]';
         } catch (error) {
@@ -30,17 +54,116 @@ class MessageParser {
         }
     }
 
+    /**
+     * Decode attributedBody into text and spans (typedstream decoder only, no placeholder)
+     * @param {Buffer} buffer - Attributed body buffer
+     * @returns {{ text: string, spans: Array<Object> }|null}
+     */
+    parseRichBody(buffer) {
+        const decoded = typedStreamDecoder.decode(buffer);
+        return decoded ? { text: decoded.text, spans: this.buildSpans(decoded.runs) } : null;
+    }
+
+    /**
+     * Turn attribute runs into spans: { offset, length, type, ...data }
+     * type: link (url), mention (handle), bold | italic | underline | strikethrough,
+     * effect (effect, value), attachment (guid, filename).
+     * offset / length tính theo UTF-16 code unit (giống NSString và String của JS).
+     * Các run liền nhau có cùng span (ví dụ bold qua 2 message part) được gộp lại.
+     * @param {Array<{ location: number, length: number, attributes: Object }>} runs - Attribute runs
+     * @returns {Array<Object>}
+     */
+    buildSpans(runs) {
+        const spans = [];
+        const open = new Map(); // span key → span kết thúc gần nhất
+
+        for (const { location, length, attributes } of runs) {
+            if (!length || !attributes) continue;
+
+            const found = [];
+            if (typeof attributes.__kIMLinkAttributeName === 'string') {
+                found.push({ type: 'link', url: attributes.__kIMLinkAttributeName });
+            }
+            if (typeof attributes.__kIMMentionConfirmedMention === 'string') {
+                found.push({ type: 'mention', handle: attributes.__kIMMentionConfirmedMention });
+            }
+            for (const [key, style] of Object.entries(STYLE_ATTRIBUTES)) {
+                if (attributes[key]) found.push({ type: style });
+            }
+            if (typeof attributes.__kIMTextEffectAttributeName === 'number') {
+                const value = attributes.__kIMTextEffectAttributeName;
+                found.push({ type: 'effect', effect: TEXT_EFFECTS[value] || 'unknown', value });
+            }
+            if (typeof attributes.__kIMFileTransferGUIDAttributeName === 'string') {
+                found.push({
+                    type: 'attachment',
+                    guid: attributes.__kIMFileTransferGUIDAttributeName,
+                    filename: attributes.__kIMFilenameAttributeName || null
+                });
+            }
+
+            for (const data of found) {
+                const key = JSON.stringify(data);
+                const previous = open.get(key);
+                if (previous && previous.offset + previous.length === location) {
+                    previous.length += length;
+                } else {
+                    const span = { offset: location, length, ...data };
+                    spans.push(span);
+                    open.set(key, span);
+                }
+            }
+        }
+
+        return spans;
+    }
+
+    /**
+     * Remove U+FFFC attachment placeholders (chat.db lưu "\uFFFC" ở vị trí mỗi file đính kèm) and shift spans to match.
+     * Span attachment còn lại với length 0, đánh dấu vị trí file trong text.
+     * @param {string|null} text - message.text / decoded attributedBody
+     * @param {Array<Object>} [spans] - buildSpans()
+     * @returns {{ text: string|null, spans: Array<Object> }}
+     */
+    stripAttachmentPlaceholders(text, spans = []) {
+        if (typeof text !== 'string' || !text.includes('\uFFFC')) return { text, spans };
+        const removed = [];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\uFFFC') removed.push(i);
+        }
+        const shift = (offset) => offset - removed.filter((index) => index < offset).length;
+        return {
+            text: text.replace(/\uFFFC/g, ''),
+            spans: spans.map((span) => {
+                const offset = shift(span.offset);
+                return { ...span, offset, length: shift(span.offset + span.length) - offset };
+            })
+        };
+    }
+
     /**
      * Parse message from database row
      * @param {Object} row - Database row
+     * @param {{ text: string, spans: Array }|null} [decoded] - attributedBody already decoded by the caller
+     *   (MessageService.decodeBodies, null = đã thử nhưng không decode được)
      * @returns {Promise<Object>}
      */
-    async parseMessage(row) {
+    async parseMessage(row, decoded) {
         let content = row.text;
+        let spans = [];
 
-        // If text is null and has attributedBody, decode it
+        // Spans (link, mention, style, ...) chỉ có trong attributedBody, kể cả khi text có sẵn
+        if (row.attributedBody) {
+            const rich = decoded !== undefined ? decoded : this.parseRichBody(row.attributedBody);
+            if (rich) {
+                spans = rich.spans;
+                if (!content) content = rich.text;
+            }
+        }
+
+        // If text is still null and has attributedBody, decode it (Foundation Bridge fallback / placeholder)
         if (!content && row.attributedBody) {
-            content = await this.parseAttributedBody(row.attributedBody);
+            content = decoded !== undefined ? '[Rich content]' : await this.parseAttributedBody(row.attributedBody);
         }
 
         // Ưu tiên lấy service từ message, sau đó đến handle, sau đó đến service_center
@@ -65,6 +188,7 @@ class MessageParser {
             id: row.ROWID,
             from: row.sender,
             body: content,
+            spans,
             timestamp: row.readable_date,
             isFromMe: row.is_from_me === 1,
             isSent: row.is_sent === 1,
@@ -102,27 +226,50 @@ class MessageParser {
      * @returns {Object}
      */
     validateMessage(messageData) {
-        const { to, body } = messageData;
+        const { to, chatGuid, body, attachments, send_at: sendAt } = messageData;
         const errors = [];
+        const hasAttachments = Array.isArray(attachments) ? attachments.length > 0 : !!attachments;
 
-        if (!to) {
-            errors.push('Missing recipient (to)');
+        if (!to && !chatGuid) {
+            errors.push('Missing recipient (to or chatGuid)');
         }
 
-        if (!body) {
-            errors.push('Missing message body');
+        if (!body && !hasAttachments) {
+            errors.push('Missing message body or attachments');
         }
 
         if (body && body.length > 1000) {
             errors.push('Message too long (max 1000 characters)');
         }
 
+        if (sendAt !== undefined && sendAt !== null && sendAt !== '') {
+            const sendAtMs = this.parseSendAt(sendAt);
+            if (sendAtMs === null) {
+                errors.push(`Invalid send_at (ISO 8601 or epoch milliseconds, at most ${APP_CONFIG.SEND_AT_MAX_AHEAD_DAYS} days ahead)`);
+            } else if (sendAtMs <= Date.now()) {
+                errors.push('send_at must be in the future');
+            }
+        }
+
         return {
             isValid: errors.length === 0,
             errors
         };
     }
 
+    /**
+     * Parse send_at (ISO 8601 string, e.g. "2025-01-02T09:00:00+07:00", or epoch milliseconds)
+     * @param {string|number} value - send_at value
+     * @returns {number|null} - Epoch milliseconds, null when missing, invalid or beyond SEND_AT_MAX_AHEAD_DAYS
+     */
+    parseSendAt(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+        if (!Number.isFinite(ms) || Math.abs(ms) > MAX_DATE_MS) return null;
+        if (ms > Date.now() + APP_CONFIG.SEND_AT_MAX_AHEAD_DAYS * 24 * 60 * 60 * 1000) return null;
+        return ms;
+    }
+
     /**
      * Sanitize message content
      * @param {string} content - Message content
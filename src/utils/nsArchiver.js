@@ -1,6 +1,7 @@
 import bplistParser from 'bplist-parser';
 import plist from 'plist';
 import sequentialDecoder from './sequentialArchiveDecoder.js';
+import typedStreamDecoder from './typedStreamDecoder.js';
 import foundationBridge from './foundationBridge.js';
 
 /**
@@ -47,7 +48,14 @@ class NSArchiver {
 
             this.log('Decoding buffer of length:', buf.length);
 
-            // Priority 1: Try Foundation Bridge (native NSUnarchiver) - most accurate
+            // Priority 1: Pure-JS typedstream decoder - exact NSString, chạy được mọi nền tảng
+            const typedStreamText = typedStreamDecoder.decodeText(buf);
+            if (typedStreamText !== null) {
+                this.log('Successfully decoded using typedstream decoder');
+                return typedStreamText;
+            }
+
+            // Priority 2: Foundation Bridge (native NSUnarchiver, macOS only, optional fallback)
             try {
                 const foundationResult = await foundationBridge.decode(buf);
                 if (foundationResult) {
@@ -58,7 +66,7 @@ class NSArchiver {
                 this.log('Foundation Bridge failed:', foundationError.message);
             }
 
-            // Priority 2: Try to parse as binary plist
+            // Priority 3: Try to parse as binary plist
             let parsed;
             try {
                 parsed = bplistParser.parseBuffer(buf);
@@ -123,7 +131,7 @@ class NSArchiver {
     }
 
     /**
-     * TỐI ƯU: Decode nhanh nhất chỉ sử dụng Foundation Bridge
+     * TỐI ƯU: Decode nhanh, chỉ typedstream decoder + Foundation Bridge (không dùng heuristic)
      * @param {Buffer} buffer - Binary plist data
      * @returns {Promise<string>} - Decoded text content
      */
@@ -141,7 +149,13 @@ class NSArchiver {
 
             this.log('Fast decoding buffer of length:', buf.length);
 
-            // CHỈ sử dụng Foundation Bridge (nhanh nhất)
+            const typedStreamText = typedStreamDecoder.decodeText(buf);
+            if (typedStreamText !== null) {
+                this.log('✅ Fast decode successful using typedstream decoder');
+                return typedStreamText;
+            }
+
+            // Fallback: Foundation Bridge (chỉ khi bật và chạy trên macOS)
             try {
                 const foundationResult = await foundationBridge.decode(buf);
                 if (foundationResult) {
@@ -152,7 +166,7 @@ class NSArchiver {
                 this.log('❌ Fast decode failed (Foundation Bridge):', foundationError.message);
             }
 
-            // Nếu Foundation Bridge thất bại, trả về null để messageService xử lý
+            // Nếu cả hai thất bại, trả về null để messageService xử lý
             this.log('Fast decode failed, returning null');
             return null;
 
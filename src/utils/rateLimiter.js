@@ -0,0 +1,128 @@
+/**
+ * Token bucket rate limiter for Blue Relay Tools
+ * capacity = burst cho phép, refill theo số token mỗi phút
+ */
+export class TokenBucket {
+    /**
+     * @param {Object} options - { capacity, perMinute }
+     */
+    constructor({ capacity, perMinute }) {
+        this.capacity = Math.max(capacity, 1);
+        this.ratePerMs = perMinute / 60000;
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Add tokens earned since the last update
+     */
+    refill(now = Date.now()) {
+        const elapsed = Math.max(now - this.updatedAt, 0);
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.ratePerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until `count` tokens are available (0 = available now)
+     * @param {number} count - Tokens needed
+     * @returns {number}
+     */
+    getWaitMs(count = 1, now = Date.now()) {
+        this.refill(now);
+        // Không bao giờ đòi nhiều hơn capacity, nếu không sẽ chờ mãi
+        count = Math.min(count, this.capacity);
+        if (this.tokens >= count) return 0;
+        if (this.ratePerMs <= 0) return Infinity;
+        return Math.ceil((count - this.tokens) / this.ratePerMs);
+    }
+
+    /**
+     * Take tokens (caller checked getWaitMs first)
+     * @param {number} count - Tokens to take
+     */
+    take(count = 1, now = Date.now()) {
+        this.refill(now);
+        this.tokens -= Math.min(count, this.capacity);
+    }
+
+    /**
+     * Whether the bucket is back to full (safe to forget)
+     */
+    isFull(now = Date.now()) {
+        this.refill(now);
+        return this.tokens >= this.capacity;
+    }
+
+    getState(now = Date.now()) {
+        this.refill(now);
+        return {
+            tokens: Math.floor(this.tokens * 100) / 100,
+            capacity: this.capacity,
+            perMinute: Math.round(this.ratePerMs * 60000 * 100) / 100,
+            retryAfterMs: this.getWaitMs(1, now)
+        };
+    }
+}
+
+/**
+ * One token bucket per key (recipient, client, ...)
+ */
+export class KeyedTokenBuckets {
+    /**
+     * @param {Object} options - { capacity, perMinute, maxKeys }
+     */
+    constructor({ capacity, perMinute, maxKeys = 10000 }) {
+        this.options = { capacity, perMinute };
+        this.maxKeys = maxKeys;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Get (or create) the bucket of a key
+     * @param {string} key - Bucket key
+     * @returns {TokenBucket}
+     */
+    get(key) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            if (this.buckets.size >= this.maxKeys) {
+                this.prune();
+            }
+            bucket = new TokenBucket(this.options);
+            this.buckets.set(key, bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * Drop buckets that refilled completely (they behave like new ones)
+     */
+    prune(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.isFull(now)) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    /**
+     * State of tracked keys
+     * @param {Function} formatKey - Maps a key for display
+     * @returns {Object}
+     */
+    getState(formatKey = key => key) {
+        const now = Date.now();
+        this.prune(now);
+        const entries = Array.from(this.buckets.entries()).map(([key, bucket]) => ({
+            key: formatKey(key),
+            ...bucket.getState(now)
+        }));
+        return {
+            capacity: this.options.capacity,
+            perMinute: this.options.perMinute,
+            tracked: entries.length,
+            limited: entries.filter(e => e.retryAfterMs > 0).length,
+            buckets: entries
+        };
+    }
+}
@@ -0,0 +1,526 @@
+/**
+ * Typedstream decoder for iMessage attributedBody
+ * Đọc trực tiếp định dạng "streamtyped" của NSArchiver (không cần macOS / Foundation):
+ * trả về đúng NSString gốc cùng các attribute run của NSAttributedString.
+ *
+ * Format: header (version, "streamtyped" | "typedstream", system version), sau đó là các group
+ * gồm một type encoding (Objective-C, ví dụ "@", "iI", "+") và các giá trị tương ứng.
+ * Chuỗi type / tên class nằm trong bảng shared string, object / class / C string nằm trong
+ * bảng shared object, các lần xuất hiện sau chỉ là reference vào bảng.
+ */
+
+// Tag bytes (signed)
+const TAG_INTEGER_2 = -127;
+const TAG_INTEGER_4 = -126;
+const TAG_FLOATING_POINT = -125;
+const TAG_NEW = -124;
+const TAG_NIL = -123;
+const TAG_END_OF_OBJECT = -122;
+const FIRST_TAG = -128;
+const LAST_TAG = -111;
+const FIRST_REFERENCE_NUMBER = LAST_TAG + 1;
+
+const SIGNATURE_LITTLE_ENDIAN = 'streamtyped';
+const SIGNATURE_BIG_ENDIAN = 'typedstream';
+const MAX_DEPTH = 256;
+
+// Type encoding đã parse, dùng lại giữa các lần decode (số lượng encoding khác nhau rất ít)
+const encodingCache = new Map();
+
+function invalid(message, offset) {
+    const error = new Error(`Invalid typedstream: ${message}${offset !== undefined ? ` (offset ${offset})` : ''}`);
+    error.code = 'TYPEDSTREAM_INVALID';
+    error.offset = offset;
+    return error;
+}
+
+/**
+ * Parse an Objective-C type encoding ("iI", "@", "[16c]", "{_NSRange=QQ}") into type nodes
+ * @param {string} encoding - Type encoding
+ * @returns {Array<Object>}
+ */
+function parseEncoding(encoding) {
+    if (encodingCache.has(encoding)) {
+        return encodingCache.get(encoding);
+    }
+
+    let pos = 0;
+    const parseOne = () => {
+        // Bỏ qua type qualifiers (const, in, out, bycopy, ...)
+        while ('rnNoORV'.includes(encoding[pos]) && pos < encoding.length - 1) pos++;
+        const char = encoding[pos++];
+        switch (char) {
+            case '[': {
+                const digits = /^\d+/.exec(encoding.slice(pos));
+                if (!digits) throw invalid(`bad array encoding "${encoding}"`);
+                pos += digits[0].length;
+                const element = parseOne();
+                if (encoding[pos++] !== ']') throw invalid(`unterminated array encoding "${encoding}"`);
+                return { kind: 'array', count: Number(digits[0]), element };
+            }
+            case '{':
+            case '(': {
+                const close = char === '{' ? '}' : ')';
+                let name = '';
+                while (pos < encoding.length && !['=', close].includes(encoding[pos])) name += encoding[pos++];
+                const fields = [];
+                if (encoding[pos] === '=') {
+                    pos++;
+                    while (pos < encoding.length && encoding[pos] !== close) fields.push(parseOne());
+                }
+                if (encoding[pos++] !== close) throw invalid(`unterminated struct encoding "${encoding}"`);
+                return { kind: 'struct', name, fields };
+            }
+            case '^':
+                return { kind: 'pointer', target: parseOne() };
+            case undefined:
+                throw invalid(`truncated type encoding "${encoding}"`);
+            default:
+                return { kind: 'scalar', type: char };
+        }
+    };
+
+    const nodes = [];
+    while (pos < encoding.length) {
+        nodes.push(parseOne());
+    }
+    encodingCache.set(encoding, nodes);
+    return nodes;
+}
+
+/**
+ * Low-level reader: bytes → groups of raw values
+ * Object: { class, groups }, class: { name, version, superclass }, '+' / char arrays: Buffer
+ */
+class TypedStreamReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.pos = 0;
+        this.littleEndian = true;
+        this.sharedStrings = [];
+        this.sharedObjects = [];
+        this.depth = 0;
+    }
+
+    readHeader() {
+        const version = this.readInteger(undefined, false);
+        const signature = this.readUnsharedString().toString('latin1');
+        if (signature === SIGNATURE_LITTLE_ENDIAN) {
+            this.littleEndian = true;
+        } else if (signature === SIGNATURE_BIG_ENDIAN) {
+            this.littleEndian = false;
+        } else {
+            throw invalid(`unknown signature "${signature}"`, 1);
+        }
+        const systemVersion = this.readInteger();
+        return { version, signature, systemVersion };
+    }
+
+    /**
+     * Read every top-level group until the end of the buffer
+     * @returns {Array<Array>}
+     */
+    readAll() {
+        const groups = [];
+        while (this.pos < this.buffer.length) {
+            groups.push(this.readGroup());
+        }
+        return groups;
+    }
+
+    ensure(length) {
+        if (this.pos + length > this.buffer.length) {
+            throw invalid(`unexpected end of data, need ${length} byte(s)`, this.pos);
+        }
+    }
+
+    readHead() {
+        this.ensure(1);
+        return this.buffer.readInt8(this.pos++);
+    }
+
+    peekHead() {
+        this.ensure(1);
+        return this.buffer.readInt8(this.pos);
+    }
+
+    readBytes(length) {
+        this.ensure(length);
+        const bytes = this.buffer.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    }
+
+    readInteger(head = this.readHead(), signed = true) {
+        if (head < FIRST_TAG || head > LAST_TAG) {
+            return signed ? head : head & 0xff;
+        }
+        if (head === TAG_INTEGER_2) {
+            this.ensure(2);
+            const value = signed
+                ? (this.littleEndian ? this.buffer.readInt16LE(this.pos) : this.buffer.readInt16BE(this.pos))
+                : (this.littleEndian ? this.buffer.readUInt16LE(this.pos) : this.buffer.readUInt16BE(this.pos));
+            this.pos += 2;
+            return value;
+        }
+        if (head === TAG_INTEGER_4) {
+            this.ensure(4);
+            const value = signed
+                ? (this.littleEndian ? this.buffer.readInt32LE(this.pos) : this.buffer.readInt32BE(this.pos))
+                : (this.littleEndian ? this.buffer.readUInt32LE(this.pos) : this.buffer.readUInt32BE(this.pos));
+            this.pos += 4;
+            return value;
+        }
+        throw invalid(`expected integer, got tag ${head}`, this.pos - 1);
+    }
+
+    readFloat(size) {
+        const head = this.readHead();
+        if (head !== TAG_FLOATING_POINT) {
+            return this.readInteger(head);
+        }
+        this.ensure(size);
+        const value = size === 4
+            ? (this.littleEndian ? this.buffer.readFloatLE(this.pos) : this.buffer.readFloatBE(this.pos))
+            : (this.littleEndian ? this.buffer.readDoubleLE(this.pos) : this.buffer.readDoubleBE(this.pos));
+        this.pos += size;
+        return value;
+    }
+
+    readUnsharedString() {
+        const length = this.readInteger(undefined, false);
+        return this.readBytes(length);
+    }
+
+    readReference(head, table, what) {
+        const offset = this.pos - 1;
+        const index = this.readInteger(head) - FIRST_REFERENCE_NUMBER;
+        if (index < 0 || index >= table.length) {
+            throw invalid(`${what} reference ${index} out of range`, offset);
+        }
+        return table[index];
+    }
+
+    readSharedString(head = this.readHead()) {
+        if (head === TAG_NIL) return null;
+        if (head === TAG_NEW) {
+            const string = this.readUnsharedString().toString('utf8');
+            this.sharedStrings.push(string);
+            return string;
+        }
+        return this.readReference(head, this.sharedStrings, 'shared string');
+    }
+
+    // C strings được share 2 lần: nội dung nằm trong bảng string, bản thân C string nằm trong bảng object
+    readCString(head = this.readHead()) {
+        if (head === TAG_NIL) return null;
+        if (head === TAG_NEW) {
+            const string = this.readSharedString();
+            this.sharedObjects.push(string);
+            return string;
+        }
+        const string = this.readReference(head, this.sharedObjects, 'C string');
+        if (typeof string !== 'string') throw invalid('C string reference points to an object', this.pos - 1);
+        return string;
+    }
+
+    readClass(head = this.readHead()) {
+        if (head === TAG_NIL) return null;
+        if (head === TAG_NEW) {
+            const name = this.readSharedString();
+            if (name === null) throw invalid('class without a name', this.pos - 1);
+            const cls = { name, version: this.readInteger(), superclass: null };
+            this.sharedObjects.push(cls);
+            cls.superclass = this.readClass();
+            return cls;
+        }
+        const cls = this.readReference(head, this.sharedObjects, 'class');
+        if (!cls || typeof cls.name !== 'string' || !('superclass' in cls)) {
+            throw invalid('class reference points to a non-class', this.pos - 1);
+        }
+        return cls;
+    }
+
+    readObject(head = this.readHead()) {
+        if (head === TAG_NIL) return null;
+        if (head !== TAG_NEW) {
+            return this.readReference(head, this.sharedObjects, 'object');
+        }
+
+        if (++this.depth > MAX_DEPTH) throw invalid('objects nested too deeply', this.pos - 1);
+        // Slot trong bảng object được cấp trước khi đọc class (giống NSUnarchiver)
+        const object = { class: null, groups: [] };
+        this.sharedObjects.push(object);
+        object.class = this.readClass();
+        while (this.peekHead() !== TAG_END_OF_OBJECT) {
+            object.groups.push(this.readGroup());
+        }
+        this.pos++;
+        this.depth--;
+        return object;
+    }
+
+    readGroup() {
+        const offset = this.pos;
+        const encoding = this.readSharedString();
+        if (!encoding) throw invalid('missing type encoding', offset);
+        return parseEncoding(encoding).map(node => this.readValue(node));
+    }
+
+    readValue(node) {
+        if (node.kind === 'array') {
+            if (node.element.kind === 'scalar' && 'cC'.includes(node.element.type)) {
+                return this.readBytes(node.count);
+            }
+            return Array.from({ length: node.count }, () => this.readValue(node.element));
+        }
+        if (node.kind === 'struct') {
+            return node.fields.map(field => this.readValue(field));
+        }
+        if (node.kind === 'pointer') {
+            return this.readValue(node.target);
+        }
+
+        switch (node.type) {
+            case 'c':
+            case 'B':
+                this.ensure(1);
+                return this.buffer.readInt8(this.pos++);
+            case 'C':
+                this.ensure(1);
+                return this.buffer.readUInt8(this.pos++);
+            case 's': case 'i': case 'l': case 'q':
+                return this.readInteger();
+            case 'S': case 'I': case 'L': case 'Q':
+                return this.readInteger(undefined, false);
+            case 'f':
+                return this.readFloat(4);
+            case 'd':
+                return this.readFloat(8);
+            case '*':
+                return this.readCString();
+            case ':':
+            case '%':
+                return this.readSharedString();
+            case '+':
+                return this.readUnsharedString();
+            case '@':
+                return this.readObject();
+            case '#':
+                return this.readClass();
+            case '!':
+            case 'v':
+                return null;
+            default:
+                throw invalid(`unsupported type "${node.type}"`, this.pos);
+        }
+    }
+}
+
+function classChain(cls) {
+    const names = [];
+    for (let current = cls; current && names.length < MAX_DEPTH; current = current.superclass) {
+        names.push(current.name);
+    }
+    return names;
+}
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && 'groups' in value && 'class' in value;
+}
+
+/**
+ * Raw values → plain JS values (NSString → string, NSNumber → number, NSDictionary → object, ...)
+ */
+class Materializer {
+    constructor() {
+        this.done = new Map();
+    }
+
+    value(raw) {
+        if (Array.isArray(raw)) return raw.map(item => this.value(item));
+        if (!isObject(raw)) {
+            if (raw && typeof raw === 'object' && 'superclass' in raw) return { $class: raw.name };
+            return raw;
+        }
+        if (this.done.has(raw)) return this.done.get(raw);
+        this.done.set(raw, null); // chống vòng lặp tham chiếu
+        const value = this.object(raw);
+        this.done.set(raw, value);
+        return value;
+    }
+
+    flatValues(raw) {
+        return raw.groups.flat();
+    }
+
+    object(raw) {
+        const chain = classChain(raw.class);
+        const has = (name) => chain.includes(name);
+
+        if (has('NSAttributedString')) return this.attributedString(raw);
+        if (has('NSString')) return this.string(raw);
+        if (has('NSDictionary')) {
+            const [count = 0, ...entries] = this.flatValues(raw);
+            const dict = {};
+            for (let i = 0; i < count * 2 && i + 1 < entries.length; i += 2) {
+                dict[String(this.value(entries[i]))] = this.value(entries[i + 1]);
+            }
+            return dict;
+        }
+        if (has('NSArray') || has('NSSet')) {
+            const [, ...items] = this.flatValues(raw);
+            return items.map(item => this.value(item));
+        }
+        if (has('NSNumber') || has('NSValue')) {
+            // NSValue: group "*" (type của giá trị) rồi group chứa giá trị
+            const values = this.flatValues(raw);
+            return this.value(values[values.length - 1] ?? null);
+        }
+        if (has('NSData')) {
+            return this.flatValues(raw).find(value => Buffer.isBuffer(value)) || Buffer.alloc(0);
+        }
+        if (has('NSURL')) {
+            const strings = this.flatValues(raw).map(value => this.value(value)).filter(value => typeof value === 'string');
+            return strings[strings.length - 1] ?? null;
+        }
+        if (has('NSDate')) {
+            const [seconds] = this.flatValues(raw);
+            return typeof seconds === 'number' ? new Date(Date.UTC(2001, 0, 1) + seconds * 1000) : null;
+        }
+
+        return { $class: chain[0], values: this.flatValues(raw).map(value => this.value(value)) };
+    }
+
+    string(raw) {
+        const bytes = this.flatValues(raw).find(value => Buffer.isBuffer(value));
+        return bytes ? bytes.toString('utf8') : '';
+    }
+
+    /**
+     * NSAttributedString: group đầu là NSString, sau đó mỗi run là group "iI" (dictionary index, length);
+     * index mới (lần đầu xuất hiện) thì group kế tiếp là NSDictionary của run đó
+     */
+    attributedString(raw) {
+        const [stringGroup = [], ...rest] = raw.groups;
+        const text = this.value(stringGroup[0]);
+        const dictionaries = new Map();
+        const runs = [];
+        let location = 0;
+
+        for (let i = 0; i < rest.length; i++) {
+            const group = rest[i];
+            if (group.length !== 2 || typeof group[0] !== 'number' || typeof group[1] !== 'number') continue;
+
+            const [index, length] = group;
+            const next = rest[i + 1];
+            if (!dictionaries.has(index) && next && next.length === 1 && (isObject(next[0]) || next[0] === null)) {
+                dictionaries.set(index, this.value(next[0]) || {});
+                i++;
+            }
+            runs.push({ location, length, attributes: dictionaries.get(index) || {} });
+            location += length;
+        }
+
+        return { text: typeof text === 'string' ? text : '', runs };
+    }
+}
+
+/**
+ * Typedstream decoder (default attributedBody decoder)
+ */
+class TypedStreamDecoder {
+    constructor() {
+        this.debug = false;
+    }
+
+    /**
+     * Enable debug logging
+     */
+    enableDebug() {
+        this.debug = true;
+    }
+
+    /**
+     * Log debug information
+     */
+    log(...args) {
+        if (this.debug) {
+            console.log('[TypedStream]', ...args);
+        }
+    }
+
+    /**
+     * Check the typedstream header ("\x04\x0bstreamtyped...")
+     * @param {Buffer} buffer - Binary data
+     * @returns {boolean}
+     */
+    isTypedStream(buffer) {
+        if (!buffer || buffer.length < 13) return false;
+        const signature = Buffer.from(buffer.subarray(2, 13)).toString('latin1');
+        return buffer[1] === 11 && (signature === SIGNATURE_LITTLE_ENDIAN || signature === SIGNATURE_BIG_ENDIAN);
+    }
+
+    /**
+     * Parse a typedstream into plain JS values (strict: throws on malformed data)
+     * @param {Buffer} buffer - Binary data
+     * @returns {{ header: Object, values: Array }}
+     */
+    parse(buffer) {
+        const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+        const reader = new TypedStreamReader(buf);
+        const header = reader.readHeader();
+        const groups = reader.readAll();
+        const materializer = new Materializer();
+        return { header, values: groups.flat().map(value => materializer.value(value)) };
+    }
+
+    /**
+     * Decode attributedBody into the exact NSString and its attribute runs
+     * @param {Buffer} buffer - attributedBody blob
+     * @returns {{ text: string, runs: Array<{ location: number, length: number, attributes: Object }> }|null}
+     */
+    decode(buffer) {
+        if (!buffer || buffer.length === 0) {
+            return null;
+        }
+
+        const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+        if (!this.isTypedStream(buf)) {
+            this.log('Not a typedstream (no streamtyped header)');
+            return null;
+        }
+
+        try {
+            const { values } = this.parse(buf);
+            for (const value of values) {
+                if (typeof value === 'string') return { text: value, runs: [] };
+                if (value && typeof value.text === 'string' && Array.isArray(value.runs)) return value;
+            }
+            this.log('Typedstream has no string root');
+            return null;
+        } catch (error) {
+            this.log('Decode error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Decode attributedBody into the exact NSString only
+     * @param {Buffer} buffer - attributedBody blob
+     * @returns {string|null}
+     */
+    decodeText(buffer) {
+        const decoded = this.decode(buffer);
+        return decoded ? decoded.text : null;
+    }
+}
+
+// Export singleton instance
+const typedStreamDecoder = new TypedStreamDecoder();
+
+export default typedStreamDecoder;
+
+export { TypedStreamDecoder };
+export const decode = (buffer) => typedStreamDecoder.decode(buffer);
+export const decodeText = (buffer) => typedStreamDecoder.decodeText(buffer);
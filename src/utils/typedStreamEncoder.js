@@ -0,0 +1,231 @@
+/**
+ * Typedstream encoder (NSArchiver "streamtyped", little-endian)
+ * Ghi attributedBody giống Messages: dùng cho simulator và script test của typedStreamDecoder.
+ *
+ * Giá trị JS → class: string → NSString, number → NSNumber, boolean → NSNumber (c),
+ * Buffer → NSData, URL → NSURL, Array → NSArray, object → NSDictionary.
+ */
+
+const TAG_INTEGER_2 = 0x81;
+const TAG_INTEGER_4 = 0x82;
+const TAG_FLOATING_POINT = 0x83;
+const TAG_NEW = 0x84;
+const TAG_NIL = 0x85;
+const TAG_END_OF_OBJECT = 0x86;
+const FIRST_REFERENCE_NUMBER = -110;
+
+// Class hierarchy như Foundation archive ra (name, version)
+const CLASSES = {
+    NSObject: { version: 0, superclass: null },
+    NSString: { version: 1, superclass: 'NSObject' },
+    NSMutableString: { version: 1, superclass: 'NSString' },
+    NSAttributedString: { version: 0, superclass: 'NSObject' },
+    NSMutableAttributedString: { version: 0, superclass: 'NSAttributedString' },
+    NSDictionary: { version: 0, superclass: 'NSObject' },
+    NSArray: { version: 0, superclass: 'NSObject' },
+    NSValue: { version: 0, superclass: 'NSObject' },
+    NSNumber: { version: 0, superclass: 'NSValue' },
+    NSData: { version: 0, superclass: 'NSObject' },
+    NSURL: { version: 0, superclass: 'NSObject' }
+};
+
+class TypedStreamWriter {
+    constructor() {
+        this.chunks = [];
+        this.sharedStrings = new Map();
+        this.sharedObjects = 0;
+        this.classes = new Map();
+    }
+
+    byte(value) {
+        this.chunks.push(Buffer.from([value & 0xff]));
+    }
+
+    integer(value) {
+        if (value >= -110 && value <= 127) {
+            this.byte(value);
+        } else if (value >= -32768 && value <= 32767) {
+            const buf = Buffer.alloc(3);
+            buf[0] = TAG_INTEGER_2;
+            buf.writeInt16LE(value, 1);
+            this.chunks.push(buf);
+        } else {
+            const buf = Buffer.alloc(5);
+            buf[0] = TAG_INTEGER_4;
+            buf.writeInt32LE(value, 1);
+            this.chunks.push(buf);
+        }
+    }
+
+    double(value) {
+        const buf = Buffer.alloc(9);
+        buf[0] = TAG_FLOATING_POINT;
+        buf.writeDoubleLE(value, 1);
+        this.chunks.push(buf);
+    }
+
+    unsharedString(bytes) {
+        this.integer(bytes.length);
+        this.chunks.push(bytes);
+    }
+
+    sharedString(string) {
+        if (this.sharedStrings.has(string)) {
+            this.integer(this.sharedStrings.get(string) + FIRST_REFERENCE_NUMBER);
+            return;
+        }
+        this.byte(TAG_NEW);
+        this.unsharedString(Buffer.from(string, 'utf8'));
+        this.sharedStrings.set(string, this.sharedStrings.size);
+    }
+
+    header() {
+        this.integer(4);
+        this.unsharedString(Buffer.from('streamtyped', 'latin1'));
+        this.integer(1000);
+    }
+
+    writeClass(name) {
+        if (name === null) {
+            this.byte(TAG_NIL);
+            return;
+        }
+        if (this.classes.has(name)) {
+            this.integer(this.classes.get(name) + FIRST_REFERENCE_NUMBER);
+            return;
+        }
+        const { version, superclass } = CLASSES[name];
+        this.byte(TAG_NEW);
+        this.sharedString(name);
+        this.integer(version);
+        this.classes.set(name, this.sharedObjects++);
+        this.writeClass(superclass);
+    }
+
+    // Object: TAG_NEW, class, các group do body() ghi, TAG_END_OF_OBJECT
+    object(className, body) {
+        this.byte(TAG_NEW);
+        this.sharedObjects++;
+        this.writeClass(className);
+        body();
+        this.byte(TAG_END_OF_OBJECT);
+    }
+
+    group(encoding, write) {
+        this.sharedString(encoding);
+        write();
+    }
+
+    value(value) {
+        if (value === null || value === undefined) {
+            this.byte(TAG_NIL);
+        } else if (typeof value === 'string') {
+            this.object('NSString', () => this.group('+', () => this.unsharedString(Buffer.from(value, 'utf8'))));
+        } else if (typeof value === 'number' || typeof value === 'boolean') {
+            // Typedstream chỉ có integer tối đa 4 byte: số lớn hơn ghi dạng double
+            const type = typeof value === 'boolean' ? 'c' : Number.isInteger(value) && Math.abs(value) < 2 ** 31 ? 'i' : 'd';
+            this.object('NSNumber', () => {
+                // NSValue: C string chứa type encoding (share cả trong bảng string lẫn bảng object)
+                this.group('*', () => {
+                    this.byte(TAG_NEW);
+                    this.sharedString(type);
+                    this.sharedObjects++;
+                });
+                this.group(type, () => {
+                    if (type === 'c') this.byte(value ? 1 : 0);
+                    else if (type === 'i') this.integer(value);
+                    else this.double(value);
+                });
+            });
+        } else if (Buffer.isBuffer(value)) {
+            this.object('NSData', () => {
+                this.group('i', () => this.integer(value.length));
+                this.group(`[${value.length}c]`, () => this.chunks.push(value));
+            });
+        } else if (value instanceof URL) {
+            this.object('NSURL', () => {
+                this.group('c', () => this.byte(0)); // không có base URL
+                this.group('@', () => this.value(value.href));
+            });
+        } else if (Array.isArray(value)) {
+            this.object('NSArray', () => {
+                this.group('i', () => this.integer(value.length));
+                for (const item of value) this.group('@', () => this.value(item));
+            });
+        } else {
+            const entries = Object.entries(value);
+            this.object('NSDictionary', () => {
+                this.group('i', () => this.integer(entries.length));
+                for (const [key, item] of entries) {
+                    this.group('@', () => this.value(key));
+                    this.group('@', () => this.value(item));
+                }
+            });
+        }
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.chunks);
+    }
+}
+
+/**
+ * Typedstream encoder
+ */
+class TypedStreamEncoder {
+    /**
+     * Encode an attributedBody (NSMutableAttributedString) the way Messages stores it
+     * @param {string} text - Message text
+     * @param {Array<{ location?: number, length: number, attributes: Object }>} runs - Attribute runs covering text
+     *   (mặc định: một run { __kIMMessagePartAttributeName: 0 } phủ toàn bộ text)
+     * @returns {Buffer}
+     */
+    encodeAttributedString(text, runs = null) {
+        const writer = new TypedStreamWriter();
+        const effectiveRuns = runs || [{ length: text.length, attributes: { __kIMMessagePartAttributeName: 0 } }];
+
+        writer.header();
+        writer.group('@', () => {
+            writer.object('NSMutableAttributedString', () => {
+                writer.group('@', () => {
+                    writer.object('NSMutableString', () => {
+                        writer.group('+', () => writer.unsharedString(Buffer.from(text, 'utf8')));
+                    });
+                });
+
+                // Dictionary giống nhau (cùng object) chỉ ghi 1 lần, các run sau dùng lại index
+                const indexes = new Map();
+                for (const run of effectiveRuns) {
+                    const isNew = !indexes.has(run.attributes);
+                    if (isNew) indexes.set(run.attributes, indexes.size + 1);
+                    writer.group('iI', () => {
+                        writer.integer(indexes.get(run.attributes));
+                        writer.integer(run.length);
+                    });
+                    if (isNew) writer.group('@', () => writer.value(run.attributes));
+                }
+            });
+        });
+
+        return writer.toBuffer();
+    }
+
+    /**
+     * Encode a single value (NSString, NSDictionary, ...) as a standalone typedstream
+     * @param {*} value - JS value
+     * @returns {Buffer}
+     */
+    encodeValue(value) {
+        const writer = new TypedStreamWriter();
+        writer.header();
+        writer.group('@', () => writer.value(value));
+        return writer.toBuffer();
+    }
+}
+
+// Export singleton instance
+const typedStreamEncoder = new TypedStreamEncoder();
+
+export default typedStreamEncoder;
+
+export { TypedStreamEncoder };
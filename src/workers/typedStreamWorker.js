@@ -0,0 +1,15 @@
+import { parentPort } from 'worker_threads';
+import typedStreamDecoder from '../utils/typedStreamDecoder.js';
+
+/**
+ * Decode worker for Blue Relay Tools (worker_threads, dùng bởi DecodeWorkerPool)
+ * Nhận { id, buffers }, trả { id, results } với mỗi result là { text, runs } hoặc null.
+ * Spans được dựng ở main thread từ runs (rẻ), worker chỉ parse typedstream.
+ */
+parentPort.on('message', ({ id, buffers }) => {
+    const results = buffers.map((bytes) => {
+        const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        return typedStreamDecoder.decode(buffer);
+    });
+    parentPort.postMessage({ id, results });
+});